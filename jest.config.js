@@ -18,7 +18,8 @@ module.exports = {
     '^@repositories/(.*)$': '<rootDir>/src/repositories/$1',
     '^@middleware/(.*)$': '<rootDir>/src/middleware/$1',
     '^@utils/(.*)$': '<rootDir>/src/utils/$1',
-    '^@models/(.*)$': '<rootDir>/src/models/$1'
+    '^@models/(.*)$': '<rootDir>/src/models/$1',
+    '^@constants/(.*)$': '<rootDir>/src/constants/$1'
   }
 };
 
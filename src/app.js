@@ -12,6 +12,10 @@ const i18next = require('@config/i18n');
 const i18nMiddleware = require('./middleware/i18n');
 const { errorMiddleware } = require('./middleware/errorHandler');
 const routes = require('./routes');
+const ChatSocketService = require('@services/ChatSocketService');
+const SlaService = require('@services/SlaService');
+const ReassignmentService = require('@services/ReassignmentService');
+const WaitlistService = require('@services/WaitlistService');
 const logger = require('@utils/logger');
 // const { initSchedulers, queues } = require('./services/Queue'); // Disabled - not needed for OTP
 
@@ -19,6 +23,9 @@ const app = express();
 const server = http.createServer(app);
 const PORT = process.env.PORT || 4000;
 
+// Real-time chat (WebSocket upgrades on /ws/chat)
+ChatSocketService.attach(server);
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: process.env.NODE_ENV === 'production',
@@ -32,7 +39,15 @@ app.use(helmet({
 // }));
 app.use(cors('*'));
 // Body parsing with error handling
-app.use(express.json({ limit: '10mb' }));
+// Payment webhooks keep the raw body, their signature is computed over it
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // JSON parsing error handler
@@ -124,6 +139,29 @@ createConnection(require('@config/database'))
       logger.info(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
       logger.info(`🌍 URL: ${process.env.APP_URL || `http://localhost:${PORT}`}`);
     });
+
+    // SLA breach monitor (in-process, interval from SLA_CHECK_INTERVAL_MINUTES)
+    SlaService.start();
+
+    // Expiry of pending agent reassignments (interval from REASSIGNMENT_EXPIRY_CHECK_INTERVAL_MINUTES)
+    ReassignmentService.start();
+
+    // Release of lapsed waitlist holds (interval from WAITLIST_CHECK_INTERVAL_MINUTES)
+    WaitlistService.start();
+
+    // Meeting reminders (delayed jobs need the queue schedulers and the reminder worker;
+    // reminder emails are sent by the email worker when SMTP is configured)
+    if (global.redis && process.env.MEETING_REMINDERS_ENABLED !== 'false') {
+      try {
+        require('./services/Queue').initSchedulers();
+        require('./workers/reminderWorker');
+        if (process.env.SMTP_HOST) {
+          require('./workers/emailWorker');
+        }
+      } catch (error) {
+        logger.warn('⚠️ Meeting reminders unavailable', { error: error.message });
+      }
+    }
     
     // Initialize background job schedulers (disabled - not needed for OTP)
     // try {
@@ -152,6 +190,9 @@ createConnection(require('@config/database'))
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, closing server gracefully');
+  SlaService.stop();
+  ReassignmentService.stop();
+  WaitlistService.stop();
   server.close(() => {
     logger.info('Server closed');
     process.exit(0);
@@ -160,6 +201,9 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, closing server gracefully');
+  SlaService.stop();
+  ReassignmentService.stop();
+  WaitlistService.stop();
   server.close(() => {
     logger.info('Server closed');
     process.exit(0);
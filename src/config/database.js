@@ -5,26 +5,38 @@ const Admin = require('../models/Admin');
 const AdminRole = require('../models/AdminRole');
 const Agent = require('../models/Agent');
 const AgentSession = require('../models/AgentSession');
+const AgentReview = require('../models/AgentReview');
 const ApplicationType = require('../models/ApplicationType');
 const Approval = require('../models/Approval');
 const BreakPolicy = require('../models/BreakPolicy');
 const BreakRequest = require('../models/BreakRequest');
+const Branch = require('../models/Branch');
 const Complaint = require('../models/Complaint');
 const Department = require('../models/Department');
+const DocumentRequirement = require('../models/DocumentRequirement');
+const Invoice = require('../models/Invoice');
+const MeetingRoom = require('../models/MeetingRoom');
+const Notification = require('../models/Notification');
+const Payment = require('../models/Payment');
 const Permission = require('../models/Permission');
+const ReassignmentRequest = require('../models/ReassignmentRequest');
 const Report = require('../models/Report');
+const RescheduleProposal = require('../models/RescheduleProposal');
 const RequestDocument = require('../models/RequestDocument');
 const Role = require('../models/Role');
 const RolePermission = require('../models/RolePermission');
 const Service = require('../models/Service');
 const ServiceRequest = require('../models/ServiceRequest');
+const ServiceRequestEvent = require('../models/ServiceRequestEvent');
+const ServiceRequestItem = require('../models/ServiceRequestItem');
 const Shift = require('../models/Shift');
 const User = require('../models/User');
 const UserDocument = require('../models/UserDocument');
+const WaitlistEntry = require('../models/WaitlistEntry');
 // Chat System Models
-// const Chat = require('../models/Chat');
-// const Message = require('../models/Message');
-// const MessageAttachment = require('../models/MessageAttachment');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const MessageAttachment = require('../models/MessageAttachment');
 module.exports = {
   type: 'mysql',
   host: process.env.DB_HOST || 'localhost',
@@ -46,27 +58,39 @@ synchronize: true, // ⚠️ Disabled temporarily to fix FK error
     AdminRole,
     Agent,
     AgentSession,
+    AgentReview,
     ApplicationType,
     Approval,
     BreakPolicy,
     BreakRequest,
+    Branch,
     Complaint,
     Department,
+    DocumentRequirement,
+    Invoice,
+    MeetingRoom,
+    Notification,
+    Payment,
     Permission,
+    ReassignmentRequest,
     Report,
+    RescheduleProposal,
     RequestDocument,
     Role,
     RolePermission,
     Service,
     ServiceRequest,
+    ServiceRequestEvent,
+    ServiceRequestItem,
     Shift,
     User,
     UserDocument,
+    WaitlistEntry,
     // Chat System
-    // Chat,
-    // Message,
+    Chat,
+    Message,
     Complaint,
-    // MessageAttachment
+    MessageAttachment
   ],
   migrations: ['src/migrations/**/*.js'],
   synchronize: false, // ⚠️ Disabled temporarily to fix FK error
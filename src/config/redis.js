@@ -12,15 +12,22 @@ const logger = require('@utils/logger');
 
 let redisClient = null;
 
+/**
+ * Connection settings, shared with the BullMQ job queues (services/Queue)
+ */
+const redisConfig = {
+  host: process.env.REDIS_HOST || 'localhost',
+  port: parseInt(process.env.REDIS_PORT) || 6379,
+  password: process.env.REDIS_PASSWORD || 'StrongRedisPass123!',
+  db: parseInt(process.env.REDIS_DB) || 0
+};
+
 /**
  * Initialize Redis connection
  */
 const initRedis = async () => {
   try {
-    const host = process.env.REDIS_HOST || 'localhost';
-    const port = parseInt(process.env.REDIS_PORT) || 6379;
-    const password = process.env.REDIS_PASSWORD || 'StrongRedisPass123!';
-    const db = parseInt(process.env.REDIS_DB) || 0;
+    const { host, port, password, db } = redisConfig;
 
     // Redis v4 uses URL format
     let redisUrl = `redis://${host}:${port}/${db}`;
@@ -104,6 +111,7 @@ const isRedisConnected = () => {
 };
 
 module.exports = {
+  redisConfig,
   initRedis,
   getRedisClient,
   closeRedis,
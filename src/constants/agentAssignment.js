@@ -0,0 +1,24 @@
+/**
+ * Agent Assignment Constants
+ *
+ * Strategies a department can use to pick an agent for requests
+ * submitted without one (configured on Department.assignmentStrategy)
+ *
+ * - manual: leave the request unassigned for an admin
+ * - round_robin: rotate through the department's agents
+ * - least_loaded: agent with the fewest open requests
+ * - available_at_time: agent with the most free time left on the meeting day
+ *
+ * Automatic strategies only consider agents free at the requested time
+ */
+
+const ASSIGNMENT_STRATEGIES = {
+  MANUAL: 'manual',
+  ROUND_ROBIN: 'round_robin',
+  LEAST_LOADED: 'least_loaded',
+  AVAILABLE_AT_TIME: 'available_at_time'
+};
+
+module.exports = {
+  ASSIGNMENT_STRATEGIES
+};
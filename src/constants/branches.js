@@ -0,0 +1,13 @@
+/**
+ * Branch Constants
+ *
+ * Keys of a branch's opening hours (Branch.openingHours), indexed like
+ * Date.getUTCDay(): { sun: { open: '09:00', close: '17:00' }, ... }
+ * A weekday missing from the opening hours is closed
+ */
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+module.exports = {
+  WEEKDAYS
+};
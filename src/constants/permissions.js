@@ -131,6 +131,31 @@ const PERMISSIONS = {
     VIEW: 'application_types.view'
   },
   
+  // Agent Reviews
+  REVIEWS: {
+    READ: 'reviews.read',
+    MODERATE: 'reviews.moderate'
+  },
+
+  // Branches & Meeting Rooms
+  BRANCHES: {
+    CREATE: 'branches.create',
+    READ: 'branches.read',
+    UPDATE: 'branches.update',
+    CHECK_IN: 'branches.check_in'
+  },
+
+  // Invoices & Payments
+  PAYMENTS: {
+    REFUND: 'payments.refund'
+  },
+
+  // Service Request Chats
+  CHATS: {
+    READ: 'chats.read',
+    MANAGE: 'chats.manage'
+  },
+
   // Additional Services Management
   ADDITIONAL_SERVICES: {
     CREATE: 'additional_services.create',
@@ -177,7 +202,11 @@ const PERMISSION_GROUPS = {
   SYSTEM_MANAGEMENT: 'System Management',
   REPORTING: 'Reporting & Analytics',
   APPLICATION_MANAGEMENT: 'Application Management',
-  SERVICE_MANAGEMENT: 'Service Management'
+  SERVICE_MANAGEMENT: 'Service Management',
+  CHAT_MANAGEMENT: 'Chat Management',
+  REVIEW_MANAGEMENT: 'Review Management',
+  BRANCH_MANAGEMENT: 'Branch Management',
+  PAYMENT_MANAGEMENT: 'Payment Management'
 };
 
 /**
@@ -194,7 +223,11 @@ const PERMISSION_TO_GROUP = {
   'reports.*': PERMISSION_GROUPS.REPORTING,
   'audit.*': PERMISSION_GROUPS.REPORTING,
   'application_types.*': PERMISSION_GROUPS.APPLICATION_MANAGEMENT,
-  'additional_services.*': PERMISSION_GROUPS.SERVICE_MANAGEMENT
+  'additional_services.*': PERMISSION_GROUPS.SERVICE_MANAGEMENT,
+  'chats.*': PERMISSION_GROUPS.CHAT_MANAGEMENT,
+  'reviews.*': PERMISSION_GROUPS.REVIEW_MANAGEMENT,
+  'branches.*': PERMISSION_GROUPS.BRANCH_MANAGEMENT,
+  'payments.*': PERMISSION_GROUPS.PAYMENT_MANAGEMENT
 };
 
 /**
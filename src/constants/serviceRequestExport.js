@@ -0,0 +1,57 @@
+/**
+ * Service Request Export Constants
+ *
+ * Spreadsheet exports of the admin request listing and statistics
+ * (?format=xlsx&columns=id,fullName,status). Column headers are translated
+ * under export.columns.<column> in the caller's language.
+ */
+
+const EXPORT_FORMATS = {
+  CSV: 'csv',
+  XLSX: 'xlsx'
+};
+
+const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Selectable request columns, in the order they are written
+const EXPORT_COLUMNS = [
+  'id',
+  'fullName',
+  'email',
+  'phone',
+  'category',
+  'service',
+  'agent',
+  'status',
+  'priority',
+  'meetingType',
+  'meetingDate',
+  'meetingTime',
+  'totalPrice',
+  'currency',
+  'slaBreached',
+  'createdAt',
+  'updatedAt'
+];
+
+const DEFAULT_EXPORT_COLUMNS = [
+  'id',
+  'fullName',
+  'category',
+  'agent',
+  'status',
+  'priority',
+  'meetingDate',
+  'meetingTime',
+  'createdAt'
+];
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_CONTENT_TYPES,
+  EXPORT_COLUMNS,
+  DEFAULT_EXPORT_COLUMNS
+};
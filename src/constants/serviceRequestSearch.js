@@ -0,0 +1,78 @@
+/**
+ * Service Request Search Constants
+ *
+ * Sort fields of the admin request listing (?sort=-priority,meetingDate)
+ * A leading "-" sorts descending. The request id is always appended as the last
+ * key so the order is total, which cursor pagination relies on.
+ *
+ * Each field maps to the SQL keys it orders by:
+ * - expression: ORDER BY / cursor comparison expression
+ * - value: selected expression stored in the cursor (strings and numbers only,
+ *   so cursors survive the round trip through JSON)
+ * - type: JavaScript type of the value, checked when a cursor is decoded
+ */
+
+const SORT_FIELDS = {
+  createdAt: [
+    { expression: 'request.createdAt', value: "DATE_FORMAT(request.createdAt, '%Y-%m-%d %H:%i:%s.%f')", type: 'string' }
+  ],
+  updatedAt: [
+    { expression: 'request.updatedAt', value: "DATE_FORMAT(request.updatedAt, '%Y-%m-%d %H:%i:%s.%f')", type: 'string' }
+  ],
+  meetingDate: [
+    { expression: 'request.meetingDate', value: "DATE_FORMAT(request.meetingDate, '%Y-%m-%d')", type: 'string' },
+    { expression: 'request.meetingTime', value: 'CAST(request.meetingTime AS CHAR)', type: 'string' }
+  ],
+  // Enum order (low → urgent), not alphabetical
+  priority: [
+    {
+      expression: "FIELD(request.priority, 'low', 'normal', 'high', 'urgent')",
+      value: "FIELD(request.priority, 'low', 'normal', 'high', 'urgent')",
+      type: 'number'
+    }
+  ],
+  fullName: [
+    { expression: 'request.fullName', value: 'request.fullName', type: 'string' }
+  ],
+  id: [
+    { expression: 'request.id', value: 'request.id', type: 'number' }
+  ]
+};
+
+const DEFAULT_SORT = '-priority,-createdAt';
+
+// Columns matched by the free-text search
+const SEARCH_COLUMNS = ['fullName', 'email', 'phone', 'notes', 'adminNotes'];
+
+/**
+ * "-priority,meetingDate" → ordered SQL keys, with the id appended as tie-breaker
+ * @param {string} sort - Comma-separated sort fields
+ * @returns {Array<Object>} [{ expression, value, type, direction }]
+ */
+const parseSort = (sort) => {
+  const keys = [];
+  let lastDirection = 'DESC';
+
+  String(sort).split(',').map(field => field.trim()).filter(Boolean).forEach(field => {
+    const direction = field.startsWith('-') ? 'DESC' : 'ASC';
+    const definition = SORT_FIELDS[field.replace(/^-/, '')];
+
+    if (definition) {
+      definition.forEach(key => keys.push({ ...key, direction }));
+      lastDirection = direction;
+    }
+  });
+
+  if (!keys.some(key => key.expression === 'request.id')) {
+    keys.push({ ...SORT_FIELDS.id[0], direction: lastDirection });
+  }
+
+  return keys;
+};
+
+module.exports = {
+  SORT_FIELDS,
+  DEFAULT_SORT,
+  SEARCH_COLUMNS,
+  parseSort
+};
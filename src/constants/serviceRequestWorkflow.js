@@ -0,0 +1,264 @@
+/**
+ * Service Request Workflow
+ *
+ * Declarative definition of the service request lifecycle
+ * Every status change and action in ServiceRequestService goes through this table
+ * (via ServiceRequestStateMachine), and GET /:id/allowed-actions is derived from it.
+ *
+ * Transition fields:
+ * - from: statuses the action may be triggered from
+ * - to: resulting status (null when the action does not change the status)
+ * - actors: user types allowed to trigger it (USER, AGENT, ADMIN, SYSTEM)
+ *   An AGENT must also be the request's assigned agent, a USER the request's owner
+ * - requires: payload fields that must be provided
+ * - errorKey: message key when the action is not allowed from the current status
+ * - anyAgent: any AGENT may trigger it, not only the assigned one (the service
+ *   decides which agent)
+ *
+ * accept_reschedule/decline_reschedule are further limited to the counter-party
+ * of a pending reschedule proposal (see RescheduleService)
+ *
+ * Agents hand requests over with request_reassignment; the target agent or an admin
+ * answers with accept_reassignment/decline_reassignment (see ReassignmentService).
+ * reassign_agent is the admin's direct reassignment.
+ *
+ * documents_completed is applied by RequestDocumentService once every requested
+ * document has been accepted
+ *
+ * create_follow_up books further meetings of the same matter linked to the request;
+ * cancel_follow_up applies to those follow-ups only (see FollowUpService)
+ */
+
+const SERVICE_REQUEST_STATUSES = {
+  PENDING: 'pending',
+  AWAITING_DOCUMENTS: 'awaiting_documents',
+  APPROVED: 'approved',
+  RESCHEDULED: 'rescheduled',
+  REJECTED: 'rejected',
+  COMPLETED: 'completed',
+  NO_SHOW: 'no_show',
+  CANCELLED: 'cancelled'
+};
+
+const S = SERVICE_REQUEST_STATUSES;
+
+/**
+ * Statuses no action can leave
+ */
+const TERMINAL_STATUSES = [S.REJECTED, S.COMPLETED, S.NO_SHOW, S.CANCELLED];
+
+/**
+ * Statuses whose meeting still occupies the agent's calendar
+ */
+const ACTIVE_BOOKING_STATUSES = [S.PENDING, S.AWAITING_DOCUMENTS, S.APPROVED, S.RESCHEDULED];
+
+const OPEN_STATUSES = ACTIVE_BOOKING_STATUSES;
+
+const TRANSITIONS = {
+  assign_agent: {
+    from: [S.PENDING, S.AWAITING_DOCUMENTS],
+    to: null,
+    actors: ['ADMIN'],
+    requires: ['agentId'],
+    errorKey: 'serviceRequest.cannotAssignAgentToNonPendingRequest'
+  },
+  reassign_agent: {
+    from: OPEN_STATUSES,
+    to: null,
+    actors: ['ADMIN'],
+    requires: ['newAgentId', 'reason'],
+    errorKey: 'serviceRequest.cannotReassignFinishedRequest'
+  },
+  request_reassignment: {
+    from: OPEN_STATUSES,
+    to: null,
+    actors: ['AGENT'],
+    requires: ['newAgentId', 'reason'],
+    errorKey: 'serviceRequest.cannotReassignFinishedRequest'
+  },
+  accept_reassignment: {
+    from: OPEN_STATUSES,
+    to: null,
+    actors: ['AGENT', 'ADMIN'],
+    anyAgent: true,
+    requires: [],
+    errorKey: 'serviceRequest.cannotReassignFinishedRequest'
+  },
+  decline_reassignment: {
+    from: OPEN_STATUSES,
+    to: null,
+    actors: ['AGENT', 'ADMIN'],
+    anyAgent: true,
+    requires: [],
+    errorKey: 'serviceRequest.cannotReassignFinishedRequest'
+  },
+  request_documents: {
+    from: [S.PENDING, S.AWAITING_DOCUMENTS, S.APPROVED],
+    to: S.AWAITING_DOCUMENTS,
+    actors: ['AGENT', 'ADMIN'],
+    requires: ['reason', 'documents'],
+    errorKey: 'serviceRequest.cannotRequestDocuments'
+  },
+  upload_documents: {
+    from: [S.PENDING, S.AWAITING_DOCUMENTS],
+    to: null,
+    actors: ['USER'],
+    requires: [],
+    errorKey: 'serviceRequest.cannotUploadDocuments'
+  },
+  review_document: {
+    from: OPEN_STATUSES,
+    to: null,
+    actors: ['AGENT', 'ADMIN'],
+    requires: ['status'],
+    errorKey: 'serviceRequest.cannotReviewDocuments'
+  },
+  documents_completed: {
+    from: [S.AWAITING_DOCUMENTS],
+    to: S.PENDING,
+    actors: ['SYSTEM'],
+    requires: [],
+    errorKey: 'serviceRequest.cannotRequestDocuments'
+  },
+  approve: {
+    from: [S.PENDING, S.AWAITING_DOCUMENTS],
+    to: S.APPROVED,
+    actors: ['AGENT', 'ADMIN'],
+    requires: [],
+    errorKey: 'serviceRequest.cannotApproveNonPendingRequest'
+  },
+  reject: {
+    from: [S.PENDING, S.AWAITING_DOCUMENTS],
+    to: S.REJECTED,
+    actors: ['AGENT', 'ADMIN'],
+    requires: ['reason'],
+    errorKey: 'serviceRequest.cannotRejectNonPendingRequest'
+  },
+  reschedule: {
+    from: [S.APPROVED, S.RESCHEDULED],
+    to: S.RESCHEDULED,
+    actors: ['AGENT', 'ADMIN'],
+    requires: ['meetingDate', 'meetingTime'],
+    errorKey: 'serviceRequest.cannotRescheduleRequest'
+  },
+  propose_reschedule: {
+    from: [S.APPROVED, S.RESCHEDULED],
+    to: null,
+    actors: ['USER', 'AGENT', 'ADMIN'],
+    requires: ['meetingDate', 'meetingTime'],
+    errorKey: 'serviceRequest.cannotRescheduleRequest'
+  },
+  accept_reschedule: {
+    from: [S.APPROVED, S.RESCHEDULED],
+    to: S.RESCHEDULED,
+    actors: ['USER', 'AGENT', 'ADMIN'],
+    requires: [],
+    errorKey: 'serviceRequest.cannotRescheduleRequest'
+  },
+  decline_reschedule: {
+    from: [S.APPROVED, S.RESCHEDULED],
+    to: null,
+    actors: ['USER', 'AGENT', 'ADMIN'],
+    requires: [],
+    errorKey: 'serviceRequest.cannotRescheduleRequest'
+  },
+  complete: {
+    from: [S.APPROVED, S.RESCHEDULED],
+    to: S.COMPLETED,
+    actors: ['AGENT', 'ADMIN'],
+    requires: [],
+    errorKey: 'serviceRequest.cannotCompleteNonApprovedRequest'
+  },
+  mark_no_show: {
+    from: [S.APPROVED, S.RESCHEDULED],
+    to: S.NO_SHOW,
+    actors: ['AGENT', 'ADMIN'],
+    requires: [],
+    errorKey: 'serviceRequest.cannotMarkNoShow'
+  },
+  cancel: {
+    from: OPEN_STATUSES,
+    to: S.CANCELLED,
+    actors: ['ADMIN'],
+    requires: ['reason'],
+    errorKey: 'serviceRequest.cannotCancelFinishedRequest'
+  },
+  user_cancel: {
+    from: OPEN_STATUSES,
+    to: S.CANCELLED,
+    actors: ['USER'],
+    requires: [],
+    errorKey: 'serviceRequest.cannotCancelFinishedRequest'
+  },
+  create_follow_up: {
+    from: [S.APPROVED, S.RESCHEDULED, S.COMPLETED],
+    to: null,
+    actors: ['AGENT', 'ADMIN'],
+    requires: ['meetingDate', 'meetingTime'],
+    errorKey: 'serviceRequest.cannotCreateFollowUp'
+  },
+  cancel_follow_up: {
+    from: OPEN_STATUSES,
+    to: S.CANCELLED,
+    actors: ['AGENT', 'ADMIN'],
+    requires: ['reason'],
+    errorKey: 'serviceRequest.cannotCancelFinishedRequest'
+  },
+  update_priority: {
+    from: OPEN_STATUSES,
+    to: null,
+    actors: ['ADMIN', 'SYSTEM'],
+    requires: ['priority'],
+    errorKey: 'serviceRequest.cannotUpdateFinishedRequest'
+  },
+  add_notes: {
+    from: Object.values(S),
+    to: null,
+    actors: ['AGENT', 'ADMIN'],
+    requires: ['notes'],
+    errorKey: 'serviceRequest.cannotUpdateFinishedRequest'
+  }
+};
+
+/**
+ * How a meeting went, recorded by the agent once it is over (PUT /:id/attendance)
+ */
+const ATTENDANCE_STATUSES = {
+  ATTENDED: 'attended',
+  PARTIALLY_ATTENDED: 'partially_attended',
+  USER_NO_SHOW: 'user_no_show',
+  AGENT_NO_SHOW: 'agent_no_show'
+};
+
+/**
+ * Transition applied for each attendance status: a meeting that took place completes
+ * the request, a missed one ends it as no_show
+ */
+const ATTENDANCE_ACTIONS = {
+  [ATTENDANCE_STATUSES.ATTENDED]: 'complete',
+  [ATTENDANCE_STATUSES.PARTIALLY_ATTENDED]: 'complete',
+  [ATTENDANCE_STATUSES.USER_NO_SHOW]: 'mark_no_show',
+  [ATTENDANCE_STATUSES.AGENT_NO_SHOW]: 'mark_no_show'
+};
+
+/**
+ * Spacing of recurring follow-up meetings
+ */
+const FOLLOW_UP_FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+
+/**
+ * Actions admins can apply to many requests at once (POST /admin/bulk)
+ */
+const BULK_ACTIONS = ['assign', 'priority', 'cancel', 'note'];
+
+module.exports = {
+  SERVICE_REQUEST_STATUSES,
+  TERMINAL_STATUSES,
+  ACTIVE_BOOKING_STATUSES,
+  OPEN_STATUSES,
+  TRANSITIONS,
+  ATTENDANCE_STATUSES,
+  ATTENDANCE_ACTIONS,
+  FOLLOW_UP_FREQUENCIES,
+  BULK_ACTIONS
+};
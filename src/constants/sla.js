@@ -0,0 +1,55 @@
+/**
+ * Service Level Agreement Constants
+ *
+ * Every open request is measured against three targets (in minutes):
+ * - assignment: submission → an agent is assigned
+ * - decision: submission → approved or rejected
+ * - completion: scheduled end of the meeting → marked completed
+ *
+ * Targets depend on the request priority; a department can override any of
+ * them through Department.slaTargets, e.g. { urgent: { assignment: 15 } }
+ */
+
+const SLA_METRICS = {
+  ASSIGNMENT: 'assignment',
+  DECISION: 'decision',
+  COMPLETION: 'completion'
+};
+
+const SLA_STATES = {
+  MET: 'met',
+  ON_TRACK: 'on_track',
+  AT_RISK: 'at_risk',
+  BREACHED: 'breached'
+};
+
+// Higher rank wins when summarizing a request's metrics into one state
+const SLA_STATE_RANK = {
+  met: 0,
+  on_track: 1,
+  at_risk: 2,
+  breached: 3
+};
+
+const DEFAULT_SLA_TARGETS = {
+  low: { assignment: 1440, decision: 4320, completion: 2880 },
+  normal: { assignment: 480, decision: 1440, completion: 1440 },
+  high: { assignment: 120, decision: 480, completion: 240 },
+  urgent: { assignment: 30, decision: 120, completion: 60 }
+};
+
+// Priority a request is bumped to when it breaches (urgent stays urgent)
+const PRIORITY_ESCALATION = {
+  low: 'normal',
+  normal: 'high',
+  high: 'urgent',
+  urgent: 'urgent'
+};
+
+module.exports = {
+  SLA_METRICS,
+  SLA_STATES,
+  SLA_STATE_RANK,
+  DEFAULT_SLA_TARGETS,
+  PRIORITY_ESCALATION
+};
@@ -1,6 +1,6 @@
 const BreakRequestService = require('@services/BreakRequestService');
 const AgentSessionRepository = require('@repositories/AgentSessionRepository');
-const ShiftRepository = require('@repositories/ShiftRepository');
+const ShiftService = require('@services/ShiftService');
 const DepartmentRepository = require('@repositories/DepartmentRepository');
 const ActivityLogService = require('@services/ActivityLogService');
 
@@ -10,7 +10,7 @@ const ActivityLogService = require('@services/ActivityLogService');
  * Handles admin operations for shift management:
  * - Approve/Reject break requests
  * - View sessions and reports
- * - Manage shifts and policies
+ * - Manage shifts and break policies
  */
 
 /**
@@ -217,12 +217,12 @@ exports.getDashboardStats = async (req, res, next) => {
 
 /**
  * @route GET /api/admin/shifts
- * @desc Get all shifts
+ * @desc Get all shifts (active only unless includeInactive=true)
  * @access Private (Admin)
  */
 exports.getShifts = async (req, res, next) => {
   try {
-    const shifts = await ShiftRepository.findAll();
+    const shifts = await ShiftService.getShifts({ includeInactive: req.query.includeInactive === true });
 
     res.status(200).json({
       ok: true,
@@ -237,6 +237,106 @@ exports.getShifts = async (req, res, next) => {
   }
 };
 
+/**
+ * @route GET /api/admin/shifts/:id
+ * @desc Get a shift with its break policy
+ * @access Private (Admin with view_shifts permission)
+ */
+exports.getShift = async (req, res, next) => {
+  try {
+    const shift = await ShiftService.getShift(parseInt(req.params.id));
+
+    res.status(200).json({
+      ok: true,
+      message: req.t('shift.shiftRetrieved'),
+      messageKey: 'shift.shiftRetrieved',
+      data: { shift }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route POST /api/admin/shifts
+ * @desc Create a shift and its break policy
+ * @access Private (Admin with create_shifts permission)
+ */
+exports.createShift = async (req, res, next) => {
+  try {
+    const shift = await ShiftService.createShift(req.body, req.user.id);
+
+    res.status(201).json({
+      ok: true,
+      message: req.t('shift.shiftCreated'),
+      messageKey: 'shift.shiftCreated',
+      data: { shift }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route PUT /api/admin/shifts/:id
+ * @desc Update a shift (times cannot change while agents are checked in)
+ * @access Private (Admin with update_shifts permission)
+ */
+exports.updateShift = async (req, res, next) => {
+  try {
+    const shift = await ShiftService.updateShift(parseInt(req.params.id), req.body, req.user.id);
+
+    res.status(200).json({
+      ok: true,
+      message: req.t('shift.shiftUpdated'),
+      messageKey: 'shift.shiftUpdated',
+      data: { shift }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route DELETE /api/admin/shifts/:id
+ * @desc Deactivate a shift (not while agents are checked in)
+ * @access Private (Admin with delete_shifts permission)
+ */
+exports.deactivateShift = async (req, res, next) => {
+  try {
+    const shift = await ShiftService.deactivateShift(parseInt(req.params.id), req.user.id);
+
+    res.status(200).json({
+      ok: true,
+      message: req.t('shift.shiftDeactivated'),
+      messageKey: 'shift.shiftDeactivated',
+      data: { shift }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route PUT /api/admin/shifts/:id/break-policy
+ * @desc Update the break policy of a shift
+ * @access Private (Admin with manage_breaks permission)
+ */
+exports.updateBreakPolicy = async (req, res, next) => {
+  try {
+    const breakPolicy = await ShiftService.updateBreakPolicy(parseInt(req.params.id), req.body, req.user.id);
+
+    res.status(200).json({
+      ok: true,
+      message: req.t('shift.breakPolicyUpdated'),
+      messageKey: 'shift.breakPolicyUpdated',
+      data: { breakPolicy }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @route GET /api/admin/departments
  * @desc Get all departments
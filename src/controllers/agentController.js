@@ -1,4 +1,6 @@
 const AgentService = require('@services/AgentService');
+const CalendarService = require('@services/CalendarService');
+const ReviewService = require('@services/ReviewService');
 
 /**
  * Agent Controller
@@ -388,6 +390,67 @@ class AgentController {
     }
   }
 
+  /**
+   * Get agent calendar feed
+   * GET /api/agents/calendar/:token.ics
+   * 
+   * @access Public (secret token)
+   */
+  async getCalendarFeed(req, res, next) {
+    try {
+      const calendar = await CalendarService.getAgentFeed(req.params.token);
+
+      res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Cache-Control': 'private, max-age=300'
+      });
+      res.send(calendar);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create or rotate calendar feed token
+   * POST /api/agents/calendar/token
+   * 
+   * @access Private - Agent only
+   */
+  async createCalendarFeedToken(req, res, next) {
+    try {
+      const result = await CalendarService.createFeedToken(req.user.id);
+
+      res.status(201).json({
+        ok: true,
+        message: req.t('calendar.feedTokenCreated'),
+        messageKey: 'calendar.feedTokenCreated',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke calendar feed token
+   * DELETE /api/agents/calendar/token
+   * 
+   * @access Private - Agent only
+   */
+  async revokeCalendarFeedToken(req, res, next) {
+    try {
+      await CalendarService.revokeFeedToken(req.user.id);
+
+      res.json({
+        ok: true,
+        message: req.t('calendar.feedTokenRevoked'),
+        messageKey: 'calendar.feedTokenRevoked'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Update agent profile
    * PUT /api/agents/profile (self) or PUT /api/agents/:id (admin)
@@ -542,7 +605,33 @@ class AgentController {
       next(error);
     }
   }
+
+  /**
+   * Get an agent's visible reviews with its rating summary (Public)
+   * GET /api/agents/:id/reviews
+   *
+   * @access Public
+   */
+  async getAgentReviews(req, res, next) {
+    try {
+      const agentId = parseInt(req.params.id);
+      const { page = 1, limit = 10 } = req.query;
+
+      const result = await ReviewService.getAgentReviews(agentId, {
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      res.json({
+        ok: true,
+        message: req.t('review.listRetrieved'),
+        messageKey: 'review.listRetrieved',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 module.exports = new AgentController();
-
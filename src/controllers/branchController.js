@@ -0,0 +1,177 @@
+const BranchService = require('@services/BranchService');
+
+/**
+ * BranchController
+ *
+ * Handles branches, their meeting rooms and the front-desk room schedule
+ */
+class BranchController {
+  /**
+   * List branches (admins may include inactive ones)
+   * GET /api/branches
+   * @access Public
+   */
+  async listBranches(req, res, next) {
+    try {
+      const isAdmin = req.user && req.user.userType === 'ADMIN';
+
+      const branches = await BranchService.listBranches({
+        includeInactive: isAdmin && req.query.includeInactive === 'true',
+        city: req.query.city
+      });
+
+      res.json({
+        ok: true,
+        message: req.t('branch.listRetrieved'),
+        messageKey: 'branch.listRetrieved',
+        data: { branches }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a branch
+   * GET /api/branches/:id
+   * @access Public
+   */
+  async getBranch(req, res, next) {
+    try {
+      const isAdmin = req.user && req.user.userType === 'ADMIN';
+
+      const branch = await BranchService.getBranch(req.params.id, { includeInactive: isAdmin });
+
+      res.json({
+        ok: true,
+        message: req.t('branch.retrieved'),
+        messageKey: 'branch.retrieved',
+        data: { branch }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create a branch
+   * POST /api/branches
+   * @access Private (Admin with branches.create)
+   */
+  async createBranch(req, res, next) {
+    try {
+      const branch = await BranchService.createBranch(req.body, req.user.id);
+
+      res.status(201).json({
+        ok: true,
+        message: req.t('branch.created'),
+        messageKey: 'branch.created',
+        data: { branch }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update a branch
+   * PATCH /api/branches/:id
+   * @access Private (Admin with branches.update)
+   */
+  async updateBranch(req, res, next) {
+    try {
+      const branch = await BranchService.updateBranch(req.params.id, req.body, req.user.id);
+
+      res.json({
+        ok: true,
+        message: req.t('branch.updated'),
+        messageKey: 'branch.updated',
+        data: { branch }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List a branch's meeting rooms
+   * GET /api/branches/:id/rooms
+   * @access Private (Admin with branches.read)
+   */
+  async getRooms(req, res, next) {
+    try {
+      const rooms = await BranchService.getRooms(req.params.id);
+
+      res.json({
+        ok: true,
+        message: req.t('branch.roomsRetrieved'),
+        messageKey: 'branch.roomsRetrieved',
+        data: { rooms }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Add a meeting room to a branch
+   * POST /api/branches/:id/rooms
+   * @access Private (Admin with branches.update)
+   */
+  async createRoom(req, res, next) {
+    try {
+      const room = await BranchService.createRoom(req.params.id, req.body, req.user.id);
+
+      res.status(201).json({
+        ok: true,
+        message: req.t('branch.roomCreated'),
+        messageKey: 'branch.roomCreated',
+        data: { room }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update a meeting room
+   * PATCH /api/branches/:id/rooms/:roomId
+   * @access Private (Admin with branches.update)
+   */
+  async updateRoom(req, res, next) {
+    try {
+      const room = await BranchService.updateRoom(req.params.id, req.params.roomId, req.body, req.user.id);
+
+      res.json({
+        ok: true,
+        message: req.t('branch.roomUpdated'),
+        messageKey: 'branch.roomUpdated',
+        data: { room }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Daily room schedule of a branch
+   * GET /api/branches/:id/schedule?date=YYYY-MM-DD
+   * @access Private (Admin with branches.read)
+   */
+  async getSchedule(req, res, next) {
+    try {
+      const schedule = await BranchService.getDailySchedule(req.params.id, req.query.date);
+
+      res.json({
+        ok: true,
+        message: req.t('branch.scheduleRetrieved'),
+        messageKey: 'branch.scheduleRetrieved',
+        data: schedule
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new BranchController();
@@ -0,0 +1,229 @@
+const path = require('path');
+const ChatService = require('@services/ChatService');
+
+/**
+ * ChatController
+ *
+ * Handles HTTP requests for service request chats
+ * Real-time delivery of the same events runs over WebSocket (see ChatSocketService)
+ */
+class ChatController {
+  /**
+   * Open the chat of a service request
+   * POST /api/chats/:requestId
+   * @access Private (User/Agent/Admin)
+   */
+  async openChat(req, res, next) {
+    try {
+      const requestId = parseInt(req.params.requestId);
+      const actor = { type: req.user.userType, id: req.user.id };
+
+      const { chat, created } = await ChatService.openChat(requestId, actor);
+      const messageKey = created ? 'chat.created' : 'chat.retrieved';
+
+      res.status(created ? 201 : 200).json({
+        ok: true,
+        message: req.t(messageKey),
+        messageKey,
+        data: { chat }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the chat of a service request
+   * GET /api/chats/:requestId
+   * @access Private (User/Agent/Admin)
+   */
+  async getChat(req, res, next) {
+    try {
+      const requestId = parseInt(req.params.requestId);
+      const actor = { type: req.user.userType, id: req.user.id };
+
+      const chat = await ChatService.getChat(requestId, actor);
+
+      res.json({
+        ok: true,
+        message: req.t('chat.retrieved'),
+        messageKey: 'chat.retrieved',
+        data: { chat }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get chat messages (cursor paginated, oldest first within a page)
+   * GET /api/chats/:requestId/messages
+   * @access Private (User/Agent/Admin)
+   */
+  async getMessages(req, res, next) {
+    try {
+      const requestId = parseInt(req.params.requestId);
+      const actor = { type: req.user.userType, id: req.user.id };
+
+      const result = await ChatService.getMessages(requestId, actor, {
+        before: req.query.before ? parseInt(req.query.before) : null,
+        limit: req.query.limit ? parseInt(req.query.limit) : null
+      });
+
+      res.json({
+        ok: true,
+        message: req.t('chat.messagesRetrieved'),
+        messageKey: 'chat.messagesRetrieved',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Send a message with optional attachments
+   * POST /api/chats/:requestId/messages
+   * @access Private (User/Agent/Admin)
+   */
+  async sendMessage(req, res, next) {
+    try {
+      const requestId = parseInt(req.params.requestId);
+      const actor = { type: req.user.userType, id: req.user.id };
+
+      const message = await ChatService.sendMessage(
+        requestId,
+        actor,
+        { body: req.body.body },
+        req.files || []
+      );
+
+      res.status(201).json({
+        ok: true,
+        message: req.t('chat.messageSent'),
+        messageKey: 'chat.messageSent',
+        data: { message }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Mark messages as read
+   * PUT /api/chats/:requestId/read
+   * @access Private (User/Agent/Admin)
+   */
+  async markAsRead(req, res, next) {
+    try {
+      const requestId = parseInt(req.params.requestId);
+      const actor = { type: req.user.userType, id: req.user.id };
+      const messageId = req.body.messageId ? parseInt(req.body.messageId) : null;
+
+      const receipts = await ChatService.markAsRead(requestId, actor, messageId);
+
+      res.json({
+        ok: true,
+        message: req.t('chat.markedAsRead'),
+        messageKey: 'chat.markedAsRead',
+        data: { receipts }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Close a chat
+   * PUT /api/chats/:requestId/close
+   * @access Private (Agent/Admin)
+   */
+  async closeChat(req, res, next) {
+    try {
+      const requestId = parseInt(req.params.requestId);
+      const actor = { type: req.user.userType, id: req.user.id };
+
+      const chat = await ChatService.closeChat(requestId, actor);
+
+      res.json({
+        ok: true,
+        message: req.t('chat.closed'),
+        messageKey: 'chat.closed',
+        data: { chat }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Reopen a closed chat
+   * PUT /api/chats/:requestId/reopen
+   * @access Private (Admin)
+   */
+  async reopenChat(req, res, next) {
+    try {
+      const requestId = parseInt(req.params.requestId);
+      const actor = { type: req.user.userType, id: req.user.id };
+
+      const chat = await ChatService.reopenChat(requestId, actor);
+
+      res.json({
+        ok: true,
+        message: req.t('chat.reopened'),
+        messageKey: 'chat.reopened',
+        data: { chat }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Download a message attachment
+   * GET /api/chats/:requestId/attachments/:attachmentId
+   * @access Private (User/Agent/Admin)
+   */
+  async downloadAttachment(req, res, next) {
+    try {
+      const requestId = parseInt(req.params.requestId);
+      const attachmentId = parseInt(req.params.attachmentId);
+      const actor = { type: req.user.userType, id: req.user.id };
+
+      const attachment = await ChatService.getAttachment(requestId, attachmentId, actor);
+
+      res.set('Content-Type', attachment.mimeType);
+      res.download(path.resolve(attachment.filePath), attachment.fileName, (error) => {
+        if (error && !res.headersSent) {
+          next(error);
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the caller's unread message count across all chats
+   * GET /api/chats/unread-count
+   * @access Private (User/Agent)
+   */
+  async getUnreadCount(req, res, next) {
+    try {
+      const actor = { type: req.user.userType, id: req.user.id };
+
+      const unreadCount = await ChatService.getUnreadCount(actor);
+
+      res.json({
+        ok: true,
+        message: req.t('chat.unreadCountRetrieved'),
+        messageKey: 'chat.unreadCountRetrieved',
+        data: { unreadCount }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new ChatController();
@@ -0,0 +1,101 @@
+const NotificationService = require('@services/NotificationService');
+
+/**
+ * The signed-in user, agent or admin as a notification recipient
+ */
+const recipientOf = (req) => ({ type: req.user.userType, id: req.user.id });
+
+/**
+ * NotificationController
+ *
+ * Handles the in-app notifications of the signed-in user, agent or admin
+ */
+class NotificationController {
+  /**
+   * List own notifications
+   * GET /api/notifications
+   * @access Private (User, Agent, Admin)
+   */
+  async getNotifications(req, res, next) {
+    try {
+      const { page = 1, limit = 20, unreadOnly } = req.query;
+
+      const result = await NotificationService.getNotifications(recipientOf(req), {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        unreadOnly: unreadOnly === 'true'
+      });
+
+      res.json({
+        ok: true,
+        message: req.t('notification.listRetrieved'),
+        messageKey: 'notification.listRetrieved',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Count own unread notifications
+   * GET /api/notifications/unread-count
+   * @access Private (User, Agent, Admin)
+   */
+  async getUnreadCount(req, res, next) {
+    try {
+      const unread = await NotificationService.getUnreadCount(recipientOf(req));
+
+      res.json({
+        ok: true,
+        message: req.t('notification.unreadCountRetrieved'),
+        messageKey: 'notification.unreadCountRetrieved',
+        data: { unread }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Mark one own notification read
+   * PUT /api/notifications/:id/read
+   * @access Private (User, Agent, Admin)
+   */
+  async markRead(req, res, next) {
+    try {
+      const notification = await NotificationService.markRead(parseInt(req.params.id), recipientOf(req));
+
+      res.json({
+        ok: true,
+        message: req.t('notification.markedRead'),
+        messageKey: 'notification.markedRead',
+        data: { notification }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Mark all own notifications read
+   * PUT /api/notifications/read-all
+   * @access Private (User, Agent, Admin)
+   */
+  async markAllRead(req, res, next) {
+    try {
+      const marked = await NotificationService.markAllRead(recipientOf(req));
+
+      res.json({
+        ok: true,
+        message: req.t('notification.allMarkedRead'),
+        messageKey: 'notification.allMarkedRead',
+        data: { marked }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new NotificationController();
@@ -0,0 +1,50 @@
+const PaymentService = require('@services/PaymentService');
+
+/**
+ * PaymentController
+ *
+ * Handles gateway webhooks and admin refunds
+ */
+class PaymentController {
+  /**
+   * Receive a payment result from a gateway
+   * POST /api/payments/webhook/:gateway
+   * @access Public (gateway signature)
+   */
+  async handleWebhook(req, res, next) {
+    try {
+      const result = await PaymentService.handleWebhook(req.params.gateway, req.rawBody, req.headers);
+
+      res.json({
+        ok: true,
+        message: req.t('payment.webhookReceived'),
+        messageKey: 'payment.webhookReceived',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Retry a refund the gateway refused
+   * POST /api/payments/:id/refund
+   * @access Private (Admin with payments.refund)
+   */
+  async retryRefund(req, res, next) {
+    try {
+      const payment = await PaymentService.retryRefund(parseInt(req.params.id), req.user.id);
+
+      res.json({
+        ok: true,
+        message: req.t('payment.refundRequested'),
+        messageKey: 'payment.refundRequested',
+        data: { payment }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new PaymentController();
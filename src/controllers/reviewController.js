@@ -0,0 +1,82 @@
+const ReviewService = require('@services/ReviewService');
+
+/**
+ * ReviewController
+ *
+ * Handles admin moderation of agent reviews
+ */
+class ReviewController {
+  /**
+   * List reviews
+   * GET /api/reviews
+   * @access Private (Admin with reviews.read)
+   */
+  async listReviews(req, res, next) {
+    try {
+      const { page = 1, limit = 20, status, agentId, rating } = req.query;
+
+      const result = await ReviewService.listReviews({
+        page: parseInt(page),
+        limit: parseInt(limit),
+        status,
+        agentId: agentId ? parseInt(agentId) : undefined,
+        rating: rating ? parseInt(rating) : undefined
+      });
+
+      res.json({
+        ok: true,
+        message: req.t('review.listRetrieved'),
+        messageKey: 'review.listRetrieved',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Hide a review
+   * PUT /api/reviews/:id/hide
+   * @access Private (Admin with reviews.moderate)
+   */
+  async hideReview(req, res, next) {
+    try {
+      const reviewId = parseInt(req.params.id);
+
+      const review = await ReviewService.hideReview(reviewId, req.user.id, req.body.reason);
+
+      res.json({
+        ok: true,
+        message: req.t('review.hidden'),
+        messageKey: 'review.hidden',
+        data: { review }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Unhide a review
+   * PUT /api/reviews/:id/unhide
+   * @access Private (Admin with reviews.moderate)
+   */
+  async unhideReview(req, res, next) {
+    try {
+      const reviewId = parseInt(req.params.id);
+
+      const review = await ReviewService.unhideReview(reviewId, req.user.id);
+
+      res.json({
+        ok: true,
+        message: req.t('review.unhidden'),
+        messageKey: 'review.unhidden',
+        data: { review }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new ReviewController();
@@ -1,4 +1,71 @@
 const ServiceRequestService = require('@services/ServiceRequestService');
+const RescheduleService = require('@services/RescheduleService');
+const ReassignmentService = require('@services/ReassignmentService');
+const FollowUpService = require('@services/FollowUpService');
+const RoomAllocationService = require('@services/RoomAllocationService');
+const CheckInService = require('@services/CheckInService');
+const ReviewService = require('@services/ReviewService');
+const RequestDocumentService = require('@services/RequestDocumentService');
+const ServiceRequestQuoteService = require('@services/ServiceRequestQuoteService');
+const InvoiceService = require('@services/InvoiceService');
+const PaymentService = require('@services/PaymentService');
+const ServiceRequestBulkService = require('@services/ServiceRequestBulkService');
+const ServiceRequestExportService = require('@services/ServiceRequestExportService');
+const { EXPORT_FORMATS, EXPORT_CONTENT_TYPES } = require('@constants/serviceRequestExport');
+const logger = require('@utils/logger');
+
+/**
+ * Admin search filters from the query string
+ * List filters were normalised to arrays by the validator
+ */
+const searchFilters = (query) => ({
+  sort: query.sort,
+  status: query.status,
+  priority: query.priority,
+  categoryId: query.categoryId,
+  agentId: query.agentId,
+  serviceId: query.serviceId,
+  meetingDateFrom: query.meetingDateFrom,
+  meetingDateTo: query.meetingDateTo,
+  createdFrom: query.createdFrom,
+  createdTo: query.createdTo,
+  slaBreached: query.slaBreached !== undefined ? query.slaBreached === 'true' : undefined,
+  searchTerm: query.search
+});
+
+/**
+ * Statistics filters from the query string
+ */
+const statisticsFilters = (query) => ({
+  agentId: query.agentId ? parseInt(query.agentId) : undefined,
+  categoryId: query.categoryId ? parseInt(query.categoryId) : undefined,
+  startDate: query.startDate,
+  endDate: query.endDate
+});
+
+/**
+ * Send spreadsheet headers; the body is streamed by the export service
+ */
+const startDownload = (res, format, name) => {
+  const date = new Date().toISOString().slice(0, 10);
+
+  res.set('Content-Type', EXPORT_CONTENT_TYPES[format]);
+  res.attachment(`${name}-${date}.${format}`);
+};
+
+/**
+ * Once the first bytes are out an error response can no longer be sent,
+ * so the download is aborted instead
+ */
+const failDownload = (res, next, error) => {
+  if (!res.headersSent) {
+    res.removeHeader('Content-Disposition');
+    return next(error);
+  }
+
+  logger.error('Spreadsheet export failed mid-stream', { error: error.message });
+  res.destroy(error);
+};
 
 /**
  * ServiceRequestController
@@ -43,7 +110,7 @@ class ServiceRequestController {
     try {
       const requestId = parseInt(req.params.id);
       const userId = req.user.id;
-      const userRole = req.user.role || 'USER';
+      const userRole = req.user.userType;
 
       const serviceRequest = await ServiceRequestService.getRequestById(
         requestId,
@@ -62,6 +129,84 @@ class ServiceRequestController {
     }
   }
 
+  /**
+   * Get service request timeline
+   * GET /api/service-requests/:id/timeline
+   * @access Private (User/Agent/Admin)
+   */
+  async getTimeline(req, res, next) {
+    try {
+      const requestId = parseInt(req.params.id);
+
+      const timeline = await ServiceRequestService.getTimeline(
+        requestId,
+        req.user.id,
+        req.user.userType
+      );
+
+      res.json({
+        ok: true,
+        message: req.t('success.retrieved'),
+        messageKey: 'success.retrieved',
+        data: { timeline }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the request's thread (first meeting and follow-ups)
+   * GET /api/service-requests/:id/thread
+   * @access Private (User/Agent/Admin)
+   */
+  async getThread(req, res, next) {
+    try {
+      const requestId = parseInt(req.params.id);
+
+      const thread = await FollowUpService.getThread(
+        requestId,
+        req.user.id,
+        req.user.userType
+      );
+
+      res.json({
+        ok: true,
+        message: req.t('success.retrieved'),
+        messageKey: 'success.retrieved',
+        data: { thread }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get allowed actions for the caller
+   * GET /api/service-requests/:id/allowed-actions
+   * @access Private (User/Agent/Admin)
+   */
+  async getAllowedActions(req, res, next) {
+    try {
+      const requestId = parseInt(req.params.id);
+
+      const allowedActions = await ServiceRequestService.getAllowedActions(
+        requestId,
+        req.user.id,
+        req.user.userType
+      );
+
+      res.json({
+        ok: true,
+        message: req.t('success.retrieved'),
+        messageKey: 'success.retrieved',
+        data: allowedActions
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Get user's service requests
    * GET /api/service-requests/my-requests
@@ -128,11 +273,8 @@ class ServiceRequestController {
       const options = {
         page: parseInt(req.query.page) || 1,
         limit: parseInt(req.query.limit) || 10,
-        status: req.query.status,
-        categoryId: req.query.categoryId ? parseInt(req.query.categoryId) : undefined,
-        agentId: req.query.agentId ? parseInt(req.query.agentId) : undefined,
-        priority: req.query.priority,
-        searchTerm: req.query.search
+        cursor: req.query.cursor,
+        ...searchFilters(req.query)
       };
 
       const result = await ServiceRequestService.getAllRequests(options);
@@ -178,22 +320,56 @@ class ServiceRequestController {
 
   /**
    * Reassign agent
+   * Admins reassign directly; the assigned agent's request waits for approval
    * PUT /api/service-requests/:id/reassign-agent
    * @access Private (Agent/Admin)
    */
   async reassignAgent(req, res, next) {
     try {
       const requestId = parseInt(req.params.id);
-      const { newAgentId, reason } = req.body;
-      const currentAgentId = req.user.id;
-      const userRole = req.user.role || 'AGENT';
+      const data = {
+        newAgentId: parseInt(req.body.newAgentId),
+        reason: req.body.reason
+      };
+
+      if (req.user.userType === 'ADMIN') {
+        const serviceRequest = await ReassignmentService.reassignDirectly(requestId, req.user.id, data);
+
+        return res.json({
+          ok: true,
+          message: req.t('serviceRequest.agentReassigned'),
+          messageKey: 'serviceRequest.agentReassigned',
+          data: { serviceRequest }
+        });
+      }
+
+      const reassignment = await ReassignmentService.requestReassignment(requestId, req.user.id, data);
+
+      res.status(202).json({
+        ok: true,
+        message: req.t('serviceRequest.reassignmentRequested'),
+        messageKey: 'serviceRequest.reassignmentRequested',
+        data: { reassignment }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Accept a pending reassignment
+   * PUT /api/service-requests/:id/reassignments/:reassignmentId/accept
+   * @access Private (Agent/Admin - target agent or admin)
+   */
+  async acceptReassignment(req, res, next) {
+    try {
+      const requestId = parseInt(req.params.id);
+      const reassignmentId = parseInt(req.params.reassignmentId);
 
-      const serviceRequest = await ServiceRequestService.reassignAgent(
+      const serviceRequest = await ReassignmentService.accept(
         requestId,
-        newAgentId,
-        currentAgentId,
-        reason,
-        userRole
+        reassignmentId,
+        { type: req.user.userType, id: req.user.id }
       );
 
       res.json({
@@ -207,6 +383,81 @@ class ServiceRequestController {
     }
   }
 
+  /**
+   * Decline a pending reassignment
+   * PUT /api/service-requests/:id/reassignments/:reassignmentId/decline
+   * @access Private (Agent/Admin - target agent or admin)
+   */
+  async declineReassignment(req, res, next) {
+    try {
+      const requestId = parseInt(req.params.id);
+      const reassignmentId = parseInt(req.params.reassignmentId);
+
+      const reassignment = await ReassignmentService.decline(
+        requestId,
+        reassignmentId,
+        { type: req.user.userType, id: req.user.id },
+        req.body.reason
+      );
+
+      res.json({
+        ok: true,
+        message: req.t('serviceRequest.reassignmentDeclined'),
+        messageKey: 'serviceRequest.reassignmentDeclined',
+        data: { reassignment }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get reassignments offered to the current agent
+   * GET /api/service-requests/agent/reassignments
+   * @access Private (Agent)
+   */
+  async getIncomingReassignments(req, res, next) {
+    try {
+      const result = await ReassignmentService.getIncoming(req.user.id, {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 20
+      });
+
+      res.json({
+        ok: true,
+        message: req.t('success.retrieved'),
+        messageKey: 'success.retrieved',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the queue of pending reassignments
+   * GET /api/service-requests/admin/reassignments
+   * @access Private (Admin)
+   */
+  async getReassignmentQueue(req, res, next) {
+    try {
+      const result = await ReassignmentService.getQueue({
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 20,
+        categoryId: req.query.categoryId ? parseInt(req.query.categoryId) : undefined
+      });
+
+      res.json({
+        ok: true,
+        message: req.t('success.retrieved'),
+        messageKey: 'success.retrieved',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Approve request
    * PUT /api/service-requests/:id/approve
@@ -221,7 +472,8 @@ class ServiceRequestController {
       const serviceRequest = await ServiceRequestService.approveRequest(
         requestId,
         approverId,
-        serviceId
+        serviceId,
+        req.user.userType
       );
 
       res.json({
@@ -249,7 +501,8 @@ class ServiceRequestController {
       const serviceRequest = await ServiceRequestService.rejectRequest(
         requestId,
         rejectedBy,
-        reason
+        reason,
+        req.user.userType
       );
 
       res.json({
@@ -275,7 +528,8 @@ class ServiceRequestController {
 
       const serviceRequest = await ServiceRequestService.completeRequest(
         requestId,
-        completedBy
+        completedBy,
+        req.user.userType
       );
 
       res.json({
@@ -290,27 +544,27 @@ class ServiceRequestController {
   }
 
   /**
-   * Cancel request
-   * PUT /api/service-requests/:id/cancel
-   * @access Private (Admin)
+   * Request additional documents
+   * PUT /api/service-requests/:id/request-documents
+   * @access Private (Agent/Admin)
    */
-  async cancelRequest(req, res, next) {
+  async requestDocuments(req, res, next) {
     try {
       const requestId = parseInt(req.params.id);
-      const { reason } = req.body;
-      const cancelledBy = req.user.id;
+      const { reason, documents } = req.body;
+      const actor = { type: req.user.userType, id: req.user.id };
 
-      const serviceRequest = await ServiceRequestService.cancelRequest(
+      const { serviceRequest, requirements } = await RequestDocumentService.requestDocuments(
         requestId,
-        cancelledBy,
-        reason
+        actor,
+        { reason, documents }
       );
 
       res.json({
         ok: true,
-        message: req.t('serviceRequest.cancelled'),
-        messageKey: 'serviceRequest.cancelled',
-        data: { serviceRequest }
+        message: req.t('serviceRequest.documentsRequested'),
+        messageKey: 'serviceRequest.documentsRequested',
+        data: { serviceRequest, requirements }
       });
     } catch (error) {
       next(error);
@@ -318,25 +572,75 @@ class ServiceRequestController {
   }
 
   /**
-   * Update request priority
-   * PUT /api/service-requests/:id/priority
-   * @access Private (Admin)
+   * Get requested and uploaded documents of a request
+   * GET /api/service-requests/:id/documents
+   * @access Private (User/Agent/Admin)
    */
-  async updatePriority(req, res, next) {
+  async getDocuments(req, res, next) {
     try {
       const requestId = parseInt(req.params.id);
-      const { priority } = req.body;
 
-      const serviceRequest = await ServiceRequestService.updatePriority(
+      const result = await RequestDocumentService.getDocuments(requestId, req.user.id, req.user.userType);
+
+      res.json({
+        ok: true,
+        message: req.t('success.retrieved'),
+        messageKey: 'success.retrieved',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Upload additional documents
+   * POST /api/service-requests/:id/documents
+   * @access Private (User)
+   */
+  async uploadDocuments(req, res, next) {
+    try {
+      const requestId = parseInt(req.params.id);
+      const requirementId = req.body.requirementId ? parseInt(req.body.requirementId) : null;
+
+      const documents = await RequestDocumentService.uploadDocuments(
         requestId,
-        priority
+        req.user.id,
+        req.files || [],
+        requirementId
       );
 
+      res.status(201).json({
+        ok: true,
+        message: req.t('serviceRequest.documentsUploaded'),
+        messageKey: 'serviceRequest.documentsUploaded',
+        data: { documents }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Accept or reject an uploaded document
+   * PUT /api/service-requests/:id/documents/:documentId/review
+   * @access Private (Agent/Admin)
+   */
+  async reviewDocument(req, res, next) {
+    try {
+      const requestId = parseInt(req.params.id);
+      const documentId = parseInt(req.params.documentId);
+      const { status, reason } = req.body;
+      const actor = { type: req.user.userType, id: req.user.id };
+
+      const result = await RequestDocumentService.reviewDocument(requestId, documentId, actor, { status, reason });
+      const messageKey = status === 'accepted' ? 'serviceRequest.documentAccepted' : 'serviceRequest.documentRejected';
+
       res.json({
         ok: true,
-        message: req.t('serviceRequest.priorityUpdated'),
-        messageKey: 'serviceRequest.priorityUpdated',
-        data: { serviceRequest }
+        message: req.t(messageKey),
+        messageKey,
+        data: result
       });
     } catch (error) {
       next(error);
@@ -344,26 +648,26 @@ class ServiceRequestController {
   }
 
   /**
-   * Add admin notes
-   * PUT /api/service-requests/:id/notes
+   * Reschedule request
+   * PUT /api/service-requests/:id/reschedule
    * @access Private (Agent/Admin)
    */
-  async addAdminNotes(req, res, next) {
+  async rescheduleRequest(req, res, next) {
     try {
       const requestId = parseInt(req.params.id);
-      const { notes } = req.body;
-      const addedBy = req.user.id;
+      const { meetingDate, meetingTime, reason } = req.body;
 
-      const serviceRequest = await ServiceRequestService.addAdminNotes(
+      const serviceRequest = await ServiceRequestService.rescheduleRequest(
         requestId,
-        notes,
-        addedBy
+        req.user.id,
+        { meetingDate, meetingTime, reason },
+        req.user.userType
       );
 
       res.json({
         ok: true,
-        message: req.t('serviceRequest.notesAdded'),
-        messageKey: 'serviceRequest.notesAdded',
+        message: req.t('serviceRequest.rescheduled'),
+        messageKey: 'serviceRequest.rescheduled',
         data: { serviceRequest }
       });
     } catch (error) {
@@ -372,26 +676,25 @@ class ServiceRequestController {
   }
 
   /**
-   * Get statistics
-   * GET /api/service-requests/statistics
-   * @access Private (Admin)
+   * Mark request as no-show
+   * PUT /api/service-requests/:id/no-show
+   * @access Private (Agent/Admin)
    */
-  async getStatistics(req, res, next) {
+  async markNoShow(req, res, next) {
     try {
-      const filters = {
-        agentId: req.query.agentId ? parseInt(req.query.agentId) : undefined,
-        categoryId: req.query.categoryId ? parseInt(req.query.categoryId) : undefined,
-        startDate: req.query.startDate,
-        endDate: req.query.endDate
-      };
+      const requestId = parseInt(req.params.id);
 
-      const statistics = await ServiceRequestService.getStatistics(filters);
+      const serviceRequest = await ServiceRequestService.markNoShow(
+        requestId,
+        req.user.id,
+        req.user.userType
+      );
 
       res.json({
         ok: true,
-        message: req.t('success.retrieved'),
-        messageKey: 'success.retrieved',
-        data: { statistics }
+        message: req.t('serviceRequest.markedNoShow'),
+        messageKey: 'serviceRequest.markedNoShow',
+        data: { serviceRequest }
       });
     } catch (error) {
       next(error);
@@ -399,28 +702,678 @@ class ServiceRequestController {
   }
 
   /**
-   * Get upcoming meetings
-   * GET /api/service-requests/upcoming-meetings
-   * @access Private (Agent)
+   * Record meeting attendance
+   * PUT /api/service-requests/:id/attendance
+   * @access Private (Agent/Admin)
    */
-  async getUpcomingMeetings(req, res, next) {
+  async recordAttendance(req, res, next) {
     try {
-      const agentId = req.user.id;
-      const days = parseInt(req.query.days) || 7;
+      const requestId = parseInt(req.params.id);
+      const { attendance, actualStartAt, actualEndAt, note } = req.body;
 
-      const meetings = await ServiceRequestService.getUpcomingMeetings(agentId, days);
+      const serviceRequest = await ServiceRequestService.recordAttendance(
+        requestId,
+        { type: req.user.userType, id: req.user.id },
+        { attendance, actualStartAt, actualEndAt, note }
+      );
 
       res.json({
         ok: true,
-        message: req.t('success.retrieved'),
-        messageKey: 'success.retrieved',
-        data: { meetings, count: meetings.length }
+        message: req.t('serviceRequest.attendanceRecorded'),
+        messageKey: 'serviceRequest.attendanceRecorded',
+        data: { serviceRequest }
       });
     } catch (error) {
       next(error);
     }
   }
-}
 
-module.exports = new ServiceRequestController();
+  /**
+   * Book follow-up meetings
+   * POST /api/service-requests/:id/follow-ups
+   * @access Private (Agent/Admin)
+   */
+  async createFollowUps(req, res, next) {
+    try {
+      const requestId = parseInt(req.params.id);
+      const { meetingDate, meetingTime, meetingDuration, meetingType, notes, recurrence } = req.body;
+
+      const followUps = await FollowUpService.createFollowUps(
+        requestId,
+        { type: req.user.userType, id: req.user.id },
+        { meetingDate, meetingTime, meetingDuration, meetingType, notes, recurrence }
+      );
 
+      res.status(201).json({
+        ok: true,
+        message: req.t('serviceRequest.followUpsCreated'),
+        messageKey: 'serviceRequest.followUpsCreated',
+        data: { followUps }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Cancel one follow-up meeting, or all open ones of the thread
+   * PUT /api/service-requests/:id/follow-ups/cancel
+   * PUT /api/service-requests/:id/follow-ups/:followUpId/cancel
+   * @access Private (Agent/Admin)
+   */
+  async cancelFollowUps(req, res, next) {
+    try {
+      const requestId = parseInt(req.params.id);
+      const followUpId = req.params.followUpId ? parseInt(req.params.followUpId) : null;
+
+      const followUps = await FollowUpService.cancelFollowUps(
+        requestId,
+        { type: req.user.userType, id: req.user.id },
+        { followUpId, reason: req.body.reason }
+      );
+
+      res.json({
+        ok: true,
+        message: req.t('serviceRequest.followUpsCancelled'),
+        messageKey: 'serviceRequest.followUpsCancelled',
+        data: { followUps }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Move an offline meeting to another room of its branch
+   * PUT /api/service-requests/:id/room
+   * @access Private (Admin with branches.update)
+   */
+  async assignRoom(req, res, next) {
+    try {
+      const requestId = parseInt(req.params.id);
+
+      const request = await RoomAllocationService.assignRoom(
+        requestId,
+        req.body.meetingRoomId,
+        { type: 'ADMIN', id: req.user.id }
+      );
+
+      res.json({
+        ok: true,
+        message: req.t('serviceRequest.roomAssigned'),
+        messageKey: 'serviceRequest.roomAssigned',
+        data: { request }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Check a user in at the branch front desk
+   * POST /api/service-requests/check-in
+   * @access Private (Admin with branches.check_in)
+   */
+  async checkIn(req, res, next) {
+    try {
+      const request = await CheckInService.checkIn(req.body.code, { type: 'ADMIN', id: req.user.id });
+
+      res.json({
+        ok: true,
+        message: req.t('checkIn.checkedIn'),
+        messageKey: 'checkIn.checkedIn',
+        data: { request }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the check-in pass (code and QR payload) of an own offline meeting
+   * GET /api/service-requests/:id/check-in-pass
+   * @access Private (User)
+   */
+  async getCheckInPass(req, res, next) {
+    try {
+      const pass = await CheckInService.getPass(parseInt(req.params.id), req.user.id);
+
+      res.json({
+        ok: true,
+        message: req.t('checkIn.passRetrieved'),
+        messageKey: 'checkIn.passRetrieved',
+        data: { pass }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Cancel request
+   * PUT /api/service-requests/:id/cancel
+   * @access Private (Admin)
+   */
+  async cancelRequest(req, res, next) {
+    try {
+      const requestId = parseInt(req.params.id);
+      const { reason } = req.body;
+      const cancelledBy = req.user.id;
+
+      const serviceRequest = await ServiceRequestService.cancelRequest(
+        requestId,
+        cancelledBy,
+        reason
+      );
+
+      res.json({
+        ok: true,
+        message: req.t('serviceRequest.cancelled'),
+        messageKey: 'serviceRequest.cancelled',
+        data: { serviceRequest }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Cancel own request
+   * PUT /api/service-requests/my-requests/:id/cancel
+   * @access Private (User)
+   */
+  async cancelMyRequest(req, res, next) {
+    try {
+      const requestId = parseInt(req.params.id);
+      const { reason } = req.body;
+
+      const serviceRequest = await ServiceRequestService.cancelByUser(
+        requestId,
+        req.user.id,
+        reason
+      );
+
+      res.json({
+        ok: true,
+        message: req.t('serviceRequest.cancelled'),
+        messageKey: 'serviceRequest.cancelled',
+        data: { serviceRequest }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Download request meeting as iCalendar file
+   * GET /api/service-requests/:id/calendar.ics
+   * @access Private (User/Agent/Admin)
+   */
+  async getRequestCalendar(req, res, next) {
+    try {
+      const requestId = parseInt(req.params.id);
+
+      const calendar = await ServiceRequestService.getRequestCalendar(
+        requestId,
+        req.user.id,
+        req.user.userType
+      );
+
+      res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': `attachment; filename="service-request-${requestId}.ics"`
+      });
+      res.send(calendar);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get reschedule proposals
+   * GET /api/service-requests/:id/reschedule-proposals
+   * @access Private (User/Agent/Admin)
+   */
+  async getRescheduleProposals(req, res, next) {
+    try {
+      const requestId = parseInt(req.params.id);
+
+      const proposals = await ServiceRequestService.getRescheduleProposals(
+        requestId,
+        req.user.id,
+        req.user.userType
+      );
+
+      res.json({
+        ok: true,
+        message: req.t('success.retrieved'),
+        messageKey: 'success.retrieved',
+        data: { proposals }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Propose a new meeting date/time
+   * POST /api/service-requests/:id/reschedule-proposals
+   * @access Private (User/Agent/Admin)
+   */
+  async proposeReschedule(req, res, next) {
+    try {
+      const requestId = parseInt(req.params.id);
+      const { meetingDate, meetingTime, reason } = req.body;
+
+      const proposal = await RescheduleService.propose(
+        requestId,
+        { type: req.user.userType, id: req.user.id },
+        { meetingDate, meetingTime, reason }
+      );
+
+      res.status(201).json({
+        ok: true,
+        message: req.t('serviceRequest.rescheduleProposed'),
+        messageKey: 'serviceRequest.rescheduleProposed',
+        data: { proposal }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Accept a reschedule proposal
+   * PUT /api/service-requests/:id/reschedule-proposals/:proposalId/accept
+   * @access Private (User/Agent/Admin - counter-party of the proposer)
+   */
+  async acceptReschedule(req, res, next) {
+    try {
+      const requestId = parseInt(req.params.id);
+      const proposalId = parseInt(req.params.proposalId);
+
+      const serviceRequest = await RescheduleService.accept(
+        requestId,
+        proposalId,
+        { type: req.user.userType, id: req.user.id }
+      );
+
+      res.json({
+        ok: true,
+        message: req.t('serviceRequest.rescheduled'),
+        messageKey: 'serviceRequest.rescheduled',
+        data: { serviceRequest }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Decline a reschedule proposal
+   * PUT /api/service-requests/:id/reschedule-proposals/:proposalId/decline
+   * @access Private (User/Agent/Admin - counter-party of the proposer)
+   */
+  async declineReschedule(req, res, next) {
+    try {
+      const requestId = parseInt(req.params.id);
+      const proposalId = parseInt(req.params.proposalId);
+      const { reason } = req.body;
+
+      const proposal = await RescheduleService.decline(
+        requestId,
+        proposalId,
+        { type: req.user.userType, id: req.user.id },
+        reason
+      );
+
+      res.json({
+        ok: true,
+        message: req.t('serviceRequest.rescheduleDeclined'),
+        messageKey: 'serviceRequest.rescheduleDeclined',
+        data: { proposal }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update request priority
+   * PUT /api/service-requests/:id/priority
+   * @access Private (Admin)
+   */
+  async updatePriority(req, res, next) {
+    try {
+      const requestId = parseInt(req.params.id);
+      const { priority } = req.body;
+
+      const serviceRequest = await ServiceRequestService.updatePriority(
+        requestId,
+        priority,
+        req.user.id
+      );
+
+      res.json({
+        ok: true,
+        message: req.t('serviceRequest.priorityUpdated'),
+        messageKey: 'serviceRequest.priorityUpdated',
+        data: { serviceRequest }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Add admin notes
+   * PUT /api/service-requests/:id/notes
+   * @access Private (Agent/Admin)
+   */
+  async addAdminNotes(req, res, next) {
+    try {
+      const requestId = parseInt(req.params.id);
+      const { notes } = req.body;
+      const addedBy = req.user.id;
+
+      const serviceRequest = await ServiceRequestService.addAdminNotes(
+        requestId,
+        notes,
+        addedBy,
+        req.user.userType
+      );
+
+      res.json({
+        ok: true,
+        message: req.t('serviceRequest.notesAdded'),
+        messageKey: 'serviceRequest.notesAdded',
+        data: { serviceRequest }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Apply one action to many requests
+   * POST /api/service-requests/admin/bulk
+   * @access Private (Admin)
+   */
+  async bulkAction(req, res, next) {
+    try {
+      const report = await ServiceRequestBulkService.execute(req.user.id, req.body);
+
+      // Failed items carry their error translated like a single-request error response
+      report.results = report.results.map(result => (result.ok ? result : {
+        ...result,
+        message: req.t(result.messageKey, result.data)
+      }));
+
+      res.json({
+        ok: true,
+        message: req.t('serviceRequest.bulkCompleted', { succeeded: report.succeeded, total: report.total }),
+        messageKey: 'serviceRequest.bulkCompleted',
+        data: report
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get statistics
+   * GET /api/service-requests/statistics
+   * @access Private (Admin)
+   */
+  async getStatistics(req, res, next) {
+    try {
+      const statistics = await ServiceRequestService.getStatistics(statisticsFilters(req.query));
+
+      res.json({
+        ok: true,
+        message: req.t('success.retrieved'),
+        messageKey: 'success.retrieved',
+        data: { statistics }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Export the filtered request list as CSV or XLSX
+   * GET /api/service-requests/admin/export
+   * @access Private (Admin, reports.export)
+   */
+  async exportRequests(req, res, next) {
+    try {
+      const format = req.query.format || EXPORT_FORMATS.CSV;
+
+      startDownload(res, format, 'service-requests');
+
+      await ServiceRequestExportService.exportRequests(res, {
+        format,
+        columns: req.query.columns,
+        filters: searchFilters(req.query),
+        t: req.t,
+        language: req.language
+      });
+    } catch (error) {
+      failDownload(res, next, error);
+    }
+  }
+
+  /**
+   * Export the request statistics as CSV or XLSX
+   * GET /api/service-requests/admin/statistics/export
+   * @access Private (Admin, reports.export)
+   */
+  async exportStatistics(req, res, next) {
+    try {
+      const format = req.query.format || EXPORT_FORMATS.CSV;
+
+      startDownload(res, format, 'service-request-statistics');
+
+      await ServiceRequestExportService.exportStatistics(res, {
+        format,
+        filters: statisticsFilters(req.query),
+        t: req.t,
+        language: req.language
+      });
+    } catch (error) {
+      failDownload(res, next, error);
+    }
+  }
+
+  /**
+   * Get bookable meeting slots
+   * GET /api/service-requests/availability
+   * @access Private (User/Agent/Admin)
+   */
+  async getAvailability(req, res, next) {
+    try {
+      const query = {
+        categoryId: parseInt(req.query.categoryId),
+        agentId: req.query.agentId ? parseInt(req.query.agentId) : null,
+        from: req.query.from,
+        to: req.query.to,
+        duration: req.query.duration ? parseInt(req.query.duration) : null
+      };
+
+      const availability = await ServiceRequestService.getAvailability(query);
+
+      res.json({
+        ok: true,
+        message: req.t('success.retrieved'),
+        messageKey: 'success.retrieved',
+        data: { availability }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Price an application type with selected additional services
+   * GET /api/service-requests/quote
+   * @access Private (User/Agent/Admin)
+   */
+  async getQuote(req, res, next) {
+    try {
+      const quote = await ServiceRequestQuoteService.buildQuote(
+        req.query.applicationTypeId,
+        req.query.additionalServiceIds || []
+      );
+
+      res.json({
+        ok: true,
+        message: req.t('success.retrieved'),
+        messageKey: 'success.retrieved',
+        data: { quote }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the invoice of a request
+   * GET /api/service-requests/:id/invoice
+   * @access Private (User/Agent/Admin)
+   */
+  async getInvoice(req, res, next) {
+    try {
+      const invoice = await InvoiceService.getInvoice(
+        parseInt(req.params.id),
+        req.user.id,
+        req.user.userType
+      );
+
+      res.json({
+        ok: true,
+        message: req.t('success.retrieved'),
+        messageKey: 'success.retrieved',
+        data: { invoice }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Start paying the invoice of a request
+   * POST /api/service-requests/:id/payments
+   * @access Private (User)
+   */
+  async createPayment(req, res, next) {
+    try {
+      const result = await PaymentService.createPayment(parseInt(req.params.id), req.user.id);
+
+      res.status(201).json({
+        ok: true,
+        message: req.t('payment.started'),
+        messageKey: 'payment.started',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get upcoming meetings
+   * GET /api/service-requests/upcoming-meetings
+   * @access Private (Agent)
+   */
+  async getUpcomingMeetings(req, res, next) {
+    try {
+      const agentId = req.user.id;
+      const days = parseInt(req.query.days) || 7;
+
+      const meetings = await ServiceRequestService.getUpcomingMeetings(agentId, days);
+
+      res.json({
+        ok: true,
+        message: req.t('success.retrieved'),
+        messageKey: 'success.retrieved',
+        data: { meetings, count: meetings.length }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Review the agent of a completed request
+   * POST /api/service-requests/:id/review
+   * @access Private (User - own requests)
+   */
+  async submitReview(req, res, next) {
+    try {
+      const requestId = parseInt(req.params.id);
+      const { rating, comment } = req.body;
+
+      const review = await ReviewService.submitReview(requestId, req.user.id, { rating, comment });
+
+      res.status(201).json({
+        ok: true,
+        message: req.t('review.created'),
+        messageKey: 'review.created',
+        data: { review }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Edit own review (within the edit window)
+   * PUT /api/service-requests/:id/review
+   * @access Private (User - own requests)
+   */
+  async updateReview(req, res, next) {
+    try {
+      const requestId = parseInt(req.params.id);
+      const { rating, comment } = req.body;
+
+      const review = await ReviewService.updateReview(requestId, req.user.id, { rating, comment });
+
+      res.json({
+        ok: true,
+        message: req.t('review.updated'),
+        messageKey: 'review.updated',
+        data: { review }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the review of a request
+   * GET /api/service-requests/:id/review
+   * @access Private (User/Agent/Admin)
+   */
+  async getReview(req, res, next) {
+    try {
+      const requestId = parseInt(req.params.id);
+
+      const review = await ReviewService.getRequestReview(
+        requestId,
+        req.user.id,
+        req.user.userType
+      );
+
+      res.json({
+        ok: true,
+        message: req.t('review.retrieved'),
+        messageKey: 'review.retrieved',
+        data: { review }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new ServiceRequestController();
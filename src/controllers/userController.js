@@ -362,6 +362,28 @@ class UserController {
     }
   }
 
+  /**
+   * Reset user's no-show count (Admin only)
+   * POST /api/users/:userId/reset-no-shows
+   * 
+   * @access Private - Admin only
+   */
+  async resetNoShows(req, res, next) {
+    try {
+      const { userId } = req.params;
+      const result = await UserService.resetNoShows(parseInt(userId));
+
+      res.json({
+        ok: true,
+        message: req.t('auth.userNoShowsReset'),
+        messageKey: 'auth.userNoShowsReset',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Upload user avatar
    * PATCH /api/users/avatar
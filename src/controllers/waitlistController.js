@@ -0,0 +1,116 @@
+const WaitlistService = require('@services/WaitlistService');
+
+/**
+ * WaitlistController
+ *
+ * Handles the user's waitlist for fully booked agents and departments
+ */
+class WaitlistController {
+  /**
+   * Join the waitlist
+   * POST /api/waitlist
+   * @access Private (User)
+   */
+  async join(req, res, next) {
+    try {
+      const entry = await WaitlistService.join(req.user.id, req.body);
+
+      res.status(201).json({
+        ok: true,
+        message: req.t('waitlist.joined'),
+        messageKey: 'waitlist.joined',
+        data: { entry }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List own waitlist entries
+   * GET /api/waitlist
+   * @access Private (User)
+   */
+  async getMyEntries(req, res, next) {
+    try {
+      const { page = 1, limit = 20, status } = req.query;
+
+      const result = await WaitlistService.getUserEntries(req.user.id, {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        status
+      });
+
+      res.json({
+        ok: true,
+        message: req.t('waitlist.listRetrieved'),
+        messageKey: 'waitlist.listRetrieved',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Book the offered slot
+   * PUT /api/waitlist/:id/accept
+   * @access Private (User)
+   */
+  async accept(req, res, next) {
+    try {
+      const result = await WaitlistService.accept(parseInt(req.params.id), req.user.id);
+
+      res.json({
+        ok: true,
+        message: req.t('waitlist.offerAccepted'),
+        messageKey: 'waitlist.offerAccepted',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Decline the offered slot and keep waiting
+   * PUT /api/waitlist/:id/decline
+   * @access Private (User)
+   */
+  async decline(req, res, next) {
+    try {
+      const entry = await WaitlistService.decline(parseInt(req.params.id), req.user.id);
+
+      res.json({
+        ok: true,
+        message: req.t('waitlist.offerDeclined'),
+        messageKey: 'waitlist.offerDeclined',
+        data: { entry }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Leave the waitlist
+   * PUT /api/waitlist/:id/cancel
+   * @access Private (User)
+   */
+  async cancel(req, res, next) {
+    try {
+      const entry = await WaitlistService.cancel(parseInt(req.params.id), req.user.id);
+
+      res.json({
+        ok: true,
+        message: req.t('waitlist.cancelled'),
+        messageKey: 'waitlist.cancelled',
+        data: { entry }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new WaitlistController();
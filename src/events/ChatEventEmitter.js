@@ -0,0 +1,23 @@
+const EventEmitter = require('events');
+const logger = require('@utils/logger');
+
+/**
+ * Chat Event Emitter
+ *
+ * Decouples chat persistence from real-time delivery
+ * Events: chat:message, chat:read, chat:status
+ *
+ * Every payload carries { requestId, participants: { userId, agentId } } so
+ * listeners can drop recipients that lost access (e.g. after a reassignment)
+ */
+class ChatEventEmitter extends EventEmitter {
+  constructor() {
+    super();
+
+    this.on('error', (error) => {
+      logger.error('Chat Event Error:', error);
+    });
+  }
+}
+
+module.exports = new ChatEventEmitter();
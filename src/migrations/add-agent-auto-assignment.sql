@@ -0,0 +1,13 @@
+-- Migration: Add Agent Auto-Assignment
+-- Created: 2026-10-18
+--
+-- Adds the per-department assignment strategy and records the automatic assignment decision on service requests
+
+ALTER TABLE `departments`
+  ADD COLUMN `assignmentStrategy` ENUM('manual', 'round_robin', 'least_loaded', 'available_at_time') NOT NULL DEFAULT 'manual' COMMENT 'How agents are picked for requests submitted without one' AFTER `isActive`;
+
+ALTER TABLE `service_requests`
+  ADD COLUMN `assignmentStrategy` VARCHAR(30) NULL COMMENT 'Strategy that auto-assigned the agent (round_robin, least_loaded, available_at_time)' AFTER `isAgentSelectedByUser`,
+  ADD COLUMN `assignmentDecision` TEXT NULL COMMENT 'Why the agent was chosen: {candidates, reason, per-strategy data}' AFTER `assignmentStrategy`;
+
+CREATE INDEX `idx_service_requests_assignment` ON `service_requests` (`categoryId`, `assignmentStrategy`);
@@ -0,0 +1,11 @@
+-- Migration: Add Calendar Export
+-- Created: 2026-10-18
+--
+-- Adds the agent calendar feed token and the iCalendar sequence of service requests
+
+ALTER TABLE `agents`
+  ADD COLUMN `calendarFeedToken` VARCHAR(64) NULL COMMENT 'SHA-256 hash of the calendar feed token (null when no feed is enabled)' AFTER `passwordResetExpires`,
+  ADD UNIQUE INDEX `idx_agents_calendar_feed_token` (`calendarFeedToken`);
+
+ALTER TABLE `service_requests`
+  ADD COLUMN `calendarSequence` INT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'iCalendar SEQUENCE, bumped whenever the meeting is moved or cancelled' AFTER `meetingDuration`;
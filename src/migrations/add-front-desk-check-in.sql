@@ -0,0 +1,14 @@
+-- Migration: Add Front Desk Check-In
+-- Created: 2026-10-18
+--
+-- Issues a check-in code to approved offline meetings and records when the user
+-- arrived at the branch front desk, and adds the user_arrived history event type.
+
+ALTER TABLE `service_requests`
+  ADD COLUMN `checkInCode` VARCHAR(8) NULL COMMENT 'Front-desk check-in code of the offline meeting, issued on approval (shown to the user only)' AFTER `meetingRoomId`,
+  ADD COLUMN `arrivedAt` DATETIME NULL COMMENT 'When the user checked in at the branch front desk' AFTER `attendanceNote`,
+  ADD COLUMN `checkedInBy` INT UNSIGNED NULL COMMENT 'Admin who checked the user in' AFTER `arrivedAt`,
+  ADD UNIQUE INDEX `idx_service_requests_check_in_code` (`checkInCode`);
+
+ALTER TABLE `service_request_events`
+  MODIFY COLUMN `type` ENUM('created', 'agent_assigned', 'agent_reassigned', 'approved', 'rejected', 'completed', 'cancelled', 'priority_changed', 'notes_updated', 'documents_requested', 'documents_uploaded', 'document_accepted', 'document_rejected', 'documents_completed', 'rescheduled', 'marked_no_show', 'reschedule_proposed', 'reschedule_declined', 'sla_breached', 'invoice_issued', 'invoice_voided', 'payment_succeeded', 'payment_failed', 'payment_refunded', 'reassignment_requested', 'reassignment_declined', 'reassignment_expired', 'follow_up_scheduled', 'room_assigned', 'user_arrived') NOT NULL COMMENT 'Event type';
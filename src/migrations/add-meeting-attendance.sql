@@ -0,0 +1,14 @@
+-- Migration: Add Meeting Attendance
+-- Created: 2026-10-18
+--
+-- Records whether a meeting took place (and its actual times) and counts the
+-- meetings each user missed, so repeated no-shows can block new bookings
+
+ALTER TABLE `service_requests`
+  ADD COLUMN `attendanceStatus` ENUM('attended', 'partially_attended', 'user_no_show', 'agent_no_show') NULL COMMENT 'Whether the meeting took place and who missed it' AFTER `cancellationReason`,
+  ADD COLUMN `actualStartAt` DATETIME NULL COMMENT 'When the meeting actually started' AFTER `attendanceStatus`,
+  ADD COLUMN `actualEndAt` DATETIME NULL COMMENT 'When the meeting actually ended' AFTER `actualStartAt`,
+  ADD COLUMN `attendanceNote` TEXT NULL COMMENT 'Agent note on the attendance' AFTER `actualEndAt`;
+
+ALTER TABLE `users`
+  ADD COLUMN `noShowCount` INT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Number of meetings the user did not attend' AFTER `documentsUploaded`;
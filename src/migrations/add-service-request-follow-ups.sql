@@ -0,0 +1,13 @@
+-- Migration: Add Service Request Follow-ups
+-- Created: 2026-10-18
+--
+-- Links follow-up meetings to the first request of their thread and adds
+-- the follow_up_scheduled history event type
+
+ALTER TABLE `service_requests`
+  ADD COLUMN `parentRequestId` INT UNSIGNED NULL COMMENT 'Request this meeting follows up on (the first meeting of the thread)' AFTER `cancellationReason`,
+  ADD INDEX `idx_service_requests_parent_request_id` (`parentRequestId`),
+  ADD CONSTRAINT `fk_service_requests_parent_request` FOREIGN KEY (`parentRequestId`) REFERENCES `service_requests`(`id`) ON DELETE SET NULL;
+
+ALTER TABLE `service_request_events`
+  MODIFY COLUMN `type` ENUM('created', 'agent_assigned', 'agent_reassigned', 'approved', 'rejected', 'completed', 'cancelled', 'priority_changed', 'notes_updated', 'documents_requested', 'documents_uploaded', 'document_accepted', 'document_rejected', 'documents_completed', 'rescheduled', 'marked_no_show', 'reschedule_proposed', 'reschedule_declined', 'sla_breached', 'invoice_issued', 'invoice_voided', 'payment_succeeded', 'payment_failed', 'payment_refunded', 'reassignment_requested', 'reassignment_declined', 'reassignment_expired', 'follow_up_scheduled') NOT NULL COMMENT 'Event type';
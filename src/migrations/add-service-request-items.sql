@@ -0,0 +1,35 @@
+-- Migration: Add Service Request Items
+-- Created: 2026-10-18
+--
+-- Links service requests to the selected application type, snapshots the booked
+-- additional services as line items with their price, and lets document requirements
+-- come from the catalog (requiredDocuments of the booked services)
+
+ALTER TABLE `service_requests`
+  ADD COLUMN `applicationTypeId` INT UNSIGNED NULL COMMENT 'Application type selected by the user' AFTER `assignedAt`,
+  ADD COLUMN `totalPrice` DECIMAL(10, 2) UNSIGNED NULL COMMENT 'Sum of the line item prices at booking time' AFTER `applicationTypeId`,
+  ADD COLUMN `currency` VARCHAR(3) NULL COMMENT 'Currency of the quote (ISO 4217)' AFTER `totalPrice`,
+  ADD INDEX `idx_service_requests_application_type_id` (`applicationTypeId`),
+  ADD CONSTRAINT `fk_service_requests_application_type` FOREIGN KEY (`applicationTypeId`) REFERENCES `application_types`(`id`) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS `service_request_items` (
+  `id` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  `requestId` INT UNSIGNED NOT NULL COMMENT 'Service request this line item belongs to',
+  `additionalServiceId` INT UNSIGNED NULL COMMENT 'Catalog service that was booked (null if since deleted)',
+  `name` VARCHAR(200) NOT NULL COMMENT 'Service name in English at booking time',
+  `nameAr` VARCHAR(200) NOT NULL COMMENT 'Service name in Arabic at booking time',
+  `unitPrice` DECIMAL(10, 2) UNSIGNED NOT NULL COMMENT 'Service price at booking time',
+  `isRequired` TINYINT(1) NOT NULL DEFAULT 0 COMMENT 'Whether the service was mandatory for the application type',
+  `createdAt` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  INDEX `idx_service_request_items_request_id` (`requestId`),
+  INDEX `idx_service_request_items_additional_service_id` (`additionalServiceId`),
+  CONSTRAINT `fk_service_request_items_request` FOREIGN KEY (`requestId`) REFERENCES `service_requests`(`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_service_request_items_additional_service` FOREIGN KEY (`additionalServiceId`) REFERENCES `additional_services`(`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE `request_document_requirements`
+  ADD COLUMN `additionalServiceId` INT UNSIGNED NULL COMMENT 'Booked catalog service that requires the document (null when asked by staff)' AFTER `status`,
+  MODIFY COLUMN `requestedBy` INT UNSIGNED NULL COMMENT 'Agent/Admin who asked for the document (null for catalog requirements)',
+  MODIFY COLUMN `requestedByType` ENUM('AGENT', 'ADMIN', 'SYSTEM') NOT NULL COMMENT 'Who asked for the document (SYSTEM for catalog requirements)',
+  ADD CONSTRAINT `fk_request_document_requirements_additional_service` FOREIGN KEY (`additionalServiceId`) REFERENCES `additional_services`(`id`) ON DELETE SET NULL;
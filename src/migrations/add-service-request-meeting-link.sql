@@ -0,0 +1,8 @@
+-- Migration: Add Service Request Meeting Link
+-- Created: 2026-10-18
+--
+-- Stores the join URL of online meetings and the provider that generated it
+
+ALTER TABLE `service_requests`
+  ADD COLUMN `meetingLink` VARCHAR(500) NULL COMMENT 'Join URL for online meetings (shown to the user and the assigned agent only)' AFTER `meetingType`,
+  ADD COLUMN `meetingProvider` VARCHAR(30) NULL COMMENT 'Provider that generated the meeting link (e.g., jitsi)' AFTER `meetingLink`;
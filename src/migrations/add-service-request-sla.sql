@@ -0,0 +1,29 @@
+-- Migration: Add Service Request SLA
+-- Created: 2026-10-18
+--
+-- Adds per-department SLA target overrides and escalation admins, the assignment timestamp and escalation state on service requests, and the sla_breached event
+
+ALTER TABLE `departments`
+  ADD COLUMN `slaTargets` TEXT NULL COMMENT 'SLA target overrides in minutes per priority: {urgent: {assignment, decision, completion}}' AFTER `assignmentStrategy`,
+  ADD COLUMN `escalationAdminIds` TEXT NULL COMMENT 'Admins notified when a request of this department breaches its SLA' AFTER `slaTargets`;
+
+ALTER TABLE `service_requests`
+  ADD COLUMN `assignedAt` DATETIME NULL COMMENT 'When an agent was first assigned (SLA time to assignment)' AFTER `assignmentDecision`,
+  ADD COLUMN `slaBreaches` TEXT NULL COMMENT 'SLA metrics already escalated: {metric: breachedAt}' AFTER `priority`,
+  ADD COLUMN `slaEscalatedAt` DATETIME NULL COMMENT 'When the request was last escalated for an SLA breach' AFTER `slaBreaches`;
+
+-- Backfill assignedAt from the first assignment event, falling back to submission time
+UPDATE `service_requests` sr
+  SET sr.`assignedAt` = (
+    SELECT MIN(e.`createdAt`)
+    FROM `service_request_events` e
+    WHERE e.`requestId` = sr.`id` AND e.`type` = 'agent_assigned'
+  )
+  WHERE sr.`agentId` IS NOT NULL;
+
+UPDATE `service_requests`
+  SET `assignedAt` = `createdAt`
+  WHERE `agentId` IS NOT NULL AND `assignedAt` IS NULL;
+
+ALTER TABLE `service_request_events`
+  MODIFY COLUMN `type` ENUM('created', 'agent_assigned', 'agent_reassigned', 'approved', 'rejected', 'completed', 'cancelled', 'priority_changed', 'notes_updated', 'documents_requested', 'rescheduled', 'marked_no_show', 'reschedule_proposed', 'reschedule_declined', 'sla_breached') NOT NULL COMMENT 'Event type';
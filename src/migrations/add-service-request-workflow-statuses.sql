@@ -0,0 +1,10 @@
+-- Migration: Add Service Request Workflow Statuses
+-- Created: 2026-10-18
+--
+-- Adds the awaiting_documents, rescheduled and no_show statuses and their history event types
+
+ALTER TABLE `service_requests`
+  MODIFY COLUMN `status` ENUM('pending', 'awaiting_documents', 'approved', 'rescheduled', 'rejected', 'completed', 'no_show', 'cancelled') NOT NULL DEFAULT 'pending' COMMENT 'Request status';
+
+ALTER TABLE `service_request_events`
+  MODIFY COLUMN `type` ENUM('created', 'agent_assigned', 'agent_reassigned', 'approved', 'rejected', 'completed', 'cancelled', 'priority_changed', 'notes_updated', 'documents_requested', 'rescheduled', 'marked_no_show') NOT NULL COMMENT 'Event type';
@@ -0,0 +1,31 @@
+-- Migration: Create Agent Reviews Table
+-- Created: 2026-10-18
+--
+-- Creates the agent_reviews table for post-meeting ratings and adds the rating aggregates to agents
+
+CREATE TABLE IF NOT EXISTS `agent_reviews` (
+  `id` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  `requestId` INT UNSIGNED NOT NULL COMMENT 'Completed service request being reviewed',
+  `agentId` INT UNSIGNED NOT NULL COMMENT 'Agent who handled the request',
+  `userId` INT UNSIGNED NOT NULL COMMENT 'User who wrote the review',
+  `rating` TINYINT UNSIGNED NOT NULL COMMENT 'Star rating (1-5)',
+  `comment` TEXT NULL COMMENT 'Review text',
+  `status` ENUM('visible', 'hidden') NOT NULL DEFAULT 'visible' COMMENT 'Hidden reviews are excluded from listings and the agent rating',
+  `editableUntil` DATETIME NOT NULL COMMENT 'The author can edit the review until this time',
+  `hiddenBy` INT UNSIGNED NULL COMMENT 'Admin who hid the review',
+  `hiddenAt` DATETIME NULL COMMENT 'When the review was hidden',
+  `hiddenReason` TEXT NULL COMMENT 'Why the review was hidden',
+  `createdAt` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updatedAt` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE INDEX `uq_agent_reviews_request_id` (`requestId`),
+  INDEX `idx_agent_reviews_agent_status` (`agentId`, `status`),
+  INDEX `idx_agent_reviews_user_id` (`userId`),
+  CONSTRAINT `fk_agent_reviews_request` FOREIGN KEY (`requestId`) REFERENCES `service_requests`(`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_agent_reviews_agent` FOREIGN KEY (`agentId`) REFERENCES `agents`(`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_agent_reviews_user` FOREIGN KEY (`userId`) REFERENCES `users`(`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE `agents`
+  ADD COLUMN `ratingAverage` DECIMAL(3,2) NOT NULL DEFAULT 0 COMMENT 'Average star rating of visible reviews' AFTER `featured`,
+  ADD COLUMN `ratingCount` INT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Number of visible reviews' AFTER `ratingAverage`;
@@ -0,0 +1,48 @@
+-- Migration: Create Branches and Meeting Rooms Tables
+-- Created: 2026-10-18
+--
+-- Creates the branches and meeting_rooms tables for offline meetings, links
+-- service requests to the branch chosen at booking and the room allocated on
+-- approval, and adds the room_assigned history event type.
+
+CREATE TABLE IF NOT EXISTS `branches` (
+  `id` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  `name` VARCHAR(100) NOT NULL COMMENT 'English name',
+  `nameAr` VARCHAR(100) NOT NULL COMMENT 'Arabic name',
+  `address` VARCHAR(500) NOT NULL COMMENT 'Street address (English)',
+  `addressAr` VARCHAR(500) NULL COMMENT 'Street address (Arabic)',
+  `city` VARCHAR(100) NULL COMMENT 'City',
+  `phone` VARCHAR(20) NULL COMMENT 'Front-desk phone number',
+  `openingHours` TEXT NOT NULL COMMENT 'Opening hours per weekday: {sun: {open, close}} (missing day: closed)',
+  `isActive` TINYINT(1) NOT NULL DEFAULT 1 COMMENT 'Whether offline meetings can be booked at this branch',
+  `createdAt` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updatedAt` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE INDEX `uq_branches_name` (`name`),
+  INDEX `idx_branches_is_active` (`isActive`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS `meeting_rooms` (
+  `id` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  `branchId` INT UNSIGNED NOT NULL COMMENT 'Branch the room belongs to',
+  `name` VARCHAR(100) NOT NULL COMMENT 'English name',
+  `nameAr` VARCHAR(100) NOT NULL COMMENT 'Arabic name',
+  `capacity` INT UNSIGNED NOT NULL DEFAULT 2 COMMENT 'Number of seats',
+  `isActive` TINYINT(1) NOT NULL DEFAULT 1 COMMENT 'Whether meetings are allocated to this room',
+  `createdAt` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updatedAt` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE INDEX `uq_meeting_rooms_branch_name` (`branchId`, `name`),
+  INDEX `idx_meeting_rooms_branch_active` (`branchId`, `isActive`),
+  CONSTRAINT `fk_meeting_rooms_branch` FOREIGN KEY (`branchId`) REFERENCES `branches`(`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE `service_requests`
+  ADD COLUMN `branchId` INT UNSIGNED NULL COMMENT 'Branch the offline meeting takes place at' AFTER `meetingDuration`,
+  ADD COLUMN `meetingRoomId` INT UNSIGNED NULL COMMENT 'Room allocated to the offline meeting on approval' AFTER `branchId`,
+  ADD INDEX `idx_service_requests_room_date` (`meetingRoomId`, `meetingDate`),
+  ADD CONSTRAINT `fk_service_requests_branch` FOREIGN KEY (`branchId`) REFERENCES `branches`(`id`) ON DELETE SET NULL,
+  ADD CONSTRAINT `fk_service_requests_meeting_room` FOREIGN KEY (`meetingRoomId`) REFERENCES `meeting_rooms`(`id`) ON DELETE SET NULL;
+
+ALTER TABLE `service_request_events`
+  MODIFY COLUMN `type` ENUM('created', 'agent_assigned', 'agent_reassigned', 'approved', 'rejected', 'completed', 'cancelled', 'priority_changed', 'notes_updated', 'documents_requested', 'documents_uploaded', 'document_accepted', 'document_rejected', 'documents_completed', 'rescheduled', 'marked_no_show', 'reschedule_proposed', 'reschedule_declined', 'sla_breached', 'invoice_issued', 'invoice_voided', 'payment_succeeded', 'payment_failed', 'payment_refunded', 'reassignment_requested', 'reassignment_declined', 'reassignment_expired', 'follow_up_scheduled', 'room_assigned') NOT NULL COMMENT 'Event type';
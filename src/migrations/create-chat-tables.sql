@@ -0,0 +1,47 @@
+-- Migration: Create Chat Tables
+-- Created: 2026-10-18
+--
+-- Creates the per service request chat tables (chats, chat_messages, chat_message_attachments)
+
+CREATE TABLE IF NOT EXISTS `chats` (
+  `id` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  `requestId` INT UNSIGNED NOT NULL COMMENT 'Service request the chat belongs to',
+  `status` ENUM('open', 'closed') NOT NULL DEFAULT 'open' COMMENT 'Closed chats accept no new messages',
+  `lastMessageAt` DATETIME NULL COMMENT 'When the latest message was sent',
+  `userLastReadMessageId` INT UNSIGNED NULL COMMENT 'Last message read by the request user',
+  `userLastReadAt` DATETIME NULL COMMENT 'When the request user last read the chat',
+  `agentLastReadMessageId` INT UNSIGNED NULL COMMENT 'Last message read by the assigned agent',
+  `agentLastReadAt` DATETIME NULL COMMENT 'When the assigned agent last read the chat',
+  `closedByType` ENUM('AGENT', 'ADMIN') NULL COMMENT 'Who closed the chat',
+  `closedById` INT UNSIGNED NULL COMMENT 'Agent/Admin ID that closed the chat',
+  `closedAt` DATETIME NULL COMMENT 'When the chat was closed',
+  `createdAt` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updatedAt` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE INDEX `uq_chats_request_id` (`requestId`),
+  CONSTRAINT `fk_chats_request` FOREIGN KEY (`requestId`) REFERENCES `service_requests`(`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS `chat_messages` (
+  `id` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  `chatId` INT UNSIGNED NOT NULL COMMENT 'Chat the message belongs to',
+  `senderType` ENUM('USER', 'AGENT', 'ADMIN') NOT NULL COMMENT 'Who sent the message',
+  `senderId` INT UNSIGNED NOT NULL COMMENT 'User/Agent/Admin ID of the sender',
+  `body` TEXT NULL COMMENT 'Message text (empty for attachment-only messages)',
+  `createdAt` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  INDEX `idx_chat_messages_chat_id` (`chatId`, `id`),
+  CONSTRAINT `fk_chat_messages_chat` FOREIGN KEY (`chatId`) REFERENCES `chats`(`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS `chat_message_attachments` (
+  `id` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  `messageId` INT UNSIGNED NOT NULL COMMENT 'Message the file is attached to',
+  `fileName` VARCHAR(255) NOT NULL COMMENT 'Original file name',
+  `filePath` VARCHAR(500) NOT NULL COMMENT 'Storage path (never exposed)',
+  `mimeType` VARCHAR(100) NOT NULL COMMENT 'File MIME type',
+  `fileSize` INT UNSIGNED NOT NULL COMMENT 'File size in bytes',
+  `createdAt` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  CONSTRAINT `fk_chat_message_attachments_message` FOREIGN KEY (`messageId`) REFERENCES `chat_messages`(`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,33 @@
+-- Migration: Create Document Requirements Table
+-- Created: 2026-10-18
+--
+-- Creates the request_document_requirements table for documents agents ask users to provide,
+-- adds per-document review to request_documents and the related history event types
+
+CREATE TABLE IF NOT EXISTS `request_document_requirements` (
+  `id` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  `requestId` INT UNSIGNED NOT NULL COMMENT 'Service request the document is required for',
+  `name` VARCHAR(150) NOT NULL COMMENT 'Document the user must provide',
+  `description` TEXT NULL COMMENT 'Extra instructions for the user',
+  `status` ENUM('missing', 'submitted', 'accepted') NOT NULL DEFAULT 'missing' COMMENT 'Whether a matching upload is awaited, under review or accepted',
+  `requestedBy` INT UNSIGNED NOT NULL COMMENT 'Agent/Admin who asked for the document',
+  `requestedByType` ENUM('AGENT', 'ADMIN') NOT NULL COMMENT 'Whether requestedBy is an agent or an admin',
+  `createdAt` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updatedAt` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  INDEX `idx_request_document_requirements_request` (`requestId`, `status`),
+  CONSTRAINT `fk_request_document_requirements_request` FOREIGN KEY (`requestId`) REFERENCES `service_requests`(`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE `request_documents`
+  ADD COLUMN `requirementId` INT UNSIGNED NULL COMMENT 'Document requirement this upload answers (null for general documents)' AFTER `uploadedBy`,
+  ADD COLUMN `status` ENUM('submitted', 'accepted', 'rejected') NOT NULL DEFAULT 'submitted' COMMENT 'Review status set by the agent' AFTER `requirementId`,
+  ADD COLUMN `reviewedBy` INT UNSIGNED NULL COMMENT 'Agent/Admin who reviewed the document' AFTER `status`,
+  ADD COLUMN `reviewedByType` ENUM('AGENT', 'ADMIN') NULL COMMENT 'Whether reviewedBy is an agent or an admin' AFTER `reviewedBy`,
+  ADD COLUMN `reviewedAt` DATETIME NULL COMMENT 'When the document was reviewed' AFTER `reviewedByType`,
+  ADD COLUMN `rejectionReason` TEXT NULL COMMENT 'Why the document was rejected' AFTER `reviewedAt`,
+  ADD INDEX `idx_request_documents_requirement_id` (`requirementId`),
+  ADD CONSTRAINT `fk_request_documents_requirement` FOREIGN KEY (`requirementId`) REFERENCES `request_document_requirements`(`id`) ON DELETE SET NULL;
+
+ALTER TABLE `service_request_events`
+  MODIFY COLUMN `type` ENUM('created', 'agent_assigned', 'agent_reassigned', 'approved', 'rejected', 'completed', 'cancelled', 'priority_changed', 'notes_updated', 'documents_requested', 'documents_uploaded', 'document_accepted', 'document_rejected', 'documents_completed', 'rescheduled', 'marked_no_show', 'reschedule_proposed', 'reschedule_declined', 'sla_breached') NOT NULL COMMENT 'Event type';
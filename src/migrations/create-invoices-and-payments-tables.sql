@@ -0,0 +1,57 @@
+-- Migration: Create Invoices and Payments Tables
+-- Created: 2026-10-18
+--
+-- Creates the invoices issued when a service request is approved, the payments made
+-- for them through a payment gateway, and the related history event types
+
+CREATE TABLE IF NOT EXISTS `invoices` (
+  `id` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  `invoiceNumber` VARCHAR(30) NOT NULL COMMENT 'Human readable invoice number (INV-<year>-<request id>)',
+  `requestId` INT UNSIGNED NOT NULL COMMENT 'Service request being billed',
+  `userId` INT UNSIGNED NOT NULL COMMENT 'User who has to pay',
+  `status` ENUM('issued', 'paid', 'void', 'refunded') NOT NULL DEFAULT 'issued' COMMENT 'Payment state of the invoice',
+  `lineItems` TEXT NOT NULL COMMENT 'Billed lines: [{type, referenceId, name, nameAr, quantity, unitPrice, amount}]',
+  `subtotal` DECIMAL(10, 2) UNSIGNED NOT NULL COMMENT 'Sum of the line amounts before VAT',
+  `vatRate` DECIMAL(5, 2) UNSIGNED NOT NULL COMMENT 'VAT percentage applied to the subtotal',
+  `vatAmount` DECIMAL(10, 2) UNSIGNED NOT NULL COMMENT 'VAT added to the subtotal',
+  `total` DECIMAL(10, 2) UNSIGNED NOT NULL COMMENT 'Amount due (subtotal + VAT)',
+  `currency` VARCHAR(3) NOT NULL COMMENT 'Currency of the amounts (ISO 4217)',
+  `issuedAt` DATETIME NOT NULL COMMENT 'When the invoice was issued',
+  `paidAt` DATETIME NULL COMMENT 'When the payment succeeded',
+  `voidedAt` DATETIME NULL COMMENT 'When the invoice was voided',
+  `refundedAt` DATETIME NULL COMMENT 'When the payment was refunded',
+  `createdAt` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updatedAt` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uq_invoices_invoice_number` (`invoiceNumber`),
+  UNIQUE KEY `uq_invoices_request_id` (`requestId`),
+  INDEX `idx_invoices_user_status` (`userId`, `status`),
+  CONSTRAINT `fk_invoices_request` FOREIGN KEY (`requestId`) REFERENCES `service_requests`(`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_invoices_user` FOREIGN KEY (`userId`) REFERENCES `users`(`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS `payments` (
+  `id` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  `invoiceId` INT UNSIGNED NOT NULL COMMENT 'Invoice being paid',
+  `requestId` INT UNSIGNED NOT NULL COMMENT 'Service request of the invoice',
+  `userId` INT UNSIGNED NOT NULL COMMENT 'User who pays',
+  `gateway` VARCHAR(30) NOT NULL COMMENT 'Payment gateway that handles the payment',
+  `gatewayReference` VARCHAR(100) NOT NULL COMMENT 'Payment intent ID at the gateway',
+  `amount` DECIMAL(10, 2) UNSIGNED NOT NULL COMMENT 'Amount charged',
+  `currency` VARCHAR(3) NOT NULL COMMENT 'Currency of the amount (ISO 4217)',
+  `status` ENUM('pending', 'succeeded', 'failed', 'cancelled', 'refund_pending', 'refunded', 'refund_failed') NOT NULL DEFAULT 'pending' COMMENT 'Payment state as reported by the gateway',
+  `failureReason` TEXT NULL COMMENT 'Why the payment or its refund failed',
+  `refundReference` VARCHAR(100) NULL COMMENT 'Refund ID at the gateway',
+  `paidAt` DATETIME NULL COMMENT 'When the payment succeeded',
+  `refundedAt` DATETIME NULL COMMENT 'When the refund succeeded',
+  `createdAt` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updatedAt` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `idx_payments_gateway_reference` (`gateway`, `gatewayReference`),
+  INDEX `idx_payments_invoice_status` (`invoiceId`, `status`),
+  CONSTRAINT `fk_payments_invoice` FOREIGN KEY (`invoiceId`) REFERENCES `invoices`(`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_payments_request` FOREIGN KEY (`requestId`) REFERENCES `service_requests`(`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE `service_request_events`
+  MODIFY COLUMN `type` ENUM('created', 'agent_assigned', 'agent_reassigned', 'approved', 'rejected', 'completed', 'cancelled', 'priority_changed', 'notes_updated', 'documents_requested', 'documents_uploaded', 'document_accepted', 'document_rejected', 'documents_completed', 'rescheduled', 'marked_no_show', 'reschedule_proposed', 'reschedule_declined', 'sla_breached', 'invoice_issued', 'invoice_voided', 'payment_succeeded', 'payment_failed', 'payment_refunded') NOT NULL COMMENT 'Event type';
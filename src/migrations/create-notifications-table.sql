@@ -0,0 +1,24 @@
+-- Migration: Create Notifications Table
+-- Created: 2026-10-18
+--
+-- Creates the notifications table: in-app notifications of users, agents and
+-- admins (meeting reminders, SLA breaches, reassignments, documents, check-ins),
+-- listed and marked read through /api/notifications.
+
+CREATE TABLE IF NOT EXISTS `notifications` (
+  `id` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  `recipientType` ENUM('USER', 'AGENT', 'ADMIN') NOT NULL COMMENT 'Type of the recipient',
+  `recipientId` INT UNSIGNED NOT NULL COMMENT 'User, agent or admin ID of the recipient',
+  `type` VARCHAR(50) NOT NULL COMMENT 'Notification type (e.g. meeting_reminder, sla_breached)',
+  `title` VARCHAR(255) NOT NULL COMMENT 'Title in the fallback language',
+  `message` TEXT NOT NULL COMMENT 'Message in the fallback language',
+  `titleKey` VARCHAR(100) NOT NULL COMMENT 'Translation key of the title',
+  `messageKey` VARCHAR(100) NOT NULL COMMENT 'Translation key of the message',
+  `params` JSON NULL COMMENT 'Interpolation params of the title and message',
+  `data` JSON NULL COMMENT 'What the notification is about (e.g. { requestId })',
+  `readAt` DATETIME NULL COMMENT 'When the recipient read the notification',
+  `createdAt` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  INDEX `idx_notifications_recipient_read` (`recipientType`, `recipientId`, `readAt`),
+  INDEX `idx_notifications_recipient_created` (`recipientType`, `recipientId`, `createdAt`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,32 @@
+-- Migration: Create Reassignment Requests Table
+-- Created: 2026-10-18
+--
+-- Creates the reassignment_requests table: agents ask for a request to be handed
+-- over and the target agent or an admin accepts or declines before it expires.
+-- Adds the related history event types.
+
+CREATE TABLE IF NOT EXISTS `reassignment_requests` (
+  `id` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  `requestId` INT UNSIGNED NOT NULL COMMENT 'Service request to reassign',
+  `fromAgentId` INT UNSIGNED NOT NULL COMMENT 'Agent assigned when the reassignment was requested',
+  `toAgentId` INT UNSIGNED NOT NULL COMMENT 'Agent the request should be handed over to',
+  `reason` TEXT NOT NULL COMMENT 'Why the request should be handed over',
+  `status` ENUM('pending', 'accepted', 'declined', 'expired', 'superseded') NOT NULL DEFAULT 'pending' COMMENT 'Reassignment status',
+  `expiresAt` DATETIME NOT NULL COMMENT 'When a pending reassignment expires',
+  `respondedByType` ENUM('AGENT', 'ADMIN') NULL COMMENT 'Who accepted/declined the reassignment',
+  `respondedById` INT UNSIGNED NULL COMMENT 'Agent/Admin ID of the responder',
+  `respondedAt` DATETIME NULL COMMENT 'When the reassignment was accepted/declined/expired',
+  `responseNote` TEXT NULL COMMENT 'Reason given when declining',
+  `createdAt` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updatedAt` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  INDEX `idx_reassignment_requests_request_id` (`requestId`, `status`),
+  INDEX `idx_reassignment_requests_to_agent` (`toAgentId`, `status`),
+  INDEX `idx_reassignment_requests_status_expires` (`status`, `expiresAt`),
+  CONSTRAINT `fk_reassignment_requests_request` FOREIGN KEY (`requestId`) REFERENCES `service_requests`(`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_reassignment_requests_from_agent` FOREIGN KEY (`fromAgentId`) REFERENCES `agents`(`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_reassignment_requests_to_agent` FOREIGN KEY (`toAgentId`) REFERENCES `agents`(`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE `service_request_events`
+  MODIFY COLUMN `type` ENUM('created', 'agent_assigned', 'agent_reassigned', 'approved', 'rejected', 'completed', 'cancelled', 'priority_changed', 'notes_updated', 'documents_requested', 'documents_uploaded', 'document_accepted', 'document_rejected', 'documents_completed', 'rescheduled', 'marked_no_show', 'reschedule_proposed', 'reschedule_declined', 'sla_breached', 'invoice_issued', 'invoice_voided', 'payment_succeeded', 'payment_failed', 'payment_refunded', 'reassignment_requested', 'reassignment_declined', 'reassignment_expired') NOT NULL COMMENT 'Event type';
@@ -0,0 +1,30 @@
+-- Migration: Create Reschedule Proposals Table
+-- Created: 2026-10-18
+--
+-- Creates the reschedule_proposals table for user/agent meeting reschedule proposals
+-- and adds the related history event types
+
+CREATE TABLE IF NOT EXISTS `reschedule_proposals` (
+  `id` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  `requestId` INT UNSIGNED NOT NULL COMMENT 'Service request to reschedule',
+  `proposedByType` ENUM('USER', 'AGENT', 'ADMIN') NOT NULL COMMENT 'Who proposed the new time',
+  `proposedById` INT UNSIGNED NOT NULL COMMENT 'User/Agent/Admin ID of the proposer',
+  `previousMeetingDate` DATE NOT NULL COMMENT 'Meeting date when the proposal was made',
+  `previousMeetingTime` TIME NOT NULL COMMENT 'Meeting time when the proposal was made',
+  `meetingDate` DATE NOT NULL COMMENT 'Proposed meeting date',
+  `meetingTime` TIME NOT NULL COMMENT 'Proposed meeting time',
+  `reason` TEXT NULL COMMENT 'Why the meeting should be moved',
+  `status` ENUM('pending', 'accepted', 'declined', 'superseded') NOT NULL DEFAULT 'pending' COMMENT 'Proposal status',
+  `respondedByType` ENUM('USER', 'AGENT', 'ADMIN') NULL COMMENT 'Who accepted/declined the proposal',
+  `respondedById` INT UNSIGNED NULL COMMENT 'User/Agent/Admin ID of the responder',
+  `respondedAt` DATETIME NULL COMMENT 'When the proposal was accepted/declined',
+  `responseNote` TEXT NULL COMMENT 'Reason given when declining',
+  `createdAt` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updatedAt` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  INDEX `idx_reschedule_proposals_request_id` (`requestId`, `status`),
+  CONSTRAINT `fk_reschedule_proposals_request` FOREIGN KEY (`requestId`) REFERENCES `service_requests`(`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE `service_request_events`
+  MODIFY COLUMN `type` ENUM('created', 'agent_assigned', 'agent_reassigned', 'approved', 'rejected', 'completed', 'cancelled', 'priority_changed', 'notes_updated', 'documents_requested', 'rescheduled', 'marked_no_show', 'reschedule_proposed', 'reschedule_declined') NOT NULL COMMENT 'Event type';
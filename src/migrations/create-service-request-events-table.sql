@@ -0,0 +1,20 @@
+-- Migration: Create Service Request Events Table
+-- Created: 2026-10-18
+--
+-- Creates the service_request_events table holding the history/timeline of service requests
+
+CREATE TABLE IF NOT EXISTS `service_request_events` (
+  `id` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  `requestId` INT UNSIGNED NOT NULL COMMENT 'Service request this event belongs to',
+  `type` ENUM('created', 'agent_assigned', 'agent_reassigned', 'approved', 'rejected', 'completed', 'cancelled', 'priority_changed', 'notes_updated') NOT NULL COMMENT 'Event type',
+  `actorType` ENUM('USER', 'AGENT', 'ADMIN', 'SYSTEM') NOT NULL COMMENT 'Who triggered the event',
+  `actorId` INT UNSIGNED NULL COMMENT 'User/Agent/Admin ID (null for SYSTEM)',
+  `fromStatus` VARCHAR(30) NULL COMMENT 'Request status before the event',
+  `toStatus` VARCHAR(30) NULL COMMENT 'Request status after the event',
+  `metadata` TEXT NULL COMMENT 'Event details: {agentId, previousAgentId, reason, from, to, notes, etc.}',
+  `createdAt` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  INDEX `idx_service_request_events_request_id` (`requestId`, `createdAt`),
+  INDEX `idx_service_request_events_type` (`type`),
+  CONSTRAINT `fk_service_request_events_request` FOREIGN KEY (`requestId`) REFERENCES `service_requests`(`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,37 @@
+-- Migration: Create Waitlist Entries Table
+-- Created: 2026-10-18
+--
+-- Creates the waitlist_entries table: users wait for a slot with a fully booked
+-- agent or department within a date range, and freed slots are offered to them in
+-- turn with a time-limited hold.
+
+CREATE TABLE IF NOT EXISTS `waitlist_entries` (
+  `id` INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  `userId` INT UNSIGNED NOT NULL COMMENT 'Waiting user',
+  `categoryId` INT UNSIGNED NOT NULL COMMENT 'Department (category) of the wanted meeting',
+  `agentId` INT UNSIGNED NULL COMMENT 'Preferred agent (null: any agent of the department)',
+  `dateFrom` DATE NOT NULL COMMENT 'First acceptable meeting date',
+  `dateTo` DATE NOT NULL COMMENT 'Last acceptable meeting date',
+  `meetingType` ENUM('online', 'offline') NOT NULL COMMENT 'Type of meeting: online or in-person',
+  `meetingDuration` INT UNSIGNED NOT NULL DEFAULT 60 COMMENT 'Meeting duration in minutes',
+  `notes` TEXT NULL COMMENT 'Notes copied to the request once booked',
+  `status` ENUM('waiting', 'offered', 'booked', 'cancelled', 'expired') NOT NULL DEFAULT 'waiting' COMMENT 'Waitlist entry status',
+  `offeredAgentId` INT UNSIGNED NULL COMMENT 'Agent of the offered slot',
+  `offeredDate` DATE NULL COMMENT 'Date of the offered slot',
+  `offeredTime` TIME NULL COMMENT 'Start time of the offered slot',
+  `offeredAt` DATETIME NULL COMMENT 'When the slot was offered',
+  `offerExpiresAt` DATETIME NULL COMMENT 'When the hold on the offered slot lapses',
+  `requestId` INT UNSIGNED NULL COMMENT 'Service request booked from the offer',
+  `createdAt` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updatedAt` DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  INDEX `idx_waitlist_entries_user_status` (`userId`, `status`),
+  INDEX `idx_waitlist_entries_category_status` (`categoryId`, `status`, `dateFrom`, `dateTo`),
+  INDEX `idx_waitlist_entries_offered_agent` (`offeredAgentId`, `offeredDate`, `status`),
+  INDEX `idx_waitlist_entries_status_expires` (`status`, `offerExpiresAt`),
+  CONSTRAINT `fk_waitlist_entries_user` FOREIGN KEY (`userId`) REFERENCES `users`(`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_waitlist_entries_category` FOREIGN KEY (`categoryId`) REFERENCES `departments`(`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_waitlist_entries_agent` FOREIGN KEY (`agentId`) REFERENCES `agents`(`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_waitlist_entries_offered_agent` FOREIGN KEY (`offeredAgentId`) REFERENCES `agents`(`id`) ON DELETE SET NULL,
+  CONSTRAINT `fk_waitlist_entries_request` FOREIGN KEY (`requestId`) REFERENCES `service_requests`(`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -76,6 +76,24 @@ module.exports = new EntitySchema({
       comment: 'Featured agent (highlighted by admin)'
     },
     
+    // Ratings (visible reviews only, kept in sync by ReviewService)
+    ratingAverage: {
+      type: 'decimal',
+      precision: 3,
+      scale: 2,
+      default: 0,
+      nullable: false,
+      comment: 'Average star rating of visible reviews'
+    },
+    
+    ratingCount: {
+      type: 'int',
+      unsigned: true,
+      default: 0,
+      nullable: false,
+      comment: 'Number of visible reviews'
+    },
+    
     // Account status
     isActive: {
       type: 'boolean',
@@ -195,6 +213,14 @@ module.exports = new EntitySchema({
       select: false
     },
     
+    calendarFeedToken: {
+      type: 'varchar',
+      length: 64,
+      nullable: true,
+      select: false,
+      comment: 'SHA-256 hash of the calendar feed token (null when no feed is enabled)'
+    },
+    
     lastLoginAt: {
       type: 'datetime',
       nullable: true
@@ -272,6 +298,11 @@ module.exports = new EntitySchema({
       target: 'Report',
       inverseSide: 'agent'
     },
+    reviews: {
+      type: 'one-to-many',
+      target: 'AgentReview',
+      inverseSide: 'agent'
+    },
     creator: {
       type: 'many-to-one',
       target: 'Admin',
@@ -0,0 +1,146 @@
+const { EntitySchema } = require('typeorm');
+
+/**
+ * AgentReview Entity
+ *
+ * A user's rating of the agent who handled their service request
+ *
+ * Business Rules:
+ * - Only the request's user can review, once the request is completed
+ * - One review per request
+ * - The author can edit it for a limited time (REVIEW_EDIT_WINDOW_HOURS)
+ * - Admins can hide abusive reviews; hidden reviews don't count towards the agent's rating
+ */
+module.exports = new EntitySchema({
+  name: 'AgentReview',
+  tableName: 'agent_reviews',
+
+  columns: {
+    id: {
+      type: 'int',
+      primary: true,
+      generated: true,
+      unsigned: true
+    },
+
+    requestId: {
+      type: 'int',
+      unsigned: true,
+      nullable: false,
+      unique: true,
+      comment: 'Completed service request being reviewed'
+    },
+
+    agentId: {
+      type: 'int',
+      unsigned: true,
+      nullable: false,
+      comment: 'Agent who handled the request'
+    },
+
+    userId: {
+      type: 'int',
+      unsigned: true,
+      nullable: false,
+      comment: 'User who wrote the review'
+    },
+
+    rating: {
+      type: 'tinyint',
+      unsigned: true,
+      nullable: false,
+      comment: 'Star rating (1-5)'
+    },
+
+    comment: {
+      type: 'text',
+      nullable: true,
+      comment: 'Review text'
+    },
+
+    status: {
+      type: 'enum',
+      enum: ['visible', 'hidden'],
+      default: 'visible',
+      nullable: false,
+      comment: 'Hidden reviews are excluded from listings and the agent rating'
+    },
+
+    editableUntil: {
+      type: 'datetime',
+      nullable: false,
+      comment: 'The author can edit the review until this time'
+    },
+
+    hiddenBy: {
+      type: 'int',
+      unsigned: true,
+      nullable: true,
+      comment: 'Admin who hid the review'
+    },
+
+    hiddenAt: {
+      type: 'datetime',
+      nullable: true,
+      comment: 'When the review was hidden'
+    },
+
+    hiddenReason: {
+      type: 'text',
+      nullable: true,
+      comment: 'Why the review was hidden'
+    },
+
+    createdAt: {
+      type: 'datetime',
+      createDate: true,
+      nullable: false
+    },
+
+    updatedAt: {
+      type: 'datetime',
+      updateDate: true,
+      nullable: false
+    }
+  },
+
+  relations: {
+    serviceRequest: {
+      type: 'one-to-one',
+      target: 'ServiceRequest',
+      joinColumn: {
+        name: 'requestId'
+      },
+      onDelete: 'CASCADE'
+    },
+
+    agent: {
+      type: 'many-to-one',
+      target: 'Agent',
+      joinColumn: {
+        name: 'agentId'
+      },
+      onDelete: 'CASCADE'
+    },
+
+    user: {
+      type: 'many-to-one',
+      target: 'User',
+      joinColumn: {
+        name: 'userId'
+      },
+      onDelete: 'CASCADE'
+    }
+  },
+
+  indices: [
+    {
+      name: 'idx_agent_reviews_agent_status',
+      columns: ['agentId', 'status']
+    },
+    {
+      name: 'idx_agent_reviews_user_id',
+      columns: ['userId']
+    }
+  ]
+});
@@ -0,0 +1,109 @@
+const { EntitySchema } = require('typeorm');
+
+/**
+ * Branch Entity
+ *
+ * An office where in-person (offline) meetings take place
+ *
+ * Business Rules:
+ * - Users pick a branch when booking an offline meeting; the meeting must fall
+ *   within the branch's opening hours for that weekday
+ * - Opening hours: { sun: { open: 'HH:MM', close: 'HH:MM' }, ... } - a missing day is closed
+ * - Inactive branches cannot be booked; meetings already booked there keep their room
+ */
+module.exports = new EntitySchema({
+  name: 'Branch',
+  tableName: 'branches',
+
+  columns: {
+    id: {
+      type: 'int',
+      primary: true,
+      generated: true,
+      unsigned: true
+    },
+
+    name: {
+      type: 'varchar',
+      length: 100,
+      nullable: false,
+      unique: true,
+      comment: 'English name'
+    },
+
+    nameAr: {
+      type: 'varchar',
+      length: 100,
+      nullable: false,
+      comment: 'Arabic name'
+    },
+
+    address: {
+      type: 'varchar',
+      length: 500,
+      nullable: false,
+      comment: 'Street address (English)'
+    },
+
+    addressAr: {
+      type: 'varchar',
+      length: 500,
+      nullable: true,
+      comment: 'Street address (Arabic)'
+    },
+
+    city: {
+      type: 'varchar',
+      length: 100,
+      nullable: true,
+      comment: 'City'
+    },
+
+    phone: {
+      type: 'varchar',
+      length: 20,
+      nullable: true,
+      comment: 'Front-desk phone number'
+    },
+
+    openingHours: {
+      type: 'simple-json',
+      nullable: false,
+      comment: 'Opening hours per weekday: {sun: {open, close}} (missing day: closed)'
+    },
+
+    isActive: {
+      type: 'boolean',
+      default: true,
+      nullable: false,
+      comment: 'Whether offline meetings can be booked at this branch'
+    },
+
+    createdAt: {
+      type: 'datetime',
+      createDate: true,
+      nullable: false
+    },
+
+    updatedAt: {
+      type: 'datetime',
+      updateDate: true,
+      nullable: false
+    }
+  },
+
+  relations: {
+    rooms: {
+      type: 'one-to-many',
+      target: 'MeetingRoom',
+      inverseSide: 'branch'
+    }
+  },
+
+  indices: [
+    {
+      name: 'idx_branches_is_active',
+      columns: ['isActive']
+    }
+  ]
+});
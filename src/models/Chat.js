@@ -0,0 +1,124 @@
+const { EntitySchema } = require('typeorm');
+
+/**
+ * Chat Entity
+ *
+ * Conversation between a service request's user and its assigned agent
+ * Permitted admins can read and take part
+ *
+ * Business Rules:
+ * - One chat per service request
+ * - A chat can only be opened once the request is approved and has an agent
+ * - Read receipts are kept as the last message each side has read
+ * - Closed chats keep their history but accept no new messages
+ */
+module.exports = new EntitySchema({
+  name: 'Chat',
+  tableName: 'chats',
+
+  columns: {
+    id: {
+      type: 'int',
+      primary: true,
+      generated: true,
+      unsigned: true
+    },
+
+    requestId: {
+      type: 'int',
+      unsigned: true,
+      nullable: false,
+      unique: true,
+      comment: 'Service request the chat belongs to'
+    },
+
+    status: {
+      type: 'enum',
+      enum: ['open', 'closed'],
+      default: 'open',
+      nullable: false,
+      comment: 'Closed chats accept no new messages'
+    },
+
+    lastMessageAt: {
+      type: 'datetime',
+      nullable: true,
+      comment: 'When the latest message was sent'
+    },
+
+    userLastReadMessageId: {
+      type: 'int',
+      unsigned: true,
+      nullable: true,
+      comment: 'Last message read by the request user'
+    },
+
+    userLastReadAt: {
+      type: 'datetime',
+      nullable: true,
+      comment: 'When the request user last read the chat'
+    },
+
+    agentLastReadMessageId: {
+      type: 'int',
+      unsigned: true,
+      nullable: true,
+      comment: 'Last message read by the assigned agent'
+    },
+
+    agentLastReadAt: {
+      type: 'datetime',
+      nullable: true,
+      comment: 'When the assigned agent last read the chat'
+    },
+
+    closedByType: {
+      type: 'enum',
+      enum: ['AGENT', 'ADMIN'],
+      nullable: true,
+      comment: 'Who closed the chat'
+    },
+
+    closedById: {
+      type: 'int',
+      unsigned: true,
+      nullable: true,
+      comment: 'Agent/Admin ID that closed the chat'
+    },
+
+    closedAt: {
+      type: 'datetime',
+      nullable: true,
+      comment: 'When the chat was closed'
+    },
+
+    createdAt: {
+      type: 'datetime',
+      createDate: true,
+      nullable: false
+    },
+
+    updatedAt: {
+      type: 'datetime',
+      updateDate: true,
+      nullable: false
+    }
+  },
+
+  relations: {
+    serviceRequest: {
+      type: 'one-to-one',
+      target: 'ServiceRequest',
+      joinColumn: {
+        name: 'requestId'
+      },
+      onDelete: 'CASCADE'
+    },
+
+    messages: {
+      type: 'one-to-many',
+      target: 'Message',
+      inverseSide: 'chat'
+    }
+  }
+});
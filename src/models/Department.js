@@ -36,6 +36,23 @@ module.exports = new EntitySchema({
       default: true,
       nullable: false
     },
+    assignmentStrategy: {
+      type: 'enum',
+      enum: ['manual', 'round_robin', 'least_loaded', 'available_at_time'],
+      default: 'manual',
+      nullable: false,
+      comment: 'How agents are picked for requests submitted without one'
+    },
+    slaTargets: {
+      type: 'simple-json',
+      nullable: true,
+      comment: 'SLA target overrides in minutes per priority: {urgent: {assignment, decision, completion}}'
+    },
+    escalationAdminIds: {
+      type: 'simple-json',
+      nullable: true,
+      comment: 'Admins notified when a request of this department breaches its SLA'
+    },
     
     // Soft Delete
     deletedAt: {
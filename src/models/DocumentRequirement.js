@@ -0,0 +1,114 @@
+const { EntitySchema } = require('typeorm');
+
+/**
+ * DocumentRequirement Entity
+ *
+ * A document the user must provide for a service request (e.g. "Passport copy")
+ * - Catalog requirements come from the requiredDocuments of the booked additional
+ *   services (additionalServiceId set, requested by SYSTEM) and must be provided
+ *   before the request can be approved
+ * - Agents can ask for more documents at any time
+ * Uploads that answer a requirement reference it through RequestDocument.requirementId.
+ *
+ * Status flow: missing → submitted → accepted
+ *              (a rejected upload sends it back to missing)
+ */
+module.exports = new EntitySchema({
+  name: 'DocumentRequirement',
+  tableName: 'request_document_requirements',
+
+  columns: {
+    id: {
+      type: 'int',
+      primary: true,
+      generated: true,
+      unsigned: true
+    },
+
+    requestId: {
+      type: 'int',
+      unsigned: true,
+      nullable: false,
+      comment: 'Service request the document is required for'
+    },
+
+    name: {
+      type: 'varchar',
+      length: 150,
+      nullable: false,
+      comment: 'Document the user must provide'
+    },
+
+    description: {
+      type: 'text',
+      nullable: true,
+      comment: 'Extra instructions for the user'
+    },
+
+    status: {
+      type: 'enum',
+      enum: ['missing', 'submitted', 'accepted'],
+      default: 'missing',
+      nullable: false,
+      comment: 'Whether a matching upload is awaited, under review or accepted'
+    },
+
+    additionalServiceId: {
+      type: 'int',
+      unsigned: true,
+      nullable: true,
+      comment: 'Booked catalog service that requires the document (null when asked by staff)'
+    },
+
+    requestedBy: {
+      type: 'int',
+      unsigned: true,
+      nullable: true,
+      comment: 'Agent/Admin who asked for the document (null for catalog requirements)'
+    },
+
+    requestedByType: {
+      type: 'enum',
+      enum: ['AGENT', 'ADMIN', 'SYSTEM'],
+      nullable: false,
+      comment: 'Who asked for the document (SYSTEM for catalog requirements)'
+    },
+
+    // Timestamps
+    createdAt: {
+      type: 'datetime',
+      createDate: true,
+      nullable: false
+    },
+
+    updatedAt: {
+      type: 'datetime',
+      updateDate: true,
+      nullable: false
+    }
+  },
+
+  relations: {
+    serviceRequest: {
+      type: 'many-to-one',
+      target: 'ServiceRequest',
+      joinColumn: {
+        name: 'requestId'
+      },
+      onDelete: 'CASCADE'
+    },
+
+    documents: {
+      type: 'one-to-many',
+      target: 'RequestDocument',
+      inverseSide: 'requirement'
+    }
+  },
+
+  indices: [
+    {
+      name: 'idx_request_document_requirements_request',
+      columns: ['requestId', 'status']
+    }
+  ]
+});
@@ -0,0 +1,175 @@
+const { EntitySchema } = require('typeorm');
+
+/**
+ * Invoice Entity
+ *
+ * Bill for a service request, issued when the request is approved
+ * Line items (the booked service and additional services) are copied at issue
+ * time, VAT is added on top of the subtotal. One invoice per request.
+ *
+ * Status flow: issued → paid → refunded
+ *              issued → void (request cancelled before payment)
+ */
+module.exports = new EntitySchema({
+  name: 'Invoice',
+  tableName: 'invoices',
+
+  columns: {
+    id: {
+      type: 'int',
+      primary: true,
+      generated: true,
+      unsigned: true
+    },
+
+    invoiceNumber: {
+      type: 'varchar',
+      length: 30,
+      nullable: false,
+      unique: true,
+      comment: 'Human readable invoice number (INV-<year>-<request id>)'
+    },
+
+    requestId: {
+      type: 'int',
+      unsigned: true,
+      nullable: false,
+      unique: true,
+      comment: 'Service request being billed'
+    },
+
+    userId: {
+      type: 'int',
+      unsigned: true,
+      nullable: false,
+      comment: 'User who has to pay'
+    },
+
+    status: {
+      type: 'enum',
+      enum: ['issued', 'paid', 'void', 'refunded'],
+      default: 'issued',
+      nullable: false,
+      comment: 'Payment state of the invoice'
+    },
+
+    lineItems: {
+      type: 'simple-json',
+      nullable: false,
+      comment: 'Billed lines: [{type, referenceId, name, nameAr, quantity, unitPrice, amount}]'
+    },
+
+    subtotal: {
+      type: 'decimal',
+      precision: 10,
+      scale: 2,
+      unsigned: true,
+      nullable: false,
+      comment: 'Sum of the line amounts before VAT'
+    },
+
+    vatRate: {
+      type: 'decimal',
+      precision: 5,
+      scale: 2,
+      unsigned: true,
+      nullable: false,
+      comment: 'VAT percentage applied to the subtotal'
+    },
+
+    vatAmount: {
+      type: 'decimal',
+      precision: 10,
+      scale: 2,
+      unsigned: true,
+      nullable: false,
+      comment: 'VAT added to the subtotal'
+    },
+
+    total: {
+      type: 'decimal',
+      precision: 10,
+      scale: 2,
+      unsigned: true,
+      nullable: false,
+      comment: 'Amount due (subtotal + VAT)'
+    },
+
+    currency: {
+      type: 'varchar',
+      length: 3,
+      nullable: false,
+      comment: 'Currency of the amounts (ISO 4217)'
+    },
+
+    issuedAt: {
+      type: 'datetime',
+      nullable: false,
+      comment: 'When the invoice was issued'
+    },
+
+    paidAt: {
+      type: 'datetime',
+      nullable: true,
+      comment: 'When the payment succeeded'
+    },
+
+    voidedAt: {
+      type: 'datetime',
+      nullable: true,
+      comment: 'When the invoice was voided'
+    },
+
+    refundedAt: {
+      type: 'datetime',
+      nullable: true,
+      comment: 'When the payment was refunded'
+    },
+
+    // Timestamps
+    createdAt: {
+      type: 'datetime',
+      createDate: true,
+      nullable: false
+    },
+
+    updatedAt: {
+      type: 'datetime',
+      updateDate: true,
+      nullable: false
+    }
+  },
+
+  relations: {
+    serviceRequest: {
+      type: 'many-to-one',
+      target: 'ServiceRequest',
+      joinColumn: {
+        name: 'requestId'
+      },
+      onDelete: 'CASCADE'
+    },
+
+    user: {
+      type: 'many-to-one',
+      target: 'User',
+      joinColumn: {
+        name: 'userId'
+      },
+      onDelete: 'CASCADE'
+    },
+
+    payments: {
+      type: 'one-to-many',
+      target: 'Payment',
+      inverseSide: 'invoice'
+    }
+  },
+
+  indices: [
+    {
+      name: 'idx_invoices_user_status',
+      columns: ['userId', 'status']
+    }
+  ]
+});
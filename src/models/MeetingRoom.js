@@ -0,0 +1,97 @@
+const { EntitySchema } = require('typeorm');
+
+/**
+ * MeetingRoom Entity
+ *
+ * A room of a branch that offline meetings are held in
+ *
+ * Business Rules:
+ * - Rooms are allocated when an offline meeting is approved (the smallest free room
+ *   of its branch) and follow the meeting when it is rescheduled
+ * - A room holds one meeting at a time
+ * - Inactive rooms are not allocated any more
+ */
+module.exports = new EntitySchema({
+  name: 'MeetingRoom',
+  tableName: 'meeting_rooms',
+
+  columns: {
+    id: {
+      type: 'int',
+      primary: true,
+      generated: true,
+      unsigned: true
+    },
+
+    branchId: {
+      type: 'int',
+      unsigned: true,
+      nullable: false,
+      comment: 'Branch the room belongs to'
+    },
+
+    name: {
+      type: 'varchar',
+      length: 100,
+      nullable: false,
+      comment: 'English name'
+    },
+
+    nameAr: {
+      type: 'varchar',
+      length: 100,
+      nullable: false,
+      comment: 'Arabic name'
+    },
+
+    capacity: {
+      type: 'int',
+      unsigned: true,
+      nullable: false,
+      default: 2,
+      comment: 'Number of seats'
+    },
+
+    isActive: {
+      type: 'boolean',
+      default: true,
+      nullable: false,
+      comment: 'Whether meetings are allocated to this room'
+    },
+
+    createdAt: {
+      type: 'datetime',
+      createDate: true,
+      nullable: false
+    },
+
+    updatedAt: {
+      type: 'datetime',
+      updateDate: true,
+      nullable: false
+    }
+  },
+
+  relations: {
+    branch: {
+      type: 'many-to-one',
+      target: 'Branch',
+      joinColumn: {
+        name: 'branchId'
+      },
+      onDelete: 'CASCADE'
+    }
+  },
+
+  indices: [
+    {
+      name: 'idx_meeting_rooms_branch_active',
+      columns: ['branchId', 'isActive']
+    },
+    {
+      name: 'uq_meeting_rooms_branch_name',
+      columns: ['branchId', 'name'],
+      unique: true
+    }
+  ]
+});
@@ -0,0 +1,77 @@
+const { EntitySchema } = require('typeorm');
+
+/**
+ * Message Entity
+ *
+ * A single chat message; text, attachments or both
+ */
+module.exports = new EntitySchema({
+  name: 'Message',
+  tableName: 'chat_messages',
+
+  columns: {
+    id: {
+      type: 'int',
+      primary: true,
+      generated: true,
+      unsigned: true
+    },
+
+    chatId: {
+      type: 'int',
+      unsigned: true,
+      nullable: false,
+      comment: 'Chat the message belongs to'
+    },
+
+    senderType: {
+      type: 'enum',
+      enum: ['USER', 'AGENT', 'ADMIN'],
+      nullable: false,
+      comment: 'Who sent the message'
+    },
+
+    senderId: {
+      type: 'int',
+      unsigned: true,
+      nullable: false,
+      comment: 'User/Agent/Admin ID of the sender'
+    },
+
+    body: {
+      type: 'text',
+      nullable: true,
+      comment: 'Message text (empty for attachment-only messages)'
+    },
+
+    createdAt: {
+      type: 'datetime',
+      createDate: true,
+      nullable: false
+    }
+  },
+
+  relations: {
+    chat: {
+      type: 'many-to-one',
+      target: 'Chat',
+      joinColumn: {
+        name: 'chatId'
+      },
+      onDelete: 'CASCADE'
+    },
+
+    attachments: {
+      type: 'one-to-many',
+      target: 'MessageAttachment',
+      inverseSide: 'message'
+    }
+  },
+
+  indices: [
+    {
+      name: 'idx_chat_messages_chat_id',
+      columns: ['chatId', 'id']
+    }
+  ]
+});
@@ -0,0 +1,74 @@
+const { EntitySchema } = require('typeorm');
+
+/**
+ * MessageAttachment Entity
+ *
+ * File attached to a chat message
+ * Files are stored outside the public uploads folder and served only to chat participants
+ */
+module.exports = new EntitySchema({
+  name: 'MessageAttachment',
+  tableName: 'chat_message_attachments',
+
+  columns: {
+    id: {
+      type: 'int',
+      primary: true,
+      generated: true,
+      unsigned: true
+    },
+
+    messageId: {
+      type: 'int',
+      unsigned: true,
+      nullable: false,
+      comment: 'Message the file is attached to'
+    },
+
+    fileName: {
+      type: 'varchar',
+      length: 255,
+      nullable: false,
+      comment: 'Original file name'
+    },
+
+    filePath: {
+      type: 'varchar',
+      length: 500,
+      nullable: false,
+      select: false,
+      comment: 'Storage path (never exposed)'
+    },
+
+    mimeType: {
+      type: 'varchar',
+      length: 100,
+      nullable: false,
+      comment: 'File MIME type'
+    },
+
+    fileSize: {
+      type: 'int',
+      unsigned: true,
+      nullable: false,
+      comment: 'File size in bytes'
+    },
+
+    createdAt: {
+      type: 'datetime',
+      createDate: true,
+      nullable: false
+    }
+  },
+
+  relations: {
+    message: {
+      type: 'many-to-one',
+      target: 'Message',
+      joinColumn: {
+        name: 'messageId'
+      },
+      onDelete: 'CASCADE'
+    }
+  }
+});
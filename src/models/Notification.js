@@ -0,0 +1,108 @@
+const { EntitySchema } = require('typeorm');
+
+/**
+ * Notification Entity
+ *
+ * In-app notification of a user, agent or admin
+ *
+ * Business Rules:
+ * - Title and message are stored rendered in the fallback language, with their
+ *   translation keys and params so a client can re-render them in its own language
+ * - Recipients only see and mark their own notifications
+ */
+module.exports = new EntitySchema({
+  name: 'Notification',
+  tableName: 'notifications',
+
+  columns: {
+    id: {
+      type: 'int',
+      primary: true,
+      generated: true,
+      unsigned: true
+    },
+
+    recipientType: {
+      type: 'enum',
+      enum: ['USER', 'AGENT', 'ADMIN'],
+      nullable: false,
+      comment: 'Type of the recipient'
+    },
+
+    recipientId: {
+      type: 'int',
+      unsigned: true,
+      nullable: false,
+      comment: 'User, agent or admin ID of the recipient'
+    },
+
+    type: {
+      type: 'varchar',
+      length: 50,
+      nullable: false,
+      comment: 'Notification type (e.g. meeting_reminder, sla_breached)'
+    },
+
+    title: {
+      type: 'varchar',
+      length: 255,
+      nullable: false,
+      comment: 'Title in the fallback language'
+    },
+
+    message: {
+      type: 'text',
+      nullable: false,
+      comment: 'Message in the fallback language'
+    },
+
+    titleKey: {
+      type: 'varchar',
+      length: 100,
+      nullable: false,
+      comment: 'Translation key of the title'
+    },
+
+    messageKey: {
+      type: 'varchar',
+      length: 100,
+      nullable: false,
+      comment: 'Translation key of the message'
+    },
+
+    params: {
+      type: 'json',
+      nullable: true,
+      comment: 'Interpolation params of the title and message'
+    },
+
+    data: {
+      type: 'json',
+      nullable: true,
+      comment: 'What the notification is about (e.g. { requestId })'
+    },
+
+    readAt: {
+      type: 'datetime',
+      nullable: true,
+      comment: 'When the recipient read the notification'
+    },
+
+    createdAt: {
+      type: 'datetime',
+      createDate: true,
+      nullable: false
+    }
+  },
+
+  indices: [
+    {
+      name: 'idx_notifications_recipient_read',
+      columns: ['recipientType', 'recipientId', 'readAt']
+    },
+    {
+      name: 'idx_notifications_recipient_created',
+      columns: ['recipientType', 'recipientId', 'createdAt']
+    }
+  ]
+});
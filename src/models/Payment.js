@@ -0,0 +1,155 @@
+const { EntitySchema } = require('typeorm');
+
+/**
+ * Payment Entity
+ *
+ * A payment attempt for an invoice through a payment gateway
+ * The gateway's payment intent is referenced by (gateway, gatewayReference); its
+ * result arrives through the signed webhook.
+ *
+ * Status flow: pending → succeeded | failed | cancelled
+ *              succeeded → refund_pending → refunded | refund_failed
+ *              (gateways that refund synchronously go straight to refunded)
+ */
+module.exports = new EntitySchema({
+  name: 'Payment',
+  tableName: 'payments',
+
+  columns: {
+    id: {
+      type: 'int',
+      primary: true,
+      generated: true,
+      unsigned: true
+    },
+
+    invoiceId: {
+      type: 'int',
+      unsigned: true,
+      nullable: false,
+      comment: 'Invoice being paid'
+    },
+
+    requestId: {
+      type: 'int',
+      unsigned: true,
+      nullable: false,
+      comment: 'Service request of the invoice'
+    },
+
+    userId: {
+      type: 'int',
+      unsigned: true,
+      nullable: false,
+      comment: 'User who pays'
+    },
+
+    gateway: {
+      type: 'varchar',
+      length: 30,
+      nullable: false,
+      comment: 'Payment gateway that handles the payment'
+    },
+
+    gatewayReference: {
+      type: 'varchar',
+      length: 100,
+      nullable: false,
+      comment: 'Payment intent ID at the gateway'
+    },
+
+    amount: {
+      type: 'decimal',
+      precision: 10,
+      scale: 2,
+      unsigned: true,
+      nullable: false,
+      comment: 'Amount charged'
+    },
+
+    currency: {
+      type: 'varchar',
+      length: 3,
+      nullable: false,
+      comment: 'Currency of the amount (ISO 4217)'
+    },
+
+    status: {
+      type: 'enum',
+      enum: ['pending', 'succeeded', 'failed', 'cancelled', 'refund_pending', 'refunded', 'refund_failed'],
+      default: 'pending',
+      nullable: false,
+      comment: 'Payment state as reported by the gateway'
+    },
+
+    failureReason: {
+      type: 'text',
+      nullable: true,
+      comment: 'Why the payment or its refund failed'
+    },
+
+    refundReference: {
+      type: 'varchar',
+      length: 100,
+      nullable: true,
+      comment: 'Refund ID at the gateway'
+    },
+
+    paidAt: {
+      type: 'datetime',
+      nullable: true,
+      comment: 'When the payment succeeded'
+    },
+
+    refundedAt: {
+      type: 'datetime',
+      nullable: true,
+      comment: 'When the refund succeeded'
+    },
+
+    // Timestamps
+    createdAt: {
+      type: 'datetime',
+      createDate: true,
+      nullable: false
+    },
+
+    updatedAt: {
+      type: 'datetime',
+      updateDate: true,
+      nullable: false
+    }
+  },
+
+  relations: {
+    invoice: {
+      type: 'many-to-one',
+      target: 'Invoice',
+      joinColumn: {
+        name: 'invoiceId'
+      },
+      onDelete: 'CASCADE'
+    },
+
+    serviceRequest: {
+      type: 'many-to-one',
+      target: 'ServiceRequest',
+      joinColumn: {
+        name: 'requestId'
+      },
+      onDelete: 'CASCADE'
+    }
+  },
+
+  indices: [
+    {
+      name: 'idx_payments_gateway_reference',
+      columns: ['gateway', 'gatewayReference'],
+      unique: true
+    },
+    {
+      name: 'idx_payments_invoice_status',
+      columns: ['invoiceId', 'status']
+    }
+  ]
+});
@@ -0,0 +1,149 @@
+const { EntitySchema } = require('typeorm');
+
+/**
+ * ReassignmentRequest Entity
+ *
+ * An assigned agent's request to hand a service request over to another agent
+ * of the same department. An admin or the target agent accepts or declines it.
+ *
+ * Business Rules:
+ * - One pending reassignment per service request; a new one supersedes the previous one
+ * - Pending reassignments expire after REASSIGNMENT_REQUEST_EXPIRY_HOURS
+ * - Admins can still reassign directly, which supersedes any pending reassignment
+ */
+module.exports = new EntitySchema({
+  name: 'ReassignmentRequest',
+  tableName: 'reassignment_requests',
+
+  columns: {
+    id: {
+      type: 'int',
+      primary: true,
+      generated: true,
+      unsigned: true
+    },
+
+    requestId: {
+      type: 'int',
+      unsigned: true,
+      nullable: false,
+      comment: 'Service request to reassign'
+    },
+
+    fromAgentId: {
+      type: 'int',
+      unsigned: true,
+      nullable: false,
+      comment: 'Agent assigned when the reassignment was requested'
+    },
+
+    toAgentId: {
+      type: 'int',
+      unsigned: true,
+      nullable: false,
+      comment: 'Agent the request should be handed over to'
+    },
+
+    reason: {
+      type: 'text',
+      nullable: false,
+      comment: 'Why the request should be handed over'
+    },
+
+    status: {
+      type: 'enum',
+      enum: ['pending', 'accepted', 'declined', 'expired', 'superseded'],
+      default: 'pending',
+      nullable: false,
+      comment: 'Reassignment status'
+    },
+
+    expiresAt: {
+      type: 'datetime',
+      nullable: false,
+      comment: 'When a pending reassignment expires'
+    },
+
+    respondedByType: {
+      type: 'enum',
+      enum: ['AGENT', 'ADMIN'],
+      nullable: true,
+      comment: 'Who accepted/declined the reassignment'
+    },
+
+    respondedById: {
+      type: 'int',
+      unsigned: true,
+      nullable: true,
+      comment: 'Agent/Admin ID of the responder'
+    },
+
+    respondedAt: {
+      type: 'datetime',
+      nullable: true,
+      comment: 'When the reassignment was accepted/declined/expired'
+    },
+
+    responseNote: {
+      type: 'text',
+      nullable: true,
+      comment: 'Reason given when declining'
+    },
+
+    createdAt: {
+      type: 'datetime',
+      createDate: true,
+      nullable: false
+    },
+
+    updatedAt: {
+      type: 'datetime',
+      updateDate: true,
+      nullable: false
+    }
+  },
+
+  relations: {
+    serviceRequest: {
+      type: 'many-to-one',
+      target: 'ServiceRequest',
+      joinColumn: {
+        name: 'requestId'
+      },
+      onDelete: 'CASCADE'
+    },
+
+    fromAgent: {
+      type: 'many-to-one',
+      target: 'Agent',
+      joinColumn: {
+        name: 'fromAgentId'
+      },
+      onDelete: 'CASCADE'
+    },
+
+    toAgent: {
+      type: 'many-to-one',
+      target: 'Agent',
+      joinColumn: {
+        name: 'toAgentId'
+      },
+      onDelete: 'CASCADE'
+    }
+  },
+
+  indices: [
+    {
+      name: 'idx_reassignment_requests_request_id',
+      columns: ['requestId', 'status']
+    },
+    {
+      name: 'idx_reassignment_requests_to_agent',
+      columns: ['toAgentId', 'status']
+    },
+    {
+      name: 'idx_reassignment_requests_status_expires',
+      columns: ['status', 'expiresAt']
+    }
+  ]
+});
@@ -4,7 +4,9 @@ const { EntitySchema } = require('typeorm');
  * RequestDocument Entity
  * 
  * Represents documents uploaded with service requests
- * Users can upload up to 5 documents per request
+ * Users upload up to 5 documents with the request, and more later when the
+ * agent asks for them (optionally answering a DocumentRequirement)
+ * The agent accepts or rejects each document (a rejection carries a reason)
  * Supported formats: PDF, Images (JPEG, PNG, GIF, WebP), Word documents (DOC, DOCX)
  * Maximum file size: 5MB per file
  */
@@ -62,6 +64,48 @@ module.exports = new EntitySchema({
       comment: 'User who uploaded this document'
     },
 
+    requirementId: {
+      type: 'int',
+      unsigned: true,
+      nullable: true,
+      comment: 'Document requirement this upload answers (null for general documents)'
+    },
+
+    // Review
+    status: {
+      type: 'enum',
+      enum: ['submitted', 'accepted', 'rejected'],
+      default: 'submitted',
+      nullable: false,
+      comment: 'Review status set by the agent'
+    },
+
+    reviewedBy: {
+      type: 'int',
+      unsigned: true,
+      nullable: true,
+      comment: 'Agent/Admin who reviewed the document'
+    },
+
+    reviewedByType: {
+      type: 'enum',
+      enum: ['AGENT', 'ADMIN'],
+      nullable: true,
+      comment: 'Whether reviewedBy is an agent or an admin'
+    },
+
+    reviewedAt: {
+      type: 'datetime',
+      nullable: true,
+      comment: 'When the document was reviewed'
+    },
+
+    rejectionReason: {
+      type: 'text',
+      nullable: true,
+      comment: 'Why the document was rejected'
+    },
+
     // Soft Delete
     deletedAt: {
       type: 'datetime',
@@ -99,6 +143,15 @@ module.exports = new EntitySchema({
         name: 'uploadedBy'
       },
       onDelete: 'CASCADE'
+    },
+
+    requirement: {
+      type: 'many-to-one',
+      target: 'DocumentRequirement',
+      joinColumn: {
+        name: 'requirementId'
+      },
+      onDelete: 'SET NULL'
     }
   },
 
@@ -111,6 +164,10 @@ module.exports = new EntitySchema({
       name: 'idx_request_documents_uploaded_by',
       columns: ['uploadedBy']
     },
+    {
+      name: 'idx_request_documents_requirement_id',
+      columns: ['requirementId']
+    },
     {
       name: 'idx_request_documents_deleted_at',
       columns: ['deletedAt']
@@ -0,0 +1,141 @@
+const { EntitySchema } = require('typeorm');
+
+/**
+ * RescheduleProposal Entity
+ *
+ * A proposal to move a service request's meeting to a new date/time
+ * The user or the assigned agent (or an admin) proposes, the counter-party accepts or declines
+ *
+ * Business Rules:
+ * - Only approved/rescheduled requests can be rescheduled
+ * - One pending proposal per request; a new proposal supersedes the previous one
+ * - Accepting re-checks the agent's availability and moves the meeting
+ */
+module.exports = new EntitySchema({
+  name: 'RescheduleProposal',
+  tableName: 'reschedule_proposals',
+
+  columns: {
+    id: {
+      type: 'int',
+      primary: true,
+      generated: true,
+      unsigned: true
+    },
+
+    requestId: {
+      type: 'int',
+      unsigned: true,
+      nullable: false,
+      comment: 'Service request to reschedule'
+    },
+
+    proposedByType: {
+      type: 'enum',
+      enum: ['USER', 'AGENT', 'ADMIN'],
+      nullable: false,
+      comment: 'Who proposed the new time'
+    },
+
+    proposedById: {
+      type: 'int',
+      unsigned: true,
+      nullable: false,
+      comment: 'User/Agent/Admin ID of the proposer'
+    },
+
+    previousMeetingDate: {
+      type: 'date',
+      nullable: false,
+      comment: 'Meeting date when the proposal was made'
+    },
+
+    previousMeetingTime: {
+      type: 'time',
+      nullable: false,
+      comment: 'Meeting time when the proposal was made'
+    },
+
+    meetingDate: {
+      type: 'date',
+      nullable: false,
+      comment: 'Proposed meeting date'
+    },
+
+    meetingTime: {
+      type: 'time',
+      nullable: false,
+      comment: 'Proposed meeting time'
+    },
+
+    reason: {
+      type: 'text',
+      nullable: true,
+      comment: 'Why the meeting should be moved'
+    },
+
+    status: {
+      type: 'enum',
+      enum: ['pending', 'accepted', 'declined', 'superseded'],
+      default: 'pending',
+      nullable: false,
+      comment: 'Proposal status'
+    },
+
+    respondedByType: {
+      type: 'enum',
+      enum: ['USER', 'AGENT', 'ADMIN'],
+      nullable: true,
+      comment: 'Who accepted/declined the proposal'
+    },
+
+    respondedById: {
+      type: 'int',
+      unsigned: true,
+      nullable: true,
+      comment: 'User/Agent/Admin ID of the responder'
+    },
+
+    respondedAt: {
+      type: 'datetime',
+      nullable: true,
+      comment: 'When the proposal was accepted/declined'
+    },
+
+    responseNote: {
+      type: 'text',
+      nullable: true,
+      comment: 'Reason given when declining'
+    },
+
+    createdAt: {
+      type: 'datetime',
+      createDate: true,
+      nullable: false
+    },
+
+    updatedAt: {
+      type: 'datetime',
+      updateDate: true,
+      nullable: false
+    }
+  },
+
+  relations: {
+    serviceRequest: {
+      type: 'many-to-one',
+      target: 'ServiceRequest',
+      joinColumn: {
+        name: 'requestId'
+      },
+      onDelete: 'CASCADE'
+    }
+  },
+
+  indices: [
+    {
+      name: 'idx_reschedule_proposals_request_id',
+      columns: ['requestId', 'status']
+    }
+  ]
+});
@@ -11,9 +11,12 @@ const { EntitySchema } = require('typeorm');
  * Business Rules:
  * - User must be authenticated to create a request
  * - User can select a category (required)
+ * - User can select an application type and additional services; their prices are
+ *   snapshotted as line items with the total on the request
  * - User can optionally select an agent from the category
  * - If no agent selected, admin will assign one
- * - Request status flow: pending → approved/rejected → completed/cancelled
+ * - Request status flow: pending → (awaiting_documents) → approved/rejected → (rescheduled) → completed/no_show
+ *   (open requests can be cancelled; see constants/serviceRequestWorkflow for the full transition table)
  * - Agents can request reassignment to another agent
  */
 module.exports = new EntitySchema({
@@ -94,6 +97,21 @@ module.exports = new EntitySchema({
       comment: 'Type of meeting: online or in-person'
     },
 
+    meetingLink: {
+      type: 'varchar',
+      length: 500,
+      nullable: true,
+      select: false,
+      comment: 'Join URL for online meetings (shown to the user and the assigned agent only)'
+    },
+
+    meetingProvider: {
+      type: 'varchar',
+      length: 30,
+      nullable: true,
+      comment: 'Provider that generated the meeting link (e.g., jitsi)'
+    },
+
     meetingDate: {
       type: 'date',
       nullable: false,
@@ -114,6 +132,38 @@ module.exports = new EntitySchema({
       comment: 'Meeting duration in minutes (default: 60)'
     },
 
+    // Offline meetings
+    branchId: {
+      type: 'int',
+      unsigned: true,
+      nullable: true,
+      comment: 'Branch the offline meeting takes place at'
+    },
+
+    meetingRoomId: {
+      type: 'int',
+      unsigned: true,
+      nullable: true,
+      comment: 'Room allocated to the offline meeting on approval'
+    },
+
+    checkInCode: {
+      type: 'varchar',
+      length: 8,
+      nullable: true,
+      unique: true,
+      select: false,
+      comment: 'Front-desk check-in code of the offline meeting, issued on approval (shown to the user only)'
+    },
+
+    calendarSequence: {
+      type: 'int',
+      unsigned: true,
+      default: 0,
+      nullable: false,
+      comment: 'iCalendar SEQUENCE, bumped whenever the meeting is moved or cancelled'
+    },
+
     // Agent Assignment
     agentId: {
       type: 'int',
@@ -129,6 +179,50 @@ module.exports = new EntitySchema({
       comment: 'Whether agent was selected by user (true) or assigned by admin (false)'
     },
 
+    // Automatic Assignment (when the user did not select an agent)
+    assignmentStrategy: {
+      type: 'varchar',
+      length: 30,
+      nullable: true,
+      comment: 'Strategy that auto-assigned the agent (round_robin, least_loaded, available_at_time)'
+    },
+
+    assignmentDecision: {
+      type: 'simple-json',
+      nullable: true,
+      comment: 'Why the agent was chosen: {candidates, reason, per-strategy data}'
+    },
+
+    assignedAt: {
+      type: 'datetime',
+      nullable: true,
+      comment: 'When an agent was first assigned (SLA time to assignment)'
+    },
+
+    // Application Type & Price Quote (snapshot at booking time, see ServiceRequestItem)
+    applicationTypeId: {
+      type: 'int',
+      unsigned: true,
+      nullable: true,
+      comment: 'Application type selected by the user'
+    },
+
+    totalPrice: {
+      type: 'decimal',
+      precision: 10,
+      scale: 2,
+      unsigned: true,
+      nullable: true,
+      comment: 'Sum of the line item prices at booking time'
+    },
+
+    currency: {
+      type: 'varchar',
+      length: 3,
+      nullable: true,
+      comment: 'Currency of the quote (ISO 4217)'
+    },
+
     // Service Assignment (determined by agent after reviewing notes)
     serviceId: {
       type: 'int',
@@ -140,7 +234,7 @@ module.exports = new EntitySchema({
     // Status Management
     status: {
       type: 'enum',
-      enum: ['pending', 'approved', 'rejected', 'completed', 'cancelled'],
+      enum: ['pending', 'awaiting_documents', 'approved', 'rescheduled', 'rejected', 'completed', 'no_show', 'cancelled'],
       default: 'pending',
       nullable: false,
       comment: 'Request status'
@@ -197,6 +291,53 @@ module.exports = new EntitySchema({
       comment: 'Reason for cancellation'
     },
 
+    // Follow-up meetings
+    parentRequestId: {
+      type: 'int',
+      unsigned: true,
+      nullable: true,
+      comment: 'Request this meeting follows up on (the first meeting of the thread)'
+    },
+
+    // Attendance (recorded by the agent once the meeting is over)
+    attendanceStatus: {
+      type: 'enum',
+      enum: ['attended', 'partially_attended', 'user_no_show', 'agent_no_show'],
+      nullable: true,
+      comment: 'Whether the meeting took place and who missed it'
+    },
+
+    actualStartAt: {
+      type: 'datetime',
+      nullable: true,
+      comment: 'When the meeting actually started'
+    },
+
+    actualEndAt: {
+      type: 'datetime',
+      nullable: true,
+      comment: 'When the meeting actually ended'
+    },
+
+    attendanceNote: {
+      type: 'text',
+      nullable: true,
+      comment: 'Agent note on the attendance'
+    },
+
+    arrivedAt: {
+      type: 'datetime',
+      nullable: true,
+      comment: 'When the user checked in at the branch front desk'
+    },
+
+    checkedInBy: {
+      type: 'int',
+      unsigned: true,
+      nullable: true,
+      comment: 'Admin who checked the user in'
+    },
+
     // Agent Reassignment
     reassignmentRequestedBy: {
       type: 'int',
@@ -239,6 +380,19 @@ module.exports = new EntitySchema({
       comment: 'Request priority level'
     },
 
+    // SLA Escalation
+    slaBreaches: {
+      type: 'simple-json',
+      nullable: true,
+      comment: 'SLA metrics already escalated: {metric: breachedAt}'
+    },
+
+    slaEscalatedAt: {
+      type: 'datetime',
+      nullable: true,
+      comment: 'When the request was last escalated for an SLA breach'
+    },
+
     // Soft Delete
     deletedAt: {
       type: 'datetime',
@@ -269,6 +423,21 @@ module.exports = new EntitySchema({
       onDelete: 'CASCADE'
     },
 
+    parentRequest: {
+      type: 'many-to-one',
+      target: 'ServiceRequest',
+      joinColumn: {
+        name: 'parentRequestId'
+      },
+      onDelete: 'SET NULL'
+    },
+
+    followUps: {
+      type: 'one-to-many',
+      target: 'ServiceRequest',
+      inverseSide: 'parentRequest'
+    },
+
     category: {
       type: 'many-to-one',
       target: 'Department',
@@ -287,6 +456,39 @@ module.exports = new EntitySchema({
       onDelete: 'SET NULL'
     },
 
+    applicationType: {
+      type: 'many-to-one',
+      target: 'ApplicationType',
+      joinColumn: {
+        name: 'applicationTypeId'
+      },
+      onDelete: 'SET NULL'
+    },
+
+    items: {
+      type: 'one-to-many',
+      target: 'ServiceRequestItem',
+      inverseSide: 'serviceRequest'
+    },
+
+    branch: {
+      type: 'many-to-one',
+      target: 'Branch',
+      joinColumn: {
+        name: 'branchId'
+      },
+      onDelete: 'SET NULL'
+    },
+
+    meetingRoom: {
+      type: 'many-to-one',
+      target: 'MeetingRoom',
+      joinColumn: {
+        name: 'meetingRoomId'
+      },
+      onDelete: 'SET NULL'
+    },
+
     service: {
       type: 'many-to-one',
       target: 'Service',
@@ -300,6 +502,36 @@ module.exports = new EntitySchema({
       type: 'one-to-many',
       target: 'RequestDocument',
       inverseSide: 'serviceRequest'
+    },
+
+    documentRequirements: {
+      type: 'one-to-many',
+      target: 'DocumentRequirement',
+      inverseSide: 'serviceRequest'
+    },
+
+    events: {
+      type: 'one-to-many',
+      target: 'ServiceRequestEvent',
+      inverseSide: 'serviceRequest'
+    },
+
+    rescheduleProposals: {
+      type: 'one-to-many',
+      target: 'RescheduleProposal',
+      inverseSide: 'serviceRequest'
+    },
+
+    chat: {
+      type: 'one-to-one',
+      target: 'Chat',
+      inverseSide: 'serviceRequest'
+    },
+
+    review: {
+      type: 'one-to-one',
+      target: 'AgentReview',
+      inverseSide: 'serviceRequest'
     }
   },
 
@@ -320,14 +552,26 @@ module.exports = new EntitySchema({
       name: 'idx_service_requests_service_id',
       columns: ['serviceId']
     },
+    {
+      name: 'idx_service_requests_application_type_id',
+      columns: ['applicationTypeId']
+    },
     {
       name: 'idx_service_requests_status',
       columns: ['status']
     },
+    {
+      name: 'idx_service_requests_parent_request_id',
+      columns: ['parentRequestId']
+    },
     {
       name: 'idx_service_requests_meeting_date',
       columns: ['meetingDate']
     },
+    {
+      name: 'idx_service_requests_room_date',
+      columns: ['meetingRoomId', 'meetingDate']
+    },
     {
       name: 'idx_service_requests_priority',
       columns: ['priority']
@@ -0,0 +1,132 @@
+const { EntitySchema } = require('typeorm');
+
+/**
+ * ServiceRequestEvent Entity
+ *
+ * Append-only history of everything that happens to a service request
+ * One row is written by every transition in ServiceRequestService
+ * (create, assign, reassign, approve, reject, complete, cancel, priority, notes)
+ * and by the SLA monitor when a request breaches its targets
+ *
+ * Actor types mirror the JWT userType: USER, AGENT, ADMIN (SYSTEM for automated jobs)
+ */
+module.exports = new EntitySchema({
+  name: 'ServiceRequestEvent',
+  tableName: 'service_request_events',
+
+  columns: {
+    id: {
+      type: 'int',
+      primary: true,
+      generated: true,
+      unsigned: true
+    },
+
+    requestId: {
+      type: 'int',
+      unsigned: true,
+      nullable: false,
+      comment: 'Service request this event belongs to'
+    },
+
+    type: {
+      type: 'enum',
+      enum: [
+        'created',
+        'agent_assigned',
+        'agent_reassigned',
+        'approved',
+        'rejected',
+        'completed',
+        'cancelled',
+        'priority_changed',
+        'notes_updated',
+        'documents_requested',
+        'documents_uploaded',
+        'document_accepted',
+        'document_rejected',
+        'documents_completed',
+        'rescheduled',
+        'marked_no_show',
+        'reschedule_proposed',
+        'reschedule_declined',
+        'sla_breached',
+        'invoice_issued',
+        'invoice_voided',
+        'payment_succeeded',
+        'payment_failed',
+        'payment_refunded',
+        'reassignment_requested',
+        'reassignment_declined',
+        'reassignment_expired',
+        'follow_up_scheduled',
+        'room_assigned',
+        'user_arrived'
+      ],
+      nullable: false,
+      comment: 'Event type'
+    },
+
+    actorType: {
+      type: 'enum',
+      enum: ['USER', 'AGENT', 'ADMIN', 'SYSTEM'],
+      nullable: false,
+      comment: 'Who triggered the event'
+    },
+
+    actorId: {
+      type: 'int',
+      unsigned: true,
+      nullable: true,
+      comment: 'User/Agent/Admin ID (null for SYSTEM)'
+    },
+
+    fromStatus: {
+      type: 'varchar',
+      length: 30,
+      nullable: true,
+      comment: 'Request status before the event'
+    },
+
+    toStatus: {
+      type: 'varchar',
+      length: 30,
+      nullable: true,
+      comment: 'Request status after the event'
+    },
+
+    metadata: {
+      type: 'simple-json',
+      nullable: true,
+      comment: 'Event details: {agentId, previousAgentId, reason, from, to, notes, etc.}'
+    },
+
+    createdAt: {
+      type: 'datetime',
+      createDate: true,
+      nullable: false
+    }
+  },
+
+  relations: {
+    serviceRequest: {
+      type: 'many-to-one',
+      target: 'ServiceRequest',
+      joinColumn: {
+        name: 'requestId'
+      },
+      onDelete: 'CASCADE'
+    }
+  },
+
+  indices: [
+    {
+      name: 'idx_service_request_events_request_id',
+      columns: ['requestId', 'createdAt']
+    },
+    {
+      name: 'idx_service_request_events_type',
+      columns: ['type']
+    }
+  ]
+});
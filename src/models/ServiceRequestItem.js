@@ -0,0 +1,105 @@
+const { EntitySchema } = require('typeorm');
+
+/**
+ * ServiceRequestItem Entity
+ *
+ * Line items of a service request's price quote
+ * One row per additional service booked with the request; name and price are
+ * copied from the catalog at booking time so later catalog edits don't change
+ * what the user was quoted
+ */
+module.exports = new EntitySchema({
+  name: 'ServiceRequestItem',
+  tableName: 'service_request_items',
+
+  columns: {
+    id: {
+      type: 'int',
+      primary: true,
+      generated: true,
+      unsigned: true
+    },
+
+    requestId: {
+      type: 'int',
+      unsigned: true,
+      nullable: false,
+      comment: 'Service request this line item belongs to'
+    },
+
+    additionalServiceId: {
+      type: 'int',
+      unsigned: true,
+      nullable: true,
+      comment: 'Catalog service that was booked (null if since deleted)'
+    },
+
+    name: {
+      type: 'varchar',
+      length: 200,
+      nullable: false,
+      comment: 'Service name in English at booking time'
+    },
+
+    nameAr: {
+      type: 'varchar',
+      length: 200,
+      nullable: false,
+      comment: 'Service name in Arabic at booking time'
+    },
+
+    unitPrice: {
+      type: 'decimal',
+      precision: 10,
+      scale: 2,
+      unsigned: true,
+      nullable: false,
+      comment: 'Service price at booking time'
+    },
+
+    isRequired: {
+      type: 'boolean',
+      default: false,
+      nullable: false,
+      comment: 'Whether the service was mandatory for the application type'
+    },
+
+    // Timestamps
+    createdAt: {
+      type: 'datetime',
+      createDate: true,
+      nullable: false
+    }
+  },
+
+  relations: {
+    serviceRequest: {
+      type: 'many-to-one',
+      target: 'ServiceRequest',
+      joinColumn: {
+        name: 'requestId'
+      },
+      onDelete: 'CASCADE'
+    },
+
+    additionalService: {
+      type: 'many-to-one',
+      target: 'AdditionalService',
+      joinColumn: {
+        name: 'additionalServiceId'
+      },
+      onDelete: 'SET NULL'
+    }
+  },
+
+  indices: [
+    {
+      name: 'idx_service_request_items_request_id',
+      columns: ['requestId']
+    },
+    {
+      name: 'idx_service_request_items_additional_service_id',
+      columns: ['additionalServiceId']
+    }
+  ]
+});
@@ -82,6 +82,15 @@ module.exports = new EntitySchema({
       comment: 'Whether user has uploaded required documents'
     },
     
+    // Meetings the user missed, counted towards BOOKING_NO_SHOW_THRESHOLD
+    noShowCount: {
+      type: 'int',
+      unsigned: true,
+      default: 0,
+      nullable: false,
+      comment: 'Number of meetings the user did not attend'
+    },
+    
     // Security & Verification
     // OTP verification is handled via Redis (temporary tokens)
     
@@ -0,0 +1,208 @@
+const { EntitySchema } = require('typeorm');
+
+/**
+ * WaitlistEntry Entity
+ *
+ * A user's interest in a meeting with an agent (or any agent of a department)
+ * within a date range when no slot is free.
+ *
+ * Business Rules:
+ * - Freed slots (cancelled or moved meetings) are offered to matching entries in
+ *   the order they joined, one entry at a time
+ * - An offer holds the slot for WAITLIST_HOLD_MINUTES: nobody else can book it
+ *   meanwhile. Declined or lapsed offers go back to waiting and the slot moves on
+ *   to the next entry
+ * - Entries whose date range has passed expire
+ */
+module.exports = new EntitySchema({
+  name: 'WaitlistEntry',
+  tableName: 'waitlist_entries',
+
+  columns: {
+    id: {
+      type: 'int',
+      primary: true,
+      generated: true,
+      unsigned: true
+    },
+
+    userId: {
+      type: 'int',
+      unsigned: true,
+      nullable: false,
+      comment: 'Waiting user'
+    },
+
+    categoryId: {
+      type: 'int',
+      unsigned: true,
+      nullable: false,
+      comment: 'Department (category) of the wanted meeting'
+    },
+
+    agentId: {
+      type: 'int',
+      unsigned: true,
+      nullable: true,
+      comment: 'Preferred agent (null: any agent of the department)'
+    },
+
+    dateFrom: {
+      type: 'date',
+      nullable: false,
+      comment: 'First acceptable meeting date'
+    },
+
+    dateTo: {
+      type: 'date',
+      nullable: false,
+      comment: 'Last acceptable meeting date'
+    },
+
+    meetingType: {
+      type: 'enum',
+      enum: ['online', 'offline'],
+      nullable: false,
+      comment: 'Type of meeting: online or in-person'
+    },
+
+    meetingDuration: {
+      type: 'int',
+      unsigned: true,
+      nullable: false,
+      default: 60,
+      comment: 'Meeting duration in minutes'
+    },
+
+    notes: {
+      type: 'text',
+      nullable: true,
+      comment: 'Notes copied to the request once booked'
+    },
+
+    status: {
+      type: 'enum',
+      enum: ['waiting', 'offered', 'booked', 'cancelled', 'expired'],
+      default: 'waiting',
+      nullable: false,
+      comment: 'Waitlist entry status'
+    },
+
+    // Current offer (kept for reference once booked)
+    offeredAgentId: {
+      type: 'int',
+      unsigned: true,
+      nullable: true,
+      comment: 'Agent of the offered slot'
+    },
+
+    offeredDate: {
+      type: 'date',
+      nullable: true,
+      comment: 'Date of the offered slot'
+    },
+
+    offeredTime: {
+      type: 'time',
+      nullable: true,
+      comment: 'Start time of the offered slot'
+    },
+
+    offeredAt: {
+      type: 'datetime',
+      nullable: true,
+      comment: 'When the slot was offered'
+    },
+
+    offerExpiresAt: {
+      type: 'datetime',
+      nullable: true,
+      comment: 'When the hold on the offered slot lapses'
+    },
+
+    requestId: {
+      type: 'int',
+      unsigned: true,
+      nullable: true,
+      comment: 'Service request booked from the offer'
+    },
+
+    createdAt: {
+      type: 'datetime',
+      createDate: true,
+      nullable: false
+    },
+
+    updatedAt: {
+      type: 'datetime',
+      updateDate: true,
+      nullable: false
+    }
+  },
+
+  relations: {
+    user: {
+      type: 'many-to-one',
+      target: 'User',
+      joinColumn: {
+        name: 'userId'
+      },
+      onDelete: 'CASCADE'
+    },
+
+    category: {
+      type: 'many-to-one',
+      target: 'Department',
+      joinColumn: {
+        name: 'categoryId'
+      },
+      onDelete: 'CASCADE'
+    },
+
+    agent: {
+      type: 'many-to-one',
+      target: 'Agent',
+      joinColumn: {
+        name: 'agentId'
+      },
+      onDelete: 'CASCADE'
+    },
+
+    offeredAgent: {
+      type: 'many-to-one',
+      target: 'Agent',
+      joinColumn: {
+        name: 'offeredAgentId'
+      },
+      onDelete: 'SET NULL'
+    },
+
+    serviceRequest: {
+      type: 'many-to-one',
+      target: 'ServiceRequest',
+      joinColumn: {
+        name: 'requestId'
+      },
+      onDelete: 'SET NULL'
+    }
+  },
+
+  indices: [
+    {
+      name: 'idx_waitlist_entries_user_status',
+      columns: ['userId', 'status']
+    },
+    {
+      name: 'idx_waitlist_entries_category_status',
+      columns: ['categoryId', 'status', 'dateFrom', 'dateTo']
+    },
+    {
+      name: 'idx_waitlist_entries_offered_agent',
+      columns: ['offeredAgentId', 'offeredDate', 'status']
+    },
+    {
+      name: 'idx_waitlist_entries_status_expires',
+      columns: ['status', 'offerExpiresAt']
+    }
+  ]
+});
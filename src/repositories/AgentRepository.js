@@ -6,7 +6,7 @@ const { getConnection } = require('typeorm');
  */
 class AgentRepository {
   constructor() {
-    this.getRepository = () => getConnection().getRepository('Agent');
+    this.getRepository = (manager = null) => (manager || getConnection()).getRepository('Agent');
   }
 
   /**
@@ -137,6 +137,20 @@ class AgentRepository {
       .getOne();
   }
 
+  /**
+   * Find active agent by calendar feed token hash
+   * @param {string} tokenHash - SHA-256 hash of the feed token
+   * @returns {Promise<Object|null>} Agent object or null
+   */
+  async findByCalendarFeedToken(tokenHash) {
+    const repository = this.getRepository();
+    return await repository.createQueryBuilder('agent')
+      .where('agent.calendarFeedToken = :tokenHash', { tokenHash })
+      .andWhere('agent.isActive = :isActive', { isActive: true })
+      .andWhere('agent.deletedAt IS NULL')
+      .getOne();
+  }
+
   /**
    * Update agent data
    * @param {number} id - Agent ID
@@ -149,6 +163,32 @@ class AgentRepository {
     return await this.findById(id);
   }
 
+  /**
+   * Lock an agent row for the rest of the transaction
+   * @param {number} id - Agent ID
+   * @param {Object} manager - Transaction entity manager
+   */
+  async lockById(id, manager) {
+    return await this.getRepository(manager)
+      .createQueryBuilder('agent')
+      .where('agent.id = :id', { id })
+      .setLock('pessimistic_write')
+      .getOne();
+  }
+
+  /**
+   * Store an agent's rating aggregates
+   * @param {number} id - Agent ID
+   * @param {Object} rating - { ratingAverage, ratingCount }
+   */
+  async updateRating(id, rating, manager = null) {
+    const repository = manager ? manager.getRepository('Agent') : this.getRepository();
+    await repository.update(id, {
+      ratingAverage: rating.ratingAverage,
+      ratingCount: rating.ratingCount
+    });
+  }
+
   /**
    * Soft delete agent
    * @param {number} id - Agent ID
@@ -196,11 +236,12 @@ class AgentRepository {
    * @param {number} options.skip - Number of records to skip
    * @param {number} options.limit - Number of records to return
    * @param {Array} options.relations - Relations to load (e.g., ['department', 'shift'])
+   * @param {string} options.orderBy - 'rating' for best rated first (default: newest first)
    * @returns {Promise<Object>} Paginated agents with pagination info
    */
   async findAll(options = {}) {
     const repository = this.getRepository();
-    const { where = {}, skip = 0, limit = 20, relations = [] } = options;
+    const { where = {}, skip = 0, limit = 20, relations = [], orderBy = null } = options;
     
     const query = repository.createQueryBuilder('agent')
       .where('agent.deletedAt IS NULL');
@@ -230,8 +271,16 @@ class AgentRepository {
       query.leftJoinAndSelect('agent.shift', 'shift');
     }
     
+    if (orderBy === 'rating') {
+      query
+        .orderBy('agent.ratingAverage', 'DESC')
+        .addOrderBy('agent.ratingCount', 'DESC')
+        .addOrderBy('agent.createdAt', 'DESC');
+    } else {
+      query.orderBy('agent.createdAt', 'DESC');
+    }
+    
     const [agents, total] = await query
-      .orderBy('agent.createdAt', 'DESC')
       .skip(skip)
       .take(limit)
       .getManyAndCount();
@@ -249,6 +298,28 @@ class AgentRepository {
     };
   }
 
+  /**
+   * Find active agents belonging to a department
+   * @param {number} departmentId - Department ID
+   * @param {Array} relations - Relations to load (e.g., ['shift'])
+   * @returns {Promise<Array>} Active agents
+   */
+  async findActiveByDepartment(departmentId, relations = []) {
+    const repository = this.getRepository();
+    const query = repository.createQueryBuilder('agent')
+      .where('agent.departmentId = :departmentId', { departmentId })
+      .andWhere('agent.isActive = :isActive', { isActive: true })
+      .andWhere('agent.deletedAt IS NULL');
+    
+    if (relations.includes('shift')) {
+      query.leftJoinAndSelect('agent.shift', 'shift');
+    }
+    
+    return await query
+      .orderBy('agent.id', 'ASC')
+      .getMany();
+  }
+
   /**
    * Count all agents
    * @returns {Promise<number>} Count
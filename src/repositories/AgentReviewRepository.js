@@ -0,0 +1,141 @@
+const { getRepository } = require('typeorm');
+
+/**
+ * AgentReviewRepository
+ *
+ * Handles all database operations for AgentReview entity
+ */
+class AgentReviewRepository {
+  /**
+   * Get TypeORM repository (bound to a transaction's entity manager if given)
+   */
+  getRepository(manager = null) {
+    return manager ? manager.getRepository('AgentReview') : getRepository('AgentReview');
+  }
+
+  /**
+   * Create a new review
+   */
+  async create(reviewData, manager = null) {
+    const repository = this.getRepository(manager);
+    const review = repository.create(reviewData);
+    return await repository.save(review);
+  }
+
+  /**
+   * Find review by ID
+   */
+  async findById(reviewId) {
+    return await this.getRepository().findOne({
+      where: { id: reviewId }
+    });
+  }
+
+  /**
+   * Find the review of a service request
+   */
+  async findByRequestId(requestId) {
+    return await this.getRepository().findOne({
+      where: { requestId }
+    });
+  }
+
+  /**
+   * Update review
+   */
+  async update(reviewId, updateData, manager = null) {
+    const repository = this.getRepository(manager);
+    await repository.update(reviewId, updateData);
+    return await repository.findOne({ where: { id: reviewId } });
+  }
+
+  /**
+   * Find the visible reviews of an agent (newest first)
+   * Only the reviewer's name is exposed
+   */
+  async findVisibleByAgentId(agentId, options = {}) {
+    const { page = 1, limit = 10 } = options;
+
+    const [reviews, total] = await this.getRepository()
+      .createQueryBuilder('review')
+      .leftJoin('review.user', 'user')
+      .addSelect(['user.id', 'user.fullName'])
+      .where('review.agentId = :agentId', { agentId })
+      .andWhere('review.status = :status', { status: 'visible' })
+      .orderBy('review.createdAt', 'DESC')
+      .skip((page - 1) * limit)
+      .take(limit)
+      .getManyAndCount();
+
+    return {
+      reviews,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    };
+  }
+
+  /**
+   * Find all reviews with filters (admin moderation)
+   */
+  async findAll(options = {}) {
+    const { page = 1, limit = 20, status, agentId, rating } = options;
+
+    const queryBuilder = this.getRepository()
+      .createQueryBuilder('review')
+      .leftJoin('review.user', 'user')
+      .addSelect(['user.id', 'user.fullName', 'user.email'])
+      .leftJoin('review.agent', 'agent')
+      .addSelect(['agent.id', 'agent.fullName', 'agent.email']);
+
+    if (status) {
+      queryBuilder.andWhere('review.status = :status', { status });
+    }
+
+    if (agentId) {
+      queryBuilder.andWhere('review.agentId = :agentId', { agentId });
+    }
+
+    if (rating) {
+      queryBuilder.andWhere('review.rating = :rating', { rating });
+    }
+
+    const [reviews, total] = await queryBuilder
+      .orderBy('review.createdAt', 'DESC')
+      .skip((page - 1) * limit)
+      .take(limit)
+      .getManyAndCount();
+
+    return {
+      reviews,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    };
+  }
+
+  /**
+   * Average rating and count of an agent's visible reviews
+   * @returns {Promise<Object>} { ratingAverage, ratingCount }
+   */
+  async getAgentAggregate(agentId, manager = null) {
+    const row = await this.getRepository(manager)
+      .createQueryBuilder('review')
+      .select('AVG(review.rating)', 'average')
+      .addSelect('COUNT(*)', 'count')
+      .where('review.agentId = :agentId', { agentId })
+      .andWhere('review.status = :status', { status: 'visible' })
+      .getRawOne();
+
+    const ratingCount = parseInt(row.count) || 0;
+
+    return {
+      ratingAverage: ratingCount ? Math.round(parseFloat(row.average) * 100) / 100 : 0,
+      ratingCount
+    };
+  }
+}
+
+module.exports = new AgentReviewRepository();
@@ -129,6 +129,19 @@ class AgentSessionRepository {
     };
   }
 
+  /**
+   * Count the sessions of a shift still in progress (checked in, possibly on break)
+   */
+  async countActiveByShift(shiftId) {
+    const repository = getConnection().getRepository('AgentSession');
+    return await repository.count({
+      where: {
+        shiftId,
+        status: In(['active', 'on_break'])
+      }
+    });
+  }
+
   /**
    * Get incomplete sessions (not checked out)
    */
@@ -0,0 +1,88 @@
+const { getRepository } = require('typeorm');
+
+/**
+ * BranchRepository
+ *
+ * Handles all database operations for Branch entity
+ */
+class BranchRepository {
+  /**
+   * Get TypeORM repository (bound to a transaction's entity manager if given)
+   */
+  getRepository(manager = null) {
+    return manager ? manager.getRepository('Branch') : getRepository('Branch');
+  }
+
+  /**
+   * Create a new branch
+   */
+  async create(branchData) {
+    const repository = this.getRepository();
+    const branch = repository.create(branchData);
+    return await repository.save(branch);
+  }
+
+  /**
+   * Find branch by ID
+   * @param {boolean} withRooms - Include the branch's rooms
+   */
+  async findById(branchId, withRooms = false) {
+    return await this.getRepository().findOne({
+      where: { id: branchId },
+      relations: withRooms ? ['rooms'] : []
+    });
+  }
+
+  /**
+   * Find branch by (English) name
+   */
+  async findByName(name, excludeId = null) {
+    const queryBuilder = this.getRepository()
+      .createQueryBuilder('branch')
+      .where('branch.name = :name', { name });
+
+    if (excludeId) {
+      queryBuilder.andWhere('branch.id != :excludeId', { excludeId });
+    }
+
+    return await queryBuilder.getOne();
+  }
+
+  /**
+   * Find branches, alphabetically
+   * @param {Object} filters - { isActive, city }
+   */
+  async findAll(filters = {}) {
+    const { isActive = null, city } = filters;
+
+    return await this.getRepository().find({
+      where: {
+        ...(isActive !== null && { isActive }),
+        ...(city && { city })
+      },
+      order: { name: 'ASC' }
+    });
+  }
+
+  /**
+   * Row-lock a branch for the rest of the transaction
+   * Serializes room allocations of the same branch
+   */
+  async lockById(branchId, manager) {
+    return await this.getRepository(manager)
+      .createQueryBuilder('branch')
+      .where('branch.id = :branchId', { branchId })
+      .setLock('pessimistic_write')
+      .getOne();
+  }
+
+  /**
+   * Update branch
+   */
+  async update(branchId, updateData) {
+    await this.getRepository().update(branchId, updateData);
+    return await this.findById(branchId);
+  }
+}
+
+module.exports = new BranchRepository();
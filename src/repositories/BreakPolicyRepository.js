@@ -0,0 +1,38 @@
+const { getConnection } = require('typeorm');
+
+/**
+ * BreakPolicy Repository
+ * 
+ * Handles break policy data access
+ */
+class BreakPolicyRepository {
+  /**
+   * Find the break policy of a shift
+   */
+  async findByShift(shiftId) {
+    const repository = getConnection().getRepository('BreakPolicy');
+    return await repository.findOne({
+      where: { shiftId }
+    });
+  }
+
+  /**
+   * Create break policy (inside a transaction if a manager is given)
+   */
+  async create(data, manager = null) {
+    const repository = (manager || getConnection()).getRepository('BreakPolicy');
+    const policy = repository.create(data);
+    return await repository.save(policy);
+  }
+
+  /**
+   * Update break policy
+   */
+  async update(id, data) {
+    const repository = getConnection().getRepository('BreakPolicy');
+    await repository.update(id, data);
+    return await repository.findOne({ where: { id } });
+  }
+}
+
+module.exports = new BreakPolicyRepository();
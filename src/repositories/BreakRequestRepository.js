@@ -190,6 +190,24 @@ class BreakRequestRepository {
     return await this.findById(id);
   }
 
+  /**
+   * Get approved/active breaks with a known start time in a date range
+   */
+  async findScheduledBreaks(agentId, startDate, endDate) {
+    const repository = getConnection().getRepository('BreakRequest');
+    return await repository
+      .createQueryBuilder('break')
+      .where('break.agentId = :agentId', { agentId })
+      .andWhere('break.status IN (:...statuses)', { statuses: ['approved', 'active'] })
+      .andWhere('break.startTime IS NOT NULL')
+      .andWhere('break.startTime BETWEEN :startDate AND :endDate', {
+        startDate: `${startDate} 00:00:00`,
+        endDate: `${endDate} 23:59:59`
+      })
+      .orderBy('break.startTime', 'ASC')
+      .getMany();
+  }
+
   /**
    * Get break statistics for agent
    */
@@ -0,0 +1,44 @@
+const { getRepository } = require('typeorm');
+
+/**
+ * ChatRepository
+ *
+ * Handles all database operations for Chat entity
+ */
+class ChatRepository {
+  /**
+   * Get TypeORM repository (bound to a transaction's entity manager if given)
+   */
+  getRepository(manager = null) {
+    return manager ? manager.getRepository('Chat') : getRepository('Chat');
+  }
+
+  /**
+   * Create a new chat
+   */
+  async create(chatData) {
+    const repository = this.getRepository();
+    const chat = repository.create(chatData);
+    return await repository.save(chat);
+  }
+
+  /**
+   * Find the chat of a service request
+   */
+  async findByRequestId(requestId) {
+    return await this.getRepository().findOne({
+      where: { requestId }
+    });
+  }
+
+  /**
+   * Update chat
+   */
+  async update(chatId, updateData, manager = null) {
+    const repository = this.getRepository(manager);
+    await repository.update(chatId, updateData);
+    return await repository.findOne({ where: { id: chatId } });
+  }
+}
+
+module.exports = new ChatRepository();
@@ -0,0 +1,71 @@
+const { getRepository, Not, IsNull } = require('typeorm');
+
+/**
+ * DocumentRequirementRepository
+ *
+ * Handles all database operations for DocumentRequirement entity
+ */
+class DocumentRequirementRepository {
+  /**
+   * Get TypeORM repository (bound to a transaction's entity manager if given)
+   */
+  getRepository(manager = null) {
+    return manager ? manager.getRepository('DocumentRequirement') : getRepository('DocumentRequirement');
+  }
+
+  /**
+   * Create multiple requirements
+   */
+  async createMany(requirementsData, manager = null) {
+    const repository = this.getRepository(manager);
+    const requirements = repository.create(requirementsData);
+    return await repository.save(requirements);
+  }
+
+  /**
+   * Find requirement by ID within a request
+   */
+  async findByIdForRequest(requirementId, requestId, manager = null) {
+    return await this.getRepository(manager).findOne({
+      where: { id: requirementId, requestId }
+    });
+  }
+
+  /**
+   * Find all requirements of a request (oldest first)
+   */
+  async findByRequestId(requestId) {
+    return await this.getRepository().find({
+      where: { requestId },
+      order: { createdAt: 'ASC', id: 'ASC' }
+    });
+  }
+
+  /**
+   * Update requirement
+   */
+  async update(requirementId, updateData, manager = null) {
+    await this.getRepository(manager).update({ id: requirementId }, updateData);
+  }
+
+  /**
+   * Count requirements of a request that are not accepted yet
+   */
+  async countOutstanding(requestId, manager = null) {
+    return await this.getRepository(manager).count({
+      where: { requestId, status: Not('accepted') }
+    });
+  }
+
+  /**
+   * Find catalog requirements of a request that are still missing
+   */
+  async findMissingFromCatalog(requestId) {
+    return await this.getRepository().find({
+      where: { requestId, status: 'missing', additionalServiceId: Not(IsNull()) },
+      order: { id: 'ASC' }
+    });
+  }
+}
+
+module.exports = new DocumentRequirementRepository();
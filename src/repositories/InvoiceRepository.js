@@ -0,0 +1,45 @@
+const { getRepository } = require('typeorm');
+
+/**
+ * InvoiceRepository
+ *
+ * Handles all database operations for Invoice entity
+ */
+class InvoiceRepository {
+  /**
+   * Get TypeORM repository (bound to a transaction's entity manager if given)
+   */
+  getRepository(manager = null) {
+    return manager ? manager.getRepository('Invoice') : getRepository('Invoice');
+  }
+
+  /**
+   * Create invoice
+   */
+  async create(invoiceData, manager = null) {
+    const repository = this.getRepository(manager);
+    const invoice = repository.create(invoiceData);
+    return await repository.save(invoice);
+  }
+
+  /**
+   * Find the invoice of a request with its payments
+   */
+  async findByRequestId(requestId, manager = null) {
+    return await this.getRepository(manager).findOne({
+      where: { requestId },
+      relations: ['payments']
+    });
+  }
+
+  /**
+   * Update invoice
+   */
+  async update(invoiceId, updateData, manager = null) {
+    const repository = this.getRepository(manager);
+    await repository.update({ id: invoiceId }, updateData);
+    return await repository.findOne({ where: { id: invoiceId } });
+  }
+}
+
+module.exports = new InvoiceRepository();
@@ -0,0 +1,73 @@
+const { getRepository } = require('typeorm');
+
+/**
+ * MeetingRoomRepository
+ *
+ * Handles all database operations for MeetingRoom entity
+ */
+class MeetingRoomRepository {
+  /**
+   * Get TypeORM repository (bound to a transaction's entity manager if given)
+   */
+  getRepository(manager = null) {
+    return manager ? manager.getRepository('MeetingRoom') : getRepository('MeetingRoom');
+  }
+
+  /**
+   * Create a new meeting room
+   */
+  async create(roomData) {
+    const repository = this.getRepository();
+    const room = repository.create(roomData);
+    return await repository.save(room);
+  }
+
+  /**
+   * Find meeting room by ID
+   */
+  async findById(roomId, manager = null) {
+    return await this.getRepository(manager).findOne({
+      where: { id: roomId }
+    });
+  }
+
+  /**
+   * Find a branch's room by name
+   */
+  async findByName(branchId, name, excludeId = null) {
+    const queryBuilder = this.getRepository()
+      .createQueryBuilder('room')
+      .where('room.branchId = :branchId', { branchId })
+      .andWhere('room.name = :name', { name });
+
+    if (excludeId) {
+      queryBuilder.andWhere('room.id != :excludeId', { excludeId });
+    }
+
+    return await queryBuilder.getOne();
+  }
+
+  /**
+   * Find a branch's rooms, smallest first
+   * @param {boolean} activeOnly - Only rooms meetings can be allocated to
+   */
+  async findByBranch(branchId, activeOnly = false, manager = null) {
+    return await this.getRepository(manager).find({
+      where: {
+        branchId,
+        ...(activeOnly && { isActive: true })
+      },
+      order: { capacity: 'ASC', id: 'ASC' }
+    });
+  }
+
+  /**
+   * Update meeting room
+   */
+  async update(roomId, updateData) {
+    await this.getRepository().update(roomId, updateData);
+    return await this.findById(roomId);
+  }
+}
+
+module.exports = new MeetingRoomRepository();
@@ -0,0 +1,140 @@
+const { getRepository } = require('typeorm');
+
+/**
+ * MessageRepository
+ *
+ * Handles all database operations for Message and MessageAttachment entities
+ */
+class MessageRepository {
+  /**
+   * Get TypeORM repository (bound to a transaction's entity manager if given)
+   */
+  getRepository(manager = null) {
+    return manager ? manager.getRepository('Message') : getRepository('Message');
+  }
+
+  getAttachmentRepository(manager = null) {
+    return manager ? manager.getRepository('MessageAttachment') : getRepository('MessageAttachment');
+  }
+
+  /**
+   * Create a new message
+   */
+  async create(messageData, manager = null) {
+    const repository = this.getRepository(manager);
+    const message = repository.create(messageData);
+    return await repository.save(message);
+  }
+
+  /**
+   * Create the attachments of a message
+   */
+  async createAttachments(attachments, manager = null) {
+    if (!attachments.length) {
+      return [];
+    }
+
+    const repository = this.getAttachmentRepository(manager);
+    return await repository.save(repository.create(attachments));
+  }
+
+  /**
+   * Find a message within a chat
+   */
+  async findByIdForChat(messageId, chatId) {
+    return await this.getRepository().findOne({
+      where: { id: messageId, chatId }
+    });
+  }
+
+  /**
+   * Find a message with its attachments
+   */
+  async findWithAttachments(messageId) {
+    return await this.getRepository().findOne({
+      where: { id: messageId },
+      relations: ['attachments']
+    });
+  }
+
+  /**
+   * Find the latest message of a chat
+   */
+  async findLatest(chatId) {
+    return await this.getRepository().findOne({
+      where: { chatId },
+      order: { id: 'DESC' }
+    });
+  }
+
+  /**
+   * Find a page of messages, newest first
+   * @param {number} chatId - Chat ID
+   * @param {Object} options - { before: message ID cursor, limit }
+   */
+  async findPage(chatId, { before = null, limit = 50 } = {}) {
+    const query = this.getRepository()
+      .createQueryBuilder('message')
+      .leftJoinAndSelect('message.attachments', 'attachment')
+      .where('message.chatId = :chatId', { chatId });
+
+    if (before) {
+      query.andWhere('message.id < :before', { before });
+    }
+
+    return await query
+      .orderBy('message.id', 'DESC')
+      .addOrderBy('attachment.id', 'ASC')
+      .take(limit)
+      .getMany();
+  }
+
+  /**
+   * Find an attachment within a chat, including its storage path
+   */
+  async findAttachmentForChat(attachmentId, chatId) {
+    return await this.getAttachmentRepository()
+      .createQueryBuilder('attachment')
+      .addSelect('attachment.filePath')
+      .innerJoin('attachment.message', 'message')
+      .where('attachment.id = :attachmentId', { attachmentId })
+      .andWhere('message.chatId = :chatId', { chatId })
+      .getOne();
+  }
+
+  /**
+   * Count messages a participant has not read in one chat
+   * @param {number} chatId - Chat ID
+   * @param {string} readerType - USER or AGENT
+   * @param {number|null} lastReadMessageId - Reader's read marker
+   */
+  async countUnread(chatId, readerType, lastReadMessageId) {
+    return await this.getRepository()
+      .createQueryBuilder('message')
+      .where('message.chatId = :chatId', { chatId })
+      .andWhere('message.senderType != :readerType', { readerType })
+      .andWhere('message.id > :lastRead', { lastRead: lastReadMessageId || 0 })
+      .getCount();
+  }
+
+  /**
+   * Count unread messages across all chats of a user or agent
+   * @param {string} side - 'user' or 'agent'
+   * @param {number} participantId - User or agent ID
+   */
+  async countUnreadByParticipant(side, participantId) {
+    const readerType = side.toUpperCase();
+
+    return await this.getRepository()
+      .createQueryBuilder('message')
+      .innerJoin('Chat', 'chat', 'chat.id = message.chatId')
+      .innerJoin('ServiceRequest', 'request', 'request.id = chat.requestId')
+      .where(`request.${side}Id = :participantId`, { participantId })
+      .andWhere('request.deletedAt IS NULL')
+      .andWhere('message.senderType != :readerType', { readerType })
+      .andWhere(`message.id > COALESCE(chat.${side}LastReadMessageId, 0)`)
+      .getCount();
+  }
+}
+
+module.exports = new MessageRepository();
@@ -0,0 +1,95 @@
+const { getRepository, IsNull } = require('typeorm');
+
+/**
+ * NotificationRepository
+ *
+ * Handles all database operations for Notification entity
+ */
+class NotificationRepository {
+  /**
+   * Get TypeORM repository (bound to a transaction's entity manager if given)
+   */
+  getRepository(manager = null) {
+    return manager ? manager.getRepository('Notification') : getRepository('Notification');
+  }
+
+  /**
+   * Create notifications
+   * @param {Array<Object>} notificationsData - One row per recipient
+   */
+  async createMany(notificationsData, manager = null) {
+    const repository = this.getRepository(manager);
+    return await repository.save(repository.create(notificationsData));
+  }
+
+  /**
+   * Find a recipient's notifications, newest first
+   * @param {Object} recipient - { type, id }
+   * @param {Object} options - { page, limit, unreadOnly }
+   */
+  async findForRecipient(recipient, options = {}) {
+    const { page = 1, limit = 20, unreadOnly = false } = options;
+
+    const [notifications, total] = await this.getRepository().findAndCount({
+      where: {
+        recipientType: recipient.type,
+        recipientId: recipient.id,
+        ...(unreadOnly && { readAt: IsNull() })
+      },
+      order: { createdAt: 'DESC', id: 'DESC' },
+      skip: (page - 1) * limit,
+      take: limit
+    });
+
+    return {
+      notifications,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    };
+  }
+
+  /**
+   * Count a recipient's unread notifications
+   */
+  async countUnread(recipient) {
+    return await this.getRepository().count({
+      where: {
+        recipientType: recipient.type,
+        recipientId: recipient.id,
+        readAt: IsNull()
+      }
+    });
+  }
+
+  /**
+   * Find a notification of a recipient
+   */
+  async findByIdForRecipient(notificationId, recipient) {
+    return await this.getRepository().findOne({
+      where: {
+        id: notificationId,
+        recipientType: recipient.type,
+        recipientId: recipient.id
+      }
+    });
+  }
+
+  /**
+   * Mark a recipient's unread notifications read (all of them, or the given one)
+   * @returns {Promise<number>} Number of notifications marked read
+   */
+  async markRead(recipient, readAt, notificationId = null) {
+    const result = await this.getRepository().update({
+      recipientType: recipient.type,
+      recipientId: recipient.id,
+      readAt: IsNull(),
+      ...(notificationId && { id: notificationId })
+    }, { readAt });
+
+    return result.affected || 0;
+  }
+}
+
+module.exports = new NotificationRepository();
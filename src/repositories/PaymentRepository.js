@@ -0,0 +1,70 @@
+const { getRepository } = require('typeorm');
+
+/**
+ * PaymentRepository
+ *
+ * Handles all database operations for Payment entity
+ */
+class PaymentRepository {
+  /**
+   * Get TypeORM repository (bound to a transaction's entity manager if given)
+   */
+  getRepository(manager = null) {
+    return manager ? manager.getRepository('Payment') : getRepository('Payment');
+  }
+
+  /**
+   * Create payment
+   */
+  async create(paymentData, manager = null) {
+    const repository = this.getRepository(manager);
+    const payment = repository.create(paymentData);
+    return await repository.save(payment);
+  }
+
+  /**
+   * Find payment by ID
+   */
+  async findById(paymentId) {
+    return await this.getRepository().findOne({
+      where: { id: paymentId }
+    });
+  }
+
+  /**
+   * Find payment by the gateway's payment intent ID
+   */
+  async findByGatewayReference(gateway, gatewayReference) {
+    return await this.getRepository().findOne({
+      where: { gateway, gatewayReference }
+    });
+  }
+
+  /**
+   * Find the latest payment of an invoice in the given status
+   */
+  async findLatestByInvoiceId(invoiceId, status, manager = null) {
+    return await this.getRepository(manager).findOne({
+      where: { invoiceId, status },
+      order: { createdAt: 'DESC', id: 'DESC' }
+    });
+  }
+
+  /**
+   * Update payment
+   */
+  async update(paymentId, updateData, manager = null) {
+    const repository = this.getRepository(manager);
+    await repository.update({ id: paymentId }, updateData);
+    return await repository.findOne({ where: { id: paymentId } });
+  }
+
+  /**
+   * Mark every pending payment of an invoice as cancelled
+   */
+  async cancelPending(invoiceId, manager = null) {
+    await this.getRepository(manager).update({ invoiceId, status: 'pending' }, { status: 'cancelled' });
+  }
+}
+
+module.exports = new PaymentRepository();
@@ -0,0 +1,119 @@
+const { getRepository, LessThan } = require('typeorm');
+const { OPEN_STATUSES } = require('@constants/serviceRequestWorkflow');
+
+/**
+ * ReassignmentRequestRepository
+ *
+ * Handles all database operations for ReassignmentRequest entity
+ */
+class ReassignmentRequestRepository {
+  /**
+   * Get TypeORM repository (bound to a transaction's entity manager if given)
+   */
+  getRepository(manager = null) {
+    return manager ? manager.getRepository('ReassignmentRequest') : getRepository('ReassignmentRequest');
+  }
+
+  /**
+   * Create a new reassignment request
+   */
+  async create(reassignmentData, manager = null) {
+    const repository = this.getRepository(manager);
+    const reassignment = repository.create(reassignmentData);
+    return await repository.save(reassignment);
+  }
+
+  /**
+   * Find reassignment by ID within a service request
+   */
+  async findByIdForRequest(reassignmentId, requestId) {
+    return await this.getRepository().findOne({
+      where: { id: reassignmentId, requestId }
+    });
+  }
+
+  /**
+   * Find the pending reassignment of a service request, if any
+   */
+  async findPending(requestId) {
+    return await this.getRepository().findOne({
+      where: { requestId, status: 'pending' }
+    });
+  }
+
+  /**
+   * Find pending reassignments of open service requests (oldest first)
+   * @param {Object} options - { page, limit, toAgentId, categoryId }
+   */
+  async findPendingQueue(options = {}) {
+    const { page = 1, limit = 20, toAgentId, categoryId } = options;
+
+    const queryBuilder = this.getRepository()
+      .createQueryBuilder('reassignment')
+      .innerJoin('reassignment.serviceRequest', 'request')
+      .addSelect([
+        'request.id', 'request.fullName', 'request.categoryId', 'request.status',
+        'request.priority', 'request.meetingDate', 'request.meetingTime'
+      ])
+      .leftJoin('reassignment.fromAgent', 'fromAgent')
+      .addSelect(['fromAgent.id', 'fromAgent.fullName', 'fromAgent.email'])
+      .leftJoin('reassignment.toAgent', 'toAgent')
+      .addSelect(['toAgent.id', 'toAgent.fullName', 'toAgent.email'])
+      .where('reassignment.status = :status', { status: 'pending' })
+      .andWhere('reassignment.expiresAt > :now', { now: new Date() })
+      .andWhere('request.status IN (:...openStatuses)', { openStatuses: OPEN_STATUSES })
+      .andWhere('request.deletedAt IS NULL');
+
+    if (toAgentId) {
+      queryBuilder.andWhere('reassignment.toAgentId = :toAgentId', { toAgentId });
+    }
+
+    if (categoryId) {
+      queryBuilder.andWhere('request.categoryId = :categoryId', { categoryId });
+    }
+
+    const [reassignments, total] = await queryBuilder
+      .orderBy('reassignment.expiresAt', 'ASC')
+      .skip((page - 1) * limit)
+      .take(limit)
+      .getManyAndCount();
+
+    return {
+      reassignments,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    };
+  }
+
+  /**
+   * Find pending reassignments whose expiry has passed
+   */
+  async findExpired(now = new Date()) {
+    return await this.getRepository().find({
+      where: { status: 'pending', expiresAt: LessThan(now) }
+    });
+  }
+
+  /**
+   * Mark all pending reassignments of a service request with the given status
+   */
+  async closePending(requestId, status, manager = null) {
+    await this.getRepository(manager).update(
+      { requestId, status: 'pending' },
+      { status }
+    );
+  }
+
+  /**
+   * Update reassignment
+   */
+  async update(reassignmentId, updateData, manager = null) {
+    const repository = this.getRepository(manager);
+    await repository.update(reassignmentId, updateData);
+    return await repository.findOne({ where: { id: reassignmentId } });
+  }
+}
+
+module.exports = new ReassignmentRequestRepository();
@@ -1,4 +1,4 @@
-const { getRepository } = require('typeorm');
+const { getRepository, Not } = require('typeorm');
 
 /**
  * RequestDocumentRepository
@@ -7,17 +7,17 @@ const { getRepository } = require('typeorm');
  */
 class RequestDocumentRepository {
   /**
-   * Get TypeORM repository
+   * Get TypeORM repository (bound to a transaction's entity manager if given)
    */
-  getRepository() {
-    return getRepository('RequestDocument');
+  getRepository(manager = null) {
+    return manager ? manager.getRepository('RequestDocument') : getRepository('RequestDocument');
   }
 
   /**
    * Create a new document
    */
-  async create(documentData) {
-    const repository = this.getRepository();
+  async create(documentData, manager = null) {
+    const repository = this.getRepository(manager);
     const document = repository.create(documentData);
     return await repository.save(document);
   }
@@ -25,8 +25,8 @@ class RequestDocumentRepository {
   /**
    * Create multiple documents
    */
-  async createMany(documentsData) {
-    const repository = this.getRepository();
+  async createMany(documentsData, manager = null) {
+    const repository = this.getRepository(manager);
     const documents = repository.create(documentsData);
     return await repository.save(documents);
   }
@@ -52,6 +52,15 @@ class RequestDocumentRepository {
     });
   }
 
+  /**
+   * Find a document by ID within a request
+   */
+  async findByIdForRequest(documentId, requestId, manager = null) {
+    return await this.getRepository(manager).findOne({
+      where: { id: documentId, requestId, deletedAt: null }
+    });
+  }
+
   /**
    * Count documents for a request
    */
@@ -61,6 +70,33 @@ class RequestDocumentRepository {
     });
   }
 
+  /**
+   * Count documents of a request that were not rejected
+   */
+  async countActiveByRequestId(requestId) {
+    return await this.getRepository().count({
+      where: { requestId, deletedAt: null, status: Not('rejected') }
+    });
+  }
+
+  /**
+   * Count uploads for a requirement still waiting for review
+   */
+  async countSubmittedForRequirement(requirementId, manager = null) {
+    return await this.getRepository(manager).count({
+      where: { requirementId, deletedAt: null, status: 'submitted' }
+    });
+  }
+
+  /**
+   * Update document
+   */
+  async update(documentId, updateData, manager = null) {
+    const repository = this.getRepository(manager);
+    await repository.update({ id: documentId }, updateData);
+    return await repository.findOne({ where: { id: documentId } });
+  }
+
   /**
    * Delete document (soft delete)
    */
@@ -0,0 +1,73 @@
+const { getRepository } = require('typeorm');
+
+/**
+ * RescheduleProposalRepository
+ *
+ * Handles all database operations for RescheduleProposal entity
+ */
+class RescheduleProposalRepository {
+  /**
+   * Get TypeORM repository (bound to a transaction's entity manager if given)
+   */
+  getRepository(manager = null) {
+    return manager ? manager.getRepository('RescheduleProposal') : getRepository('RescheduleProposal');
+  }
+
+  /**
+   * Create a new proposal
+   */
+  async create(proposalData, manager = null) {
+    const repository = this.getRepository(manager);
+    const proposal = repository.create(proposalData);
+    return await repository.save(proposal);
+  }
+
+  /**
+   * Find proposal by ID within a request
+   */
+  async findByIdForRequest(proposalId, requestId) {
+    return await this.getRepository().findOne({
+      where: { id: proposalId, requestId }
+    });
+  }
+
+  /**
+   * Find all proposals for a request (newest first)
+   */
+  async findByRequestId(requestId) {
+    return await this.getRepository().find({
+      where: { requestId },
+      order: { createdAt: 'DESC', id: 'DESC' }
+    });
+  }
+
+  /**
+   * Find the pending proposal of a request, if any
+   */
+  async findPending(requestId) {
+    return await this.getRepository().findOne({
+      where: { requestId, status: 'pending' }
+    });
+  }
+
+  /**
+   * Mark all pending proposals of a request with the given status
+   */
+  async closePending(requestId, status, manager = null) {
+    await this.getRepository(manager).update(
+      { requestId, status: 'pending' },
+      { status }
+    );
+  }
+
+  /**
+   * Update proposal
+   */
+  async update(proposalId, updateData, manager = null) {
+    const repository = this.getRepository(manager);
+    await repository.update(proposalId, updateData);
+    return await repository.findOne({ where: { id: proposalId } });
+  }
+}
+
+module.exports = new RescheduleProposalRepository();
@@ -0,0 +1,36 @@
+const { getRepository } = require('typeorm');
+
+/**
+ * ServiceRequestEventRepository
+ *
+ * Handles all database operations for ServiceRequestEvent entity
+ */
+class ServiceRequestEventRepository {
+  /**
+   * Get TypeORM repository (bound to a transaction's entity manager if given)
+   */
+  getRepository(manager = null) {
+    return manager ? manager.getRepository('ServiceRequestEvent') : getRepository('ServiceRequestEvent');
+  }
+
+  /**
+   * Create a new event
+   */
+  async create(eventData, manager = null) {
+    const repository = this.getRepository(manager);
+    const event = repository.create(eventData);
+    return await repository.save(event);
+  }
+
+  /**
+   * Find all events for a request (oldest first)
+   */
+  async findByRequestId(requestId) {
+    return await this.getRepository().find({
+      where: { requestId },
+      order: { createdAt: 'ASC', id: 'ASC' }
+    });
+  }
+}
+
+module.exports = new ServiceRequestEventRepository();
@@ -0,0 +1,36 @@
+const { getRepository } = require('typeorm');
+
+/**
+ * ServiceRequestItemRepository
+ *
+ * Handles all database operations for ServiceRequestItem entity
+ */
+class ServiceRequestItemRepository {
+  /**
+   * Get TypeORM repository (bound to a transaction's entity manager if given)
+   */
+  getRepository(manager = null) {
+    return manager ? manager.getRepository('ServiceRequestItem') : getRepository('ServiceRequestItem');
+  }
+
+  /**
+   * Create multiple line items
+   */
+  async createMany(itemsData, manager = null) {
+    const repository = this.getRepository(manager);
+    const items = repository.create(itemsData);
+    return await repository.save(items);
+  }
+
+  /**
+   * Find all line items of a request
+   */
+  async findByRequestId(requestId) {
+    return await this.getRepository().find({
+      where: { requestId },
+      order: { id: 'ASC' }
+    });
+  }
+}
+
+module.exports = new ServiceRequestItemRepository();
@@ -1,4 +1,6 @@
-const { getRepository } = require('typeorm');
+const { getRepository, In } = require('typeorm');
+const { ACTIVE_BOOKING_STATUSES, OPEN_STATUSES } = require('@constants/serviceRequestWorkflow');
+const { DEFAULT_SORT, SEARCH_COLUMNS, parseSort } = require('@constants/serviceRequestSearch');
 
 /**
  * ServiceRequestRepository
@@ -7,17 +9,17 @@ const { getRepository } = require('typeorm');
  */
 class ServiceRequestRepository {
   /**
-   * Get TypeORM repository
+   * Get TypeORM repository (bound to a transaction's entity manager if given)
    */
-  getRepository() {
-    return getRepository('ServiceRequest');
+  getRepository(manager = null) {
+    return manager ? manager.getRepository('ServiceRequest') : getRepository('ServiceRequest');
   }
 
   /**
    * Create a new service request
    */
-  async create(requestData) {
-    const repository = this.getRepository();
+  async create(requestData, manager = null) {
+    const repository = this.getRepository(manager);
     const request = repository.create(requestData);
     return await repository.save(request);
   }
@@ -25,13 +27,53 @@ class ServiceRequestRepository {
   /**
    * Find service request by ID
    */
-  async findById(requestId) {
-    return await this.getRepository().findOne({
+  async findById(requestId, manager = null) {
+    return await this.getRepository(manager).findOne({
       where: { id: requestId, deletedAt: null },
-      relations: ['user', 'category', 'agent', 'service', 'documents']
+      relations: ['user', 'category', 'agent', 'service', 'documents', 'applicationType', 'items', 'branch', 'meetingRoom']
     });
   }
 
+  /**
+   * Get the meeting link of a request (not selected by default)
+   */
+  async findMeetingLink(requestId) {
+    const request = await this.getRepository()
+      .createQueryBuilder('request')
+      .select(['request.id', 'request.meetingLink'])
+      .where('request.id = :requestId', { requestId })
+      .getOne();
+
+    return request ? request.meetingLink : null;
+  }
+
+  /**
+   * Get the check-in code of a request (not selected by default)
+   */
+  async findCheckInCode(requestId) {
+    const request = await this.getRepository()
+      .createQueryBuilder('request')
+      .select(['request.id', 'request.checkInCode'])
+      .where('request.id = :requestId', { requestId })
+      .getOne();
+
+    return request ? request.checkInCode : null;
+  }
+
+  /**
+   * Find the request a check-in code was issued to
+   */
+  async findByCheckInCode(checkInCode) {
+    const request = await this.getRepository()
+      .createQueryBuilder('request')
+      .select(['request.id'])
+      .where('request.checkInCode = :checkInCode', { checkInCode })
+      .andWhere('request.deletedAt IS NULL')
+      .getOne();
+
+    return request ? await this.findById(request.id) : null;
+  }
+
   /**
    * Find all requests by user ID
    */
@@ -44,6 +86,7 @@ class ServiceRequestRepository {
       .leftJoinAndSelect('request.agent', 'agent')
       .leftJoinAndSelect('request.service', 'service')
       .leftJoinAndSelect('request.documents', 'documents')
+      .addSelect('request.meetingLink')
       .where('request.userId = :userId', { userId })
       .andWhere('request.deletedAt IS NULL');
 
@@ -83,6 +126,7 @@ class ServiceRequestRepository {
       .leftJoinAndSelect('request.category', 'category')
       .leftJoinAndSelect('request.service', 'service')
       .leftJoinAndSelect('request.documents', 'documents')
+      .addSelect('request.meetingLink')
       .where('request.agentId = :agentId', { agentId })
       .andWhere('request.deletedAt IS NULL');
 
@@ -112,67 +156,90 @@ class ServiceRequestRepository {
   }
 
   /**
-   * Find all requests (for admin)
+   * Search requests (for admin)
+   * Filters: status, priority, categoryId, agentId, serviceId (lists), meeting and
+   * created date ranges (YYYY-MM-DD, inclusive), slaBreached and a free-text search.
+   * Pages by offset (page), or by keyset when `after` holds the sort values of the
+   * previous page's last row, which stays stable while requests are added or updated.
+   * @returns {Promise<Object>} { requests, hasMore, lastSortValues } plus
+   *   { total, page, totalPages } for offset pages
    */
   async findAll(options = {}) {
-    const { page = 1, limit = 10, status, categoryId, agentId, priority, searchTerm } = options;
+    const { page = 1, limit = 10, sort = DEFAULT_SORT, after = null } = options;
+    const keys = parseSort(sort);
 
     const queryBuilder = this.getRepository()
       .createQueryBuilder('request')
-      .leftJoinAndSelect('request.user', 'user')
-      .leftJoinAndSelect('request.category', 'category')
-      .leftJoinAndSelect('request.agent', 'agent')
-      .leftJoinAndSelect('request.service', 'service')
-      .leftJoinAndSelect('request.documents', 'documents')
+      .select('request.id', 'id')
       .where('request.deletedAt IS NULL');
 
-    if (status) {
-      queryBuilder.andWhere('request.status = :status', { status });
-    }
-
-    if (categoryId) {
-      queryBuilder.andWhere('request.categoryId = :categoryId', { categoryId });
-    }
+    this._applySearchFilters(queryBuilder, options);
 
-    if (agentId) {
-      queryBuilder.andWhere('request.agentId = :agentId', { agentId });
-    }
+    const total = after ? null : await queryBuilder.getCount();
 
-    if (priority) {
-      queryBuilder.andWhere('request.priority = :priority', { priority });
-    }
+    keys.forEach((key, index) => {
+      queryBuilder
+        .addSelect(key.value, `sort_${index}`)
+        .addOrderBy(key.expression, key.direction);
+    });
 
-    if (searchTerm) {
-      queryBuilder.andWhere(
-        '(request.fullName LIKE :search OR request.email LIKE :search OR request.phone LIKE :search OR request.notes LIKE :search)',
-        { search: `%${searchTerm}%` }
-      );
+    if (after) {
+      this._applyKeyset(queryBuilder, keys, after);
+    } else {
+      queryBuilder.offset((page - 1) * limit);
     }
 
-    queryBuilder
-      .orderBy('request.priority', 'DESC')
-      .addOrderBy('request.createdAt', 'DESC')
-      .skip((page - 1) * limit)
-      .take(limit);
-
-    const [requests, total] = await queryBuilder.getManyAndCount();
-
-    return {
-      requests,
-      total,
-      page,
+    // One extra row tells whether another page follows
+    const rows = await queryBuilder.limit(limit + 1).getRawMany();
+    const pageRows = rows.slice(0, limit);
+    const lastRow = pageRows[pageRows.length - 1];
+
+    // Relations are loaded separately: joining one-to-many documents would break LIMIT
+    const found = pageRows.length > 0
+      ? await this.getRepository().find({
+        where: { id: In(pageRows.map(row => row.id)) },
+        relations: ['user', 'category', 'agent', 'service', 'documents']
+      })
+      : [];
+    const byId = new Map(found.map(request => [request.id, request]));
+
+    const result = {
+      requests: pageRows.map(row => byId.get(row.id)).filter(Boolean),
       limit,
-      totalPages: Math.ceil(total / limit)
+      hasMore: rows.length > limit,
+      lastSortValues: lastRow ? keys.map((key, index) => lastRow[`sort_${index}`]) : null
     };
+
+    if (!after) {
+      Object.assign(result, { total, page, totalPages: Math.ceil(total / limit) });
+    }
+
+    return result;
   }
 
   /**
    * Update service request
    */
-  async update(requestId, updateData) {
-    const repository = this.getRepository();
+  async update(requestId, updateData, manager = null) {
+    const repository = this.getRepository(manager);
     await repository.update({ id: requestId }, updateData);
-    return await this.findById(requestId);
+    return await this.findById(requestId, manager);
+  }
+
+  /**
+   * Record the user's arrival unless already recorded (concurrent front-desk scans)
+   * @returns {Promise<boolean>} Whether this call recorded it
+   */
+  async markArrived(requestId, arrivedAt, checkedInBy, manager = null) {
+    const result = await this.getRepository(manager)
+      .createQueryBuilder()
+      .update()
+      .set({ arrivedAt, checkedInBy })
+      .where('id = :requestId', { requestId })
+      .andWhere('arrivedAt IS NULL')
+      .execute();
+
+    return result.affected > 0;
   }
 
   /**
@@ -182,6 +249,14 @@ class ServiceRequestRepository {
     return await this.update(requestId, { deletedAt: new Date() });
   }
 
+  /**
+   * Delete service requests outright, with their events, invoices and other dependent rows
+   * (ON DELETE CASCADE). Only for requests that were never announced to anyone
+   */
+  async deleteMany(requestIds, manager = null) {
+    await this.getRepository(manager).delete(requestIds);
+  }
+
   /**
    * Check if user has a pending request for same category
    */
@@ -198,7 +273,7 @@ class ServiceRequestRepository {
   }
 
   /**
-   * Get requests statistics
+   * Get requests statistics: counts by status, priority and meeting attendance
    */
   async getStatistics(filters = {}) {
     const { agentId, categoryId, startDate, endDate } = filters;
@@ -237,6 +312,21 @@ class ServiceRequestRepository {
       .groupBy('request.priority')
       .getRawMany();
 
+    // Front-desk check-ins, late when after the scheduled meeting time
+    const arrivalCounts = await queryBuilder
+      .select('COUNT(request.arrivedAt)', 'checkedIn')
+      .addSelect('SUM(request.arrivedAt > TIMESTAMP(request.meetingDate, request.meetingTime))', 'late')
+      .groupBy()
+      .getRawOne();
+
+    // Last: narrows the query builder to meetings with a recorded attendance
+    const attendanceCounts = await queryBuilder
+      .select('request.attendanceStatus', 'attendance')
+      .addSelect('COUNT(*)', 'count')
+      .andWhere('request.attendanceStatus IS NOT NULL')
+      .groupBy('request.attendanceStatus')
+      .getRawMany();
+
     return {
       total,
       byStatus: statusCounts.reduce((acc, curr) => {
@@ -246,10 +336,69 @@ class ServiceRequestRepository {
       byPriority: priorityCounts.reduce((acc, curr) => {
         acc[curr.priority] = parseInt(curr.count);
         return acc;
-      }, {})
+      }, {}),
+      byAttendance: attendanceCounts.reduce((acc, curr) => {
+        acc[curr.attendance] = parseInt(curr.count);
+        return acc;
+      }, {}),
+      arrivals: {
+        checkedIn: parseInt(arrivalCounts.checkedIn) || 0,
+        late: parseInt(arrivalCounts.late) || 0
+      }
     };
   }
 
+  /**
+   * Find the follow-up meetings of a request in meeting order
+   * @param {number} parentRequestId - First request of the thread
+   * @param {Array} statuses - Only follow-ups in these statuses (optional)
+   */
+  async findFollowUps(parentRequestId, statuses = null) {
+    return await this.getRepository().find({
+      where: {
+        parentRequestId,
+        deletedAt: null,
+        ...(statuses && { status: In(statuses) })
+      },
+      relations: ['agent'],
+      order: { meetingDate: 'ASC', meetingTime: 'ASC' }
+    });
+  }
+
+  /**
+   * Get open requests with their department, for SLA evaluation
+   * @param {Object} filters - { agentId, categoryId, startDate, endDate }
+   */
+  async findOpenForSla(filters = {}) {
+    const { agentId, categoryId, startDate, endDate } = filters;
+
+    const queryBuilder = this.getRepository()
+      .createQueryBuilder('request')
+      .leftJoinAndSelect('request.category', 'category')
+      .where('request.deletedAt IS NULL')
+      .andWhere('request.status IN (:...statuses)', { statuses: OPEN_STATUSES });
+
+    if (agentId) {
+      queryBuilder.andWhere('request.agentId = :agentId', { agentId });
+    }
+
+    if (categoryId) {
+      queryBuilder.andWhere('request.categoryId = :categoryId', { categoryId });
+    }
+
+    if (startDate) {
+      queryBuilder.andWhere('request.createdAt >= :startDate', { startDate });
+    }
+
+    if (endDate) {
+      queryBuilder.andWhere('request.createdAt <= :endDate', { endDate });
+    }
+
+    return await queryBuilder
+      .orderBy('request.createdAt', 'ASC')
+      .getMany();
+  }
+
   /**
    * Count documents for a request
    */
@@ -263,10 +412,183 @@ class ServiceRequestRepository {
     });
   }
 
+  /**
+   * Get an agent's booked (pending/approved) meetings between two dates
+   */
+  async findAgentMeetingsInRange(agentId, fromDate, toDate, excludeRequestId = null) {
+    const queryBuilder = this.getRepository()
+      .createQueryBuilder('request')
+      .select([
+        'request.id',
+        'request.meetingDate',
+        'request.meetingTime',
+        'request.meetingDuration'
+      ])
+      .where('request.agentId = :agentId', { agentId })
+      .andWhere('request.status IN (:...statuses)', { statuses: ACTIVE_BOOKING_STATUSES })
+      .andWhere('request.meetingDate BETWEEN :fromDate AND :toDate', { fromDate, toDate })
+      .andWhere('request.deletedAt IS NULL');
+
+    if (excludeRequestId) {
+      queryBuilder.andWhere('request.id != :excludeRequestId', { excludeRequestId });
+    }
+
+    return await queryBuilder
+      .orderBy('request.meetingDate', 'ASC')
+      .addOrderBy('request.meetingTime', 'ASC')
+      .getMany();
+  }
+
+  /**
+   * Count open requests per agent
+   * @returns {Promise<Object>} { [agentId]: count } (agents without open requests are omitted)
+   */
+  async countOpenByAgentIds(agentIds) {
+    if (!agentIds.length) {
+      return {};
+    }
+
+    const rows = await this.getRepository()
+      .createQueryBuilder('request')
+      .select('request.agentId', 'agentId')
+      .addSelect('COUNT(*)', 'count')
+      .where('request.agentId IN (:...agentIds)', { agentIds })
+      .andWhere('request.status IN (:...statuses)', { statuses: ACTIVE_BOOKING_STATUSES })
+      .andWhere('request.deletedAt IS NULL')
+      .groupBy('request.agentId')
+      .getRawMany();
+
+    return rows.reduce((acc, row) => {
+      acc[row.agentId] = parseInt(row.count);
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Find the latest request of a category auto-assigned with the given strategy
+   */
+  async findLastAutoAssigned(categoryId, strategy) {
+    return await this.getRepository().findOne({
+      where: {
+        categoryId,
+        assignmentStrategy: strategy
+      },
+      order: { id: 'DESC' }
+    });
+  }
+
+  /**
+   * Check whether an agent already has a booked meeting overlapping the given time range
+   * When called inside a transaction the agent's meetings for that day are row-locked
+   */
+  async hasOverlappingMeeting(agentId, meetingDate, meetingTime, duration, excludeRequestId = null, manager = null) {
+    const queryBuilder = this.getRepository(manager)
+      .createQueryBuilder('request')
+      .where('request.agentId = :agentId', { agentId })
+      .andWhere('request.meetingDate = :meetingDate', { meetingDate })
+      .andWhere('request.status IN (:...statuses)', { statuses: ACTIVE_BOOKING_STATUSES })
+      .andWhere('request.deletedAt IS NULL');
+
+    if (excludeRequestId) {
+      queryBuilder.andWhere('request.id != :excludeRequestId', { excludeRequestId });
+    }
+
+    if (manager) {
+      queryBuilder.setLock('pessimistic_write');
+    }
+
+    const meetings = await queryBuilder.getMany();
+
+    const toMinutes = (time) => {
+      const [hours, minutes] = String(time).split(':').map(Number);
+      return hours * 60 + (minutes || 0);
+    };
+
+    const start = toMinutes(meetingTime);
+    const end = start + duration;
+
+    return meetings.some(meeting => {
+      const meetingStart = toMinutes(meeting.meetingTime);
+      const meetingEnd = meetingStart + (meeting.meetingDuration || 60);
+      return start < meetingEnd && end > meetingStart;
+    });
+  }
+
+  /**
+   * Get the meetings booked in some rooms on a date
+   * Row-locked when run inside a transaction (room allocation)
+   * @param {Array<number>} roomIds - Meeting room IDs
+   * @param {number} excludeRequestId - Request being (re)allocated
+   */
+  async findRoomMeetings(roomIds, meetingDate, excludeRequestId = null, manager = null) {
+    if (!roomIds.length) {
+      return [];
+    }
+
+    const queryBuilder = this.getRepository(manager)
+      .createQueryBuilder('request')
+      .select([
+        'request.id',
+        'request.meetingRoomId',
+        'request.meetingTime',
+        'request.meetingDuration'
+      ])
+      .where('request.meetingRoomId IN (:...roomIds)', { roomIds })
+      .andWhere('request.meetingDate = :meetingDate', { meetingDate })
+      .andWhere('request.status IN (:...statuses)', { statuses: ACTIVE_BOOKING_STATUSES })
+      .andWhere('request.deletedAt IS NULL');
+
+    if (excludeRequestId) {
+      queryBuilder.andWhere('request.id != :excludeRequestId', { excludeRequestId });
+    }
+
+    if (manager) {
+      queryBuilder.setLock('pessimistic_write');
+    }
+
+    return await queryBuilder.getMany();
+  }
+
+  /**
+   * Get the offline meetings booked at a branch on a date, in meeting order
+   * (front-desk schedule; includes meetings not allocated a room yet)
+   */
+  async findBranchMeetings(branchId, meetingDate) {
+    return await this.getRepository()
+      .createQueryBuilder('request')
+      .leftJoin('request.agent', 'agent')
+      .leftJoin('request.category', 'category')
+      .select([
+        'request.id',
+        'request.status',
+        'request.fullName',
+        'request.phone',
+        'request.meetingRoomId',
+        'request.meetingDate',
+        'request.meetingTime',
+        'request.meetingDuration',
+        'agent.id',
+        'agent.fullName',
+        'category.id',
+        'category.name',
+        'category.nameAr'
+      ])
+      .where('request.branchId = :branchId', { branchId })
+      .andWhere('request.meetingType = :meetingType', { meetingType: 'offline' })
+      .andWhere('request.meetingDate = :meetingDate', { meetingDate })
+      .andWhere('request.status IN (:...statuses)', { statuses: ACTIVE_BOOKING_STATUSES })
+      .andWhere('request.deletedAt IS NULL')
+      .orderBy('request.meetingTime', 'ASC')
+      .getMany();
+  }
+
   /**
    * Get upcoming meetings for an agent
+   * @param {number} agentId - Agent ID
+   * @param {number} days - Days ahead to include
+   * @param {Array<string>} statuses - Request statuses to include (booked meetings by default)
    */
-  async getUpcomingMeetings(agentId, days = 7) {
+  async getUpcomingMeetings(agentId, days = 7, statuses = ACTIVE_BOOKING_STATUSES) {
     const today = new Date();
     const futureDate = new Date();
     futureDate.setDate(today.getDate() + days);
@@ -276,8 +598,9 @@ class ServiceRequestRepository {
       .leftJoinAndSelect('request.user', 'user')
       .leftJoinAndSelect('request.category', 'category')
       .leftJoinAndSelect('request.service', 'service')
+      .addSelect('request.meetingLink')
       .where('request.agentId = :agentId', { agentId })
-      .andWhere('request.status IN (:...statuses)', { statuses: ['approved', 'pending'] })
+      .andWhere('request.status IN (:...statuses)', { statuses })
       .andWhere('request.meetingDate >= :today', { today: today.toISOString().split('T')[0] })
       .andWhere('request.meetingDate <= :futureDate', { futureDate: futureDate.toISOString().split('T')[0] })
       .andWhere('request.deletedAt IS NULL')
@@ -285,6 +608,74 @@ class ServiceRequestRepository {
       .addOrderBy('request.meetingTime', 'ASC')
       .getMany();
   }
+
+  /**
+   * PRIVATE HELPER METHODS
+   */
+
+  _applySearchFilters(queryBuilder, filters) {
+    const listFilters = {
+      status: 'request.status',
+      priority: 'request.priority',
+      categoryId: 'request.categoryId',
+      agentId: 'request.agentId',
+      serviceId: 'request.serviceId'
+    };
+
+    Object.entries(listFilters).forEach(([name, column]) => {
+      const values = filters[name] ? [].concat(filters[name]) : [];
+      if (values.length > 0) {
+        queryBuilder.andWhere(`${column} IN (:...${name})`, { [name]: values });
+      }
+    });
+
+    if (filters.meetingDateFrom) {
+      queryBuilder.andWhere('request.meetingDate >= :meetingDateFrom', { meetingDateFrom: filters.meetingDateFrom });
+    }
+
+    if (filters.meetingDateTo) {
+      queryBuilder.andWhere('request.meetingDate <= :meetingDateTo', { meetingDateTo: filters.meetingDateTo });
+    }
+
+    if (filters.createdFrom) {
+      queryBuilder.andWhere('request.createdAt >= :createdFrom', { createdFrom: filters.createdFrom });
+    }
+
+    if (filters.createdTo) {
+      queryBuilder.andWhere('request.createdAt < DATE_ADD(:createdTo, INTERVAL 1 DAY)', { createdTo: filters.createdTo });
+    }
+
+    if (filters.slaBreached !== undefined) {
+      queryBuilder.andWhere(filters.slaBreached ? 'request.slaBreaches IS NOT NULL' : 'request.slaBreaches IS NULL');
+    }
+
+    if (filters.searchTerm) {
+      const search = `%${filters.searchTerm.replace(/[\\%_]/g, '\\$&')}%`;
+      queryBuilder.andWhere(
+        `(${SEARCH_COLUMNS.map(column => `request.${column} LIKE :search`).join(' OR ')})`,
+        { search }
+      );
+    }
+  }
+
+  /**
+   * Rows strictly after the given sort values:
+   * (k1 > v1) OR (k1 = v1 AND k2 > v2) OR ... (">" becomes "<" for descending keys)
+   */
+  _applyKeyset(queryBuilder, keys, values) {
+    const parameters = {};
+
+    const clauses = keys.map((key, index) => {
+      parameters[`after_${index}`] = values[index];
+
+      const equalities = keys.slice(0, index).map((previous, j) => `${previous.expression} = :after_${j}`);
+      const comparison = `${key.expression} ${key.direction === 'DESC' ? '<' : '>'} :after_${index}`;
+
+      return `(${[...equalities, comparison].join(' AND ')})`;
+    });
+
+    queryBuilder.andWhere(`(${clauses.join(' OR ')})`, parameters);
+  }
 }
 
 module.exports = new ServiceRequestRepository();
@@ -7,12 +7,12 @@ const { getConnection } = require('typeorm');
  */
 class ShiftRepository {
   /**
-   * Get all active shifts
+   * Get all active shifts (or all shifts, for admins managing them)
    */
-  async findAll() {
+  async findAll(includeInactive = false) {
     const repository = getConnection().getRepository('Shift');
     return await repository.find({
-      where: { isActive: true },
+      where: includeInactive ? {} : { isActive: true },
       relations: ['department', 'breakPolicy'],
       order: { name: 'ASC' }
     });
@@ -29,6 +29,21 @@ class ShiftRepository {
     });
   }
 
+  /**
+   * Find shift by name (optionally excluding a shift)
+   */
+  async findByName(name, excludeId = null) {
+    const repository = getConnection().getRepository('Shift');
+    const query = repository.createQueryBuilder('shift')
+      .where('shift.name = :name', { name });
+
+    if (excludeId) {
+      query.andWhere('shift.id != :excludeId', { excludeId });
+    }
+
+    return await query.getOne();
+  }
+
   /**
    * Find shifts by department
    */
@@ -52,10 +67,10 @@ class ShiftRepository {
   }
 
   /**
-   * Create new shift
+   * Create new shift (inside a transaction if a manager is given)
    */
-  async create(data) {
-    const repository = getConnection().getRepository('Shift');
+  async create(data, manager = null) {
+    const repository = (manager || getConnection()).getRepository('Shift');
     const shift = repository.create(data);
     return await repository.save(shift);
   }
@@ -71,20 +86,38 @@ class ShiftRepository {
 
   /**
    * Check if shift time overlaps with existing shifts
+   * An overnight shift (ending before it starts) is the two ranges [start, 24:00)
+   * and [00:00, end); two overnight shifts always overlap at midnight
+   * @param {string} startTime - HH:MM:SS
+   * @param {string} endTime - HH:MM:SS
+   * @param {Object} scope - Only compare with shifts of this { assignmentType, departmentId } (optional)
    */
-  async hasOverlap(startTime, endTime, excludeId = null) {
+  async hasOverlap(startTime, endTime, excludeId = null, scope = null) {
+    const overnight = endTime < startTime;
+    const overlap = overnight
+      ? '(shift.endTime < shift.startTime OR shift.startTime < :endTime OR shift.endTime > :startTime)'
+      : '((shift.startTime < shift.endTime AND shift.startTime < :endTime AND shift.endTime > :startTime)' +
+        ' OR (shift.endTime < shift.startTime AND (shift.startTime < :endTime OR shift.endTime > :startTime)))';
+
     const repository = getConnection().getRepository('Shift');
     const query = repository.createQueryBuilder('shift')
       .where('shift.isActive = :isActive', { isActive: true })
-      .andWhere('(shift.startTime < :endTime AND shift.endTime > :startTime)', {
-        startTime,
-        endTime
-      });
+      .andWhere(overlap, { startTime, endTime });
 
     if (excludeId) {
       query.andWhere('shift.id != :excludeId', { excludeId });
     }
 
+    if (scope) {
+      query.andWhere('shift.assignmentType = :assignmentType', { assignmentType: scope.assignmentType });
+
+      if (scope.departmentId) {
+        query.andWhere('shift.departmentId = :departmentId', { departmentId: scope.departmentId });
+      } else {
+        query.andWhere('shift.departmentId IS NULL');
+      }
+    }
+
     const count = await query.getCount();
     return count > 0;
   }
@@ -142,6 +142,16 @@ class UserRepository {
     return await this.findById(id);
   }
 
+  /**
+   * Add one missed meeting to the user's no-show count
+   * @param {number} id - User ID
+   * @param {Object} manager - Transaction entity manager (optional)
+   */
+  async incrementNoShowCount(id, manager = null) {
+    const repository = manager ? manager.getRepository('User') : this.getRepository();
+    await repository.increment({ id }, 'noShowCount', 1);
+  }
+
   /**
    * Soft delete user
    * @param {number} id - User ID
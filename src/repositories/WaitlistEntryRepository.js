@@ -0,0 +1,143 @@
+const { getRepository, In, IsNull, LessThan } = require('typeorm');
+
+/**
+ * WaitlistEntryRepository
+ *
+ * Handles all database operations for WaitlistEntry entity
+ */
+class WaitlistEntryRepository {
+  /**
+   * Get TypeORM repository (bound to a transaction's entity manager if given)
+   */
+  getRepository(manager = null) {
+    return manager ? manager.getRepository('WaitlistEntry') : getRepository('WaitlistEntry');
+  }
+
+  /**
+   * Create a new waitlist entry
+   */
+  async create(entryData) {
+    const repository = this.getRepository();
+    const entry = repository.create(entryData);
+    return await repository.save(entry);
+  }
+
+  /**
+   * Find waitlist entry by ID
+   */
+  async findById(entryId) {
+    return await this.getRepository().findOne({
+      where: { id: entryId }
+    });
+  }
+
+  /**
+   * Find a user's waiting (or offered) entry for the same department and agent
+   */
+  async findActiveForUser(userId, categoryId, agentId = null) {
+    return await this.getRepository().findOne({
+      where: {
+        userId,
+        categoryId,
+        agentId: agentId || IsNull(),
+        status: In(['waiting', 'offered'])
+      }
+    });
+  }
+
+  /**
+   * Find a user's waitlist entries, newest first
+   * @param {Object} options - { page, limit, status }
+   */
+  async findByUserId(userId, options = {}) {
+    const { page = 1, limit = 20, status } = options;
+
+    const [entries, total] = await this.getRepository().findAndCount({
+      where: {
+        userId,
+        ...(status && { status })
+      },
+      relations: ['category', 'agent', 'offeredAgent'],
+      order: { createdAt: 'DESC' },
+      skip: (page - 1) * limit,
+      take: limit
+    });
+
+    return {
+      entries,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    };
+  }
+
+  /**
+   * Find waiting entries a freed slot could be offered to, in the order they joined
+   * @param {Object} slot - { agentId, categoryId, meetingDate, excludeIds }
+   */
+  async findWaitingForSlot({ agentId, categoryId, meetingDate, excludeIds = [] }) {
+    const queryBuilder = this.getRepository()
+      .createQueryBuilder('entry')
+      .where('entry.status = :status', { status: 'waiting' })
+      .andWhere('entry.categoryId = :categoryId', { categoryId })
+      .andWhere('(entry.agentId IS NULL OR entry.agentId = :agentId)', { agentId })
+      .andWhere('entry.dateFrom <= :meetingDate', { meetingDate })
+      .andWhere('entry.dateTo >= :meetingDate', { meetingDate });
+
+    if (excludeIds.length > 0) {
+      queryBuilder.andWhere('entry.id NOT IN (:...excludeIds)', { excludeIds });
+    }
+
+    return await queryBuilder
+      .orderBy('entry.createdAt', 'ASC')
+      .addOrderBy('entry.id', 'ASC')
+      .getMany();
+  }
+
+  /**
+   * Find the slots currently held for waitlisted users on an agent's calendar
+   */
+  async findActiveHolds(agentId, fromDate, toDate) {
+    return await this.getRepository()
+      .createQueryBuilder('entry')
+      .where('entry.status = :status', { status: 'offered' })
+      .andWhere('entry.offeredAgentId = :agentId', { agentId })
+      .andWhere('entry.offeredDate BETWEEN :fromDate AND :toDate', { fromDate, toDate })
+      .andWhere('entry.offerExpiresAt > :now', { now: new Date() })
+      .getMany();
+  }
+
+  /**
+   * Find offers whose hold has lapsed
+   */
+  async findLapsedOffers(now = new Date()) {
+    return await this.getRepository().find({
+      where: { status: 'offered', offerExpiresAt: LessThan(now) }
+    });
+  }
+
+  /**
+   * Expire waiting entries whose date range has passed
+   * @returns {Promise<number>} Number of entries expired
+   */
+  async expirePast(today) {
+    const result = await this.getRepository().update(
+      { status: 'waiting', dateTo: LessThan(today) },
+      { status: 'expired' }
+    );
+
+    return result.affected || 0;
+  }
+
+  /**
+   * Update waitlist entry
+   */
+  async update(entryId, updateData, manager = null) {
+    const repository = this.getRepository(manager);
+    await repository.update(entryId, updateData);
+    return await repository.findOne({ where: { id: entryId } });
+  }
+}
+
+module.exports = new WaitlistEntryRepository();
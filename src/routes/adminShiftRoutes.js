@@ -58,13 +58,50 @@ router.get(
   adminShiftController.getSessionDetails
 );
 
-// Shifts and departments (read-only for MVP)
+// Shifts and their break policies
 router.get(
   '/shifts',
   requirePermission('view_shifts'),
+  shiftValidators.shiftFiltersValidation,
   adminShiftController.getShifts
 );
 
+router.get(
+  '/shifts/:id',
+  requirePermission('view_shifts'),
+  shiftValidators.shiftIdValidation,
+  adminShiftController.getShift
+);
+
+router.post(
+  '/shifts',
+  requirePermission('create_shifts'),
+  shiftValidators.createShiftValidation,
+  adminShiftController.createShift
+);
+
+router.put(
+  '/shifts/:id',
+  requirePermission('update_shifts'),
+  shiftValidators.updateShiftValidation,
+  adminShiftController.updateShift
+);
+
+router.delete(
+  '/shifts/:id',
+  requirePermission('delete_shifts'),
+  shiftValidators.shiftIdValidation,
+  adminShiftController.deactivateShift
+);
+
+router.put(
+  '/shifts/:id/break-policy',
+  requirePermission('manage_breaks'),
+  shiftValidators.updateBreakPolicyValidation,
+  adminShiftController.updateBreakPolicy
+);
+
+// Departments (read-only)
 router.get(
   '/departments',
   requirePermission('view_departments'),
@@ -15,6 +15,7 @@ const {
   updateAgentValidation,
   createAgentValidation
 } = require('../validators/authValidator');
+const { agentReviewsValidation } = require('@validators/reviewValidator');
 const { requirePermission } = require('@middleware/rbac');
 
 /**
@@ -35,6 +36,17 @@ const { requirePermission } = require('@middleware/rbac');
  */
 router.get('/featured', agentController.getFeaturedAgents);
 
+/**
+ * @route   GET /api/agents/:id/reviews
+ * @desc    Get an agent's reviews and rating summary
+ * @access  Public
+ */
+router.get(
+  '/:id/reviews',
+  ...agentReviewsValidation,
+  agentController.getAgentReviews
+);
+
 /**
  * @route   POST /api/agents/register
  * @desc    Register a new agent (requires admin approval)
@@ -71,6 +83,13 @@ router.post(
   agentController.refreshToken
 );
 
+/**
+ * @route   GET /api/agents/calendar/:token.ics
+ * @desc    Subscribable iCalendar feed of the agent's meetings
+ * @access  Public (secret token, revocable)
+ */
+router.get('/calendar/:token.ics', agentController.getCalendarFeed);
+
 // ============================================
 // AUTHENTICATED AGENT ROUTES
 // ============================================
@@ -127,6 +146,30 @@ router.delete(
   agentController.deleteAvatar
 );
 
+/**
+ * @route   POST /api/agents/calendar/token
+ * @desc    Create or rotate the calendar feed token (old feed URL stops working)
+ * @access  Private - Agent only
+ */
+router.post(
+  '/calendar/token',
+  authenticate,
+  authorize('AGENT'),
+  agentController.createCalendarFeedToken
+);
+
+/**
+ * @route   DELETE /api/agents/calendar/token
+ * @desc    Revoke the calendar feed token
+ * @access  Private - Agent only
+ */
+router.delete(
+  '/calendar/token',
+  authenticate,
+  authorize('AGENT'),
+  agentController.revokeCalendarFeedToken
+);
+
 // ============================================
 // SHIFT MANAGEMENT ROUTES (MVP)
 // ============================================
@@ -0,0 +1,131 @@
+const express = require('express');
+const router = express.Router();
+const branchController = require('@controllers/branchController');
+const { authenticate, authorize, optionalAuth } = require('@middleware/auth');
+const { requirePermission } = require('@middleware/rbac');
+const {
+  createBranchValidation,
+  updateBranchValidation,
+  listBranchesValidation,
+  branchIdValidation,
+  createRoomValidation,
+  updateRoomValidation,
+  branchScheduleValidation
+} = require('@validators/branchValidator');
+
+/**
+ * Branch Routes
+ *
+ * Offices where offline meetings take place and their meeting rooms
+ * Users pick a branch when booking an offline meeting; rooms are allocated on approval
+ */
+
+/**
+ * @route   GET /api/branches
+ * @desc    List active branches (admins: ?includeInactive=true)
+ * @access  Public
+ */
+router.get(
+  '/',
+  optionalAuth,
+  ...listBranchesValidation,
+  branchController.listBranches
+);
+
+/**
+ * @route   POST /api/branches
+ * @desc    Create a branch
+ * @access  Private - Admin only with branches.create permission
+ */
+router.post(
+  '/',
+  authenticate,
+  authorize('ADMIN'),
+  requirePermission('branches.create'),
+  ...createBranchValidation,
+  branchController.createBranch
+);
+
+/**
+ * @route   GET /api/branches/:id
+ * @desc    Get a branch with its address and opening hours
+ * @access  Public
+ */
+router.get(
+  '/:id',
+  optionalAuth,
+  ...branchIdValidation,
+  branchController.getBranch
+);
+
+/**
+ * @route   PATCH /api/branches/:id
+ * @desc    Update a branch (including opening hours and activation)
+ * @access  Private - Admin only with branches.update permission
+ */
+router.patch(
+  '/:id',
+  authenticate,
+  authorize('ADMIN'),
+  requirePermission('branches.update'),
+  ...updateBranchValidation,
+  branchController.updateBranch
+);
+
+/**
+ * @route   GET /api/branches/:id/schedule
+ * @desc    Offline meetings of a day at the branch, by room (front desk)
+ * @access  Private - Admin only with branches.read permission
+ */
+router.get(
+  '/:id/schedule',
+  authenticate,
+  authorize('ADMIN'),
+  requirePermission('branches.read'),
+  ...branchScheduleValidation,
+  branchController.getSchedule
+);
+
+/**
+ * @route   GET /api/branches/:id/rooms
+ * @desc    List the branch's meeting rooms
+ * @access  Private - Admin only with branches.read permission
+ */
+router.get(
+  '/:id/rooms',
+  authenticate,
+  authorize('ADMIN'),
+  requirePermission('branches.read'),
+  ...branchIdValidation,
+  branchController.getRooms
+);
+
+/**
+ * @route   POST /api/branches/:id/rooms
+ * @desc    Add a meeting room to the branch
+ * @access  Private - Admin only with branches.update permission
+ */
+router.post(
+  '/:id/rooms',
+  authenticate,
+  authorize('ADMIN'),
+  requirePermission('branches.update'),
+  ...createRoomValidation,
+  branchController.createRoom
+);
+
+/**
+ * @route   PATCH /api/branches/:id/rooms/:roomId
+ * @desc    Update a meeting room (including capacity and activation)
+ * @access  Private - Admin only with branches.update permission
+ */
+router.patch(
+  '/:id/rooms/:roomId',
+  authenticate,
+  authorize('ADMIN'),
+  requirePermission('branches.update'),
+  ...updateRoomValidation,
+  branchController.updateRoom
+);
+
+module.exports = router;
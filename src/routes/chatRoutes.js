@@ -0,0 +1,128 @@
+const express = require('express');
+const router = express.Router();
+const chatController = require('@controllers/chatController');
+const { authenticate, authorize } = require('@middleware/auth');
+const { wrapMulterUpload, logUpload } = require('@middleware/uploadHandler');
+const UploadService = require('@services/UploadService');
+const {
+  chatRequestValidation,
+  listMessagesValidation,
+  sendMessageValidation,
+  markAsReadValidation,
+  attachmentValidation
+} = require('@validators/chatValidator');
+
+/**
+ * Chat Routes
+ *
+ * One chat per service request, between the request's user and its assigned agent
+ * Admins need chats.read / chats.manage (checked by ChatService, which also serves the WebSocket)
+ */
+
+router.use(authenticate);
+
+/**
+ * @route   GET /api/chats/unread-count
+ * @desc    Get unread message count across the caller's chats
+ * @access  Private (User/Agent)
+ */
+router.get(
+  '/unread-count',
+  authorize('USER', 'AGENT'),
+  chatController.getUnreadCount
+);
+
+/**
+ * @route   POST /api/chats/:requestId
+ * @desc    Open the chat of a service request (returns it if already open)
+ * @access  Private (User/Agent/Admin with chats.manage)
+ */
+router.post(
+  '/:requestId',
+  ...chatRequestValidation,
+  chatController.openChat
+);
+
+/**
+ * @route   GET /api/chats/:requestId
+ * @desc    Get the chat of a service request with the caller's unread count
+ * @access  Private (User/Agent/Admin with chats.read)
+ */
+router.get(
+  '/:requestId',
+  ...chatRequestValidation,
+  chatController.getChat
+);
+
+/**
+ * @route   GET /api/chats/:requestId/messages
+ * @desc    Get chat history (?before=<messageId>&limit=)
+ * @access  Private (User/Agent/Admin with chats.read)
+ */
+router.get(
+  '/:requestId/messages',
+  ...listMessagesValidation,
+  chatController.getMessages
+);
+
+/**
+ * @route   POST /api/chats/:requestId/messages
+ * @desc    Send a message (multipart: body, attachments[])
+ * @access  Private (User/Agent/Admin with chats.manage)
+ */
+router.post(
+  '/:requestId/messages',
+  ...chatRequestValidation,
+  wrapMulterUpload(UploadService.uploadChatAttachments('attachments', 5)),
+  logUpload,
+  ...sendMessageValidation,
+  chatController.sendMessage
+);
+
+/**
+ * @route   PUT /api/chats/:requestId/read
+ * @desc    Mark messages as read up to messageId (default: latest)
+ * @access  Private (User/Agent/Admin with chats.read)
+ */
+router.put(
+  '/:requestId/read',
+  ...markAsReadValidation,
+  chatController.markAsRead
+);
+
+/**
+ * @route   PUT /api/chats/:requestId/close
+ * @desc    Close a chat
+ * @access  Private (Agent/Admin with chats.manage)
+ */
+router.put(
+  '/:requestId/close',
+  authorize('AGENT', 'ADMIN'),
+  ...chatRequestValidation,
+  chatController.closeChat
+);
+
+/**
+ * @route   PUT /api/chats/:requestId/reopen
+ * @desc    Reopen a closed chat
+ * @access  Private (Admin with chats.manage)
+ */
+router.put(
+  '/:requestId/reopen',
+  authorize('ADMIN'),
+  ...chatRequestValidation,
+  chatController.reopenChat
+);
+
+/**
+ * @route   GET /api/chats/:requestId/attachments/:attachmentId
+ * @desc    Download a message attachment
+ * @access  Private (User/Agent/Admin with chats.read)
+ */
+router.get(
+  '/:requestId/attachments/:attachmentId',
+  ...attachmentValidation,
+  chatController.downloadAttachment
+);
+
+module.exports = router;
@@ -11,9 +11,14 @@ const serviceRoutes = require('./serviceRoutes');
 const applicationTypeRoutes = require('./applicationTypeRoutes');
 const additionalServiceRoutes = require('./additionalServiceRoutes');
 const serviceRequestRoutes = require('./serviceRequestRoutes');
-// const chatRoutes = require('./chatRoutes');
+const chatRoutes = require('./chatRoutes');
 const callbackRoutes = require('./callbackRoutes');
 const complaintRoutes = require('./complaintRoutes');
+const reviewRoutes = require('./reviewRoutes');
+const paymentRoutes = require('./paymentRoutes');
+const waitlistRoutes = require('./waitlistRoutes');
+const branchRoutes = require('./branchRoutes');
+const notificationRoutes = require('./notificationRoutes');
 
 // Register routes
 router.use('/admins', adminRoutes);
@@ -25,9 +30,14 @@ router.use('/services', serviceRoutes);
 router.use('/application-types', applicationTypeRoutes);
 router.use('/additional-services', additionalServiceRoutes);
 router.use('/service-requests', serviceRequestRoutes);
-// router.use('/chats', chatRoutes);
+router.use('/chats', chatRoutes);
 router.use('/callback', callbackRoutes);
 router.use('/complaints', complaintRoutes);
+router.use('/reviews', reviewRoutes);
+router.use('/payments', paymentRoutes);
+router.use('/waitlist', waitlistRoutes);
+router.use('/branches', branchRoutes);
+router.use('/notifications', notificationRoutes);
 
 // API version info
 router.get('/', (req, res) => {
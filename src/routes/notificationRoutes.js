@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('@controllers/notificationController');
+const { authenticate, authorize } = require('@middleware/auth');
+const {
+  listNotificationsValidation,
+  notificationIdValidation
+} = require('@validators/notificationValidator');
+
+/**
+ * Notification Routes
+ *
+ * In-app notifications of the signed-in user, agent or admin
+ */
+
+/**
+ * @route   GET /api/notifications
+ * @desc    List own notifications, newest first, with the unread count
+ * @access  Private - User, Agent, Admin
+ */
+router.get(
+  '/',
+  authenticate,
+  authorize('USER', 'AGENT', 'ADMIN'),
+  ...listNotificationsValidation,
+  notificationController.getNotifications
+);
+
+/**
+ * @route   GET /api/notifications/unread-count
+ * @desc    Count own unread notifications
+ * @access  Private - User, Agent, Admin
+ */
+router.get(
+  '/unread-count',
+  authenticate,
+  authorize('USER', 'AGENT', 'ADMIN'),
+  notificationController.getUnreadCount
+);
+
+/**
+ * @route   PUT /api/notifications/read-all
+ * @desc    Mark all own notifications read
+ * @access  Private - User, Agent, Admin
+ */
+router.put(
+  '/read-all',
+  authenticate,
+  authorize('USER', 'AGENT', 'ADMIN'),
+  notificationController.markAllRead
+);
+
+/**
+ * @route   PUT /api/notifications/:id/read
+ * @desc    Mark one own notification read
+ * @access  Private - User, Agent, Admin
+ */
+router.put(
+  '/:id/read',
+  authenticate,
+  authorize('USER', 'AGENT', 'ADMIN'),
+  ...notificationIdValidation,
+  notificationController.markRead
+);
+
+module.exports = router;
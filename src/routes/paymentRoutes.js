@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const paymentController = require('@controllers/paymentController');
+const { authenticate, authorize } = require('@middleware/auth');
+const { requirePermission } = require('@middleware/rbac');
+const {
+  paymentIdValidation,
+  webhookValidation
+} = require('@validators/paymentValidator');
+
+/**
+ * Payment Routes
+ *
+ * Users pay through /api/service-requests/:id/payments and see the invoice at
+ * /api/service-requests/:id/invoice
+ */
+
+/**
+ * @route   POST /api/payments/webhook/:gateway
+ * @desc    Receive a payment result from a gateway
+ * @access  Public (gateway signature)
+ */
+router.post(
+  '/webhook/:gateway',
+  ...webhookValidation,
+  paymentController.handleWebhook
+);
+
+/**
+ * @route   POST /api/payments/:id/refund
+ * @desc    Retry a refund the gateway refused
+ * @access  Private - Admin only with payments.refund permission
+ */
+router.post(
+  '/:id/refund',
+  authenticate,
+  authorize('ADMIN'),
+  requirePermission('payments.refund'),
+  ...paymentIdValidation,
+  paymentController.retryRefund
+);
+
+module.exports = router;
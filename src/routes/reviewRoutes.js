@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const reviewController = require('@controllers/reviewController');
+const { authenticate, authorize } = require('@middleware/auth');
+const { requirePermission } = require('@middleware/rbac');
+const {
+  listReviewsValidation,
+  hideReviewValidation,
+  reviewIdValidation
+} = require('@validators/reviewValidator');
+
+/**
+ * Review Routes
+ *
+ * Admin moderation of agent reviews
+ * Users review through /api/service-requests/:id/review, public listing is /api/agents/:id/reviews
+ */
+
+/**
+ * @route   GET /api/reviews
+ * @desc    List reviews (filters: status, agentId, rating)
+ * @access  Private - Admin only with reviews.read permission
+ */
+router.get(
+  '/',
+  authenticate,
+  authorize('ADMIN'),
+  requirePermission('reviews.read'),
+  ...listReviewsValidation,
+  reviewController.listReviews
+);
+
+/**
+ * @route   PUT /api/reviews/:id/hide
+ * @desc    Hide an abusive review (excluded from the agent rating)
+ * @access  Private - Admin only with reviews.moderate permission
+ */
+router.put(
+  '/:id/hide',
+  authenticate,
+  authorize('ADMIN'),
+  requirePermission('reviews.moderate'),
+  ...hideReviewValidation,
+  reviewController.hideReview
+);
+
+/**
+ * @route   PUT /api/reviews/:id/unhide
+ * @desc    Make a hidden review visible again
+ * @access  Private - Admin only with reviews.moderate permission
+ */
+router.put(
+  '/:id/unhide',
+  authenticate,
+  authorize('ADMIN'),
+  requirePermission('reviews.moderate'),
+  ...reviewIdValidation,
+  reviewController.unhideReview
+);
+
+module.exports = router;
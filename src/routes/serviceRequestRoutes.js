@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const serviceRequestController = require('@controllers/serviceRequestController');
 const { authenticate, authorize } = require('@middleware/auth');
+const { requirePermission } = require('@middleware/rbac');
 const { uploadDocuments } = require('@middleware/serviceRequestUpload');
 const {
   createRequestValidation,
@@ -13,8 +14,31 @@ const {
   cancelRequestValidation,
   updatePriorityValidation,
   addAdminNotesValidation,
+  bulkActionValidation,
   getRequestValidation,
-  listRequestsValidation
+  listRequestsValidation,
+  searchRequestsValidation,
+  exportRequestsValidation,
+  exportStatisticsValidation,
+  availabilityValidation,
+  quoteValidation,
+  requestDocumentsValidation,
+  uploadRequestDocumentsValidation,
+  reviewDocumentValidation,
+  rescheduleRequestValidation,
+  markNoShowValidation,
+  recordAttendanceValidation,
+  createFollowUpValidation,
+  cancelFollowUpsValidation,
+  assignRoomValidation,
+  checkInValidation,
+  proposeRescheduleValidation,
+  respondRescheduleValidation,
+  respondReassignmentValidation,
+  reassignmentQueueValidation,
+  cancelMyRequestValidation,
+  submitReviewValidation,
+  updateReviewValidation
 } = require('@validators/serviceRequestValidator');
 
 /**
@@ -50,6 +74,81 @@ router.get(
   serviceRequestController.getMyRequests
 );
 
+/**
+ * @route   PUT /api/service-requests/my-requests/:id/cancel
+ * @desc    Cancel own request (not allowed close to the meeting)
+ * @access  Private (User)
+ */
+router.put(
+  '/my-requests/:id/cancel',
+  authenticate,
+  authorize('USER'),
+  ...cancelMyRequestValidation,
+  serviceRequestController.cancelMyRequest
+);
+
+/**
+ * @route   POST /api/service-requests/:id/review
+ * @desc    Rate the agent of a completed request (1-5 stars + comment)
+ * @access  Private (User)
+ */
+router.post(
+  '/:id/review',
+  authenticate,
+  authorize('USER'),
+  ...submitReviewValidation,
+  serviceRequestController.submitReview
+);
+
+/**
+ * @route   PUT /api/service-requests/:id/review
+ * @desc    Edit own review while the edit window is open
+ * @access  Private (User)
+ */
+router.put(
+  '/:id/review',
+  authenticate,
+  authorize('USER'),
+  ...updateReviewValidation,
+  serviceRequestController.updateReview
+);
+
+/**
+ * @route   GET /api/service-requests/:id/review
+ * @desc    Get the review of a request
+ * @access  Private (User/Agent/Admin)
+ */
+router.get(
+  '/:id/review',
+  authenticate,
+  ...getRequestValidation,
+  serviceRequestController.getReview
+);
+
+/**
+ * @route   GET /api/service-requests/availability
+ * @desc    Get bookable meeting slots for a category or agent
+ * @access  Private (User/Agent/Admin)
+ */
+router.get(
+  '/availability',
+  authenticate,
+  ...availabilityValidation,
+  serviceRequestController.getAvailability
+);
+
+/**
+ * @route   GET /api/service-requests/quote
+ * @desc    Price an application type with selected additional services
+ * @access  Private (User/Agent/Admin)
+ */
+router.get(
+  '/quote',
+  authenticate,
+  ...quoteValidation,
+  serviceRequestController.getQuote
+);
+
 /**
  * @route   GET /api/service-requests/:id
  * @desc    Get service request by ID
@@ -62,6 +161,167 @@ router.get(
   serviceRequestController.getRequest
 );
 
+/**
+ * @route   GET /api/service-requests/:id/timeline
+ * @desc    Get service request history (redacted per role)
+ * @access  Private (User/Agent/Admin)
+ */
+router.get(
+  '/:id/timeline',
+  authenticate,
+  ...getRequestValidation,
+  serviceRequestController.getTimeline
+);
+
+/**
+ * @route   GET /api/service-requests/:id/thread
+ * @desc    Get the first meeting of the request's thread and all its follow-up meetings
+ * @access  Private (User/Agent/Admin)
+ */
+router.get(
+  '/:id/thread',
+  authenticate,
+  ...getRequestValidation,
+  serviceRequestController.getThread
+);
+
+/**
+ * @route   GET /api/service-requests/:id/allowed-actions
+ * @desc    Get the actions the caller may perform in the request's current status
+ * @access  Private (User/Agent/Admin)
+ */
+router.get(
+  '/:id/allowed-actions',
+  authenticate,
+  ...getRequestValidation,
+  serviceRequestController.getAllowedActions
+);
+
+/**
+ * @route   GET /api/service-requests/:id/calendar.ics
+ * @desc    Download the meeting as an iCalendar file
+ * @access  Private (User/Agent/Admin)
+ */
+router.get(
+  '/:id/calendar.ics',
+  authenticate,
+  ...getRequestValidation,
+  serviceRequestController.getRequestCalendar
+);
+
+/**
+ * @route   GET /api/service-requests/:id/check-in-pass
+ * @desc    Get the front-desk check-in code and QR payload of an own offline meeting
+ * @access  Private (User)
+ */
+router.get(
+  '/:id/check-in-pass',
+  authenticate,
+  authorize('USER'),
+  ...getRequestValidation,
+  serviceRequestController.getCheckInPass
+);
+
+/**
+ * @route   GET /api/service-requests/:id/reschedule-proposals
+ * @desc    Get reschedule proposals of a request
+ * @access  Private (User/Agent/Admin)
+ */
+router.get(
+  '/:id/reschedule-proposals',
+  authenticate,
+  ...getRequestValidation,
+  serviceRequestController.getRescheduleProposals
+);
+
+/**
+ * @route   POST /api/service-requests/:id/reschedule-proposals
+ * @desc    Propose a new meeting date/time
+ * @access  Private (User/Agent/Admin)
+ */
+router.post(
+  '/:id/reschedule-proposals',
+  authenticate,
+  ...proposeRescheduleValidation,
+  serviceRequestController.proposeReschedule
+);
+
+/**
+ * @route   PUT /api/service-requests/:id/reschedule-proposals/:proposalId/accept
+ * @desc    Accept a reschedule proposal and move the meeting
+ * @access  Private (User/Agent/Admin - counter-party of the proposer)
+ */
+router.put(
+  '/:id/reschedule-proposals/:proposalId/accept',
+  authenticate,
+  ...respondRescheduleValidation,
+  serviceRequestController.acceptReschedule
+);
+
+/**
+ * @route   PUT /api/service-requests/:id/reschedule-proposals/:proposalId/decline
+ * @desc    Decline a reschedule proposal
+ * @access  Private (User/Agent/Admin - counter-party of the proposer)
+ */
+router.put(
+  '/:id/reschedule-proposals/:proposalId/decline',
+  authenticate,
+  ...respondRescheduleValidation,
+  serviceRequestController.declineReschedule
+);
+
+/**
+ * @route   GET /api/service-requests/:id/documents
+ * @desc    Get requested documents and uploaded documents with their review status
+ * @access  Private (User/Agent/Admin)
+ */
+router.get(
+  '/:id/documents',
+  authenticate,
+  ...getRequestValidation,
+  serviceRequestController.getDocuments
+);
+
+/**
+ * @route   POST /api/service-requests/:id/documents
+ * @desc    Upload additional documents (multipart: documents[], requirementId)
+ * @access  Private (User)
+ */
+router.post(
+  '/:id/documents',
+  authenticate,
+  authorize('USER'),
+  ...getRequestValidation,
+  uploadDocuments,
+  ...uploadRequestDocumentsValidation,
+  serviceRequestController.uploadDocuments
+);
+
+/**
+ * @route   GET /api/service-requests/:id/invoice
+ * @desc    Get the invoice of a request with its payments
+ * @access  Private (User/Agent/Admin)
+ */
+router.get(
+  '/:id/invoice',
+  authenticate,
+  ...getRequestValidation,
+  serviceRequestController.getInvoice
+);
+
+/**
+ * @route   POST /api/service-requests/:id/payments
+ * @desc    Start paying the invoice of an approved request (returns the gateway client secret)
+ * @access  Private (User)
+ */
+router.post(
+  '/:id/payments',
+  authenticate,
+  authorize('USER'),
+  ...getRequestValidation,
+  serviceRequestController.createPayment
+);
+
 // ==================== AGENT ROUTES ====================
 
 /**
@@ -89,9 +349,24 @@ router.get(
   serviceRequestController.getUpcomingMeetings
 );
 
+/**
+ * @route   GET /api/service-requests/agent/reassignments
+ * @desc    Get pending reassignments offered to the current agent
+ * @access  Private (Agent)
+ */
+router.get(
+  '/agent/reassignments',
+  authenticate,
+  authorize('AGENT'),
+  ...reassignmentQueueValidation,
+  serviceRequestController.getIncomingReassignments
+);
+
 /**
  * @route   PUT /api/service-requests/:id/reassign-agent
  * @desc    Reassign request to another agent
+ *          Admin: immediate. Assigned agent: creates a reassignment for the target agent
+ *          or an admin to accept, expiring after REASSIGNMENT_REQUEST_EXPIRY_HOURS
  * @access  Private (Agent/Admin)
  */
 router.put(
@@ -102,6 +377,32 @@ router.put(
   serviceRequestController.reassignAgent
 );
 
+/**
+ * @route   PUT /api/service-requests/:id/reassignments/:reassignmentId/accept
+ * @desc    Accept a pending reassignment and hand the request over
+ * @access  Private (Agent/Admin - target agent or admin)
+ */
+router.put(
+  '/:id/reassignments/:reassignmentId/accept',
+  authenticate,
+  authorize('AGENT', 'ADMIN'),
+  ...respondReassignmentValidation,
+  serviceRequestController.acceptReassignment
+);
+
+/**
+ * @route   PUT /api/service-requests/:id/reassignments/:reassignmentId/decline
+ * @desc    Decline a pending reassignment
+ * @access  Private (Agent/Admin - target agent or admin)
+ */
+router.put(
+  '/:id/reassignments/:reassignmentId/decline',
+  authenticate,
+  authorize('AGENT', 'ADMIN'),
+  ...respondReassignmentValidation,
+  serviceRequestController.declineReassignment
+);
+
 /**
  * @route   PUT /api/service-requests/:id/approve
  * @desc    Approve service request
@@ -141,6 +442,140 @@ router.put(
   serviceRequestController.completeRequest
 );
 
+/**
+ * @route   PUT /api/service-requests/:id/request-documents
+ * @desc    List the documents the user must provide and wait for them
+ * @access  Private (Agent/Admin)
+ */
+router.put(
+  '/:id/request-documents',
+  authenticate,
+  authorize('AGENT', 'ADMIN'),
+  ...requestDocumentsValidation,
+  serviceRequestController.requestDocuments
+);
+
+/**
+ * @route   PUT /api/service-requests/:id/documents/:documentId/review
+ * @desc    Accept or reject an uploaded document
+ * @access  Private (Agent/Admin)
+ */
+router.put(
+  '/:id/documents/:documentId/review',
+  authenticate,
+  authorize('AGENT', 'ADMIN'),
+  ...reviewDocumentValidation,
+  serviceRequestController.reviewDocument
+);
+
+/**
+ * @route   PUT /api/service-requests/:id/reschedule
+ * @desc    Move an approved meeting to a new date/time
+ * @access  Private (Agent/Admin)
+ */
+router.put(
+  '/:id/reschedule',
+  authenticate,
+  authorize('AGENT', 'ADMIN'),
+  ...rescheduleRequestValidation,
+  serviceRequestController.rescheduleRequest
+);
+
+/**
+ * @route   PUT /api/service-requests/:id/no-show
+ * @desc    Mark that the user did not attend the meeting
+ * @access  Private (Agent/Admin)
+ */
+router.put(
+  '/:id/no-show',
+  authenticate,
+  authorize('AGENT', 'ADMIN'),
+  ...markNoShowValidation,
+  serviceRequestController.markNoShow
+);
+
+/**
+ * @route   PUT /api/service-requests/:id/attendance
+ * @desc    Record how the meeting went (attended, partially attended, user or agent no-show)
+ *          and its actual start/end times; completes or closes the request
+ * @access  Private (Agent/Admin)
+ */
+router.put(
+  '/:id/attendance',
+  authenticate,
+  authorize('AGENT', 'ADMIN'),
+  ...recordAttendanceValidation,
+  serviceRequestController.recordAttendance
+);
+
+/**
+ * @route   POST /api/service-requests/:id/follow-ups
+ * @desc    Book a follow-up meeting, or a recurring series (recurrence: { frequency, count }),
+ *          with the same user, agent and category
+ * @access  Private (Agent/Admin)
+ */
+router.post(
+  '/:id/follow-ups',
+  authenticate,
+  authorize('AGENT', 'ADMIN'),
+  ...createFollowUpValidation,
+  serviceRequestController.createFollowUps
+);
+
+/**
+ * @route   PUT /api/service-requests/:id/follow-ups/cancel
+ * @desc    Cancel every open follow-up meeting of the request's thread
+ * @access  Private (Agent/Admin)
+ */
+router.put(
+  '/:id/follow-ups/cancel',
+  authenticate,
+  authorize('AGENT', 'ADMIN'),
+  ...cancelFollowUpsValidation,
+  serviceRequestController.cancelFollowUps
+);
+
+/**
+ * @route   PUT /api/service-requests/:id/follow-ups/:followUpId/cancel
+ * @desc    Cancel one follow-up meeting of the request's thread
+ * @access  Private (Agent/Admin)
+ */
+router.put(
+  '/:id/follow-ups/:followUpId/cancel',
+  authenticate,
+  authorize('AGENT', 'ADMIN'),
+  ...cancelFollowUpsValidation,
+  serviceRequestController.cancelFollowUps
+);
+
+/**
+ * @route   PUT /api/service-requests/:id/room
+ * @desc    Move an approved offline meeting to another room of its branch
+ * @access  Private - Admin only with branches.update permission
+ */
+router.put(
+  '/:id/room',
+  authenticate,
+  authorize('ADMIN'),
+  requirePermission('branches.update'),
+  ...assignRoomValidation,
+  serviceRequestController.assignRoom
+);
+
+/**
+ * @route   POST /api/service-requests/check-in
+ * @desc    Check a user in at the branch front desk (short code or QR payload)
+ * @access  Private - Admin only with branches.check_in permission
+ */
+router.post(
+  '/check-in',
+  authenticate,
+  authorize('ADMIN'),
+  requirePermission('branches.check_in'),
+  ...checkInValidation,
+  serviceRequestController.checkIn
+);
+
 /**
  * @route   PUT /api/service-requests/:id/notes
  * @desc    Add admin/agent notes to request
@@ -158,20 +593,23 @@ router.put(
 
 /**
  * @route   GET /api/service-requests/admin/all
- * @desc    Get all service requests (with filters)
+ * @desc    Search service requests with their SLA state
+ *          Filters: status, priority, categoryId, agentId, serviceId (lists), meetingDateFrom/To,
+ *          createdFrom/To, search, slaBreached. Sort: ?sort=-priority,meetingDate.
+ *          Paging: ?page= (offset) or ?cursor= (nextCursor of the previous page)
  * @access  Private (Admin)
  */
 router.get(
   '/admin/all',
   authenticate,
   authorize('ADMIN'),
-  ...listRequestsValidation,
+  ...searchRequestsValidation,
   serviceRequestController.getAllRequests
 );
 
 /**
  * @route   GET /api/service-requests/admin/statistics
- * @desc    Get service requests statistics
+ * @desc    Get service requests statistics with the SLA summary of open requests
  * @access  Private (Admin)
  */
 router.get(
@@ -181,6 +619,61 @@ router.get(
   serviceRequestController.getStatistics
 );
 
+/**
+ * @route   GET /api/service-requests/admin/export
+ * @desc    Download the filtered request list as a spreadsheet
+ *          ?format=csv|xlsx (default csv), ?columns=id,fullName,status plus the admin/all filters and sort
+ * @access  Private (Admin, reports.export)
+ */
+router.get(
+  '/admin/export',
+  authenticate,
+  authorize('ADMIN'),
+  requirePermission('reports.export'),
+  ...exportRequestsValidation,
+  serviceRequestController.exportRequests
+);
+
+/**
+ * @route   GET /api/service-requests/admin/statistics/export
+ * @desc    Download the statistics as a spreadsheet (?format=csv|xlsx, agentId, categoryId, startDate, endDate)
+ * @access  Private (Admin, reports.export)
+ */
+router.get(
+  '/admin/statistics/export',
+  authenticate,
+  authorize('ADMIN'),
+  requirePermission('reports.export'),
+  ...exportStatisticsValidation,
+  serviceRequestController.exportStatistics
+);
+
+/**
+ * @route   GET /api/service-requests/admin/reassignments
+ * @desc    Queue of pending agent reassignments, soonest to expire first (?categoryId=)
+ * @access  Private (Admin)
+ */
+router.get(
+  '/admin/reassignments',
+  authenticate,
+  authorize('ADMIN'),
+  ...reassignmentQueueValidation,
+  serviceRequestController.getReassignmentQueue
+);
+
+/**
+ * @route   POST /api/service-requests/admin/bulk
+ * @desc    Apply one action (assign, priority, cancel, note) to many requests, with a per-request report
+ * @access  Private (Admin)
+ */
+router.post(
+  '/admin/bulk',
+  authenticate,
+  authorize('ADMIN'),
+  ...bulkActionValidation,
+  serviceRequestController.bulkAction
+);
+
 /**
  * @route   PUT /api/service-requests/:id/assign-agent
  * @desc    Assign agent to service request
@@ -277,5 +277,18 @@ router.post(
   userController.activateUser
 );
 
+/**
+ * @route   POST /api/users/:userId/reset-no-shows
+ * @desc    Reset a user's missed-meeting count, lifting the booking block
+ * @access  Private - Admin only with users.update permission
+ */
+router.post(
+  '/:userId/reset-no-shows',
+  authenticate,
+  authorize('ADMIN'),
+  requirePermission('users.update'),
+  userController.resetNoShows
+);
+
 module.exports = router;
 
@@ -0,0 +1,83 @@
+const express = require('express');
+const router = express.Router();
+const waitlistController = require('@controllers/waitlistController');
+const { authenticate, authorize } = require('@middleware/auth');
+const {
+  joinWaitlistValidation,
+  listWaitlistValidation,
+  waitlistEntryIdValidation
+} = require('@validators/waitlistValidator');
+
+/**
+ * Waitlist Routes
+ *
+ * Users wait for a slot with a fully booked agent or department
+ * Freed slots are offered in turn and held for WAITLIST_HOLD_MINUTES
+ */
+
+/**
+ * @route   POST /api/waitlist
+ * @desc    Join the waitlist for an agent (or any agent of a department) and date range
+ * @access  Private - User only
+ */
+router.post(
+  '/',
+  authenticate,
+  authorize('USER'),
+  ...joinWaitlistValidation,
+  waitlistController.join
+);
+
+/**
+ * @route   GET /api/waitlist
+ * @desc    List own waitlist entries, with any current offer
+ * @access  Private - User only
+ */
+router.get(
+  '/',
+  authenticate,
+  authorize('USER'),
+  ...listWaitlistValidation,
+  waitlistController.getMyEntries
+);
+
+/**
+ * @route   PUT /api/waitlist/:id/accept
+ * @desc    Book the offered slot before the hold lapses
+ * @access  Private - User only
+ */
+router.put(
+  '/:id/accept',
+  authenticate,
+  authorize('USER'),
+  ...waitlistEntryIdValidation,
+  waitlistController.accept
+);
+
+/**
+ * @route   PUT /api/waitlist/:id/decline
+ * @desc    Decline the offered slot and keep waiting
+ * @access  Private - User only
+ */
+router.put(
+  '/:id/decline',
+  authenticate,
+  authorize('USER'),
+  ...waitlistEntryIdValidation,
+  waitlistController.decline
+);
+
+/**
+ * @route   PUT /api/waitlist/:id/cancel
+ * @desc    Leave the waitlist (a held slot moves on to the next user)
+ * @access  Private - User only
+ */
+router.put(
+  '/:id/cancel',
+  authenticate,
+  authorize('USER'),
+  ...waitlistEntryIdValidation,
+  waitlistController.cancel
+);
+
+module.exports = router;
@@ -30,7 +30,19 @@ const rolePermissionMappings = {
     'documents.approve', 'documents.reject',
     
     // Reports
-    'reports.read'
+    'reports.read', 'reports.export',
+
+    // Chats
+    'chats.read', 'chats.manage',
+
+    // Reviews
+    'reviews.read', 'reviews.moderate',
+
+    // Branches (front desk)
+    'branches.read', 'branches.update', 'branches.check_in',
+
+    // Payments
+    'payments.refund'
   ],
   
   'Moderator': [
@@ -42,7 +54,10 @@ const rolePermissionMappings = {
     
     // Document Management
     'documents.read', 'documents.list',
-    'documents.approve', 'documents.reject'
+    'documents.approve', 'documents.reject',
+
+    // Reviews
+    'reviews.read', 'reviews.moderate'
   ],
   
   'Content Manager': [
@@ -63,7 +78,13 @@ const rolePermissionMappings = {
     'agents.read', 'agents.list',
     
     // Document Management (read only)
-    'documents.read', 'documents.list'
+    'documents.read', 'documents.list',
+
+    // Chats
+    'chats.read', 'chats.manage',
+
+    // Branches (front desk schedule and check-in)
+    'branches.read', 'branches.check_in'
   ]
 };
 
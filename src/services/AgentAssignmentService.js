@@ -0,0 +1,147 @@
+const ServiceRequestRepository = require('@repositories/ServiceRequestRepository');
+const AvailabilityService = require('@services/AvailabilityService');
+const { ASSIGNMENT_STRATEGIES } = require('@constants/agentAssignment');
+const logger = require('@utils/logger');
+
+/**
+ * AgentAssignmentService
+ *
+ * Picks an agent for requests submitted without one, using the strategy
+ * configured on the request's department (see constants/agentAssignment)
+ *
+ * Strategies receive the agents free at the requested time and return
+ * the chosen agent together with the data the choice was based on
+ */
+class AgentAssignmentService {
+  constructor() {
+    this.strategies = {
+      [ASSIGNMENT_STRATEGIES.ROUND_ROBIN]: this._roundRobin.bind(this),
+      [ASSIGNMENT_STRATEGIES.LEAST_LOADED]: this._leastLoaded.bind(this),
+      [ASSIGNMENT_STRATEGIES.AVAILABLE_AT_TIME]: this._availableAtTime.bind(this)
+    };
+  }
+
+  /**
+   * Register an additional strategy
+   * @param {string} name - Strategy name stored on Department.assignmentStrategy
+   * @param {Function} handler - async (candidates, context) => ({ agent, decision })
+   */
+  registerStrategy(name, handler) {
+    this.strategies[name] = handler;
+  }
+
+  /**
+   * Select an agent for a new request
+   * @param {Object} department - Request's department (category)
+   * @param {Array} candidates - Department agents free at the requested time
+   * @param {Object} context - { meetingDate, meetingTime, duration }
+   * @returns {Promise<Object|null>} { agent, strategy, decision } or null when the request stays unassigned
+   */
+  async selectAgent(department, candidates, context) {
+    const strategy = department.assignmentStrategy || ASSIGNMENT_STRATEGIES.MANUAL;
+    const handler = this.strategies[strategy];
+
+    if (!handler) {
+      if (strategy !== ASSIGNMENT_STRATEGIES.MANUAL) {
+        logger.warn('Unknown agent assignment strategy, leaving request unassigned', {
+          departmentId: department.id,
+          strategy
+        });
+      }
+      return null;
+    }
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const { agent, decision } = await handler(candidates, { ...context, department });
+
+    return {
+      agent,
+      strategy,
+      decision: {
+        candidates: candidates.map(candidate => candidate.id),
+        ...decision
+      }
+    };
+  }
+
+  /**
+   * PRIVATE HELPER METHODS
+   */
+
+  /**
+   * Next agent (by ID) after the one this strategy picked last in the department
+   */
+  async _roundRobin(candidates, { department }) {
+    const last = await ServiceRequestRepository.findLastAutoAssigned(
+      department.id,
+      ASSIGNMENT_STRATEGIES.ROUND_ROBIN
+    );
+    const lastAgentId = last ? last.agentId : null;
+
+    const agent = candidates.find(candidate => lastAgentId === null || candidate.id > lastAgentId) ||
+      candidates[0];
+
+    return {
+      agent,
+      decision: {
+        reason: 'next_in_rotation',
+        previousAgentId: lastAgentId
+      }
+    };
+  }
+
+  /**
+   * Agent with the fewest open requests (ties go to the lowest ID)
+   */
+  async _leastLoaded(candidates) {
+    const counts = await ServiceRequestRepository.countOpenByAgentIds(
+      candidates.map(candidate => candidate.id)
+    );
+
+    const openRequests = candidates.reduce((acc, candidate) => {
+      acc[candidate.id] = counts[candidate.id] || 0;
+      return acc;
+    }, {});
+
+    const agent = candidates.reduce((best, candidate) =>
+      openRequests[candidate.id] < openRequests[best.id] ? candidate : best
+    );
+
+    return {
+      agent,
+      decision: {
+        reason: 'fewest_open_requests',
+        openRequests
+      }
+    };
+  }
+
+  /**
+   * Agent with the most free slots left on the meeting day (ties go to the lowest ID)
+   */
+  async _availableAtTime(candidates, { meetingDate, duration }) {
+    const freeSlots = {};
+
+    for (const candidate of candidates) {
+      const [day] = await AvailabilityService.getAgentSlots(candidate, [meetingDate], duration);
+      freeSlots[candidate.id] = day.slots.length;
+    }
+
+    const agent = candidates.reduce((best, candidate) =>
+      freeSlots[candidate.id] > freeSlots[best.id] ? candidate : best
+    );
+
+    return {
+      agent,
+      decision: {
+        reason: 'most_free_time',
+        freeSlots
+      }
+    };
+  }
+}
+
+module.exports = new AgentAssignmentService();
@@ -667,7 +667,7 @@ class AgentService {
   }
 
   /**
-   * Get featured agents
+   * Get featured agents (best rated first)
    * @param {Object} options - Pagination options
    * @returns {Promise<Object>} Featured agents list
    */
@@ -680,7 +680,8 @@ class AgentService {
         where: { featured: true, isActive: true },
         skip,
         limit,
-        relations: ['department', 'shift']
+        relations: ['department', 'shift'],
+        orderBy: 'rating'
       });
 
       return {
@@ -37,6 +37,10 @@ class AgentSessionService {
       throw ErrorHandlers.notFound('shift.shiftNotFound');
     }
 
+    if (!shift.isActive) {
+      throw ErrorHandlers.badRequest('shift.shiftNotActive');
+    }
+
     // Validate check-in time
     const now = new Date();
     const currentTime = now.toTimeString().substring(0, 8); // HH:MM:SS
@@ -288,12 +292,13 @@ class AgentSessionService {
   }
 
   /**
-   * Calculate shift duration in minutes
+   * Calculate shift duration in minutes (overnight shifts end the next day)
    */
   _calculateShiftDuration(startTime, endTime) {
     const start = this._parseTime(startTime);
     const end = this._parseTime(endTime);
-    return Math.floor((end - start) / 60000);
+    const minutes = Math.floor((end - start) / 60000);
+    return minutes > 0 ? minutes : minutes + 24 * 60;
   }
 }
 
@@ -0,0 +1,362 @@
+const ServiceRequestRepository = require('@repositories/ServiceRequestRepository');
+const BreakRequestRepository = require('@repositories/BreakRequestRepository');
+const ShiftRepository = require('@repositories/ShiftRepository');
+const AgentRepository = require('@repositories/AgentRepository');
+const DepartmentRepository = require('@repositories/DepartmentRepository');
+const WaitlistEntryRepository = require('@repositories/WaitlistEntryRepository');
+const { ErrorHandlers } = require('@utils/ErrorHandler');
+
+/**
+ * Availability Service
+ *
+ * Computes bookable meeting slots for agents from:
+ * - The agent's shift start/end times
+ * - The shift break policy window and scheduled breaks
+ * - Meetings already booked on pending/approved service requests
+ * - Freed slots currently held for a waitlisted user (free for that user only)
+ */
+class AvailabilityService {
+  constructor() {
+    // Booking configuration from environment
+    this.slotInterval = parseInt(process.env.BOOKING_SLOT_INTERVAL_MINUTES) || 30; // minutes
+    this.maxRangeDays = parseInt(process.env.BOOKING_MAX_RANGE_DAYS) || 31;
+    this.defaultDuration = 60; // minutes (ServiceRequest.meetingDuration default)
+  }
+
+  /**
+   * Get free slots for one agent or for every active agent of a category
+   * @param {Object} params - Query parameters
+   * @param {number} params.categoryId - Department ID
+   * @param {number} params.agentId - Optional agent ID
+   * @param {string} params.from - Start date (YYYY-MM-DD)
+   * @param {string} params.to - End date (YYYY-MM-DD)
+   * @param {number} params.duration - Meeting duration in minutes
+   * @returns {Promise<Object>} Availability grouped by agent and date
+   */
+  async getAvailability({ categoryId, agentId = null, from, to, duration = null }) {
+    const department = await DepartmentRepository.findById(categoryId);
+    if (!department) {
+      throw ErrorHandlers.notFound('serviceRequest.categoryNotFound');
+    }
+
+    if (!department.isActive) {
+      throw ErrorHandlers.badRequest('serviceRequest.categoryInactive');
+    }
+
+    const dates = this._enumerateDates(from, to);
+    const meetingDuration = duration || this.defaultDuration;
+
+    let agents;
+    if (agentId) {
+      const agent = await AgentRepository.findById(agentId);
+      if (!agent) {
+        throw ErrorHandlers.notFound('serviceRequest.agentNotFound');
+      }
+
+      if (!agent.isActive) {
+        throw ErrorHandlers.badRequest('serviceRequest.agentInactive');
+      }
+
+      if (parseInt(agent.departmentId) !== parseInt(categoryId)) {
+        throw ErrorHandlers.badRequest('serviceRequest.agentNotInCategory');
+      }
+
+      agents = [agent];
+    } else {
+      agents = await AgentRepository.findActiveByDepartment(categoryId);
+    }
+
+    const results = [];
+    for (const agent of agents) {
+      const days = await this.getAgentSlots(agent, dates, meetingDuration);
+      results.push({
+        agentId: agent.id,
+        fullName: agent.fullName,
+        avatar: agent.avatar,
+        days
+      });
+    }
+
+    return {
+      categoryId,
+      from,
+      to,
+      duration: meetingDuration,
+      slotInterval: this.slotInterval,
+      agents: results
+    };
+  }
+
+  /**
+   * Get an agent's free slots for each of the given dates
+   * @param {Object} agent - Agent entity
+   * @param {Array<string>} dates - Dates (YYYY-MM-DD), ascending
+   * @param {number} duration - Meeting duration in minutes
+   * @param {number} excludeRequestId - Request to ignore when collecting booked meetings
+   * @param {number} holderUserId - User whose waitlist holds count as free
+   * @returns {Promise<Array>} [{ date, slots: [{ start, end }] }]
+   */
+  async getAgentSlots(agent, dates, duration, excludeRequestId = null, holderUserId = null) {
+    const shift = await this._resolveShift(agent);
+    if (!shift) {
+      return dates.map(date => ({ date, slots: [] }));
+    }
+
+    const fromDate = dates[0];
+    const toDate = dates[dates.length - 1];
+
+    const [meetings, breaks, holds] = await Promise.all([
+      ServiceRequestRepository.findAgentMeetingsInRange(agent.id, fromDate, toDate, excludeRequestId),
+      BreakRequestRepository.findScheduledBreaks(agent.id, fromDate, toDate),
+      WaitlistEntryRepository.findActiveHolds(agent.id, fromDate, toDate)
+    ]);
+
+    // Busy intervals (minutes from midnight) keyed by date
+    const busyByDate = {};
+    const addBusy = (date, start, end) => {
+      if (!busyByDate[date]) {
+        busyByDate[date] = [];
+      }
+      busyByDate[date].push({ start, end });
+    };
+
+    meetings.forEach(meeting => {
+      const start = this._toMinutes(meeting.meetingTime);
+      const length = meeting.meetingDuration || this.defaultDuration;
+      addBusy(this._normalizeDate(meeting.meetingDate), start, start + length);
+    });
+
+    breaks.forEach(breakRequest => {
+      const startedAt = new Date(breakRequest.startTime);
+      const start = startedAt.getHours() * 60 + startedAt.getMinutes();
+      const length = breakRequest.endTime
+        ? Math.ceil((new Date(breakRequest.endTime) - startedAt) / 60000)
+        : breakRequest.requestedDuration;
+      addBusy(this._formatDate(startedAt), start, start + length);
+    });
+
+    holds
+      .filter(hold => hold.userId !== holderUserId)
+      .forEach(hold => {
+        const start = this._toMinutes(hold.offeredTime);
+        addBusy(this._normalizeDate(hold.offeredDate), start, start + hold.meetingDuration);
+      });
+
+    // Daily break window from the shift's break policy
+    const policy = shift.breakPolicy;
+    const breakWindow = policy && policy.preferredStartTime && policy.preferredEndTime
+      ? {
+        start: this._toMinutes(policy.preferredStartTime),
+        end: this._toMinutes(policy.preferredEndTime)
+      }
+      : null;
+
+    const workStart = this._toMinutes(shift.startTime);
+    let workEnd = this._toMinutes(shift.endTime);
+    if (workEnd <= workStart) {
+      // Overnight shifts are bookable until midnight only
+      workEnd = 24 * 60;
+    }
+
+    const now = new Date();
+    const today = this._formatDate(now);
+    const nowMinutes = now.getHours() * 60 + now.getMinutes();
+
+    return dates.map(date => {
+      if (date < today) {
+        return { date, slots: [] };
+      }
+
+      const busy = [...(busyByDate[date] || [])];
+      if (breakWindow) {
+        busy.push(breakWindow);
+      }
+
+      const slots = this.computeFreeSlots({
+        workStart,
+        workEnd,
+        busy,
+        duration,
+        interval: this.slotInterval,
+        notBefore: date === today ? nowMinutes : 0
+      });
+
+      return {
+        date,
+        slots: slots.map(slot => ({
+          start: this._fromMinutes(slot.start),
+          end: this._fromMinutes(slot.end)
+        }))
+      };
+    });
+  }
+
+  /**
+   * Check that a meeting starts on one of the agent's computed free slots
+   * @param {Object} agent - Agent entity
+   * @param {string} meetingDate - Date (YYYY-MM-DD)
+   * @param {string} meetingTime - Time (HH:MM or HH:MM:SS)
+   * @param {number} duration - Meeting duration in minutes
+   * @param {number} excludeRequestId - Request to ignore (when re-checking an existing booking)
+   * @param {number} holderUserId - User booking the slot (their waitlist holds count as free)
+   * @returns {Promise<boolean>} True if the slot is free
+   */
+  async isSlotAvailable(agent, meetingDate, meetingTime, duration, excludeRequestId = null, holderUserId = null) {
+    const date = this._normalizeDate(meetingDate);
+    const [day] = await this.getAgentSlots(
+      agent,
+      [date],
+      duration || this.defaultDuration,
+      excludeRequestId,
+      holderUserId
+    );
+
+    const start = this._toMinutes(meetingTime);
+    return day.slots.some(slot => this._toMinutes(slot.start) === start);
+  }
+
+  /**
+   * Find active agents of a category that are free for the given meeting
+   * @param {number} holderUserId - User booking the slot (their waitlist holds count as free)
+   * @returns {Promise<Array>} Available agents
+   */
+  async findAvailableAgents(categoryId, meetingDate, meetingTime, duration, holderUserId = null) {
+    const agents = await AgentRepository.findActiveByDepartment(categoryId);
+
+    const available = [];
+    for (const agent of agents) {
+      if (await this.isSlotAvailable(agent, meetingDate, meetingTime, duration, null, holderUserId)) {
+        available.push(agent);
+      }
+    }
+
+    return available;
+  }
+
+  /**
+   * Compute free slots inside a working window
+   * All values are minutes from midnight
+   * @param {Object} params - Window definition
+   * @param {number} params.workStart - Working window start
+   * @param {number} params.workEnd - Working window end
+   * @param {Array<{start: number, end: number}>} params.busy - Busy intervals
+   * @param {number} params.duration - Slot length
+   * @param {number} params.interval - Step between slot starts
+   * @param {number} params.notBefore - Earliest allowed slot start
+   * @returns {Array<{start: number, end: number}>} Free slots
+   */
+  computeFreeSlots({ workStart, workEnd, busy = [], duration, interval, notBefore = 0 }) {
+    const slots = [];
+
+    for (let start = workStart; start + duration <= workEnd; start += interval) {
+      if (start < notBefore) {
+        continue;
+      }
+
+      const end = start + duration;
+      const overlaps = busy.some(block => start < block.end && end > block.start);
+
+      if (!overlaps) {
+        slots.push({ start, end });
+      }
+    }
+
+    return slots;
+  }
+
+  /**
+   * PRIVATE HELPER METHODS
+   */
+
+  /**
+   * Resolve the shift an agent works: own shift first, then a department shift
+   */
+  async _resolveShift(agent) {
+    if (agent.shiftId) {
+      const shift = await ShiftRepository.findWithPolicy(agent.shiftId);
+      return shift && shift.isActive ? shift : null;
+    }
+
+    if (agent.departmentId) {
+      const [shift] = await ShiftRepository.findByDepartment(agent.departmentId);
+      return shift || null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Expand a date range into a list of YYYY-MM-DD strings
+   */
+  _enumerateDates(from, to) {
+    const start = this._parseDate(from);
+    const end = this._parseDate(to);
+
+    if (!start || !end || end < start) {
+      throw ErrorHandlers.badRequest('serviceRequest.invalidDateRange');
+    }
+
+    const days = Math.round((end - start) / 86400000) + 1;
+    if (days > this.maxRangeDays) {
+      throw ErrorHandlers.badRequest('serviceRequest.dateRangeTooLong', {
+        maxDays: this.maxRangeDays
+      });
+    }
+
+    const dates = [];
+    for (let i = 0; i < days; i++) {
+      dates.push(new Date(start.getTime() + i * 86400000).toISOString().split('T')[0]);
+    }
+
+    return dates;
+  }
+
+  /**
+   * Parse YYYY-MM-DD into a UTC midnight Date
+   */
+  _parseDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(this._normalizeDate(value));
+    if (!match) {
+      return null;
+    }
+
+    return new Date(Date.UTC(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3])));
+  }
+
+  /**
+   * Normalize a date column value (string or Date) to YYYY-MM-DD
+   */
+  _normalizeDate(value) {
+    if (value instanceof Date) {
+      return this._formatDate(value);
+    }
+
+    return String(value).substring(0, 10);
+  }
+
+  /**
+   * Format a Date as a local YYYY-MM-DD string
+   */
+  _formatDate(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Convert HH:MM(:SS) to minutes from midnight
+   */
+  _toMinutes(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+  }
+
+  /**
+   * Convert minutes from midnight to HH:MM
+   */
+  _fromMinutes(minutes) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+  }
+}
+
+module.exports = new AvailabilityService();
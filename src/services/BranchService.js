@@ -0,0 +1,202 @@
+const BranchRepository = require('@repositories/BranchRepository');
+const MeetingRoomRepository = require('@repositories/MeetingRoomRepository');
+const ServiceRequestRepository = require('@repositories/ServiceRequestRepository');
+const { WEEKDAYS } = require('@constants/branches');
+const { ErrorHandlers } = require('@utils/ErrorHandler');
+const logger = require('@utils/logger');
+
+/**
+ * BranchService
+ *
+ * Offices where offline meetings take place, their meeting rooms and the
+ * front-desk daily room schedule
+ * - Users pick an active branch when booking an offline meeting; the meeting has to
+ *   fit in the branch's opening hours of that weekday
+ * - Rooms are allocated on approval (see RoomAllocationService)
+ */
+class BranchService {
+  /**
+   * List branches (public: active only)
+   * @param {Object} filters - { includeInactive, city }
+   */
+  async listBranches(filters = {}) {
+    return await BranchRepository.findAll({
+      isActive: filters.includeInactive ? null : true,
+      city: filters.city
+    });
+  }
+
+  /**
+   * Get a branch (public: active only, admins also see its rooms)
+   */
+  async getBranch(branchId, { includeInactive = false, withRooms = false } = {}) {
+    const branch = await BranchRepository.findById(branchId, withRooms);
+
+    if (!branch || (!branch.isActive && !includeInactive)) {
+      throw ErrorHandlers.notFound('branch.notFound');
+    }
+
+    return branch;
+  }
+
+  /**
+   * Create a branch (Admin)
+   * @param {Object} data - { name, nameAr, address, addressAr, city, phone, openingHours, isActive }
+   */
+  async createBranch(data, adminId) {
+    if (await BranchRepository.findByName(data.name)) {
+      throw ErrorHandlers.conflict('branch.nameAlreadyExists');
+    }
+
+    this._assertOpeningHours(data.openingHours);
+
+    const branch = await BranchRepository.create(data);
+
+    logger.info('Branch created', { branchId: branch.id, name: branch.name, createdBy: adminId });
+
+    return branch;
+  }
+
+  /**
+   * Update a branch (Admin)
+   */
+  async updateBranch(branchId, data, adminId) {
+    await this.getBranch(branchId, { includeInactive: true });
+
+    if (data.name && await BranchRepository.findByName(data.name, branchId)) {
+      throw ErrorHandlers.conflict('branch.nameAlreadyExists');
+    }
+
+    if (data.openingHours) {
+      this._assertOpeningHours(data.openingHours);
+    }
+
+    const branch = await BranchRepository.update(branchId, data);
+
+    logger.info('Branch updated', { branchId, fields: Object.keys(data), updatedBy: adminId });
+
+    return branch;
+  }
+
+  /**
+   * List a branch's rooms (Admin)
+   */
+  async getRooms(branchId) {
+    await this.getBranch(branchId, { includeInactive: true });
+
+    return await MeetingRoomRepository.findByBranch(branchId);
+  }
+
+  /**
+   * Add a room to a branch (Admin)
+   * @param {Object} data - { name, nameAr, capacity, isActive }
+   */
+  async createRoom(branchId, data, adminId) {
+    await this.getBranch(branchId, { includeInactive: true });
+
+    if (await MeetingRoomRepository.findByName(branchId, data.name)) {
+      throw ErrorHandlers.conflict('branch.roomNameAlreadyExists');
+    }
+
+    const room = await MeetingRoomRepository.create({ ...data, branchId });
+
+    logger.info('Meeting room created', { branchId, roomId: room.id, createdBy: adminId });
+
+    return room;
+  }
+
+  /**
+   * Update a room of a branch (Admin)
+   */
+  async updateRoom(branchId, roomId, data, adminId) {
+    const room = await MeetingRoomRepository.findById(roomId);
+    if (!room || room.branchId !== branchId) {
+      throw ErrorHandlers.notFound('branch.roomNotFound');
+    }
+
+    if (data.name && await MeetingRoomRepository.findByName(branchId, data.name, roomId)) {
+      throw ErrorHandlers.conflict('branch.roomNameAlreadyExists');
+    }
+
+    const updated = await MeetingRoomRepository.update(roomId, data);
+
+    logger.info('Meeting room updated', { branchId, roomId, fields: Object.keys(data), updatedBy: adminId });
+
+    return updated;
+  }
+
+  /**
+   * A branch's offline meetings of a day, grouped by room (front desk)
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Promise<Object>} { branch, date, rooms: [{ room, meetings }], unallocated }
+   */
+  async getDailySchedule(branchId, date) {
+    const branch = await this.getBranch(branchId, { includeInactive: true });
+
+    const [rooms, meetings] = await Promise.all([
+      MeetingRoomRepository.findByBranch(branchId),
+      ServiceRequestRepository.findBranchMeetings(branchId, date)
+    ]);
+
+    return {
+      branch,
+      date,
+      rooms: rooms.map(room => ({
+        room,
+        meetings: meetings.filter(meeting => meeting.meetingRoomId === room.id)
+      })),
+      unallocated: meetings.filter(meeting => !meeting.meetingRoomId)
+    };
+  }
+
+  /**
+   * Check that an offline meeting can be booked at a branch
+   * @returns {Promise<Object>} The branch
+   */
+  async assertBookable(branchId, meetingDate, meetingTime, duration) {
+    const branch = await BranchRepository.findById(branchId);
+    if (!branch) {
+      throw ErrorHandlers.notFound('branch.notFound');
+    }
+
+    if (!branch.isActive) {
+      throw ErrorHandlers.badRequest('branch.inactive');
+    }
+
+    const weekday = WEEKDAYS[new Date(`${meetingDate}T00:00:00Z`).getUTCDay()];
+    const hours = (branch.openingHours || {})[weekday];
+    const start = this._toMinutes(meetingTime);
+
+    if (!hours || start < this._toMinutes(hours.open) || start + duration > this._toMinutes(hours.close)) {
+      throw ErrorHandlers.badRequest('branch.closedAtMeetingTime', {
+        branch: branch.name,
+        open: hours ? hours.open : null,
+        close: hours ? hours.close : null
+      });
+    }
+
+    return branch;
+  }
+
+  /**
+   * PRIVATE HELPER METHODS
+   */
+
+  _assertOpeningHours(openingHours) {
+    const invalid = Object.entries(openingHours || {}).some(([weekday, hours]) =>
+      !WEEKDAYS.includes(weekday) ||
+      !hours || this._toMinutes(hours.close) <= this._toMinutes(hours.open)
+    );
+
+    if (invalid) {
+      throw ErrorHandlers.badRequest('branch.invalidOpeningHours');
+    }
+  }
+
+  _toMinutes(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+  }
+}
+
+module.exports = new BranchService();
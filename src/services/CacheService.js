@@ -135,15 +135,16 @@ class CacheService {
    * @param {string} key - Cache key
    * @param {any} value - Value to cache
    * @param {number} ttl - Time to live in seconds
+   * @returns {Promise<boolean|null>} Whether the key was set, null when Redis errored
    */
   static async setNX(key, value, ttl) {
     try {
       const serialized = JSON.stringify(value);
-      const result = await global.redis.set(key, serialized, 'EX', ttl, 'NX');
+      const result = await global.redis.set(key, serialized, { EX: ttl, NX: true });
       return result === 'OK';
     } catch (error) {
       logger.error('Cache setNX error', { key, error: error.message });
-      return false;
+      return null;
     }
   }
 }
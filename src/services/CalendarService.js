@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const AgentRepository = require('@repositories/AgentRepository');
+const ServiceRequestRepository = require('@repositories/ServiceRequestRepository');
+const { ACTIVE_BOOKING_STATUSES, SERVICE_REQUEST_STATUSES } = require('@constants/serviceRequestWorkflow');
+const { ErrorHandlers } = require('@utils/ErrorHandler');
+const logger = require('@utils/logger');
+
+/**
+ * CalendarService
+ *
+ * iCalendar (RFC 5545) export of service request meetings
+ * - Per-request .ics download (METHOD:PUBLISH, or METHOD:CANCEL once cancelled)
+ * - Tokenized agent feed (METHOD:PUBLISH); cancelled meetings stay in the feed
+ *   with STATUS:CANCELLED so subscribed calendars remove them
+ *
+ * Every meeting keeps the same UID; SEQUENCE (ServiceRequest.calendarSequence)
+ * increases on reschedule/cancel so clients replace their copy
+ */
+class CalendarService {
+  constructor() {
+    this.appUrl = process.env.APP_URL || 'http://localhost:4000';
+    this.appName = process.env.APP_NAME || 'raalc-api';
+    this.feedDays = parseInt(process.env.CALENDAR_FEED_DAYS) || 60;
+    this.officeLocation = process.env.CALENDAR_OFFICE_LOCATION || '';
+    this.uidDomain = new URL(this.appUrl).hostname;
+  }
+
+  /**
+   * Build the .ics file of a single request
+   * @param {Object} request - ServiceRequest with user, agent and category relations
+   * @param {string} viewerType - USER, AGENT or ADMIN
+   * @returns {string} iCalendar document
+   */
+  buildRequestCalendar(request, viewerType) {
+    const isCancelled = request.status === SERVICE_REQUEST_STATUSES.CANCELLED;
+
+    return this._buildCalendar(
+      isCancelled ? 'CANCEL' : 'PUBLISH',
+      [this._buildEvent(request, viewerType)]
+    );
+  }
+
+  /**
+   * Build an agent's subscribable feed from a feed token
+   * @param {string} token - Raw feed token from the URL
+   * @returns {Promise<string>} iCalendar document
+   */
+  async getAgentFeed(token) {
+    const agent = await AgentRepository.findByCalendarFeedToken(this._hashToken(token));
+
+    if (!agent) {
+      throw ErrorHandlers.notFound('calendar.feedNotFound');
+    }
+
+    const meetings = await ServiceRequestRepository.getUpcomingMeetings(
+      agent.id,
+      this.feedDays,
+      [...ACTIVE_BOOKING_STATUSES, SERVICE_REQUEST_STATUSES.CANCELLED]
+    );
+
+    return this._buildCalendar(
+      'PUBLISH',
+      meetings.map(meeting => this._buildEvent({ ...meeting, agent }, 'AGENT')),
+      `${agent.fullName} - Meetings`
+    );
+  }
+
+  /**
+   * Create (or rotate) an agent's feed token
+   * The previous feed URL stops working immediately
+   * @returns {Promise<Object>} { token, feedUrl }
+   */
+  async createFeedToken(agentId) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await AgentRepository.update(agentId, {
+      calendarFeedToken: this._hashToken(token)
+    });
+
+    logger.info('Agent calendar feed token created', { agentId });
+
+    return {
+      token,
+      feedUrl: `${this.appUrl}/api/agents/calendar/${token}.ics`
+    };
+  }
+
+  /**
+   * Revoke an agent's feed token
+   */
+  async revokeFeedToken(agentId) {
+    await AgentRepository.update(agentId, { calendarFeedToken: null });
+
+    logger.info('Agent calendar feed token revoked', { agentId });
+  }
+
+  /**
+   * PRIVATE HELPER METHODS
+   */
+
+  _hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  _buildCalendar(method, events, name = null) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:-//${this._escape(this.appName)}//Service Requests//EN`,
+      'CALSCALE:GREGORIAN',
+      `METHOD:${method}`
+    ];
+
+    if (name) {
+      lines.push(`X-WR-CALNAME:${this._escape(name)}`);
+    }
+
+    events.forEach(event => lines.push(...event));
+    lines.push('END:VCALENDAR');
+
+    return lines.map(line => this._fold(line)).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Build the VEVENT lines of a request
+   * Agents see the client's contact details, users see their agent
+   */
+  _buildEvent(request, viewerType) {
+    const start = new Date(`${this._formatDateValue(request.meetingDate)}T${request.meetingTime}`);
+    const end = new Date(start.getTime() + (request.meetingDuration || 60) * 60 * 1000);
+    const isCancelled = request.status === SERVICE_REQUEST_STATUSES.CANCELLED;
+    const isOnline = request.meetingType === 'online';
+    const categoryName = request.category ? request.category.name : 'Service';
+
+    const summary = viewerType === 'USER'
+      ? `${categoryName} meeting${request.agent ? ` with ${request.agent.fullName}` : ''}`
+      : `${categoryName} meeting - ${request.fullName}`;
+
+    const description = [
+      `Request #${request.id}`,
+      `Meeting type: ${isOnline ? 'Online' : 'Offline'}`
+    ];
+    if (viewerType === 'USER') {
+      if (request.agent) {
+        description.push(`Agent: ${request.agent.fullName}`);
+      }
+    } else {
+      description.push(`Client: ${request.fullName}`);
+      description.push(`Phone: ${request.phone}`);
+      description.push(`Email: ${request.email}`);
+    }
+    if (isOnline && request.meetingLink) {
+      description.push(`Join: ${request.meetingLink}`);
+    }
+
+    const location = isOnline
+      ? (request.meetingLink || 'Online')
+      : this.officeLocation;
+
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:service-request-${request.id}@${this.uidDomain}`,
+      `DTSTAMP:${this._formatDateTime(request.updatedAt || new Date())}`,
+      `DTSTART:${this._formatDateTime(start)}`,
+      `DTEND:${this._formatDateTime(end)}`,
+      `SEQUENCE:${request.calendarSequence || 0}`,
+      `STATUS:${isCancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+      `SUMMARY:${this._escape(summary)}`,
+      `DESCRIPTION:${this._escape(description.join('\n'))}`
+    ];
+
+    if (location) {
+      lines.push(`LOCATION:${this._escape(location)}`);
+    }
+    if (isOnline && request.meetingLink) {
+      lines.push(`URL:${request.meetingLink}`);
+    }
+
+    lines.push('END:VEVENT');
+    return lines;
+  }
+
+  /**
+   * UTC date-time (YYYYMMDDTHHMMSSZ)
+   */
+  _formatDateTime(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /**
+   * Date columns may come back as strings or Date objects
+   */
+  _formatDateValue(value) {
+    if (value instanceof Date) {
+      const pad = (n) => String(n).padStart(2, '0');
+      return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    }
+    return String(value).slice(0, 10);
+  }
+
+  /**
+   * Escape TEXT values
+   */
+  _escape(value) {
+    return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Fold lines longer than 75 octets
+   */
+  _fold(line) {
+    const buffer = Buffer.from(line, 'utf8');
+    if (buffer.length <= 75) {
+      return line;
+    }
+
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+    let limit = 75;
+
+    for (const char of line) {
+      const charBytes = Buffer.byteLength(char, 'utf8');
+      if (currentBytes + charBytes > limit) {
+        parts.push(current);
+        current = '';
+        currentBytes = 0;
+        limit = 74; // continuation lines start with a space
+      }
+      current += char;
+      currentBytes += charBytes;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+  }
+}
+
+module.exports = new CalendarService();
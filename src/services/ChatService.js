@@ -0,0 +1,431 @@
+const { getConnection } = require('typeorm');
+const ChatRepository = require('@repositories/ChatRepository');
+const MessageRepository = require('@repositories/MessageRepository');
+const ServiceRequestRepository = require('@repositories/ServiceRequestRepository');
+const AdminRepository = require('@repositories/AdminRepository');
+const UploadService = require('@services/UploadService');
+const chatEventEmitter = require('../events/ChatEventEmitter');
+const { PERMISSIONS } = require('@constants/permissions');
+const { SERVICE_REQUEST_STATUSES } = require('@constants/serviceRequestWorkflow');
+const { ErrorHandlers } = require('@utils/ErrorHandler');
+const logger = require('@utils/logger');
+
+/**
+ * ChatService
+ *
+ * Per service request chat between the request's user and its assigned agent
+ *
+ * Access:
+ * - USER: own requests only
+ * - AGENT: requests currently assigned to them only
+ * - ADMIN: chats.read to read, chats.manage to write, close and reopen
+ *
+ * Read receipts are one marker per side (user/agent): the last message that side has read.
+ * Admins can read and write but never move the markers
+ */
+class ChatService {
+  constructor() {
+    this.maxMessageLength = parseInt(process.env.CHAT_MAX_MESSAGE_LENGTH) || 5000;
+    this.defaultPageSize = 50;
+
+    // A chat can be opened once the meeting is confirmed
+    this.openableStatuses = [
+      SERVICE_REQUEST_STATUSES.APPROVED,
+      SERVICE_REQUEST_STATUSES.RESCHEDULED
+    ];
+  }
+
+  /**
+   * Open the chat of a request (returns the existing one if already open)
+   * @param {number} requestId - Service request ID
+   * @param {Object} actor - { type: USER|AGENT|ADMIN, id }
+   * @returns {Promise<Object>} { chat, created }
+   */
+  async openChat(requestId, actor) {
+    const request = await this._getRequest(requestId);
+    await this._assertAccess(request, actor, PERMISSIONS.CHATS.MANAGE);
+
+    const existing = await ChatRepository.findByRequestId(requestId);
+    if (existing) {
+      return { chat: await this._withUnreadCount(existing, actor), created: false };
+    }
+
+    if (!this.openableStatuses.includes(request.status)) {
+      throw ErrorHandlers.badRequest('chat.serviceRequestNotApproved');
+    }
+
+    if (!request.agentId) {
+      throw ErrorHandlers.badRequest('chat.noAgentAssigned');
+    }
+
+    const chat = await ChatRepository.create({ requestId });
+
+    logger.info('Chat opened', { requestId, chatId: chat.id, openedBy: actor });
+
+    return { chat: await this._withUnreadCount(chat, actor), created: true };
+  }
+
+  /**
+   * Get the chat of a request with the caller's unread count
+   */
+  async getChat(requestId, actor) {
+    const request = await this._getRequest(requestId);
+    await this._assertAccess(request, actor, PERMISSIONS.CHATS.READ);
+
+    const chat = await this._getChat(requestId);
+    return await this._withUnreadCount(chat, actor);
+  }
+
+  /**
+   * Get chat history, newest page first, messages in chronological order
+   * @param {Object} options - { before: message ID cursor, limit }
+   * @returns {Promise<Object>} { messages, nextCursor }
+   */
+  async getMessages(requestId, actor, options = {}) {
+    const request = await this._getRequest(requestId);
+    await this._assertAccess(request, actor, PERMISSIONS.CHATS.READ);
+
+    const chat = await this._getChat(requestId);
+    const limit = options.limit || this.defaultPageSize;
+
+    const page = await MessageRepository.findPage(chat.id, {
+      before: options.before || null,
+      limit: limit + 1
+    });
+
+    const hasMore = page.length > limit;
+    const messages = page.slice(0, limit).reverse();
+
+    return {
+      messages: messages.map(message => this._serializeMessage(message, chat)),
+      nextCursor: hasMore ? messages[0].id : null
+    };
+  }
+
+  /**
+   * Send a message (text, attachments or both)
+   * Uploaded files are removed if the message cannot be stored
+   * @param {Object} data - { body }
+   * @param {Array} files - Multer files
+   */
+  async sendMessage(requestId, actor, data, files = []) {
+    try {
+      const request = await this._getRequest(requestId);
+      await this._assertAccess(request, actor, PERMISSIONS.CHATS.MANAGE);
+
+      const chat = await this._getChat(requestId);
+      if (chat.status === 'closed') {
+        throw ErrorHandlers.badRequest('chat.isClosed');
+      }
+
+      const body = data.body ? String(data.body).trim() : '';
+      if (!body && !files.length) {
+        throw ErrorHandlers.badRequest('chat.emptyMessage');
+      }
+
+      if (body.length > this.maxMessageLength) {
+        throw ErrorHandlers.badRequest('chat.messageTooLong', { max: this.maxMessageLength });
+      }
+
+      const message = await getConnection().transaction(async (manager) => {
+        const created = await MessageRepository.create({
+          chatId: chat.id,
+          senderType: actor.type,
+          senderId: actor.id,
+          body: body || null
+        }, manager);
+
+        await MessageRepository.createAttachments(files.map(file => ({
+          messageId: created.id,
+          fileName: file.originalname,
+          filePath: file.path,
+          mimeType: file.mimetype,
+          fileSize: file.size
+        })), manager);
+
+        // Sending implies having read everything before it
+        await ChatRepository.update(chat.id, {
+          lastMessageAt: created.createdAt,
+          ...this._readMarkerFields(actor, created.id)
+        }, manager);
+
+        return created;
+      });
+
+      const updatedChat = await ChatRepository.findByRequestId(requestId);
+      const serialized = this._serializeMessage(
+        await MessageRepository.findWithAttachments(message.id),
+        updatedChat
+      );
+
+      chatEventEmitter.emit('chat:message', {
+        requestId,
+        participants: this._participants(request),
+        message: serialized
+      });
+
+      logger.info('Chat message sent', {
+        requestId,
+        messageId: message.id,
+        sender: actor,
+        attachments: files.length
+      });
+
+      return serialized;
+    } catch (error) {
+      if (files.length) {
+        UploadService.cleanupFiles(files);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Mark messages as read up to a message (default: the latest)
+   * Markers never move backwards; admins only get the current receipts back
+   * @returns {Promise<Object>} Read receipts of both sides
+   */
+  async markAsRead(requestId, actor, messageId = null) {
+    const request = await this._getRequest(requestId);
+    await this._assertAccess(request, actor, PERMISSIONS.CHATS.READ);
+
+    let chat = await this._getChat(requestId);
+
+    const message = messageId
+      ? await MessageRepository.findByIdForChat(messageId, chat.id)
+      : await MessageRepository.findLatest(chat.id);
+
+    if (messageId && !message) {
+      throw ErrorHandlers.notFound('chat.messageNotFound');
+    }
+
+    const side = this._side(actor);
+    if (message && side && message.id > (chat[`${side}LastReadMessageId`] || 0)) {
+      chat = await ChatRepository.update(chat.id, this._readMarkerFields(actor, message.id));
+
+      chatEventEmitter.emit('chat:read', {
+        requestId,
+        participants: this._participants(request),
+        receipts: this._receipts(chat)
+      });
+    }
+
+    return this._receipts(chat);
+  }
+
+  /**
+   * Close a chat (agent or admin); history stays readable
+   */
+  async closeChat(requestId, actor) {
+    const request = await this._getRequest(requestId);
+    await this._assertAccess(request, actor, PERMISSIONS.CHATS.MANAGE);
+
+    if (actor.type === 'USER') {
+      throw ErrorHandlers.forbidden('chat.notAuthorized');
+    }
+
+    const chat = await this._getChat(requestId);
+    if (chat.status === 'closed') {
+      throw ErrorHandlers.badRequest('chat.alreadyClosed');
+    }
+
+    const updated = await ChatRepository.update(chat.id, {
+      status: 'closed',
+      closedByType: actor.type,
+      closedById: actor.id,
+      closedAt: new Date()
+    });
+
+    this._emitStatus(request, updated);
+    logger.info('Chat closed', { requestId, chatId: chat.id, closedBy: actor });
+
+    return updated;
+  }
+
+  /**
+   * Reopen a closed chat (admin only)
+   */
+  async reopenChat(requestId, actor) {
+    const request = await this._getRequest(requestId);
+
+    if (actor.type !== 'ADMIN') {
+      throw ErrorHandlers.forbidden('chat.notAuthorized');
+    }
+    await this._assertAccess(request, actor, PERMISSIONS.CHATS.MANAGE);
+
+    const chat = await this._getChat(requestId);
+    if (chat.status === 'open') {
+      throw ErrorHandlers.badRequest('chat.alreadyOpen');
+    }
+
+    const updated = await ChatRepository.update(chat.id, {
+      status: 'open',
+      closedByType: null,
+      closedById: null,
+      closedAt: null
+    });
+
+    this._emitStatus(request, updated);
+    logger.info('Chat reopened', { requestId, chatId: chat.id, reopenedBy: actor });
+
+    return updated;
+  }
+
+  /**
+   * Get an attachment for download
+   * @returns {Promise<Object>} Attachment including filePath
+   */
+  async getAttachment(requestId, attachmentId, actor) {
+    const request = await this._getRequest(requestId);
+    await this._assertAccess(request, actor, PERMISSIONS.CHATS.READ);
+
+    const chat = await this._getChat(requestId);
+    const attachment = await MessageRepository.findAttachmentForChat(attachmentId, chat.id);
+
+    if (!attachment) {
+      throw ErrorHandlers.notFound('chat.attachmentNotFound');
+    }
+
+    return attachment;
+  }
+
+  /**
+   * Total unread messages across the caller's chats (users and agents)
+   */
+  async getUnreadCount(actor) {
+    const side = this._side(actor);
+    if (!side) {
+      return 0;
+    }
+
+    return await MessageRepository.countUnreadByParticipant(side, actor.id);
+  }
+
+  /**
+   * Check read access without loading the chat (used by the WebSocket server)
+   * @returns {Promise<Object>} { userId, agentId } of the request
+   */
+  async assertCanRead(requestId, actor) {
+    const request = await this._getRequest(requestId);
+    await this._assertAccess(request, actor, PERMISSIONS.CHATS.READ);
+    return this._participants(request);
+  }
+
+  /**
+   * PRIVATE HELPER METHODS
+   */
+
+  async _getRequest(requestId) {
+    const request = await ServiceRequestRepository.findById(requestId);
+
+    if (!request) {
+      throw ErrorHandlers.notFound('chat.serviceRequestNotFound');
+    }
+
+    return request;
+  }
+
+  async _getChat(requestId) {
+    const chat = await ChatRepository.findByRequestId(requestId);
+
+    if (!chat) {
+      throw ErrorHandlers.notFound('chat.notFound');
+    }
+
+    return chat;
+  }
+
+  /**
+   * Only the request's user, its current agent and permitted admins get in
+   */
+  async _assertAccess(request, actor, permission) {
+    if (actor.type === 'USER' && request.userId === actor.id) {
+      return;
+    }
+
+    if (actor.type === 'AGENT' && request.agentId === actor.id) {
+      return;
+    }
+
+    if (actor.type === 'ADMIN' && await AdminRepository.hasPermission(actor.id, permission)) {
+      return;
+    }
+
+    throw ErrorHandlers.forbidden('chat.notAuthorized');
+  }
+
+  /**
+   * Read marker side of an actor (admins have none)
+   */
+  _side(actor) {
+    if (actor.type === 'USER') return 'user';
+    if (actor.type === 'AGENT') return 'agent';
+    return null;
+  }
+
+  _readMarkerFields(actor, messageId) {
+    const side = this._side(actor);
+    if (!side) {
+      return {};
+    }
+
+    return {
+      [`${side}LastReadMessageId`]: messageId,
+      [`${side}LastReadAt`]: new Date()
+    };
+  }
+
+  _participants(request) {
+    return { userId: request.userId, agentId: request.agentId };
+  }
+
+  _receipts(chat) {
+    return {
+      user: { lastReadMessageId: chat.userLastReadMessageId, readAt: chat.userLastReadAt },
+      agent: { lastReadMessageId: chat.agentLastReadMessageId, readAt: chat.agentLastReadAt }
+    };
+  }
+
+  async _withUnreadCount(chat, actor) {
+    const side = this._side(actor);
+    const unreadCount = side
+      ? await MessageRepository.countUnread(chat.id, actor.type, chat[`${side}LastReadMessageId`])
+      : 0;
+
+    return { ...chat, unreadCount };
+  }
+
+  /**
+   * Message as returned to clients: storage paths are never exposed,
+   * attachments are downloaded through the chat endpoint
+   */
+  _serializeMessage(message, chat) {
+    return {
+      id: message.id,
+      chatId: message.chatId,
+      senderType: message.senderType,
+      senderId: message.senderId,
+      body: message.body,
+      createdAt: message.createdAt,
+      attachments: (message.attachments || []).map(attachment => ({
+        id: attachment.id,
+        fileName: attachment.fileName,
+        mimeType: attachment.mimeType,
+        fileSize: attachment.fileSize,
+        url: `/api/chats/${chat.requestId}/attachments/${attachment.id}`
+      })),
+      readByUser: message.id <= (chat.userLastReadMessageId || 0),
+      readByAgent: message.id <= (chat.agentLastReadMessageId || 0)
+    };
+  }
+
+  _emitStatus(request, chat) {
+    chatEventEmitter.emit('chat:status', {
+      requestId: request.id,
+      participants: this._participants(request),
+      status: chat.status
+    });
+  }
+}
+
+module.exports = new ChatService();
@@ -0,0 +1,248 @@
+const jwt = require('jsonwebtoken');
+const { WebSocketServer, WebSocket } = require('ws');
+const i18next = require('@config/i18n');
+const ChatService = require('@services/ChatService');
+const chatEventEmitter = require('../events/ChatEventEmitter');
+const logger = require('@utils/logger');
+
+/**
+ * ChatSocketService
+ *
+ * Real-time chat delivery over WebSocket, attached to the HTTP server (path: /ws/chat)
+ *
+ * Connect: ws://host/ws/chat?token=<JWT>&lang=en (or an Authorization: Bearer header)
+ *
+ * Client → server:
+ * - { type: 'subscribe', requestId }
+ * - { type: 'unsubscribe', requestId }
+ * - { type: 'message', requestId, body }     (attachments go through REST)
+ * - { type: 'read', requestId, messageId? }
+ *
+ * Server → client:
+ * - { type: 'subscribed' | 'unsubscribed', requestId }
+ * - { type: 'message', requestId, message }
+ * - { type: 'read', requestId, receipts }
+ * - { type: 'status', requestId, status }
+ * - { type: 'error', requestId, messageKey, message }
+ */
+class ChatSocketService {
+  constructor() {
+    this.path = '/ws/chat';
+    this.heartbeatMs = parseInt(process.env.CHAT_WS_HEARTBEAT_MS) || 30000;
+    this.wss = null;
+    this.heartbeat = null;
+
+    // requestId → Set of sockets
+    this.rooms = new Map();
+  }
+
+  /**
+   * Attach the WebSocket server to an HTTP server
+   * @param {http.Server} server - The application's HTTP server
+   */
+  attach(server) {
+    this.wss = new WebSocketServer({ noServer: true, maxPayload: 64 * 1024 });
+
+    server.on('upgrade', (req, socket, head) => {
+      const url = new URL(req.url, 'http://localhost');
+      if (url.pathname !== this.path) {
+        return socket.destroy();
+      }
+
+      const actor = this._authenticate(req, url);
+      if (!actor) {
+        socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+        return socket.destroy();
+      }
+
+      this.wss.handleUpgrade(req, socket, head, (ws) => {
+        ws.actor = actor;
+        ws.language = url.searchParams.get('lang') || 'en';
+        this.wss.emit('connection', ws);
+      });
+    });
+
+    this.wss.on('connection', (ws) => this._onConnection(ws));
+
+    chatEventEmitter.on('chat:message', (event) => {
+      this._broadcast(event, { type: 'message', requestId: event.requestId, message: event.message });
+    });
+    chatEventEmitter.on('chat:read', (event) => {
+      this._broadcast(event, { type: 'read', requestId: event.requestId, receipts: event.receipts });
+    });
+    chatEventEmitter.on('chat:status', (event) => {
+      this._broadcast(event, { type: 'status', requestId: event.requestId, status: event.status });
+    });
+
+    // Drop connections that stopped answering pings
+    this.heartbeat = setInterval(() => {
+      this.wss.clients.forEach((ws) => {
+        if (!ws.isAlive) {
+          return ws.terminate();
+        }
+        ws.isAlive = false;
+        ws.ping();
+      });
+    }, this.heartbeatMs);
+
+    server.on('close', () => this.close());
+
+    logger.info(`Chat WebSocket server listening on ${this.path}`);
+  }
+
+  /**
+   * Stop the heartbeat and close all connections
+   */
+  close() {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+
+    if (this.wss) {
+      this.wss.clients.forEach(ws => ws.terminate());
+      this.wss.close();
+      this.wss = null;
+    }
+
+    this.rooms.clear();
+  }
+
+  /**
+   * PRIVATE HELPER METHODS
+   */
+
+  _authenticate(req, url) {
+    const authHeader = req.headers.authorization;
+    const token = authHeader && authHeader.startsWith('Bearer ')
+      ? authHeader.substring(7)
+      : url.searchParams.get('token');
+
+    if (!token) {
+      return null;
+    }
+
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      return { type: decoded.userType, id: decoded.id };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  _onConnection(ws) {
+    ws.isAlive = true;
+    ws.requestIds = new Set();
+
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    ws.on('message', async (raw) => {
+      let payload;
+      try {
+        payload = JSON.parse(raw.toString());
+      } catch (error) {
+        return this._sendError(ws, null, 'errors.invalidJson');
+      }
+
+      const requestId = parseInt(payload.requestId);
+      if (!requestId) {
+        return this._sendError(ws, null, 'validation.requestIdInvalid');
+      }
+
+      try {
+        await this._handle(ws, payload, requestId);
+      } catch (error) {
+        if (!error.isOperational) {
+          logger.error('Chat WebSocket error', { actor: ws.actor, requestId, error: error.message });
+        }
+        this._sendError(ws, requestId, error.isOperational ? error.messageKey : 'errors.internal', error.data);
+      }
+    });
+
+    ws.on('close', () => {
+      ws.requestIds.forEach(requestId => this._leave(ws, requestId));
+    });
+  }
+
+  async _handle(ws, payload, requestId) {
+    switch (payload.type) {
+      case 'subscribe':
+        await ChatService.assertCanRead(requestId, ws.actor);
+        this._join(ws, requestId);
+        return this._send(ws, { type: 'subscribed', requestId });
+
+      case 'unsubscribe':
+        this._leave(ws, requestId);
+        return this._send(ws, { type: 'unsubscribed', requestId });
+
+      case 'message':
+        // Delivered to the room (including the sender) through chat:message
+        return await ChatService.sendMessage(requestId, ws.actor, { body: payload.body });
+
+      case 'read':
+        return await ChatService.markAsRead(requestId, ws.actor, parseInt(payload.messageId) || null);
+
+      default:
+        return this._sendError(ws, requestId, 'chat.unknownEventType', { type: payload.type });
+    }
+  }
+
+  _join(ws, requestId) {
+    if (!this.rooms.has(requestId)) {
+      this.rooms.set(requestId, new Set());
+    }
+    this.rooms.get(requestId).add(ws);
+    ws.requestIds.add(requestId);
+  }
+
+  _leave(ws, requestId) {
+    const room = this.rooms.get(requestId);
+    if (room) {
+      room.delete(ws);
+      if (!room.size) {
+        this.rooms.delete(requestId);
+      }
+    }
+    ws.requestIds.delete(requestId);
+  }
+
+  /**
+   * Send an event to a request's room
+   * Users and agents no longer on the request (e.g. after a reassignment) are dropped from it
+   */
+  _broadcast(event, data) {
+    const room = this.rooms.get(event.requestId);
+    if (!room) {
+      return;
+    }
+
+    const { userId, agentId } = event.participants;
+
+    [...room].forEach((ws) => {
+      const { type, id } = ws.actor;
+      if ((type === 'USER' && id !== userId) || (type === 'AGENT' && id !== agentId)) {
+        return this._leave(ws, event.requestId);
+      }
+      this._send(ws, data);
+    });
+  }
+
+  _send(ws, data) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(data));
+    }
+  }
+
+  _sendError(ws, requestId, messageKey, data = {}) {
+    this._send(ws, {
+      type: 'error',
+      requestId,
+      messageKey,
+      message: i18next.t(messageKey, { lng: ws.language, ...data })
+    });
+  }
+}
+
+module.exports = new ChatSocketService();
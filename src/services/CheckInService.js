@@ -0,0 +1,256 @@
+const crypto = require('crypto');
+const { getConnection } = require('typeorm');
+const ServiceRequestRepository = require('@repositories/ServiceRequestRepository');
+const ServiceRequestEventService = require('@services/ServiceRequestEventService');
+const NotificationService = require('@services/NotificationService');
+const { SERVICE_REQUEST_STATUSES } = require('@constants/serviceRequestWorkflow');
+const { ErrorHandlers } = require('@utils/ErrorHandler');
+const logger = require('@utils/logger');
+
+// Short codes avoid characters that are easily confused when read out (0/O, 1/I)
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+const SIGNATURE_PATTERN = /^[0-9a-f]{32}$/;
+
+const CHECK_IN_STATUSES = [SERVICE_REQUEST_STATUSES.APPROVED, SERVICE_REQUEST_STATUSES.RESCHEDULED];
+
+/**
+ * CheckInService
+ *
+ * Front-desk check-in for offline meetings
+ * - Approved offline meetings get a short check-in code, sent to the user with the
+ *   approval. The check-in pass also carries a signed QR payload
+ *   (`<requestId>.<code>.<signature>`, HMAC of CHECK_IN_SECRET) for the client to
+ *   render as a QR code
+ * - The front desk submits either; the check-in is open from
+ *   CHECK_IN_OPENS_MINUTES_BEFORE the meeting until its end
+ * - Without CHECK_IN_SECRET passes carry no QR payload and payloads are refused;
+ *   short codes still work
+ * - Checking in records arrivedAt, notifies the assigned agent, and keeps the
+ *   meeting from being recorded as a user no-show
+ */
+class CheckInService {
+  constructor() {
+    this.secret = process.env.CHECK_IN_SECRET;
+    this.opensMinutesBefore = parseInt(process.env.CHECK_IN_OPENS_MINUTES_BEFORE) || 60;
+
+    if (!this.secret) {
+      logger.warn('CHECK_IN_SECRET is not set, check-in passes will have no QR payload');
+    }
+  }
+
+  /**
+   * Build the check-in fields for a request being approved
+   * @param {Object} request - Request data as it will be after the update
+   * @returns {Object} { checkInCode } or {} for meetings not held at a branch
+   */
+  buildCodeFields(request) {
+    if (request.meetingType !== 'offline' || !request.branchId) {
+      return {};
+    }
+
+    return { checkInCode: this._generateCode() };
+  }
+
+  /**
+   * Get the check-in pass of an own offline meeting (User)
+   * Meetings approved before check-in codes existed get one now
+   * @returns {Promise<Object>} { requestId, checkInCode, qrPayload, meetingDate, meetingTime, branch, meetingRoom, arrivedAt }
+   */
+  async getPass(requestId, userId) {
+    const request = await ServiceRequestRepository.findById(requestId);
+
+    if (!request || request.userId !== userId) {
+      throw ErrorHandlers.notFound('serviceRequest.notFound');
+    }
+
+    this._assertCheckInable(request);
+
+    let checkInCode = await ServiceRequestRepository.findCheckInCode(requestId);
+    if (!checkInCode) {
+      checkInCode = this._generateCode();
+      await ServiceRequestRepository.update(requestId, { checkInCode });
+    }
+
+    return {
+      requestId: request.id,
+      checkInCode,
+      qrPayload: this.secret ? this._sign(request.id, checkInCode) : null,
+      meetingDate: request.meetingDate,
+      meetingTime: request.meetingTime,
+      branch: request.branch || null,
+      meetingRoom: request.meetingRoom || null,
+      arrivedAt: request.arrivedAt
+    };
+  }
+
+  /**
+   * Send the check-in code to the user of an approved offline meeting
+   * Never fails the caller: the user can still fetch the pass
+   */
+  async sendPass(request) {
+    if (request.meetingType !== 'offline' || !request.branchId) {
+      return;
+    }
+
+    try {
+      const checkInCode = await ServiceRequestRepository.findCheckInCode(request.id);
+      if (!checkInCode) {
+        return;
+      }
+
+      await NotificationService.notify([{ type: 'USER', id: request.userId }], {
+        type: 'check_in_pass',
+        titleKey: 'checkIn.passTitle',
+        messageKey: 'checkIn.passMessage',
+        params: {
+          code: checkInCode,
+          date: request.meetingDate,
+          time: String(request.meetingTime).slice(0, 5),
+          branch: request.branch ? request.branch.name : ''
+        },
+        data: {
+          requestId: request.id,
+          checkInCode,
+          qrPayload: this.secret ? this._sign(request.id, checkInCode) : null
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to send check-in pass', {
+        requestId: request.id,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Check a user in at the front desk (Admin)
+   * @param {string} code - Short check-in code or signed QR payload
+   * @param {Object} actor - { type: ADMIN, id }
+   */
+  async checkIn(code, actor) {
+    const request = await this._findByCode(code);
+    if (!request) {
+      throw ErrorHandlers.notFound('checkIn.invalidCode');
+    }
+
+    this._assertCheckInable(request);
+
+    if (request.arrivedAt) {
+      throw ErrorHandlers.conflict('checkIn.alreadyCheckedIn', { arrivedAt: request.arrivedAt });
+    }
+
+    const now = new Date();
+    const meetingStart = new Date(`${request.meetingDate}T${request.meetingTime}`);
+    const meetingEnd = new Date(meetingStart.getTime() + (request.meetingDuration || 60) * 60 * 1000);
+    const opensAt = new Date(meetingStart.getTime() - this.opensMinutesBefore * 60 * 1000);
+
+    if (now < opensAt) {
+      throw ErrorHandlers.badRequest('checkIn.tooEarly', { minutes: this.opensMinutesBefore });
+    }
+
+    if (now > meetingEnd) {
+      throw ErrorHandlers.badRequest('checkIn.meetingOver');
+    }
+
+    const minutesLate = Math.max(0, Math.floor((now - meetingStart) / (60 * 1000)));
+
+    const updatedRequest = await getConnection().transaction(async (manager) => {
+      const marked = await ServiceRequestRepository.markArrived(request.id, now, actor.id, manager);
+      if (!marked) {
+        throw ErrorHandlers.conflict('checkIn.alreadyCheckedIn');
+      }
+
+      await ServiceRequestEventService.record(request.id, 'user_arrived', actor, {
+        fromStatus: request.status,
+        toStatus: request.status,
+        metadata: { arrivedAt: now, minutesLate, meetingRoomId: request.meetingRoomId }
+      }, manager);
+
+      return await ServiceRequestRepository.findById(request.id, manager);
+    });
+
+    if (request.agentId) {
+      await NotificationService.notify([{ type: 'AGENT', id: request.agentId }], {
+        type: 'user_arrived',
+        titleKey: 'checkIn.arrivedTitle',
+        messageKey: 'checkIn.arrivedMessage',
+        params: {
+          name: request.fullName,
+          time: String(request.meetingTime).slice(0, 5)
+        },
+        data: { requestId: request.id, meetingRoomId: request.meetingRoomId, arrivedAt: now }
+      });
+    }
+
+    logger.info('User checked in at the front desk', {
+      requestId: request.id,
+      minutesLate,
+      checkedInBy: actor
+    });
+
+    return updatedRequest;
+  }
+
+  /**
+   * PRIVATE HELPER METHODS
+   */
+
+  _assertCheckInable(request) {
+    if (request.meetingType !== 'offline' || !request.branchId) {
+      throw ErrorHandlers.badRequest('serviceRequest.notBranchMeeting');
+    }
+
+    if (!CHECK_IN_STATUSES.includes(request.status)) {
+      throw ErrorHandlers.badRequest('checkIn.notCheckInable', { status: request.status });
+    }
+  }
+
+  /**
+   * Resolve a short code or a signed QR payload to its request
+   * A payload with a bad signature, or naming another request, resolves to nothing
+   */
+  async _findByCode(code) {
+    const [requestId, shortCode, signature] = String(code).trim().split('.');
+
+    if (signature !== undefined) {
+      // The pattern also keeps multi-byte input away from timingSafeEqual, which throws
+      // on buffers of different byte lengths
+      if (!this.secret || !SIGNATURE_PATTERN.test(signature)) {
+        return null;
+      }
+
+      const expected = this._sign(requestId, shortCode).split('.')[2];
+      if (!crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        return null;
+      }
+
+      const request = await ServiceRequestRepository.findByCheckInCode(shortCode);
+      return request && String(request.id) === requestId ? request : null;
+    }
+
+    const normalized = requestId.toUpperCase().replace(/[\s-]/g, '');
+    if (normalized.length !== CODE_LENGTH) {
+      return null;
+    }
+
+    return await ServiceRequestRepository.findByCheckInCode(normalized);
+  }
+
+  _generateCode() {
+    return Array.from(crypto.randomBytes(CODE_LENGTH), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  }
+
+  /**
+   * Signed QR payload of a request's code
+   */
+  _sign(requestId, checkInCode) {
+    const data = `${requestId}.${checkInCode}`;
+    const signature = crypto.createHmac('sha256', this.secret).update(data).digest('hex').slice(0, 32);
+
+    return `${data}.${signature}`;
+  }
+}
+
+module.exports = new CheckInService();
@@ -0,0 +1,366 @@
+const { getConnection } = require('typeorm');
+const ServiceRequestRepository = require('@repositories/ServiceRequestRepository');
+const AgentRepository = require('@repositories/AgentRepository');
+const AvailabilityService = require('@services/AvailabilityService');
+const SlotReservationService = require('@services/SlotReservationService');
+const ServiceRequestEventService = require('@services/ServiceRequestEventService');
+const ServiceRequestStateMachine = require('@services/ServiceRequestStateMachine');
+const RescheduleService = require('@services/RescheduleService');
+const MeetingLinkService = require('@services/MeetingLinkService');
+const MeetingReminderService = require('@services/MeetingReminderService');
+const NotificationService = require('@services/NotificationService');
+const InvoiceService = require('@services/InvoiceService');
+const PaymentService = require('@services/PaymentService');
+const WaitlistService = require('@services/WaitlistService');
+const BranchService = require('@services/BranchService');
+const RoomAllocationService = require('@services/RoomAllocationService');
+const CheckInService = require('@services/CheckInService');
+const { SERVICE_REQUEST_STATUSES, OPEN_STATUSES } = require('@constants/serviceRequestWorkflow');
+const { ErrorHandlers } = require('@utils/ErrorHandler');
+const logger = require('@utils/logger');
+
+// Days between two meetings of a series (monthly series keep the day of the month)
+const FREQUENCY_DAYS = { weekly: 7, biweekly: 14 };
+
+/**
+ * FollowUpService
+ *
+ * Further meetings of the same matter, booked by its agent
+ * - A follow-up is a request of its own (same user, agent, category and service) linked
+ *   to the first request of the thread by parentRequestId. Follow-ups of a follow-up
+ *   link to that first request too, so a thread is one level deep
+ * - Follow-ups are approved when booked, invoiced for the thread's service like any
+ *   approved request (offline ones are sent their check-in pass), and share the
+ *   thread's documents
+ * - A recurring series books one follow-up per occurrence: every slot is checked up
+ *   front, and a slot lost to a concurrent booking deletes the ones already booked
+ *   (with their events, invoices, rooms and check-in codes)
+ * - Follow-ups are cancelled one by one or all open ones of the thread at once
+ */
+class FollowUpService {
+  constructor() {
+    this.maxOccurrences = parseInt(process.env.FOLLOW_UP_MAX_OCCURRENCES) || 12;
+  }
+
+  /**
+   * Book one follow-up meeting or a recurring series (Agent/Admin)
+   * @param {number} requestId - Request of the thread to follow up on
+   * @param {Object} actor - { type: AGENT|ADMIN, id }
+   * @param {Object} data - { meetingDate, meetingTime, meetingDuration, meetingType, notes,
+   *   recurrence: { frequency: weekly|biweekly|monthly, count } }
+   * @returns {Promise<Array>} Booked follow-ups, in meeting order
+   */
+  async createFollowUps(requestId, actor, data) {
+    const request = await this._getRequest(requestId);
+    const { meetingDate, meetingTime, recurrence = null } = data;
+
+    ServiceRequestStateMachine.assertTransition(request, 'create_follow_up', actor, { meetingDate, meetingTime });
+
+    if (recurrence && recurrence.count > this.maxOccurrences) {
+      throw ErrorHandlers.badRequest('serviceRequest.followUpTooManyOccurrences', { max: this.maxOccurrences });
+    }
+
+    const agent = request.agentId ? await AgentRepository.findById(request.agentId) : null;
+    if (!agent) {
+      throw ErrorHandlers.notFound('serviceRequest.agentNotFound');
+    }
+
+    if (!agent.isActive) {
+      throw ErrorHandlers.badRequest('serviceRequest.agentInactive');
+    }
+
+    const parentRequestId = request.parentRequestId || request.id;
+    const meetingType = data.meetingType || request.meetingType;
+    const meeting = {
+      meetingTime,
+      duration: parseInt(data.meetingDuration) || request.meetingDuration || 60,
+      meetingType,
+      branchId: meetingType === 'offline' ? request.branchId || null : null,
+      notes: data.notes || null
+    };
+    const dates = this._occurrenceDates(meetingDate, recurrence);
+
+    // Check the whole series before booking any of it
+    for (const date of dates) {
+      await this._assertSlotBookable(agent, date, meeting);
+    }
+
+    const followUps = [];
+    try {
+      for (const date of dates) {
+        followUps.push(await this._book(request, parentRequestId, actor, { ...meeting, meetingDate: date }));
+      }
+    } catch (error) {
+      if (followUps.length > 0) {
+        await ServiceRequestRepository.deleteMany(followUps.map(followUp => followUp.id));
+      }
+
+      throw error;
+    }
+
+    const followUpIds = followUps.map(followUp => followUp.id);
+
+    await ServiceRequestEventService.record(parentRequestId, 'follow_up_scheduled', actor, {
+      metadata: { followUpIds, requestId, recurrence }
+    });
+
+    for (const followUp of followUps) {
+      await MeetingReminderService.schedule(followUp);
+      await CheckInService.sendPass(followUp);
+    }
+
+    await NotificationService.notify([{ type: 'USER', id: request.userId }], {
+      type: 'follow_up_scheduled',
+      titleKey: 'followUp.scheduledTitle',
+      messageKey: 'followUp.scheduledMessage',
+      params: {
+        requestId: parentRequestId,
+        count: followUps.length,
+        date: dates[0],
+        time: String(meetingTime).slice(0, 5)
+      },
+      data: { requestId: parentRequestId, followUpIds }
+    });
+
+    logger.info('Follow-up meetings booked', {
+      requestId: parentRequestId,
+      followUpIds,
+      bookedBy: actor
+    });
+
+    return followUps;
+  }
+
+  /**
+   * Get the thread of a request: its first meeting and all follow-ups (User/Agent/Admin)
+   */
+  async getThread(requestId, userId, userRole) {
+    const request = await this._getRequest(requestId);
+
+    ServiceRequestStateMachine.assertCanView(request, userId, userRole);
+
+    const parent = request.parentRequestId ? await this._getRequest(request.parentRequestId) : request;
+    const followUps = await ServiceRequestRepository.findFollowUps(parent.id);
+
+    return {
+      requestId: parent.id,
+      request: parent,
+      followUps
+    };
+  }
+
+  /**
+   * Cancel one follow-up, or every open follow-up of the thread (Agent/Admin)
+   * @param {number} requestId - Any request of the thread
+   * @param {Object} actor - { type: AGENT|ADMIN, id }
+   * @param {Object} data - { followUpId (omit to cancel all open ones), reason }
+   * @returns {Promise<Array>} Cancelled follow-ups
+   */
+  async cancelFollowUps(requestId, actor, data) {
+    const request = await this._getRequest(requestId);
+    const { followUpId = null, reason } = data;
+    const parentRequestId = request.parentRequestId || request.id;
+
+    let followUps;
+    if (followUpId) {
+      const followUp = await ServiceRequestRepository.findById(followUpId);
+      if (!followUp || followUp.parentRequestId !== parentRequestId) {
+        throw ErrorHandlers.notFound('serviceRequest.followUpNotFound');
+      }
+
+      followUps = [followUp];
+    } else {
+      followUps = await ServiceRequestRepository.findFollowUps(parentRequestId, OPEN_STATUSES);
+      if (followUps.length === 0) {
+        throw ErrorHandlers.badRequest('serviceRequest.noOpenFollowUps');
+      }
+    }
+
+    const transitions = followUps.map(followUp =>
+      ServiceRequestStateMachine.assertTransition(followUp, 'cancel_follow_up', actor, { reason })
+    );
+
+    const cancelled = await getConnection().transaction(async (manager) => {
+      const updated = [];
+
+      for (const [index, followUp] of followUps.entries()) {
+        const result = await ServiceRequestRepository.update(followUp.id, {
+          status: transitions[index].to,
+          cancelledAt: new Date(),
+          cancellationReason: reason,
+          calendarSequence: (followUp.calendarSequence || 0) + 1
+        }, manager);
+
+        await RescheduleService.supersedePending(followUp.id, manager);
+
+        await ServiceRequestEventService.record(followUp.id, 'cancelled', actor, {
+          fromStatus: followUp.status,
+          toStatus: result.status,
+          metadata: { reason, parentRequestId }
+        }, manager);
+
+        updated.push(result);
+      }
+
+      return updated;
+    });
+
+    for (const followUp of cancelled) {
+      await PaymentService.settleCancelledRequest(followUp, actor);
+      await MeetingReminderService.cancel(followUp.id);
+    }
+
+    for (const followUp of followUps) {
+      await WaitlistService.slotFreed(followUp);
+    }
+
+    await NotificationService.notify([{ type: 'USER', id: request.userId }], {
+      type: 'follow_up_cancelled',
+      titleKey: 'followUp.cancelledTitle',
+      messageKey: 'followUp.cancelledMessage',
+      params: { requestId: parentRequestId, count: cancelled.length, reason },
+      data: { requestId: parentRequestId, followUpIds: cancelled.map(followUp => followUp.id) }
+    });
+
+    logger.info('Follow-up meetings cancelled', {
+      requestId: parentRequestId,
+      followUpIds: cancelled.map(followUp => followUp.id),
+      cancelledBy: actor
+    });
+
+    return cancelled;
+  }
+
+  /**
+   * PRIVATE HELPER METHODS
+   */
+
+  async _getRequest(requestId) {
+    const request = await ServiceRequestRepository.findById(requestId);
+
+    if (!request) {
+      throw ErrorHandlers.notFound('serviceRequest.notFound');
+    }
+
+    return request;
+  }
+
+  /**
+   * Dates (YYYY-MM-DD) of a series, starting with the first meeting
+   * Monthly meetings on the 29th-31st fall on the last day of shorter months
+   */
+  _occurrenceDates(firstDate, recurrence) {
+    if (!recurrence) {
+      return [firstDate];
+    }
+
+    const [year, month, day] = firstDate.split('-').map(Number);
+    const dates = [];
+
+    for (let index = 0; index < recurrence.count; index++) {
+      const date = recurrence.frequency === 'monthly'
+        ? new Date(Date.UTC(year, month - 1 + index, Math.min(day, this._daysInMonth(year, month - 1 + index))))
+        : new Date(Date.UTC(year, month - 1, day + index * FREQUENCY_DAYS[recurrence.frequency]));
+
+      dates.push(date.toISOString().slice(0, 10));
+    }
+
+    return dates;
+  }
+
+  _daysInMonth(year, monthIndex) {
+    return new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+  }
+
+  async _assertSlotBookable(agent, meetingDate, meeting) {
+    const meetingDateTime = new Date(`${meetingDate}T${meeting.meetingTime}`);
+    if (meetingDateTime < new Date()) {
+      throw ErrorHandlers.badRequest('serviceRequest.meetingDateInPast');
+    }
+
+    const slotAvailable = await AvailabilityService.isSlotAvailable(
+      agent,
+      meetingDate,
+      meeting.meetingTime,
+      meeting.duration
+    );
+    if (!slotAvailable) {
+      throw ErrorHandlers.badRequest('serviceRequest.followUpSlotUnavailable', {
+        meetingDate,
+        meetingTime: meeting.meetingTime
+      });
+    }
+
+    if (meeting.branchId) {
+      await BranchService.assertBookable(meeting.branchId, meetingDate, meeting.meetingTime, meeting.duration);
+    }
+  }
+
+  /**
+   * Book one follow-up in its reserved slot, approved, invoiced and with its meeting link
+   * (and its room and check-in code, for offline meetings at the thread's branch)
+   */
+  async _book(request, parentRequestId, actor, meeting) {
+    const { meetingDate, meetingTime, duration } = meeting;
+
+    return await SlotReservationService.reserve(
+      { agentId: request.agentId, meetingDate, meetingTime, duration },
+      async (manager) => {
+        const now = new Date();
+        const created = await ServiceRequestRepository.create({
+          userId: request.userId,
+          parentRequestId,
+          fullName: request.fullName,
+          email: request.email,
+          phone: request.phone,
+          additionalEmail: request.additionalEmail,
+          additionalPhone: request.additionalPhone,
+          categoryId: request.categoryId,
+          serviceId: request.serviceId,
+          notes: meeting.notes,
+          meetingType: meeting.meetingType,
+          meetingDate,
+          meetingTime,
+          meetingDuration: duration,
+          branchId: meeting.branchId,
+          agentId: request.agentId,
+          isAgentSelectedByUser: false,
+          assignedAt: now,
+          status: SERVICE_REQUEST_STATUSES.APPROVED,
+          priority: request.priority,
+          approvedBy: actor.id,
+          approvedAt: now
+        }, manager);
+
+        const room = await RoomAllocationService.allocate(created, { meetingDate, meetingTime, duration }, manager);
+        const meetingFields = {
+          ...await MeetingLinkService.buildLinkFields(created),
+          ...CheckInService.buildCodeFields(created)
+        };
+        if (room || Object.keys(meetingFields).length > 0) {
+          await ServiceRequestRepository.update(created.id, {
+            ...(room && { meetingRoomId: room.id }),
+            ...meetingFields
+          }, manager);
+        }
+
+        await ServiceRequestEventService.record(created.id, 'created', actor, {
+          toStatus: created.status,
+          metadata: {
+            parentRequestId,
+            meetingDate,
+            meetingTime,
+            agentId: created.agentId
+          }
+        }, manager);
+
+        const followUp = await ServiceRequestRepository.findById(created.id, manager);
+        await InvoiceService.issueForRequest(followUp, actor, manager);
+
+        return followUp;
+      }
+    );
+  }
+}
+
+module.exports = new FollowUpService();
@@ -0,0 +1,155 @@
+const InvoiceRepository = require('@repositories/InvoiceRepository');
+const ServiceRepository = require('@repositories/ServiceRepository');
+const ServiceRequestRepository = require('@repositories/ServiceRequestRepository');
+const ServiceRequestEventService = require('@services/ServiceRequestEventService');
+const { ErrorHandlers } = require('@utils/ErrorHandler');
+const logger = require('@utils/logger');
+
+/**
+ * InvoiceService
+ *
+ * Bills approved service requests
+ * - Lines: the service chosen on approval plus the additional services booked with
+ *   the request (ServiceRequestItem, priced at booking time)
+ * - VAT (INVOICE_VAT_RATE percent) is added to the subtotal
+ * - Requests with nothing to bill get no invoice and need no payment
+ */
+class InvoiceService {
+  constructor() {
+    this.vatRate = process.env.INVOICE_VAT_RATE !== undefined ? parseFloat(process.env.INVOICE_VAT_RATE) : 15;
+    this.currency = process.env.BOOKING_CURRENCY || 'SAR';
+  }
+
+  /**
+   * Issue the invoice of an approved request
+   * @param {Object} request - Request as it is after approval (with items)
+   * @param {Object} actor - { type, id } who approved the request
+   * @returns {Promise<Object|null>} Invoice, or null when there is nothing to bill
+   */
+  async issueForRequest(request, actor, manager = null) {
+    const existing = await InvoiceRepository.findByRequestId(request.id, manager);
+    if (existing) {
+      return existing;
+    }
+
+    const lineItems = await this._buildLineItems(request);
+    const subtotal = lineItems.reduce((sum, line) => sum + this._toMinorUnits(line.amount), 0);
+
+    if (subtotal === 0) {
+      return null;
+    }
+
+    const vatAmount = Math.round(subtotal * this.vatRate / 100);
+
+    const invoice = await InvoiceRepository.create({
+      invoiceNumber: this._invoiceNumber(request.id),
+      requestId: request.id,
+      userId: request.userId,
+      status: 'issued',
+      lineItems,
+      subtotal: this._formatAmount(subtotal),
+      vatRate: this.vatRate.toFixed(2),
+      vatAmount: this._formatAmount(vatAmount),
+      total: this._formatAmount(subtotal + vatAmount),
+      currency: request.currency || this.currency,
+      issuedAt: new Date()
+    }, manager);
+
+    await ServiceRequestEventService.record(request.id, 'invoice_issued', actor, {
+      fromStatus: request.status,
+      toStatus: request.status,
+      metadata: {
+        invoiceId: invoice.id,
+        invoiceNumber: invoice.invoiceNumber,
+        total: invoice.total,
+        currency: invoice.currency
+      }
+    }, manager);
+
+    logger.info('Invoice issued', {
+      requestId: request.id,
+      invoiceNumber: invoice.invoiceNumber,
+      total: invoice.total
+    });
+
+    return invoice;
+  }
+
+  /**
+   * Get the invoice of a request with its payments
+   */
+  async getInvoice(requestId, userId, userRole) {
+    const request = await ServiceRequestRepository.findById(requestId);
+
+    if (!request) {
+      throw ErrorHandlers.notFound('serviceRequest.notFound');
+    }
+
+    if ((userRole === 'USER' && request.userId !== userId) ||
+        (userRole === 'AGENT' && request.agentId !== userId)) {
+      throw ErrorHandlers.forbidden('errors.forbidden');
+    }
+
+    const invoice = await InvoiceRepository.findByRequestId(requestId);
+
+    if (!invoice) {
+      throw ErrorHandlers.notFound('payment.invoiceNotFound');
+    }
+
+    return invoice;
+  }
+
+  /**
+   * Refuse to go on while the request's invoice is unpaid
+   * Requests without an invoice have nothing to pay
+   */
+  async assertPaid(requestId) {
+    const invoice = await InvoiceRepository.findByRequestId(requestId);
+
+    if (invoice && invoice.status !== 'paid') {
+      throw ErrorHandlers.badRequest('payment.invoiceUnpaid', { invoiceNumber: invoice.invoiceNumber });
+    }
+  }
+
+  /**
+   * PRIVATE HELPER METHODS
+   */
+
+  async _buildLineItems(request) {
+    const lines = [];
+
+    if (request.serviceId) {
+      const service = await ServiceRepository.findById(request.serviceId);
+
+      if (service) {
+        lines.push(this._line('service', service.id, service.name, null, service.price));
+      }
+    }
+
+    (request.items || []).forEach(item => {
+      lines.push(this._line('additional_service', item.additionalServiceId, item.name, item.nameAr, item.unitPrice));
+    });
+
+    return lines;
+  }
+
+  _line(type, referenceId, name, nameAr, unitPrice) {
+    const amount = this._formatAmount(this._toMinorUnits(unitPrice));
+
+    return { type, referenceId, name, nameAr, quantity: 1, unitPrice: amount, amount };
+  }
+
+  _invoiceNumber(requestId) {
+    return `INV-${new Date().getFullYear()}-${String(requestId).padStart(6, '0')}`;
+  }
+
+  _toMinorUnits(amount) {
+    return Math.round(parseFloat(amount || 0) * 100);
+  }
+
+  _formatAmount(minorUnits) {
+    return (minorUnits / 100).toFixed(2);
+  }
+}
+
+module.exports = new InvoiceService();
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const logger = require('@utils/logger');
+
+/**
+ * Jitsi Meeting Provider
+ *
+ * Builds a Jitsi room URL without calling any API
+ * The room name is an HMAC of the request, agent and meeting time, so the same
+ * booking always maps to the same room and any change produces a new one
+ * Without MEETING_LINK_SECRET room names could be guessed, so no rooms are issued
+ */
+class JitsiMeetingProvider {
+  constructor({ baseUrl, secret, roomPrefix }) {
+    this.name = 'jitsi';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.secret = secret;
+    this.roomPrefix = roomPrefix;
+    this.enabled = Boolean(secret);
+  }
+
+  async createMeeting(request) {
+    const seed = [request.id, request.agentId, request.meetingDate, request.meetingTime].join(':');
+    const hash = crypto.createHmac('sha256', this.secret).update(seed).digest('hex').slice(0, 20);
+
+    return { url: `${this.baseUrl}/${this.roomPrefix}-${request.id}-${hash}` };
+  }
+}
+
+/**
+ * MeetingLinkService
+ *
+ * Provisions join URLs for online meetings through a pluggable provider
+ * (MEETING_PROVIDER, default: jitsi)
+ *
+ * Provider interface:
+ * - name: string stored on ServiceRequest.meetingProvider
+ * - createMeeting(request): Promise<{ url }> where request has
+ *   { id, agentId, meetingDate, meetingTime, meetingDuration }
+ * - enabled: false when the provider is missing its configuration; no links are issued
+ */
+class MeetingLinkService {
+  constructor() {
+    this.providerName = process.env.MEETING_PROVIDER || 'jitsi';
+    this.providers = {};
+
+    this.registerProvider(new JitsiMeetingProvider({
+      baseUrl: process.env.JITSI_BASE_URL || 'https://meet.jit.si',
+      secret: process.env.MEETING_LINK_SECRET,
+      roomPrefix: process.env.JITSI_ROOM_PREFIX || 'raalc'
+    }));
+
+    if (!process.env.MEETING_LINK_SECRET) {
+      logger.warn('MEETING_LINK_SECRET is not set, online meetings will get no Jitsi link');
+    }
+  }
+
+  /**
+   * Register a meeting provider
+   * @param {Object} provider - { name, createMeeting(request) }
+   */
+  registerProvider(provider) {
+    this.providers[provider.name] = provider;
+  }
+
+  /**
+   * Build the meeting link fields for a request
+   * Offline meetings get no link; provider failures or a provider missing its
+   * configuration are logged and leave the link empty
+   * @param {Object} request - Request data as it will be after the update
+   * @returns {Promise<Object>} { meetingLink, meetingProvider } or {} for offline meetings
+   */
+  async buildLinkFields(request) {
+    if (request.meetingType !== 'online') {
+      return {};
+    }
+
+    const provider = this.providers[this.providerName];
+    if (!provider) {
+      logger.error('Meeting provider not registered', { provider: this.providerName });
+      return { meetingLink: null, meetingProvider: null };
+    }
+
+    if (provider.enabled === false) {
+      logger.warn('Meeting provider not configured, no meeting link issued', {
+        requestId: request.id,
+        provider: provider.name
+      });
+      return { meetingLink: null, meetingProvider: null };
+    }
+
+    try {
+      const meeting = await provider.createMeeting(request);
+      return { meetingLink: meeting.url, meetingProvider: provider.name };
+    } catch (error) {
+      logger.error('Failed to create meeting link', {
+        requestId: request.id,
+        provider: provider.name,
+        error: error.message
+      });
+      return { meetingLink: null, meetingProvider: null };
+    }
+  }
+}
+
+module.exports = new MeetingLinkService();
@@ -0,0 +1,231 @@
+const i18next = require('@config/i18n');
+const ServiceRequestRepository = require('@repositories/ServiceRequestRepository');
+const NotificationService = require('@services/NotificationService');
+const SMSService = require('@services/SMSService');
+const { SERVICE_REQUEST_STATUSES } = require('@constants/serviceRequestWorkflow');
+const logger = require('@utils/logger');
+
+// Meetings that still take place
+const REMINDER_STATUSES = [SERVICE_REQUEST_STATUSES.APPROVED, SERVICE_REQUEST_STATUSES.RESCHEDULED];
+
+/**
+ * MeetingReminderService
+ *
+ * Reminds the user and the agent of an upcoming meeting
+ * - One delayed job per offset (MEETING_REMINDER_OFFSETS_MINUTES, e.g. 24h and 1h
+ *   before the meeting) on the `reminder` queue, with a job id derived from the
+ *   request so moving or cancelling the meeting replaces or removes it
+ * - The reminder worker calls send(): SMS, in-app notification and, when SMTP is
+ *   configured (SMTP_HOST), email to both through the `email` queue and its worker
+ * - send() re-reads the request and skips reminders of cancelled or moved meetings,
+ *   so a job that could not be removed never reminds of the wrong time
+ * - Scheduling failures are logged and never fail the caller; without Redis, or with
+ *   MEETING_REMINDERS_ENABLED=false, nothing is scheduled (as in app.js, which then
+ *   starts no reminder worker)
+ */
+class MeetingReminderService {
+  constructor() {
+    this.offsets = (process.env.MEETING_REMINDER_OFFSETS_MINUTES || '1440,60')
+      .split(',')
+      .map(offset => parseInt(offset))
+      .filter(offset => offset > 0);
+
+    // app.js starts the email worker only with SMTP configured
+    this.emailEnabled = Boolean(process.env.SMTP_HOST);
+
+    this.queue = undefined;
+  }
+
+  /**
+   * (Re)schedule the reminders of a request's meeting
+   * Reminders whose time has already passed are skipped
+   * @param {Object} request - Service request with meetingDate and meetingTime
+   * @param {Date} now - Reference time
+   * @returns {Promise<number>} Number of reminders scheduled
+   */
+  async schedule(request, now = new Date()) {
+    const queue = this._getQueue();
+    if (!queue) {
+      return 0;
+    }
+
+    await this.cancel(request.id);
+
+    const meetingStart = new Date(`${request.meetingDate}T${request.meetingTime}`);
+    let scheduled = 0;
+
+    for (const offsetMinutes of this.offsets) {
+      const delay = meetingStart.getTime() - offsetMinutes * 60 * 1000 - now.getTime();
+      if (delay <= 0) {
+        continue;
+      }
+
+      try {
+        await queue.addJob('reminder', 'meeting_reminder', {
+          requestId: request.id,
+          offsetMinutes,
+          meetingDate: request.meetingDate,
+          meetingTime: request.meetingTime
+        }, {
+          jobId: this._jobId(request.id, offsetMinutes),
+          delay
+        });
+        scheduled++;
+      } catch (error) {
+        logger.error('Failed to schedule meeting reminder', {
+          requestId: request.id,
+          offsetMinutes,
+          error: error.message
+        });
+      }
+    }
+
+    return scheduled;
+  }
+
+  /**
+   * Remove the pending reminders of a request
+   */
+  async cancel(requestId) {
+    const queue = this._getQueue();
+    if (!queue) {
+      return;
+    }
+
+    for (const offsetMinutes of this.offsets) {
+      try {
+        await queue.removeJob('reminder', this._jobId(requestId, offsetMinutes));
+      } catch (error) {
+        logger.error('Failed to remove meeting reminder', {
+          requestId,
+          offsetMinutes,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Send one reminder (reminder worker)
+   * @param {Object} data - Job data { requestId, offsetMinutes, meetingDate, meetingTime }
+   * @returns {Promise<Object>} { sent, reason }
+   */
+  async send(data) {
+    const request = await ServiceRequestRepository.findById(data.requestId);
+
+    if (!request || !REMINDER_STATUSES.includes(request.status)) {
+      return { sent: false, reason: 'inactive' };
+    }
+
+    if (request.meetingDate !== data.meetingDate || request.meetingTime !== data.meetingTime) {
+      return { sent: false, reason: 'moved' };
+    }
+
+    const params = {
+      requestId: request.id,
+      date: request.meetingDate,
+      time: String(request.meetingTime).slice(0, 5),
+      department: request.category ? request.category.name : '',
+      agent: request.agent ? request.agent.fullName : ''
+    };
+
+    const userPhone = request.phone || (request.user && request.user.phone);
+    const userEmail = request.email || (request.user && request.user.email);
+    const recipients = [{ type: 'USER', id: request.userId, phone: userPhone, email: userEmail }];
+
+    if (request.agent) {
+      recipients.push({ type: 'AGENT', id: request.agent.id, phone: request.agent.phone, email: request.agent.email });
+    }
+
+    await this._sendSms(recipients, params);
+    await this._sendEmails(recipients, params);
+
+    await NotificationService.notify(recipients.map(({ type, id }) => ({ type, id })), {
+      type: 'meeting_reminder',
+      titleKey: 'reminder.title',
+      messageKey: 'reminder.message',
+      params,
+      data: { requestId: request.id, offsetMinutes: data.offsetMinutes }
+    });
+
+    logger.info('Meeting reminder sent', {
+      requestId: request.id,
+      offsetMinutes: data.offsetMinutes
+    });
+
+    return { sent: true };
+  }
+
+  /**
+   * PRIVATE HELPER METHODS
+   */
+
+  _jobId(requestId, offsetMinutes) {
+    return `meeting-reminder-${requestId}-${offsetMinutes}`;
+  }
+
+  async _sendSms(recipients, params) {
+    const message = i18next.t('reminder.sms', params);
+
+    for (const recipient of recipients.filter(({ phone }) => phone)) {
+      try {
+        await SMSService.sendSMS(recipient.phone, message);
+      } catch (error) {
+        logger.error('Failed to send meeting reminder SMS', {
+          requestId: params.requestId,
+          recipient: { type: recipient.type, id: recipient.id },
+          error: error.message
+        });
+      }
+    }
+  }
+
+  async _sendEmails(recipients, params) {
+    const subject = i18next.t('reminder.title', params);
+    const text = i18next.t('reminder.message', params);
+
+    const queue = this._getQueue();
+    if (!queue || !this.emailEnabled) {
+      return;
+    }
+
+    for (const recipient of recipients.filter(({ email }) => email)) {
+      try {
+        await queue.addJob('email', 'meeting_reminder', {
+          to: recipient.email,
+          subject,
+          text
+        });
+      } catch (error) {
+        logger.error('Failed to queue meeting reminder email', {
+          requestId: params.requestId,
+          recipient: { type: recipient.type, id: recipient.id },
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * The job queue (BullMQ) is loaded lazily, as in NotificationService
+   * Loading it without Redis would leave every queue call waiting for a connection
+   */
+  _getQueue() {
+    if (!global.redis || process.env.MEETING_REMINDERS_ENABLED === 'false') {
+      return null;
+    }
+
+    if (this.queue === undefined) {
+      try {
+        this.queue = require('@services/Queue');
+      } catch (error) {
+        logger.warn('Job queue could not be loaded, meeting reminders disabled', { error: error.message });
+        this.queue = null;
+      }
+    }
+
+    return this.queue;
+  }
+}
+
+module.exports = new MeetingReminderService();
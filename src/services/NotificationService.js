@@ -0,0 +1,106 @@
+const i18next = require('@config/i18n');
+const NotificationRepository = require('@repositories/NotificationRepository');
+const { ErrorHandlers } = require('@utils/ErrorHandler');
+const logger = require('@utils/logger');
+
+/**
+ * NotificationService
+ *
+ * In-app notifications of users, agents and admins
+ * - Stored per recipient and listed through /api/notifications, where each recipient
+ *   sees and marks read only their own
+ * - Title and message are translation keys, rendered in the fallback language and
+ *   also passed through as keys so a client can re-render them in its own language
+ * - Notifications are sent after the change they report was committed; a failure to
+ *   store them is logged and never fails the caller
+ */
+class NotificationService {
+  /**
+   * Notify each recipient
+   * @param {Array<{type: string, id: number}>} recipients - USER/AGENT/ADMIN recipients
+   * @param {Object} notification - { type, titleKey, messageKey, params, data }
+   * @returns {Promise<number>} Number of notifications stored
+   */
+  async notify(recipients, notification) {
+    if (!recipients || recipients.length === 0) {
+      return 0;
+    }
+
+    const params = notification.params || {};
+    const content = {
+      type: notification.type,
+      title: i18next.t(notification.titleKey, params),
+      message: i18next.t(notification.messageKey, params),
+      titleKey: notification.titleKey,
+      messageKey: notification.messageKey,
+      params,
+      data: notification.data || {}
+    };
+
+    try {
+      const stored = await NotificationRepository.createMany(recipients.map(recipient => ({
+        recipientType: recipient.type,
+        recipientId: recipient.id,
+        ...content
+      })));
+
+      return stored.length;
+    } catch (error) {
+      logger.error('Failed to store notifications', {
+        type: notification.type,
+        recipients,
+        error: error.message
+      });
+      return 0;
+    }
+  }
+
+  /**
+   * List own notifications, newest first, with the unread count
+   * @param {Object} recipient - { type, id }
+   * @param {Object} options - { page, limit, unreadOnly }
+   */
+  async getNotifications(recipient, options = {}) {
+    const [result, unread] = await Promise.all([
+      NotificationRepository.findForRecipient(recipient, options),
+      NotificationRepository.countUnread(recipient)
+    ]);
+
+    return { ...result, unread };
+  }
+
+  /**
+   * Count own unread notifications
+   */
+  async getUnreadCount(recipient) {
+    return await NotificationRepository.countUnread(recipient);
+  }
+
+  /**
+   * Mark one own notification read (already read ones keep their readAt)
+   */
+  async markRead(notificationId, recipient) {
+    const notification = await NotificationRepository.findByIdForRecipient(notificationId, recipient);
+
+    if (!notification) {
+      throw ErrorHandlers.notFound('notification.notFound');
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await NotificationRepository.markRead(recipient, notification.readAt, notificationId);
+    }
+
+    return notification;
+  }
+
+  /**
+   * Mark all own notifications read
+   * @returns {Promise<number>} Number of notifications marked read
+   */
+  async markAllRead(recipient) {
+    return await NotificationRepository.markRead(recipient, new Date());
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,453 @@
+const crypto = require('crypto');
+const { getConnection } = require('typeorm');
+const ServiceRequestRepository = require('@repositories/ServiceRequestRepository');
+const InvoiceRepository = require('@repositories/InvoiceRepository');
+const PaymentRepository = require('@repositories/PaymentRepository');
+const ServiceRequestEventService = require('@services/ServiceRequestEventService');
+const { SERVICE_REQUEST_STATUSES } = require('@constants/serviceRequestWorkflow');
+const { ErrorHandlers } = require('@utils/ErrorHandler');
+const logger = require('@utils/logger');
+
+const SYSTEM_ACTOR = { type: 'SYSTEM', id: null };
+
+// Confirmed meetings, whether or not they were moved since approval
+const PAYABLE_STATUSES = [SERVICE_REQUEST_STATUSES.APPROVED, SERVICE_REQUEST_STATUSES.RESCHEDULED];
+
+/**
+ * Fake Payment Gateway
+ *
+ * Local gateway for development and tests: no money moves
+ * - Payment intents stay pending until a signed webhook reports the result
+ * - Refunds succeed immediately
+ * - Webhooks carry an `x-payment-signature: t=<unix seconds>,v1=<hex>` header where
+ *   v1 = HMAC-SHA256("<t>.<raw body>", PAYMENT_WEBHOOK_SECRET); sign() builds it
+ *
+ * Webhook body: { type: payment.succeeded|payment.failed|refund.succeeded|refund.failed,
+ *                 data: { paymentIntentId, failureReason } }
+ */
+class FakePaymentGateway {
+  constructor({ secret, toleranceSeconds }) {
+    this.name = 'fake';
+    this.secret = secret;
+    this.toleranceSeconds = toleranceSeconds;
+    this.webhooksEnabled = Boolean(secret);
+  }
+
+  async createPaymentIntent() {
+    const id = `fake_pi_${crypto.randomBytes(12).toString('hex')}`;
+
+    return {
+      id,
+      clientSecret: `${id}_secret_${crypto.randomBytes(12).toString('hex')}`,
+      checkoutUrl: null
+    };
+  }
+
+  async refund() {
+    return { id: `fake_re_${crypto.randomBytes(12).toString('hex')}`, status: 'succeeded' };
+  }
+
+  sign(rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+    return `t=${timestamp},v1=${this._digest(timestamp, rawBody)}`;
+  }
+
+  parseWebhook(rawBody, headers) {
+    const parts = String(headers['x-payment-signature'] || '').split(',').reduce((acc, part) => {
+      const [key, value] = part.split('=');
+      acc[key] = value;
+      return acc;
+    }, {});
+
+    const timestamp = parseInt(parts.t);
+    if (!timestamp || !parts.v1 || Math.abs(Date.now() / 1000 - timestamp) > this.toleranceSeconds) {
+      return null;
+    }
+
+    const expected = Buffer.from(this._digest(timestamp, rawBody));
+    const received = Buffer.from(parts.v1);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return null;
+    }
+
+    const event = JSON.parse(rawBody.toString());
+    const data = event.data || {};
+
+    return {
+      type: event.type,
+      paymentReference: data.paymentIntentId,
+      failureReason: data.failureReason || null
+    };
+  }
+
+  _digest(timestamp, rawBody) {
+    return crypto.createHmac('sha256', this.secret).update(`${timestamp}.${rawBody}`).digest('hex');
+  }
+}
+
+/**
+ * PaymentService
+ *
+ * Collects invoice payments through a pluggable gateway (PAYMENT_GATEWAY, default: fake)
+ * and refunds them when the request is cancelled
+ *
+ * Gateway interface:
+ * - name: string stored on Payment.gateway
+ * - createPaymentIntent({ amount, currency, reference, metadata }): Promise<{ id, clientSecret, checkoutUrl }>
+ *   (amount in minor units)
+ * - refund({ paymentReference, amount, currency, reason }): Promise<{ id, status: succeeded|pending }>
+ * - parseWebhook(rawBody, headers): { type, paymentReference, failureReason }, or null when
+ *   the signature is invalid
+ * - webhooksEnabled: false when the gateway has no secret to verify webhooks with; its
+ *   webhooks are then refused
+ */
+class PaymentService {
+  constructor() {
+    this.gatewayName = process.env.PAYMENT_GATEWAY || 'fake';
+    this.gateways = {};
+
+    this.registerGateway(new FakePaymentGateway({
+      secret: process.env.PAYMENT_WEBHOOK_SECRET,
+      toleranceSeconds: parseInt(process.env.PAYMENT_WEBHOOK_TOLERANCE_SECONDS) || 300
+    }));
+
+    if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+      logger.warn('PAYMENT_WEBHOOK_SECRET is not set, payment webhooks will be refused');
+    }
+  }
+
+  /**
+   * Register a payment gateway
+   * @param {Object} gateway - { name, createPaymentIntent, refund, parseWebhook }
+   */
+  registerGateway(gateway) {
+    this.gateways[gateway.name] = gateway;
+  }
+
+  /**
+   * Start paying the invoice of an approved (or since rescheduled) request (request owner)
+   * @returns {Promise<Object>} { payment, clientSecret, checkoutUrl }
+   */
+  async createPayment(requestId, userId) {
+    const request = await ServiceRequestRepository.findById(requestId);
+
+    if (!request) {
+      throw ErrorHandlers.notFound('serviceRequest.notFound');
+    }
+
+    if (request.userId !== userId) {
+      throw ErrorHandlers.forbidden('errors.forbidden');
+    }
+
+    if (!PAYABLE_STATUSES.includes(request.status)) {
+      throw ErrorHandlers.badRequest('payment.requestNotPayable');
+    }
+
+    const invoice = await InvoiceRepository.findByRequestId(requestId);
+
+    if (!invoice) {
+      throw ErrorHandlers.notFound('payment.invoiceNotFound');
+    }
+
+    if (invoice.status !== 'issued') {
+      throw ErrorHandlers.badRequest('payment.invoiceNotPayable');
+    }
+
+    const gateway = this.gateways[this.gatewayName];
+    if (!gateway) {
+      logger.error('Payment gateway not registered', { gateway: this.gatewayName });
+      throw ErrorHandlers.serviceUnavailable('payment.gatewayUnavailable');
+    }
+
+    const intent = await gateway.createPaymentIntent({
+      amount: this._toMinorUnits(invoice.total),
+      currency: invoice.currency,
+      reference: invoice.invoiceNumber,
+      metadata: { invoiceId: invoice.id, requestId }
+    });
+
+    const payment = await PaymentRepository.create({
+      invoiceId: invoice.id,
+      requestId,
+      userId,
+      gateway: gateway.name,
+      gatewayReference: intent.id,
+      amount: invoice.total,
+      currency: invoice.currency,
+      status: 'pending'
+    });
+
+    logger.info('Payment started', {
+      requestId,
+      paymentId: payment.id,
+      gateway: gateway.name,
+      amount: payment.amount
+    });
+
+    return {
+      payment,
+      clientSecret: intent.clientSecret || null,
+      checkoutUrl: intent.checkoutUrl || null
+    };
+  }
+
+  /**
+   * Apply a payment result reported by a gateway webhook
+   * Deliveries are idempotent: results for payments already in a final state are ignored
+   * @returns {Promise<Object>} { processed }
+   */
+  async handleWebhook(gatewayName, rawBody, headers) {
+    const gateway = this.gateways[gatewayName];
+
+    if (!gateway) {
+      throw ErrorHandlers.notFound('payment.gatewayNotFound');
+    }
+
+    if (!gateway.webhooksEnabled) {
+      logger.error('Payment webhook refused, no webhook secret configured', { gateway: gateway.name });
+      throw ErrorHandlers.serviceUnavailable('payment.webhooksNotConfigured');
+    }
+
+    const event = rawBody ? gateway.parseWebhook(rawBody, headers) : null;
+
+    if (!event) {
+      throw ErrorHandlers.unauthorized('payment.invalidWebhookSignature');
+    }
+
+    const payment = event.paymentReference
+      ? await PaymentRepository.findByGatewayReference(gateway.name, event.paymentReference)
+      : null;
+
+    if (!payment) {
+      logger.warn('Payment webhook for unknown payment', { gateway: gateway.name, type: event.type });
+      return { processed: false };
+    }
+
+    let processed = false;
+
+    switch (event.type) {
+      case 'payment.succeeded':
+        processed = await this._onPaymentSucceeded(payment);
+        break;
+      case 'payment.failed':
+        processed = await this._onPaymentFailed(payment, event.failureReason);
+        break;
+      case 'refund.succeeded':
+        if (payment.status === 'refund_pending') {
+          await this._completeRefund(payment, payment.refundReference, SYSTEM_ACTOR);
+          processed = true;
+        }
+        break;
+      case 'refund.failed':
+        if (payment.status === 'refund_pending') {
+          await PaymentRepository.update(payment.id, { status: 'refund_failed', failureReason: event.failureReason });
+          processed = true;
+        }
+        break;
+      default:
+        logger.info('Payment webhook event ignored', { gateway: gateway.name, type: event.type });
+    }
+
+    return { processed };
+  }
+
+  /**
+   * Settle the invoice of a cancelled request: void it when unpaid, refund it when paid
+   * Refund failures are logged and left as refund_failed for an admin to retry;
+   * they never undo the cancellation
+   * @param {Object} actor - { type, id } who cancelled the request
+   */
+  async settleCancelledRequest(request, actor) {
+    const invoice = await InvoiceRepository.findByRequestId(request.id);
+
+    if (!invoice) {
+      return;
+    }
+
+    if (invoice.status === 'issued') {
+      await getConnection().transaction(async (manager) => {
+        await InvoiceRepository.update(invoice.id, { status: 'void', voidedAt: new Date() }, manager);
+        await PaymentRepository.cancelPending(invoice.id, manager);
+
+        await ServiceRequestEventService.record(request.id, 'invoice_voided', actor, {
+          fromStatus: request.status,
+          toStatus: request.status,
+          metadata: { invoiceId: invoice.id, invoiceNumber: invoice.invoiceNumber }
+        }, manager);
+      });
+      return;
+    }
+
+    if (invoice.status === 'paid') {
+      const payment = await PaymentRepository.findLatestByInvoiceId(invoice.id, 'succeeded');
+
+      if (payment) {
+        await this._refundPayment(payment, actor, 'request_cancelled');
+      }
+    }
+  }
+
+  /**
+   * Retry a refund the gateway refused (Admin)
+   */
+  async retryRefund(paymentId, adminId) {
+    const payment = await PaymentRepository.findById(paymentId);
+
+    if (!payment) {
+      throw ErrorHandlers.notFound('payment.notFound');
+    }
+
+    if (payment.status !== 'refund_failed') {
+      throw ErrorHandlers.badRequest('payment.notRefundable');
+    }
+
+    return await this._refundPayment(payment, { type: 'ADMIN', id: adminId }, 'request_cancelled');
+  }
+
+  /**
+   * PRIVATE HELPER METHODS
+   */
+
+  /**
+   * A payment that succeeds for an invoice that is no longer payable (paid by another
+   * attempt, or voided by a cancellation) is refunded straight away
+   */
+  async _onPaymentSucceeded(payment) {
+    if (payment.status !== 'pending' && payment.status !== 'cancelled') {
+      return false;
+    }
+
+    const { updated, settlesInvoice } = await getConnection().transaction(async (manager) => {
+      const invoice = await InvoiceRepository.findByRequestId(payment.requestId, manager);
+      const settles = !!invoice && invoice.status === 'issued';
+      const paidAt = new Date();
+
+      const updatedPayment = await PaymentRepository.update(payment.id, { status: 'succeeded', paidAt }, manager);
+
+      if (settles) {
+        await InvoiceRepository.update(invoice.id, { status: 'paid', paidAt }, manager);
+
+        await ServiceRequestEventService.record(payment.requestId, 'payment_succeeded', SYSTEM_ACTOR, {
+          metadata: {
+            paymentId: payment.id,
+            invoiceNumber: invoice.invoiceNumber,
+            amount: payment.amount,
+            currency: payment.currency
+          }
+        }, manager);
+      }
+
+      return { updated: updatedPayment, settlesInvoice: settles };
+    });
+
+    if (!settlesInvoice) {
+      logger.warn('Payment succeeded for an invoice that is not payable, refunding', {
+        paymentId: payment.id,
+        requestId: payment.requestId
+      });
+      await this._refundPayment(updated, SYSTEM_ACTOR, 'invoice_not_payable');
+    }
+
+    logger.info('Payment succeeded', { paymentId: payment.id, requestId: payment.requestId });
+
+    return true;
+  }
+
+  async _onPaymentFailed(payment, failureReason) {
+    if (payment.status !== 'pending') {
+      return false;
+    }
+
+    await getConnection().transaction(async (manager) => {
+      await PaymentRepository.update(payment.id, { status: 'failed', failureReason }, manager);
+
+      await ServiceRequestEventService.record(payment.requestId, 'payment_failed', SYSTEM_ACTOR, {
+        metadata: { paymentId: payment.id, reason: failureReason }
+      }, manager);
+    });
+
+    logger.info('Payment failed', { paymentId: payment.id, requestId: payment.requestId, failureReason });
+
+    return true;
+  }
+
+  async _refundPayment(payment, actor, reason) {
+    const gateway = this.gateways[payment.gateway];
+
+    try {
+      if (!gateway) {
+        throw new Error(`Payment gateway "${payment.gateway}" is not registered`);
+      }
+
+      const refund = await gateway.refund({
+        paymentReference: payment.gatewayReference,
+        amount: this._toMinorUnits(payment.amount),
+        currency: payment.currency,
+        reason
+      });
+
+      if (refund.status === 'succeeded') {
+        return await this._completeRefund(payment, refund.id, actor);
+      }
+
+      return await PaymentRepository.update(payment.id, {
+        status: 'refund_pending',
+        refundReference: refund.id,
+        failureReason: null
+      });
+    } catch (error) {
+      logger.error('Payment refund failed', {
+        paymentId: payment.id,
+        requestId: payment.requestId,
+        gateway: payment.gateway,
+        error: error.message
+      });
+
+      return await PaymentRepository.update(payment.id, {
+        status: 'refund_failed',
+        failureReason: error.message
+      });
+    }
+  }
+
+  /**
+   * The invoice counts as refunded once none of its payments is still held
+   */
+  async _completeRefund(payment, refundReference, actor) {
+    return await getConnection().transaction(async (manager) => {
+      const refundedAt = new Date();
+
+      const updated = await PaymentRepository.update(payment.id, {
+        status: 'refunded',
+        refundReference,
+        refundedAt,
+        failureReason: null
+      }, manager);
+
+      const invoice = await InvoiceRepository.findByRequestId(payment.requestId, manager);
+      const stillHeld = await PaymentRepository.findLatestByInvoiceId(payment.invoiceId, 'succeeded', manager);
+
+      if (invoice && invoice.status === 'paid' && !stillHeld) {
+        await InvoiceRepository.update(invoice.id, { status: 'refunded', refundedAt }, manager);
+      }
+
+      await ServiceRequestEventService.record(payment.requestId, 'payment_refunded', actor, {
+        metadata: {
+          paymentId: payment.id,
+          amount: payment.amount,
+          currency: payment.currency,
+          refundReference
+        }
+      }, manager);
+
+      logger.info('Payment refunded', { paymentId: payment.id, requestId: payment.requestId });
+
+      return updated;
+    });
+  }
+
+  _toMinorUnits(amount) {
+    return Math.round(parseFloat(amount || 0) * 100);
+  }
+}
+
+module.exports = new PaymentService();
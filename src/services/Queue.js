@@ -10,10 +10,15 @@ const connection = {
   db: redisConfig.db
 };
 
+// Queue commands wait for the Redis connection indefinitely; callers in a request
+// path give up after this long instead
+const commandTimeout = parseInt(process.env.QUEUE_COMMAND_TIMEOUT_MS) || 5000;
+
 // Define all queues
 const queues = {
   email: new Queue('email', { connection }),
   notification: new Queue('notification', { connection }),
+  reminder: new Queue('reminder', { connection }),
   cleanup: new Queue('cleanup', { connection }),
   fileProcessing: new Queue('file-processing', { connection })
 };
@@ -25,6 +30,7 @@ const queues = {
 function initSchedulers() {
   new QueueScheduler('email', { connection });
   new QueueScheduler('notification', { connection });
+  new QueueScheduler('reminder', { connection });
   new QueueScheduler('cleanup', { connection });
   new QueueScheduler('file-processing', { connection });
   
@@ -49,7 +55,42 @@ async function addJob(queueName, jobName, data, options = {}) {
     removeOnFail: false
   };
   
-  return queues[queueName].add(jobName, data, { ...defaultOptions, ...options });
+  return withTimeout(
+    queues[queueName].add(jobName, data, { ...defaultOptions, ...options }),
+    `add to ${queueName}`
+  );
+}
+
+/**
+ * Remove a job that has not run yet (e.g. a delayed job that is no longer needed)
+ * @returns {Promise<boolean>} Whether the job existed
+ */
+async function removeJob(queueName, jobId) {
+  if (!queues[queueName]) {
+    throw new Error(`Queue ${queueName} not found`);
+  }
+  
+  return withTimeout((async () => {
+    const job = await queues[queueName].getJob(jobId);
+    if (!job) {
+      return false;
+    }
+    
+    await job.remove();
+    return true;
+  })(), `remove from ${queueName}`);
+}
+
+/**
+ * Reject when a queue command takes longer than commandTimeout
+ */
+function withTimeout(promise, action) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Queue ${action} timed out after ${commandTimeout}ms`)), commandTimeout);
+  });
+  
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
 }
 
 /**
@@ -88,6 +129,7 @@ module.exports = {
   QueueScheduler,
   initSchedulers,
   addJob,
+  removeJob,
   getQueueMetrics
 };
 
@@ -0,0 +1,508 @@
+const { getConnection } = require('typeorm');
+const ServiceRequestRepository = require('@repositories/ServiceRequestRepository');
+const ReassignmentRequestRepository = require('@repositories/ReassignmentRequestRepository');
+const AgentRepository = require('@repositories/AgentRepository');
+const AvailabilityService = require('@services/AvailabilityService');
+const SlotReservationService = require('@services/SlotReservationService');
+const ServiceRequestEventService = require('@services/ServiceRequestEventService');
+const ServiceRequestStateMachine = require('@services/ServiceRequestStateMachine');
+const MeetingLinkService = require('@services/MeetingLinkService');
+const NotificationService = require('@services/NotificationService');
+const { ErrorHandlers } = require('@utils/ErrorHandler');
+const logger = require('@utils/logger');
+
+/**
+ * ReassignmentService
+ *
+ * Hands service requests over between agents of the same department
+ * - AGENT requests a reassignment → the target agent or an admin accepts or declines
+ * - Pending reassignments expire after REASSIGNMENT_REQUEST_EXPIRY_HOURS; an interval
+ *   job marks them expired and tells the requesting agent
+ * - ADMIN reassigns directly, superseding any pending reassignment
+ * - The new agent must be free at the request's meeting time; the handover reserves
+ *   the slot on their calendar like a booking does
+ * - A handover updates the meeting's calendar invite and tells the old agent, the new
+ *   agent and the user
+ */
+class ReassignmentService {
+  constructor() {
+    this.expiryHours = parseInt(process.env.REASSIGNMENT_REQUEST_EXPIRY_HOURS) || 24;
+
+    // Expiry check interval (0 disables the in-process job)
+    const interval = parseInt(process.env.REASSIGNMENT_EXPIRY_CHECK_INTERVAL_MINUTES);
+    this.checkIntervalMinutes = Number.isNaN(interval) ? 15 : interval;
+
+    this.timer = null;
+  }
+
+  /**
+   * Ask for a request to be handed over to another agent (assigned Agent)
+   * @param {number} requestId - Service request ID
+   * @param {number} agentId - Requesting (assigned) agent ID
+   * @param {Object} data - { newAgentId, reason }
+   */
+  async requestReassignment(requestId, agentId, data) {
+    const request = await this._getRequest(requestId);
+    const actor = { type: 'AGENT', id: agentId };
+    const { newAgentId, reason } = data;
+
+    ServiceRequestStateMachine.assertTransition(request, 'request_reassignment', actor, { newAgentId, reason });
+
+    const newAgent = await this._assertTargetAgent(request, newAgentId);
+
+    // A new reassignment replaces any pending one
+    const pending = await ReassignmentRequestRepository.findPending(requestId);
+
+    const reassignment = await getConnection().transaction(async (manager) => {
+      if (pending) {
+        await ReassignmentRequestRepository.closePending(requestId, 'superseded', manager);
+      }
+
+      const created = await ReassignmentRequestRepository.create({
+        requestId,
+        fromAgentId: agentId,
+        toAgentId: newAgentId,
+        reason,
+        expiresAt: new Date(Date.now() + this.expiryHours * 60 * 60 * 1000)
+      }, manager);
+
+      await ServiceRequestEventService.record(requestId, 'reassignment_requested', actor, {
+        fromStatus: request.status,
+        toStatus: request.status,
+        metadata: {
+          reassignmentId: created.id,
+          newAgentId,
+          reason,
+          expiresAt: created.expiresAt,
+          supersededReassignmentId: pending ? pending.id : null
+        }
+      }, manager);
+
+      return created;
+    });
+
+    logger.info('Reassignment requested', {
+      requestId,
+      reassignmentId: reassignment.id,
+      fromAgentId: agentId,
+      toAgentId: newAgentId
+    });
+
+    const adminIds = (request.category && request.category.escalationAdminIds) || [];
+    await this._notify(
+      [{ type: 'AGENT', id: newAgent.id }, ...adminIds.map(id => ({ type: 'ADMIN', id }))],
+      'requested',
+      request,
+      reassignment
+    );
+
+    return reassignment;
+  }
+
+  /**
+   * Reassign a request directly, without approval (Admin)
+   * @param {Object} data - { newAgentId, reason }
+   */
+  async reassignDirectly(requestId, adminId, data) {
+    const request = await this._getRequest(requestId);
+    const actor = { type: 'ADMIN', id: adminId };
+    const { newAgentId, reason } = data;
+
+    ServiceRequestStateMachine.assertTransition(request, 'reassign_agent', actor, { newAgentId, reason });
+
+    await this._assertTargetAgent(request, newAgentId);
+
+    const updatedRequest = await this._reserve(request, newAgentId, async (manager) => {
+      await ReassignmentRequestRepository.closePending(requestId, 'superseded', manager);
+
+      return await this._apply(request, newAgentId, actor, {
+        requestedBy: adminId,
+        requestedAt: new Date(),
+        reason
+      }, manager);
+    });
+
+    logger.info('Request reassigned to new agent', {
+      requestId,
+      previousAgentId: request.agentId,
+      newAgentId,
+      reassignedBy: adminId
+    });
+
+    await this._notifyHandover(request, 'handedOver', actor, {
+      id: null,
+      fromAgentId: request.agentId,
+      toAgentId: newAgentId
+    });
+
+    return updatedRequest;
+  }
+
+  /**
+   * Accept a pending reassignment and hand the request over (target Agent or Admin)
+   */
+  async accept(requestId, reassignmentId, actor) {
+    const request = await this._getRequest(requestId);
+    const reassignment = await this._getPendingReassignment(requestId, reassignmentId);
+
+    this._assertCanRespond(reassignment, actor);
+
+    ServiceRequestStateMachine.assertTransition(request, 'accept_reassignment', actor);
+
+    // The request moved on since the reassignment was asked for
+    if (request.agentId !== reassignment.fromAgentId) {
+      await ReassignmentRequestRepository.update(reassignment.id, { status: 'superseded' });
+      throw ErrorHandlers.conflict('serviceRequest.reassignmentClosed', { status: 'superseded' });
+    }
+
+    await this._assertTargetAgent(request, reassignment.toAgentId);
+
+    const updatedRequest = await this._reserve(request, reassignment.toAgentId, async (manager) => {
+      await ReassignmentRequestRepository.update(reassignment.id, {
+        status: 'accepted',
+        respondedByType: actor.type,
+        respondedById: actor.id,
+        respondedAt: new Date()
+      }, manager);
+
+      return await this._apply(request, reassignment.toAgentId, actor, {
+        requestedBy: reassignment.fromAgentId,
+        requestedAt: reassignment.createdAt,
+        reason: reassignment.reason,
+        reassignmentId: reassignment.id
+      }, manager);
+    });
+
+    logger.info('Reassignment accepted', {
+      requestId,
+      reassignmentId,
+      acceptedBy: actor
+    });
+
+    await this._notifyHandover(request, 'accepted', actor, reassignment);
+
+    return updatedRequest;
+  }
+
+  /**
+   * Decline a pending reassignment (the request stays with its agent)
+   */
+  async decline(requestId, reassignmentId, actor, note = null) {
+    const request = await this._getRequest(requestId);
+    const reassignment = await this._getPendingReassignment(requestId, reassignmentId);
+
+    this._assertCanRespond(reassignment, actor);
+
+    ServiceRequestStateMachine.assertTransition(request, 'decline_reassignment', actor);
+
+    const updatedReassignment = await getConnection().transaction(async (manager) => {
+      const updated = await ReassignmentRequestRepository.update(reassignment.id, {
+        status: 'declined',
+        respondedByType: actor.type,
+        respondedById: actor.id,
+        respondedAt: new Date(),
+        responseNote: note
+      }, manager);
+
+      await ServiceRequestEventService.record(requestId, 'reassignment_declined', actor, {
+        fromStatus: request.status,
+        toStatus: request.status,
+        metadata: { reassignmentId: reassignment.id, newAgentId: reassignment.toAgentId, reason: note }
+      }, manager);
+
+      return updated;
+    });
+
+    logger.info('Reassignment declined', {
+      requestId,
+      reassignmentId,
+      declinedBy: actor
+    });
+
+    await this._notify([{ type: 'AGENT', id: reassignment.fromAgentId }], 'declined', request, reassignment);
+
+    return updatedReassignment;
+  }
+
+  /**
+   * Pending reassignments of open requests, soonest to expire first (Admin queue)
+   * @param {Object} options - { page, limit, categoryId }
+   */
+  async getQueue(options = {}) {
+    return await ReassignmentRequestRepository.findPendingQueue(options);
+  }
+
+  /**
+   * Pending reassignments offered to an agent
+   */
+  async getIncoming(agentId, options = {}) {
+    return await ReassignmentRequestRepository.findPendingQueue({ ...options, toAgentId: agentId });
+  }
+
+  /**
+   * Check whether an actor may answer the request's pending reassignment
+   * Used to filter accept/decline out of the allowed actions
+   */
+  async canRespond(requestId, actor) {
+    const pending = await ReassignmentRequestRepository.findPending(requestId);
+    return !!pending && !this._isExpired(pending) && this._isResponder(pending, actor);
+  }
+
+  /**
+   * Expire pending reassignments past their deadline and tell the requesting agents
+   * @param {Date} now - Reference time
+   * @returns {Promise<number>} Number of expired reassignments
+   */
+  async expirePending(now = new Date()) {
+    const reassignments = await ReassignmentRequestRepository.findExpired(now);
+    let expired = 0;
+
+    for (const reassignment of reassignments) {
+      try {
+        await getConnection().transaction(async (manager) => {
+          await ReassignmentRequestRepository.update(reassignment.id, {
+            status: 'expired',
+            respondedAt: now
+          }, manager);
+
+          await ServiceRequestEventService.record(reassignment.requestId, 'reassignment_expired', { type: 'SYSTEM', id: null }, {
+            metadata: { reassignmentId: reassignment.id, newAgentId: reassignment.toAgentId }
+          }, manager);
+        });
+
+        expired++;
+
+        await this._notify(
+          [{ type: 'AGENT', id: reassignment.fromAgentId }],
+          'expired',
+          { id: reassignment.requestId },
+          reassignment
+        );
+      } catch (error) {
+        logger.error('Failed to expire reassignment', {
+          reassignmentId: reassignment.id,
+          error: error.message
+        });
+      }
+    }
+
+    if (expired > 0) {
+      logger.info('Pending reassignments expired', { expired });
+    }
+
+    return expired;
+  }
+
+  /**
+   * Start the in-process expiry job
+   */
+  start() {
+    if (this.timer || this.checkIntervalMinutes <= 0) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.expirePending().catch(error => {
+        logger.error('Reassignment expiry check failed', { error: error.message });
+      });
+    }, this.checkIntervalMinutes * 60 * 1000);
+    this.timer.unref();
+
+    logger.info('✅ Reassignment expiry job started', { intervalMinutes: this.checkIntervalMinutes });
+  }
+
+  /**
+   * Stop the expiry job
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * PRIVATE HELPER METHODS
+   */
+
+  async _getRequest(requestId) {
+    const request = await ServiceRequestRepository.findById(requestId);
+
+    if (!request) {
+      throw ErrorHandlers.notFound('serviceRequest.notFound');
+    }
+
+    return request;
+  }
+
+  async _getPendingReassignment(requestId, reassignmentId) {
+    const reassignment = await ReassignmentRequestRepository.findByIdForRequest(reassignmentId, requestId);
+
+    if (!reassignment) {
+      throw ErrorHandlers.notFound('serviceRequest.reassignmentNotFound');
+    }
+
+    if (reassignment.status !== 'pending') {
+      throw ErrorHandlers.badRequest('serviceRequest.reassignmentClosed', {
+        status: reassignment.status
+      });
+    }
+
+    // Past its deadline but not yet picked up by the expiry job
+    if (this._isExpired(reassignment)) {
+      throw ErrorHandlers.badRequest('serviceRequest.reassignmentClosed', {
+        status: 'expired'
+      });
+    }
+
+    return reassignment;
+  }
+
+  /**
+   * The new agent must exist, be active, work in the request's department,
+   * not already hold the request and be free at its meeting time
+   */
+  async _assertTargetAgent(request, newAgentId) {
+    const newAgent = await AgentRepository.findById(newAgentId);
+    if (!newAgent) {
+      throw ErrorHandlers.notFound('serviceRequest.agentNotFound');
+    }
+
+    if (!newAgent.isActive) {
+      throw ErrorHandlers.badRequest('serviceRequest.agentInactive');
+    }
+
+    if (!newAgent.departmentId || parseInt(newAgent.departmentId) !== parseInt(request.categoryId)) {
+      throw ErrorHandlers.badRequest('serviceRequest.agentNotInCategory');
+    }
+
+    if (newAgent.id === request.agentId) {
+      throw ErrorHandlers.badRequest('serviceRequest.alreadyAssignedToAgent');
+    }
+
+    if (this._hasMeeting(request)) {
+      const slotAvailable = await AvailabilityService.isSlotAvailable(
+        newAgent,
+        request.meetingDate,
+        request.meetingTime,
+        request.meetingDuration,
+        request.id
+      );
+      if (!slotAvailable) {
+        throw ErrorHandlers.badRequest('serviceRequest.slotUnavailable');
+      }
+    }
+
+    return newAgent;
+  }
+
+  /**
+   * Run the handover writes, holding the meeting slot on the new agent's calendar
+   */
+  async _reserve(request, newAgentId, work) {
+    if (!this._hasMeeting(request)) {
+      return await getConnection().transaction(work);
+    }
+
+    return await SlotReservationService.reserve(
+      {
+        agentId: newAgentId,
+        meetingDate: request.meetingDate,
+        meetingTime: request.meetingTime,
+        duration: request.meetingDuration || 60,
+        excludeRequestId: request.id
+      },
+      work
+    );
+  }
+
+  _hasMeeting(request) {
+    return Boolean(request.meetingDate && request.meetingTime);
+  }
+
+  /**
+   * Move the request to the new agent and record it in the history
+   * @param {Object} details - { requestedBy, requestedAt, reason, reassignmentId }
+   */
+  async _apply(request, newAgentId, actor, details, manager) {
+    // Confirmed online meetings get a new link for the new agent
+    const linkFields = ['approved', 'rescheduled'].includes(request.status)
+      ? await MeetingLinkService.buildLinkFields({ ...request, agentId: newAgentId })
+      : {};
+
+    const updatedRequest = await ServiceRequestRepository.update(request.id, {
+      previousAgentId: request.agentId,
+      agentId: newAgentId,
+      reassignmentRequestedBy: details.requestedBy,
+      reassignmentRequestedAt: details.requestedAt,
+      reassignmentReason: details.reason,
+      // The calendar invite changes with the agent
+      calendarSequence: (request.calendarSequence || 0) + 1,
+      ...linkFields
+    }, manager);
+
+    await ServiceRequestEventService.record(request.id, 'agent_reassigned', actor, {
+      fromStatus: request.status,
+      toStatus: updatedRequest.status,
+      metadata: {
+        previousAgentId: request.agentId,
+        newAgentId,
+        reason: details.reason,
+        reassignmentId: details.reassignmentId || null
+      }
+    }, manager);
+
+    return updatedRequest;
+  }
+
+  _assertCanRespond(reassignment, actor) {
+    if (!this._isResponder(reassignment, actor)) {
+      throw ErrorHandlers.forbidden('serviceRequest.cannotRespondToReassignment');
+    }
+  }
+
+  /**
+   * Admins and the target agent answer a reassignment
+   */
+  _isResponder(reassignment, actor) {
+    return actor.type === 'ADMIN' || (actor.type === 'AGENT' && actor.id === reassignment.toAgentId);
+  }
+
+  _isExpired(reassignment, now = new Date()) {
+    return new Date(reassignment.expiresAt) <= now;
+  }
+
+  /**
+   * @param {string} event - requested, accepted, declined or expired
+   */
+  /**
+   * Tell the old agent (`event`: accepted or handedOver), the new agent unless they
+   * accepted it themselves, and the user about a completed handover
+   */
+  async _notifyHandover(request, event, actor, reassignment) {
+    await this._notify([{ type: 'AGENT', id: reassignment.fromAgentId }], event, request, reassignment);
+
+    if (!(actor.type === 'AGENT' && actor.id === reassignment.toAgentId)) {
+      await this._notify([{ type: 'AGENT', id: reassignment.toAgentId }], 'assigned', request, reassignment);
+    }
+
+    await this._notify([{ type: 'USER', id: request.userId }], 'agentChanged', request, reassignment);
+  }
+
+  async _notify(recipients, event, request, reassignment) {
+    await NotificationService.notify(recipients, {
+      type: `reassignment_${event}`,
+      titleKey: `reassignment.${event}Title`,
+      messageKey: `reassignment.${event}Message`,
+      params: { requestId: request.id },
+      data: {
+        requestId: request.id,
+        reassignmentId: reassignment.id,
+        fromAgentId: reassignment.fromAgentId,
+        toAgentId: reassignment.toAgentId
+      }
+    });
+  }
+}
+
+module.exports = new ReassignmentService();
@@ -0,0 +1,351 @@
+const { getConnection } = require('typeorm');
+const fs = require('fs').promises;
+const ServiceRequestRepository = require('@repositories/ServiceRequestRepository');
+const RequestDocumentRepository = require('@repositories/RequestDocumentRepository');
+const DocumentRequirementRepository = require('@repositories/DocumentRequirementRepository');
+const ServiceRequestEventService = require('@services/ServiceRequestEventService');
+const ServiceRequestStateMachine = require('@services/ServiceRequestStateMachine');
+const NotificationService = require('@services/NotificationService');
+const { SERVICE_REQUEST_STATUSES } = require('@constants/serviceRequestWorkflow');
+const { ErrorHandlers } = require('@utils/ErrorHandler');
+const logger = require('@utils/logger');
+
+/**
+ * RequestDocumentService
+ *
+ * The "additional documents required" loop of a service request
+ * - The agent lists the missing documents; the request moves to awaiting_documents
+ * - The user uploads files, optionally answering one of the listed documents
+ * - The agent accepts or rejects each upload (a rejected requirement is missing again)
+ * - Once every listed document is accepted the request goes back to pending
+ * - The user is notified of requested and reviewed documents, the assigned agent of uploads
+ */
+class RequestDocumentService {
+  constructor() {
+    // Documents (not rejected) a single request may hold
+    this.maxDocuments = parseInt(process.env.SERVICE_REQUEST_MAX_DOCUMENTS) || 20;
+  }
+
+  /**
+   * Ask the user for additional documents (Agent or Admin)
+   * @param {Object} actor - { type: AGENT|ADMIN, id }
+   * @param {Object} data - { reason, documents: [{ name, description }] }
+   * @returns {Promise<Object>} { serviceRequest, requirements }
+   */
+  async requestDocuments(requestId, actor, data) {
+    const request = await this._getRequest(requestId);
+
+    const transition = ServiceRequestStateMachine.assertTransition(request, 'request_documents', actor, data);
+
+    const result = await getConnection().transaction(async (manager) => {
+      const requirements = await DocumentRequirementRepository.createMany(
+        data.documents.map(document => ({
+          requestId,
+          name: document.name,
+          description: document.description || null,
+          requestedBy: actor.id,
+          requestedByType: actor.type
+        })),
+        manager
+      );
+
+      const updated = await ServiceRequestRepository.update(requestId, {
+        status: transition.to
+      }, manager);
+
+      await ServiceRequestEventService.record(requestId, 'documents_requested', actor, {
+        fromStatus: request.status,
+        toStatus: updated.status,
+        metadata: {
+          reason: data.reason,
+          documents: requirements.map(requirement => ({ id: requirement.id, name: requirement.name }))
+        }
+      }, manager);
+
+      return { serviceRequest: updated, requirements };
+    });
+
+    await this._notify([{ type: 'USER', id: request.userId }], 'documents_requested', 'documentsRequested', {
+      requestId,
+      reason: data.reason
+    }, {
+      requirementIds: result.requirements.map(requirement => requirement.id)
+    });
+
+    logger.info('Additional documents requested', {
+      requestId,
+      requestedBy: actor.id,
+      documents: result.requirements.length
+    });
+
+    return result;
+  }
+
+  /**
+   * Get a request's document requirements and uploaded documents
+   * Follow-up meetings also list the documents of the request they follow up on
+   */
+  async getDocuments(requestId, userId, userRole) {
+    const request = await this._getRequest(requestId);
+
+    ServiceRequestStateMachine.assertCanView(request, userId, userRole);
+
+    const requestIds = request.parentRequestId ? [request.parentRequestId, requestId] : [requestId];
+
+    const [requirements, documents] = await Promise.all([
+      Promise.all(requestIds.map(id => DocumentRequirementRepository.findByRequestId(id))),
+      Promise.all(requestIds.map(id => RequestDocumentRepository.findByRequestId(id)))
+    ]);
+
+    return { requirements: requirements.flat(), documents: documents.flat() };
+  }
+
+  /**
+   * Upload documents to a request (request owner)
+   * @param {Array} files - Multer files
+   * @param {number|null} requirementId - Requirement the files answer (optional)
+   */
+  async uploadDocuments(requestId, userId, files, requirementId = null) {
+    try {
+      if (!files || files.length === 0) {
+        throw ErrorHandlers.badRequest('errors.noFilesUploaded');
+      }
+
+      const request = await this._getRequest(requestId);
+
+      ServiceRequestStateMachine.assertTransition(request, 'upload_documents', { type: 'USER', id: userId });
+
+      let requirement = null;
+      if (requirementId) {
+        requirement = await DocumentRequirementRepository.findByIdForRequest(requirementId, requestId);
+
+        if (!requirement) {
+          throw ErrorHandlers.notFound('serviceRequest.documentRequirementNotFound');
+        }
+
+        if (requirement.status === 'accepted') {
+          throw ErrorHandlers.badRequest('serviceRequest.documentRequirementAlreadyAccepted');
+        }
+      }
+
+      const activeCount = await RequestDocumentRepository.countActiveByRequestId(requestId);
+      if (activeCount + files.length > this.maxDocuments) {
+        throw ErrorHandlers.badRequest('errors.maxDocumentsExceeded', { maxDocuments: this.maxDocuments });
+      }
+
+      const documents = await getConnection().transaction(async (manager) => {
+        const created = await RequestDocumentRepository.createMany(files.map(file => ({
+          requestId,
+          requirementId: requirement ? requirement.id : null,
+          fileName: file.originalname,
+          filePath: file.path,
+          fileType: file.mimetype,
+          fileSize: file.size,
+          uploadedBy: userId
+        })), manager);
+
+        if (requirement && requirement.status === 'missing') {
+          await DocumentRequirementRepository.update(requirement.id, { status: 'submitted' }, manager);
+        }
+
+        await ServiceRequestEventService.record(requestId, 'documents_uploaded', { type: 'USER', id: userId }, {
+          fromStatus: request.status,
+          toStatus: request.status,
+          metadata: {
+            requirementId: requirement ? requirement.id : null,
+            documentIds: created.map(document => document.id),
+            count: created.length
+          }
+        }, manager);
+
+        return created;
+      });
+
+      if (request.agentId) {
+        await this._notify([{ type: 'AGENT', id: request.agentId }], 'documents_uploaded', 'documentsUploaded', {
+          requestId,
+          count: documents.length
+        }, {
+          requirementId: requirement ? requirement.id : null,
+          documentIds: documents.map(document => document.id)
+        });
+      }
+
+      logger.info('Documents uploaded to service request', {
+        requestId,
+        userId,
+        requirementId,
+        count: documents.length
+      });
+
+      return documents;
+    } catch (error) {
+      await this._cleanupFiles(files);
+      throw error;
+    }
+  }
+
+  /**
+   * Accept or reject an uploaded document (Agent or Admin)
+   * @param {Object} actor - { type: AGENT|ADMIN, id }
+   * @param {Object} data - { status: accepted|rejected, reason }
+   * @returns {Promise<Object>} { document, serviceRequest }
+   */
+  async reviewDocument(requestId, documentId, actor, data) {
+    const request = await this._getRequest(requestId);
+
+    ServiceRequestStateMachine.assertTransition(request, 'review_document', actor, data);
+
+    const accepted = data.status === 'accepted';
+
+    if (!accepted && !data.reason) {
+      throw ErrorHandlers.badRequest('serviceRequest.documentRejectionReasonRequired');
+    }
+
+    const document = await RequestDocumentRepository.findByIdForRequest(documentId, requestId);
+
+    if (!document) {
+      throw ErrorHandlers.notFound('errors.documentNotFound');
+    }
+
+    if (document.status !== 'submitted') {
+      throw ErrorHandlers.badRequest('serviceRequest.documentAlreadyReviewed');
+    }
+
+    const result = await getConnection().transaction(async (manager) => {
+      const updatedDocument = await RequestDocumentRepository.update(document.id, {
+        status: data.status,
+        reviewedBy: actor.id,
+        reviewedByType: actor.type,
+        reviewedAt: new Date(),
+        rejectionReason: accepted ? null : data.reason
+      }, manager);
+
+      await ServiceRequestEventService.record(requestId, accepted ? 'document_accepted' : 'document_rejected', actor, {
+        fromStatus: request.status,
+        toStatus: request.status,
+        metadata: {
+          documentId: document.id,
+          fileName: document.fileName,
+          requirementId: document.requirementId,
+          reason: accepted ? null : data.reason
+        }
+      }, manager);
+
+      let serviceRequest = request;
+
+      if (document.requirementId) {
+        await this._updateRequirementAfterReview(document.requirementId, accepted, manager);
+
+        if (accepted && request.status === SERVICE_REQUEST_STATUSES.AWAITING_DOCUMENTS) {
+          serviceRequest = await this._resumeIfComplete(request, manager);
+        }
+      }
+
+      return { document: updatedDocument, serviceRequest };
+    });
+
+    const event = accepted ? 'document_accepted' : 'document_rejected';
+    const key = accepted ? 'documentAccepted' : 'documentRejected';
+
+    await this._notify([{ type: 'USER', id: request.userId }], event, key, {
+      requestId,
+      fileName: document.fileName,
+      reason: accepted ? '' : data.reason
+    }, {
+      documentId: document.id,
+      requirementId: document.requirementId,
+      status: data.status
+    });
+
+    logger.info('Service request document reviewed', {
+      requestId,
+      documentId,
+      status: data.status,
+      reviewedBy: actor.id
+    });
+
+    return result;
+  }
+
+  /**
+   * PRIVATE HELPER METHODS
+   */
+
+  /**
+   * @param {string} type - Notification type (the event recorded on the request)
+   * @param {string} key - serviceRequest.<key>Title / <key>Message translation keys
+   */
+  async _notify(recipients, type, key, params, data) {
+    await NotificationService.notify(recipients, {
+      type,
+      titleKey: `serviceRequest.${key}Title`,
+      messageKey: `serviceRequest.${key}Message`,
+      params,
+      data: { requestId: params.requestId, ...data }
+    });
+  }
+
+  async _getRequest(requestId) {
+    const request = await ServiceRequestRepository.findById(requestId);
+
+    if (!request) {
+      throw ErrorHandlers.notFound('serviceRequest.notFound');
+    }
+
+    return request;
+  }
+
+  /**
+   * Accepted uploads satisfy the requirement; a rejected one leaves it missing
+   * unless another upload for it is still waiting for review
+   */
+  async _updateRequirementAfterReview(requirementId, accepted, manager) {
+    if (accepted) {
+      await DocumentRequirementRepository.update(requirementId, { status: 'accepted' }, manager);
+      return;
+    }
+
+    const stillSubmitted = await RequestDocumentRepository.countSubmittedForRequirement(requirementId, manager);
+    if (stillSubmitted === 0) {
+      await DocumentRequirementRepository.update(requirementId, { status: 'missing' }, manager);
+    }
+  }
+
+  /**
+   * Move the request back to pending once nothing is outstanding
+   */
+  async _resumeIfComplete(request, manager) {
+    const outstanding = await DocumentRequirementRepository.countOutstanding(request.id, manager);
+
+    if (outstanding > 0) {
+      return request;
+    }
+
+    const transition = ServiceRequestStateMachine.assertTransition(request, 'documents_completed', {
+      type: 'SYSTEM',
+      id: null
+    });
+
+    const updated = await ServiceRequestRepository.update(request.id, {
+      status: transition.to
+    }, manager);
+
+    await ServiceRequestEventService.record(request.id, 'documents_completed', { type: 'SYSTEM', id: null }, {
+      fromStatus: request.status,
+      toStatus: updated.status
+    }, manager);
+
+    return updated;
+  }
+
+  async _cleanupFiles(files) {
+    for (const file of files || []) {
+      if (file.path) {
+        await fs.unlink(file.path).catch(() => {});
+      }
+    }
+  }
+}
+
+module.exports = new RequestDocumentService();
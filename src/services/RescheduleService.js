@@ -0,0 +1,298 @@
+const ServiceRequestRepository = require('@repositories/ServiceRequestRepository');
+const RescheduleProposalRepository = require('@repositories/RescheduleProposalRepository');
+const AgentRepository = require('@repositories/AgentRepository');
+const AvailabilityService = require('@services/AvailabilityService');
+const SlotReservationService = require('@services/SlotReservationService');
+const ServiceRequestEventService = require('@services/ServiceRequestEventService');
+const ServiceRequestStateMachine = require('@services/ServiceRequestStateMachine');
+const MeetingLinkService = require('@services/MeetingLinkService');
+const MeetingReminderService = require('@services/MeetingReminderService');
+const WaitlistService = require('@services/WaitlistService');
+const BranchService = require('@services/BranchService');
+const RoomAllocationService = require('@services/RoomAllocationService');
+const { ErrorHandlers } = require('@utils/ErrorHandler');
+const logger = require('@utils/logger');
+
+/**
+ * RescheduleService
+ *
+ * Reschedule proposals between a request's user and its agent
+ * - USER proposes → assigned AGENT or ADMIN responds
+ * - AGENT/ADMIN proposes → the request's USER responds
+ */
+class RescheduleService {
+  /**
+   * Propose a new meeting date/time
+   * @param {number} requestId - Service request ID
+   * @param {Object} actor - { type: USER|AGENT|ADMIN, id }
+   * @param {Object} data - { meetingDate, meetingTime, reason }
+   */
+  async propose(requestId, actor, data) {
+    const request = await this._getRequest(requestId);
+    const { meetingDate, meetingTime, reason = null } = data;
+
+    ServiceRequestStateMachine.assertTransition(request, 'propose_reschedule', actor, { meetingDate, meetingTime });
+
+    await this._assertSlotBookable(request, meetingDate, meetingTime);
+
+    // A new proposal replaces any pending one
+    const pending = await RescheduleProposalRepository.findPending(requestId);
+    if (pending) {
+      await RescheduleProposalRepository.closePending(requestId, 'superseded');
+    }
+
+    const proposal = await RescheduleProposalRepository.create({
+      requestId,
+      proposedByType: actor.type,
+      proposedById: actor.id,
+      previousMeetingDate: request.meetingDate,
+      previousMeetingTime: request.meetingTime,
+      meetingDate,
+      meetingTime,
+      reason
+    });
+
+    await ServiceRequestEventService.record(requestId, 'reschedule_proposed', actor, {
+      fromStatus: request.status,
+      toStatus: request.status,
+      metadata: {
+        proposalId: proposal.id,
+        meetingDate,
+        meetingTime,
+        reason,
+        supersededProposalId: pending ? pending.id : null
+      }
+    });
+
+    logger.info('Reschedule proposed', {
+      requestId,
+      proposalId: proposal.id,
+      proposedBy: actor
+    });
+
+    return proposal;
+  }
+
+  /**
+   * Accept a pending proposal and move the meeting
+   */
+  async accept(requestId, proposalId, actor) {
+    const request = await this._getRequest(requestId);
+    const proposal = await this._getPendingProposal(requestId, proposalId);
+
+    this._assertCounterParty(proposal, actor);
+
+    const transition = ServiceRequestStateMachine.assertTransition(request, 'accept_reschedule', actor);
+
+    const agent = await this._assertSlotBookable(request, proposal.meetingDate, proposal.meetingTime);
+    const linkFields = await MeetingLinkService.buildLinkFields({
+      ...request,
+      meetingDate: proposal.meetingDate,
+      meetingTime: proposal.meetingTime
+    });
+
+    const updatedRequest = await SlotReservationService.reserve(
+      {
+        agentId: agent.id,
+        meetingDate: proposal.meetingDate,
+        meetingTime: proposal.meetingTime,
+        duration: request.meetingDuration || 60,
+        excludeRequestId: request.id
+      },
+      async (manager) => {
+        // A meeting that already has a room needs one at the new time too
+        const room = request.meetingRoomId
+          ? await RoomAllocationService.allocate(request, {
+            meetingDate: proposal.meetingDate,
+            meetingTime: proposal.meetingTime,
+            duration: request.meetingDuration || 60
+          }, manager)
+          : null;
+
+        const updated = await ServiceRequestRepository.update(requestId, {
+          status: transition.to,
+          meetingDate: proposal.meetingDate,
+          meetingTime: proposal.meetingTime,
+          calendarSequence: (request.calendarSequence || 0) + 1,
+          ...(room && { meetingRoomId: room.id }),
+          ...linkFields
+        }, manager);
+
+        await RescheduleProposalRepository.update(proposal.id, {
+          status: 'accepted',
+          respondedByType: actor.type,
+          respondedById: actor.id,
+          respondedAt: new Date()
+        }, manager);
+
+        await ServiceRequestEventService.record(requestId, 'rescheduled', actor, {
+          fromStatus: request.status,
+          toStatus: updated.status,
+          metadata: {
+            proposalId: proposal.id,
+            previousMeetingDate: request.meetingDate,
+            previousMeetingTime: request.meetingTime,
+            meetingDate: proposal.meetingDate,
+            meetingTime: proposal.meetingTime,
+            meetingRoomId: room ? room.id : null,
+            reason: proposal.reason
+          }
+        }, manager);
+
+        return updated;
+      }
+    );
+
+    await MeetingReminderService.schedule(updatedRequest);
+
+    // Offer the previous slot to the waitlist
+    await WaitlistService.slotFreed(request);
+
+    logger.info('Reschedule proposal accepted', {
+      requestId,
+      proposalId,
+      acceptedBy: actor
+    });
+
+    return updatedRequest;
+  }
+
+  /**
+   * Decline a pending proposal (the meeting stays as is)
+   */
+  async decline(requestId, proposalId, actor, note = null) {
+    const request = await this._getRequest(requestId);
+    const proposal = await this._getPendingProposal(requestId, proposalId);
+
+    this._assertCounterParty(proposal, actor);
+
+    ServiceRequestStateMachine.assertTransition(request, 'decline_reschedule', actor);
+
+    const updatedProposal = await RescheduleProposalRepository.update(proposal.id, {
+      status: 'declined',
+      respondedByType: actor.type,
+      respondedById: actor.id,
+      respondedAt: new Date(),
+      responseNote: note
+    });
+
+    await ServiceRequestEventService.record(requestId, 'reschedule_declined', actor, {
+      fromStatus: request.status,
+      toStatus: request.status,
+      metadata: { proposalId: proposal.id, reason: note }
+    });
+
+    logger.info('Reschedule proposal declined', {
+      requestId,
+      proposalId,
+      declinedBy: actor
+    });
+
+    return updatedProposal;
+  }
+
+  /**
+   * Get all proposals of a request (newest first)
+   */
+  async getProposals(requestId) {
+    return await RescheduleProposalRepository.findByRequestId(requestId);
+  }
+
+  /**
+   * Check whether an actor may answer the request's pending proposal
+   * Used to filter accept/decline out of the allowed actions
+   */
+  async canRespond(requestId, actor) {
+    const pending = await RescheduleProposalRepository.findPending(requestId);
+    return !!pending && this._isCounterParty(pending, actor);
+  }
+
+  /**
+   * Close pending proposals when the meeting is moved or ended by other means
+   */
+  async supersedePending(requestId, manager = null) {
+    await RescheduleProposalRepository.closePending(requestId, 'superseded', manager);
+  }
+
+  /**
+   * PRIVATE HELPER METHODS
+   */
+
+  async _getRequest(requestId) {
+    const request = await ServiceRequestRepository.findById(requestId);
+
+    if (!request) {
+      throw ErrorHandlers.notFound('serviceRequest.notFound');
+    }
+
+    return request;
+  }
+
+  async _getPendingProposal(requestId, proposalId) {
+    const proposal = await RescheduleProposalRepository.findByIdForRequest(proposalId, requestId);
+
+    if (!proposal) {
+      throw ErrorHandlers.notFound('serviceRequest.rescheduleProposalNotFound');
+    }
+
+    if (proposal.status !== 'pending') {
+      throw ErrorHandlers.badRequest('serviceRequest.rescheduleProposalClosed', {
+        status: proposal.status
+      });
+    }
+
+    return proposal;
+  }
+
+  /**
+   * The new time must be in the future and free in the assigned agent's calendar
+   * @returns {Promise<Object>} The assigned agent
+   */
+  async _assertSlotBookable(request, meetingDate, meetingTime) {
+    const meetingDateTime = new Date(`${meetingDate}T${meetingTime}`);
+    if (meetingDateTime < new Date()) {
+      throw ErrorHandlers.badRequest('serviceRequest.meetingDateInPast');
+    }
+
+    const agent = request.agentId ? await AgentRepository.findById(request.agentId) : null;
+    if (!agent) {
+      throw ErrorHandlers.notFound('serviceRequest.agentNotFound');
+    }
+
+    const slotAvailable = await AvailabilityService.isSlotAvailable(
+      agent,
+      meetingDate,
+      meetingTime,
+      request.meetingDuration || 60,
+      request.id
+    );
+    if (!slotAvailable) {
+      throw ErrorHandlers.badRequest('serviceRequest.slotUnavailable');
+    }
+
+    if (request.meetingType === 'offline' && request.branchId) {
+      await BranchService.assertBookable(request.branchId, meetingDate, meetingTime, request.meetingDuration || 60);
+    }
+
+    return agent;
+  }
+
+  _assertCounterParty(proposal, actor) {
+    if (!this._isCounterParty(proposal, actor)) {
+      throw ErrorHandlers.forbidden('serviceRequest.cannotRespondToOwnProposal');
+    }
+  }
+
+  /**
+   * User proposals are answered by staff, staff proposals by the user
+   */
+  _isCounterParty(proposal, actor) {
+    if (proposal.proposedByType === 'USER') {
+      return actor.type === 'AGENT' || actor.type === 'ADMIN';
+    }
+
+    return actor.type === 'USER';
+  }
+}
+
+module.exports = new RescheduleService();
@@ -0,0 +1,257 @@
+const { getConnection } = require('typeorm');
+const AgentReviewRepository = require('@repositories/AgentReviewRepository');
+const AgentRepository = require('@repositories/AgentRepository');
+const ServiceRequestRepository = require('@repositories/ServiceRequestRepository');
+const { SERVICE_REQUEST_STATUSES } = require('@constants/serviceRequestWorkflow');
+const { ErrorHandlers } = require('@utils/ErrorHandler');
+const logger = require('@utils/logger');
+
+/**
+ * ReviewService
+ *
+ * Post-meeting ratings of agents
+ * - The request's user reviews a completed request once, and can edit it for a while
+ * - Agent.ratingAverage / ratingCount are recomputed from visible reviews on every change
+ * - Admins hide/unhide abusive reviews
+ */
+class ReviewService {
+  constructor() {
+    this.editWindowHours = parseInt(process.env.REVIEW_EDIT_WINDOW_HOURS) || 48;
+  }
+
+  /**
+   * Submit a review for a completed request
+   * @param {number} requestId - Service request ID
+   * @param {number} userId - Reviewing user ID
+   * @param {Object} data - { rating, comment }
+   */
+  async submitReview(requestId, userId, data) {
+    const request = await this._getOwnRequest(requestId, userId);
+
+    if (request.status !== SERVICE_REQUEST_STATUSES.COMPLETED || !request.agentId) {
+      throw ErrorHandlers.badRequest('review.requestNotCompleted');
+    }
+
+    const existing = await AgentReviewRepository.findByRequestId(requestId);
+    if (existing) {
+      throw ErrorHandlers.conflict('review.alreadyExists');
+    }
+
+    const review = await getConnection().transaction(async (manager) => {
+      const created = await AgentReviewRepository.create({
+        requestId,
+        agentId: request.agentId,
+        userId,
+        rating: data.rating,
+        comment: data.comment || null,
+        editableUntil: new Date(Date.now() + this.editWindowHours * 60 * 60 * 1000)
+      }, manager);
+
+      await this._refreshAgentRating(request.agentId, manager);
+
+      return created;
+    });
+
+    logger.info('Review submitted', {
+      requestId,
+      reviewId: review.id,
+      agentId: request.agentId,
+      rating: review.rating
+    });
+
+    return review;
+  }
+
+  /**
+   * Edit own review while the edit window is open
+   * @param {Object} data - { rating, comment }
+   */
+  async updateReview(requestId, userId, data) {
+    await this._getOwnRequest(requestId, userId);
+    const review = await this._getReviewByRequest(requestId);
+
+    if (review.status === 'hidden') {
+      throw ErrorHandlers.forbidden('review.hiddenCannotEdit');
+    }
+
+    if (new Date(review.editableUntil) < new Date()) {
+      throw ErrorHandlers.badRequest('review.editWindowClosed', { hours: this.editWindowHours });
+    }
+
+    const updates = {};
+    if (data.rating !== undefined) {
+      updates.rating = data.rating;
+    }
+    if (data.comment !== undefined) {
+      updates.comment = data.comment || null;
+    }
+
+    const updatedReview = await getConnection().transaction(async (manager) => {
+      const updated = await AgentReviewRepository.update(review.id, updates, manager);
+      await this._refreshAgentRating(review.agentId, manager);
+      return updated;
+    });
+
+    logger.info('Review updated', { requestId, reviewId: review.id });
+
+    return updatedReview;
+  }
+
+  /**
+   * Get the review of a request (null if not reviewed yet)
+   * Agents don't see reviews hidden by moderation
+   */
+  async getRequestReview(requestId, userId, userRole) {
+    const request = await ServiceRequestRepository.findById(requestId);
+
+    if (!request) {
+      throw ErrorHandlers.notFound('serviceRequest.notFound');
+    }
+
+    if ((userRole === 'USER' && request.userId !== userId) ||
+        (userRole === 'AGENT' && request.agentId !== userId)) {
+      throw ErrorHandlers.forbidden('errors.forbidden');
+    }
+
+    const review = await AgentReviewRepository.findByRequestId(requestId);
+
+    if (review && review.status === 'hidden' && userRole === 'AGENT') {
+      return null;
+    }
+
+    return review;
+  }
+
+  /**
+   * Public list of an agent's visible reviews with the rating summary
+   */
+  async getAgentReviews(agentId, options = {}) {
+    const agent = await AgentRepository.findById(agentId);
+
+    if (!agent || !agent.isActive) {
+      throw ErrorHandlers.notFound('agent.notFound');
+    }
+
+    const result = await AgentReviewRepository.findVisibleByAgentId(agentId, options);
+
+    return {
+      rating: {
+        average: parseFloat(agent.ratingAverage) || 0,
+        count: agent.ratingCount || 0
+      },
+      ...result
+    };
+  }
+
+  /**
+   * List reviews for moderation
+   * @param {Object} options - { page, limit, status, agentId, rating }
+   */
+  async listReviews(options = {}) {
+    return await AgentReviewRepository.findAll(options);
+  }
+
+  /**
+   * Hide an abusive review
+   */
+  async hideReview(reviewId, adminId, reason) {
+    const review = await this._getReview(reviewId);
+
+    if (review.status === 'hidden') {
+      throw ErrorHandlers.badRequest('review.alreadyHidden');
+    }
+
+    const updatedReview = await getConnection().transaction(async (manager) => {
+      const updated = await AgentReviewRepository.update(review.id, {
+        status: 'hidden',
+        hiddenBy: adminId,
+        hiddenAt: new Date(),
+        hiddenReason: reason
+      }, manager);
+
+      await this._refreshAgentRating(review.agentId, manager);
+
+      return updated;
+    });
+
+    logger.info('Review hidden', { reviewId, adminId, agentId: review.agentId });
+
+    return updatedReview;
+  }
+
+  /**
+   * Make a hidden review visible again
+   */
+  async unhideReview(reviewId, adminId) {
+    const review = await this._getReview(reviewId);
+
+    if (review.status === 'visible') {
+      throw ErrorHandlers.badRequest('review.alreadyVisible');
+    }
+
+    const updatedReview = await getConnection().transaction(async (manager) => {
+      const updated = await AgentReviewRepository.update(review.id, {
+        status: 'visible',
+        hiddenBy: null,
+        hiddenAt: null,
+        hiddenReason: null
+      }, manager);
+
+      await this._refreshAgentRating(review.agentId, manager);
+
+      return updated;
+    });
+
+    logger.info('Review unhidden', { reviewId, adminId, agentId: review.agentId });
+
+    return updatedReview;
+  }
+
+  /**
+   * PRIVATE HELPER METHODS
+   */
+
+  async _getOwnRequest(requestId, userId) {
+    const request = await ServiceRequestRepository.findById(requestId);
+
+    if (!request) {
+      throw ErrorHandlers.notFound('serviceRequest.notFound');
+    }
+
+    if (request.userId !== userId) {
+      throw ErrorHandlers.forbidden('errors.forbidden');
+    }
+
+    return request;
+  }
+
+  async _getReviewByRequest(requestId) {
+    const review = await AgentReviewRepository.findByRequestId(requestId);
+
+    if (!review) {
+      throw ErrorHandlers.notFound('review.notFound');
+    }
+
+    return review;
+  }
+
+  async _getReview(reviewId) {
+    const review = await AgentReviewRepository.findById(reviewId);
+
+    if (!review) {
+      throw ErrorHandlers.notFound('review.notFound');
+    }
+
+    return review;
+  }
+
+  /**
+   * Recompute the agent's aggregates from its visible reviews
+   */
+  async _refreshAgentRating(agentId, manager = null) {
+    const rating = await AgentReviewRepository.getAgentAggregate(agentId, manager);
+    await AgentRepository.updateRating(agentId, rating, manager);
+  }
+}
+
+module.exports = new ReviewService();
@@ -0,0 +1,139 @@
+const { getConnection } = require('typeorm');
+const ServiceRequestRepository = require('@repositories/ServiceRequestRepository');
+const BranchRepository = require('@repositories/BranchRepository');
+const MeetingRoomRepository = require('@repositories/MeetingRoomRepository');
+const ServiceRequestEventService = require('@services/ServiceRequestEventService');
+const { ErrorHandlers } = require('@utils/ErrorHandler');
+const logger = require('@utils/logger');
+
+/**
+ * RoomAllocationService
+ *
+ * Meeting rooms of offline meetings
+ * - A room is allocated when the meeting is approved: the meeting keeps its current
+ *   room if still free, otherwise it gets the smallest free active room of its branch
+ * - Rescheduled meetings are allocated again for their new time
+ * - Allocations of a branch are serialized by row-locking the branch, so two
+ *   meetings never end up in the same room at the same time
+ * - Admins can move a meeting to another room of its branch
+ */
+class RoomAllocationService {
+  /**
+   * Allocate a room to an offline meeting, inside the caller's transaction
+   * @param {Object} request - Service request (meetingType, branchId, meetingRoomId)
+   * @param {Object} slot - { meetingDate, meetingTime, duration } the room is needed for
+   * @param {EntityManager} manager - Transaction entity manager
+   * @returns {Promise<Object|null>} Allocated room (null for meetings without a branch)
+   */
+  async allocate(request, slot, manager) {
+    if (request.meetingType !== 'offline' || !request.branchId) {
+      return null;
+    }
+
+    await BranchRepository.lockById(request.branchId, manager);
+
+    const rooms = await MeetingRoomRepository.findByBranch(request.branchId, true, manager);
+    const meetings = await ServiceRequestRepository.findRoomMeetings(
+      rooms.map(room => room.id),
+      slot.meetingDate,
+      request.id,
+      manager
+    );
+
+    const freeRooms = rooms.filter(room => !this._isTaken(room.id, meetings, slot));
+    const room = freeRooms.find(freeRoom => freeRoom.id === request.meetingRoomId) || freeRooms[0];
+
+    if (!room) {
+      throw ErrorHandlers.conflict('serviceRequest.noRoomAvailable', {
+        meetingDate: slot.meetingDate,
+        meetingTime: slot.meetingTime
+      });
+    }
+
+    return room;
+  }
+
+  /**
+   * Move a meeting to another room of its branch (Admin)
+   * @param {number} requestId - Service request ID
+   * @param {number} roomId - Meeting room ID
+   * @param {Object} actor - { type: ADMIN, id }
+   */
+  async assignRoom(requestId, roomId, actor) {
+    const request = await ServiceRequestRepository.findById(requestId);
+    if (!request) {
+      throw ErrorHandlers.notFound('serviceRequest.notFound');
+    }
+
+    if (request.meetingType !== 'offline' || !request.branchId) {
+      throw ErrorHandlers.badRequest('serviceRequest.notBranchMeeting');
+    }
+
+    if (!['approved', 'rescheduled'].includes(request.status)) {
+      throw ErrorHandlers.badRequest('serviceRequest.roomNotAssignable', { status: request.status });
+    }
+
+    const updatedRequest = await getConnection().transaction(async (manager) => {
+      await BranchRepository.lockById(request.branchId, manager);
+
+      const room = await MeetingRoomRepository.findById(roomId, manager);
+      if (!room || room.branchId !== request.branchId || !room.isActive) {
+        throw ErrorHandlers.badRequest('serviceRequest.roomNotInBranch');
+      }
+
+      const slot = {
+        meetingDate: request.meetingDate,
+        meetingTime: request.meetingTime,
+        duration: request.meetingDuration || 60
+      };
+      const meetings = await ServiceRequestRepository.findRoomMeetings([room.id], slot.meetingDate, request.id, manager);
+      if (this._isTaken(room.id, meetings, slot)) {
+        throw ErrorHandlers.conflict('serviceRequest.roomTaken');
+      }
+
+      const updated = await ServiceRequestRepository.update(requestId, { meetingRoomId: room.id }, manager);
+
+      await ServiceRequestEventService.record(requestId, 'room_assigned', actor, {
+        fromStatus: request.status,
+        toStatus: request.status,
+        metadata: { previousMeetingRoomId: request.meetingRoomId, meetingRoomId: room.id }
+      }, manager);
+
+      return updated;
+    });
+
+    logger.info('Meeting room assigned', {
+      requestId,
+      meetingRoomId: roomId,
+      assignedBy: actor
+    });
+
+    return updatedRequest;
+  }
+
+  /**
+   * PRIVATE HELPER METHODS
+   */
+
+  _isTaken(roomId, meetings, slot) {
+    const start = this._toMinutes(slot.meetingTime);
+    const end = start + slot.duration;
+
+    return meetings.some(meeting => {
+      if (meeting.meetingRoomId !== roomId) {
+        return false;
+      }
+
+      const meetingStart = this._toMinutes(meeting.meetingTime);
+      const meetingEnd = meetingStart + (meeting.meetingDuration || 60);
+      return start < meetingEnd && end > meetingStart;
+    });
+  }
+
+  _toMinutes(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+  }
+}
+
+module.exports = new RoomAllocationService();
@@ -0,0 +1,118 @@
+const ServiceRequestRepository = require('@repositories/ServiceRequestRepository');
+const ServiceRequestService = require('@services/ServiceRequestService');
+const { BULK_ACTIONS } = require('@constants/serviceRequestWorkflow');
+const { ErrorHandlers } = require('@utils/ErrorHandler');
+const logger = require('@utils/logger');
+
+/**
+ * ServiceRequestBulkService
+ *
+ * Applies one admin action to many service requests
+ * - Every item goes through the same ServiceRequestService method as the single-request
+ *   endpoint, so validation, state machine rules and history events are identical
+ * - Items are applied one by one and independently: a failing item is reported and
+ *   does not undo the others
+ * - Items run sequentially so assignments to the same agent see each other's bookings
+ */
+class ServiceRequestBulkService {
+  constructor() {
+    this.maxItems = parseInt(process.env.SERVICE_REQUEST_BULK_MAX_ITEMS) || 100;
+  }
+
+  /**
+   * Run a bulk action (Admin)
+   * @param {Object} data - { ids, action: assign|priority|cancel|note, agentId, priority, reason, notes }
+   * @returns {Promise<Object>} { action, total, succeeded, failed, results: [{ id, ok, ... }] }
+   */
+  async execute(adminId, data) {
+    if (!BULK_ACTIONS.includes(data.action)) {
+      throw ErrorHandlers.badRequest('validation.bulkActionInvalid');
+    }
+
+    const requestIds = [...new Set(data.ids.map(id => parseInt(id)))];
+
+    if (requestIds.length > this.maxItems) {
+      throw ErrorHandlers.badRequest('serviceRequest.bulkTooManyItems', { max: this.maxItems });
+    }
+
+    const results = [];
+
+    for (const requestId of requestIds) {
+      try {
+        const request = await this._apply(data, requestId, adminId);
+
+        results.push({
+          id: requestId,
+          ok: true,
+          status: request.status,
+          priority: request.priority,
+          agentId: request.agentId
+        });
+      } catch (error) {
+        if (!error.isOperational) {
+          logger.error('Bulk action failed on service request', {
+            requestId,
+            action: data.action,
+            error: error.message
+          });
+        }
+
+        results.push({
+          id: requestId,
+          ok: false,
+          messageKey: error.isOperational ? error.messageKey : 'errors.internal',
+          data: error.isOperational ? error.data : {}
+        });
+      }
+    }
+
+    const succeeded = results.filter(result => result.ok).length;
+
+    logger.info('Bulk action applied to service requests', {
+      action: data.action,
+      adminId,
+      total: results.length,
+      succeeded
+    });
+
+    return {
+      action: data.action,
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    };
+  }
+
+  /**
+   * PRIVATE HELPER METHODS
+   */
+
+  async _apply(data, requestId, adminId) {
+    switch (data.action) {
+      case 'assign':
+        return await ServiceRequestService.assignAgent(requestId, parseInt(data.agentId), adminId);
+      case 'priority':
+        return await ServiceRequestService.updatePriority(requestId, data.priority, adminId);
+      case 'cancel':
+        return await ServiceRequestService.cancelRequest(requestId, adminId, data.reason);
+      case 'note':
+        return await ServiceRequestService.addAdminNotes(requestId, await this._appendNote(requestId, data.notes), adminId, 'ADMIN');
+    }
+  }
+
+  /**
+   * Bulk notes are added below the existing admin notes instead of replacing them
+   */
+  async _appendNote(requestId, note) {
+    const request = await ServiceRequestRepository.findById(requestId);
+
+    if (!request || !request.adminNotes) {
+      return note;
+    }
+
+    return `${request.adminNotes}\n\n${note}`;
+  }
+}
+
+module.exports = new ServiceRequestBulkService();
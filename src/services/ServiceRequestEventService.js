@@ -0,0 +1,138 @@
+const ServiceRequestEventRepository = require('@repositories/ServiceRequestEventRepository');
+const logger = require('@utils/logger');
+
+/**
+ * Metadata keys users may see, per event type
+ * Event types not listed here are internal and hidden from users
+ */
+const USER_VISIBLE_METADATA = {
+  created: ['meetingDate', 'meetingTime', 'agentId', 'parentRequestId'],
+  agent_assigned: ['agentId'],
+  agent_reassigned: ['newAgentId'],
+  approved: ['serviceId', 'meetingRoomId'],
+  rejected: ['reason'],
+  completed: [],
+  cancelled: ['reason'],
+  documents_requested: ['reason', 'documents'],
+  documents_uploaded: ['requirementId', 'documentIds', 'count'],
+  document_accepted: ['documentId', 'fileName', 'requirementId'],
+  document_rejected: ['documentId', 'fileName', 'requirementId', 'reason'],
+  documents_completed: [],
+  rescheduled: ['previousMeetingDate', 'previousMeetingTime', 'meetingDate', 'meetingTime', 'meetingRoomId', 'reason'],
+  marked_no_show: [],
+  reschedule_proposed: ['proposalId', 'meetingDate', 'meetingTime', 'reason'],
+  reschedule_declined: ['proposalId', 'reason'],
+  invoice_issued: ['invoiceNumber', 'total', 'currency'],
+  invoice_voided: ['invoiceNumber'],
+  payment_succeeded: ['invoiceNumber', 'amount', 'currency'],
+  payment_failed: ['reason'],
+  payment_refunded: ['amount', 'currency'],
+  follow_up_scheduled: ['followUpIds', 'recurrence'],
+  room_assigned: ['meetingRoomId'],
+  user_arrived: ['arrivedAt']
+};
+
+/**
+ * ServiceRequestEventService
+ *
+ * Records the history of service requests and builds role-aware timelines
+ */
+class ServiceRequestEventService {
+  /**
+   * Record an event in a request's history
+   * History failures are logged and never break the transition itself
+   * @param {number} requestId - Service request ID
+   * @param {string} type - Event type (see ServiceRequestEvent.type)
+   * @param {Object} actor - { type: USER|AGENT|ADMIN|SYSTEM, id }
+   * @param {Object} details - { fromStatus, toStatus, metadata }
+   * @param {Object} manager - Transaction entity manager (optional)
+   */
+  async record(requestId, type, actor, details = {}, manager = null) {
+    try {
+      return await ServiceRequestEventRepository.create({
+        requestId,
+        type,
+        actorType: actor.type,
+        actorId: actor.id || null,
+        fromStatus: details.fromStatus || null,
+        toStatus: details.toStatus || null,
+        metadata: details.metadata || null
+      }, manager);
+    } catch (error) {
+      logger.error('Failed to record service request event', {
+        requestId,
+        type,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Get a request's timeline redacted for the viewer
+   * @param {number} requestId - Service request ID
+   * @param {string} viewerType - USER, AGENT or ADMIN
+   * @returns {Promise<Array>} Events visible to the viewer
+   */
+  async getTimeline(requestId, viewerType) {
+    const events = await ServiceRequestEventRepository.findByRequestId(requestId);
+
+    return events
+      .map(event => this._redact(event, viewerType))
+      .filter(Boolean);
+  }
+
+  /**
+   * PRIVATE HELPER METHODS
+   */
+
+  /**
+   * Redact an event for the viewer type
+   * - ADMIN: full history
+   * - AGENT: full history, admin identities hidden
+   * - USER: public events only, staff identities and internal details hidden
+   */
+  _redact(event, viewerType) {
+    const entry = {
+      id: event.id,
+      type: event.type,
+      actorType: event.actorType,
+      actorId: event.actorId,
+      fromStatus: event.fromStatus,
+      toStatus: event.toStatus,
+      metadata: event.metadata || {},
+      createdAt: event.createdAt
+    };
+
+    if (viewerType === 'ADMIN') {
+      return entry;
+    }
+
+    if (viewerType === 'AGENT') {
+      if (entry.actorType === 'ADMIN') {
+        entry.actorId = null;
+      }
+      return entry;
+    }
+
+    const visibleKeys = USER_VISIBLE_METADATA[event.type];
+    if (!visibleKeys) {
+      return null;
+    }
+
+    if (entry.actorType !== 'USER') {
+      entry.actorId = null;
+    }
+
+    entry.metadata = visibleKeys.reduce((acc, key) => {
+      if (entry.metadata[key] !== undefined) {
+        acc[key] = entry.metadata[key];
+      }
+      return acc;
+    }, {});
+
+    return entry;
+  }
+}
+
+module.exports = new ServiceRequestEventService();
@@ -0,0 +1,263 @@
+const ExcelJS = require('exceljs');
+const ServiceRequestService = require('@services/ServiceRequestService');
+const ServiceRequestRepository = require('@repositories/ServiceRequestRepository');
+const { EXPORT_FORMATS, EXPORT_COLUMNS, DEFAULT_EXPORT_COLUMNS } = require('@constants/serviceRequestExport');
+const { DEFAULT_SORT } = require('@constants/serviceRequestSearch');
+const { SLA_STATES } = require('@constants/sla');
+const { ErrorHandlers } = require('@utils/ErrorHandler');
+const logger = require('@utils/logger');
+
+/**
+ * ServiceRequestExportService
+ *
+ * Streams the admin request listing and statistics as CSV or XLSX
+ * - Requests are read in keyset pages and written as they arrive, so large
+ *   exports never sit in memory
+ * - Headers and labels are translated with the caller's i18next `t`
+ * - CSV starts with a UTF-8 BOM so Excel opens Arabic text correctly
+ */
+class ServiceRequestExportService {
+  constructor() {
+    this.batchSize = parseInt(process.env.SERVICE_REQUEST_EXPORT_BATCH_SIZE) || 200;
+  }
+
+  /**
+   * Export the filtered request listing (Admin)
+   * @param {Writable} stream - Destination, usually the HTTP response
+   * @param {Object} options - { format, columns, filters, t, language }
+   *   filters are the admin search filters (status, priority, ..., search, sort)
+   * @returns {Promise<number>} Number of exported requests
+   */
+  async exportRequests(stream, options) {
+    const format = this._assertFormat(options.format);
+    const columns = this._resolveColumns(options.columns);
+    const { t, language } = options;
+    const sheet = this._createSheet(stream, format, t('export.requestsSheet'), language);
+
+    await sheet.addRow(columns.map(column => t(`export.columns.${column}`)));
+
+    const filters = { ...options.filters, sort: options.filters.sort || DEFAULT_SORT };
+    let after = null;
+    let exported = 0;
+
+    do {
+      const page = await ServiceRequestRepository.findAll({ ...filters, limit: this.batchSize, after });
+
+      for (const request of page.requests) {
+        await sheet.addRow(columns.map(column => this._columnValue(request, column, t, language)));
+        exported++;
+      }
+
+      after = page.hasMore ? page.lastSortValues : null;
+    } while (after && !stream.destroyed);
+
+    await sheet.end();
+
+    logger.info('Service requests exported', { format, columns: columns.length, exported });
+
+    return exported;
+  }
+
+  /**
+   * Export the request statistics (Admin)
+   * One row per figure: group, item and count
+   * @param {Writable} stream - Destination, usually the HTTP response
+   * @param {Object} options - { format, filters, t, language }
+   */
+  async exportStatistics(stream, options) {
+    const format = this._assertFormat(options.format);
+    const { t, language } = options;
+    const statistics = await ServiceRequestService.getStatistics(options.filters || {});
+    const sheet = this._createSheet(stream, format, t('export.statisticsSheet'), language);
+
+    await sheet.addRow(['group', 'item', 'count'].map(column => t(`export.statistics.${column}`)));
+
+    for (const row of this._statisticsRows(statistics, t)) {
+      await sheet.addRow(row);
+    }
+
+    await sheet.end();
+  }
+
+  /**
+   * PRIVATE HELPER METHODS
+   */
+
+  _assertFormat(format) {
+    if (!Object.values(EXPORT_FORMATS).includes(format)) {
+      throw ErrorHandlers.badRequest('validation.exportFormatInvalid');
+    }
+
+    return format;
+  }
+
+  /**
+   * Selected columns in their canonical order, or the default set
+   */
+  _resolveColumns(columns) {
+    if (!columns || columns.length === 0) {
+      return DEFAULT_EXPORT_COLUMNS;
+    }
+
+    if (!columns.every(column => EXPORT_COLUMNS.includes(column))) {
+      throw ErrorHandlers.badRequest('validation.exportColumnsInvalid');
+    }
+
+    return EXPORT_COLUMNS.filter(column => columns.includes(column));
+  }
+
+  _columnValue(request, column, t, language) {
+    switch (column) {
+      case 'category':
+        return request.category ? this._localizedName(request.category, language) : '';
+      case 'service':
+        return request.service ? request.service.name : '';
+      case 'agent':
+        return request.agent ? request.agent.fullName : '';
+      case 'status':
+        return t(`export.statuses.${request.status}`);
+      case 'priority':
+        return t(`export.priorities.${request.priority}`);
+      case 'totalPrice':
+        return request.totalPrice !== null && request.totalPrice !== undefined ? Number(request.totalPrice) : '';
+      case 'slaBreached':
+        return t(request.slaBreaches ? 'export.yes' : 'export.no');
+      default:
+        return request[column] === null || request[column] === undefined ? '' : request[column];
+    }
+  }
+
+  _localizedName(entity, language) {
+    return language === 'ar' && entity.nameAr ? entity.nameAr : entity.name;
+  }
+
+  /**
+   * Flatten getStatistics() into [group, item, count] rows
+   */
+  _statisticsRows(statistics, t) {
+    const rows = [[t('export.statistics.total'), '', statistics.total]];
+
+    Object.entries(statistics.byStatus).forEach(([status, count]) => {
+      rows.push([t('export.statistics.byStatus'), t(`export.statuses.${status}`), count]);
+    });
+
+    Object.entries(statistics.byPriority).forEach(([priority, count]) => {
+      rows.push([t('export.statistics.byPriority'), t(`export.priorities.${priority}`), count]);
+    });
+
+    if (statistics.attendance) {
+      Object.entries(statistics.byAttendance).forEach(([attendance, count]) => {
+        rows.push([t('export.statistics.byAttendance'), t(`export.attendance.${attendance}`), count]);
+      });
+
+      ['noShowRate', 'userNoShowRate', 'agentNoShowRate'].forEach(rate => {
+        rows.push([t(`export.statistics.${rate}`), '', statistics.attendance[rate]]);
+      });
+    }
+
+    if (statistics.arrivals) {
+      rows.push([t('export.statistics.checkedIn'), '', statistics.arrivals.checkedIn]);
+      rows.push([t('export.statistics.lateArrivals'), '', statistics.arrivals.late]);
+      rows.push([t('export.statistics.lateArrivalRate'), '', statistics.arrivals.lateArrivalRate]);
+    }
+
+    if (statistics.sla) {
+      const sla = statistics.sla;
+
+      rows.push([t('export.statistics.slaOpen'), '', sla.open]);
+      rows.push([t('export.statistics.slaEscalated'), '', sla.escalated]);
+
+      Object.entries(sla.byStatus).forEach(([state, count]) => {
+        rows.push([t('export.statistics.slaByStatus'), t(`export.slaStates.${state}`), count]);
+      });
+
+      Object.entries(sla.byMetric).forEach(([metric, states]) => {
+        [SLA_STATES.AT_RISK, SLA_STATES.BREACHED].forEach(state => {
+          rows.push([
+            t('export.statistics.slaByMetric'),
+            `${t(`export.slaMetrics.${metric}`)} - ${t(`export.slaStates.${state}`)}`,
+            states[state]
+          ]);
+        });
+      });
+    }
+
+    return rows;
+  }
+
+  /**
+   * One writer interface for both formats: addRow(values) and end()
+   */
+  _createSheet(stream, format, name, language) {
+    if (format === EXPORT_FORMATS.XLSX) {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false });
+      const worksheet = workbook.addWorksheet(name, { views: [{ rightToLeft: language === 'ar' }] });
+
+      return {
+        addRow: async (values) => worksheet.addRow(values).commit(),
+        end: async () => {
+          worksheet.commit();
+          await workbook.commit();
+        }
+      };
+    }
+
+    let started = false;
+
+    return {
+      addRow: async (values) => {
+        const line = `${started ? '' : '\uFEFF'}${values.map(value => this._csvCell(value)).join(',')}\r\n`;
+        started = true;
+        await this._write(stream, line);
+      },
+      end: async () => {
+        stream.end();
+      }
+    };
+  }
+
+  /**
+   * Quote a CSV cell (RFC 4180) and neutralize spreadsheet formulas in user text
+   */
+  _csvCell(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    let text = value instanceof Date ? value.toISOString() : String(value);
+
+    // Phone numbers and negative amounts keep their sign; anything else that a
+    // spreadsheet would evaluate as a formula is prefixed with a quote
+    if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?[\d\s().]+$/.test(text)) {
+      text = `'${text}`;
+    }
+
+    if (/[",\r\n]/.test(text)) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+
+    return text;
+  }
+
+  /**
+   * Honour back-pressure so a slow client does not buffer the whole export
+   */
+  async _write(stream, chunk) {
+    if (stream.destroyed || stream.write(chunk)) {
+      return;
+    }
+
+    await new Promise(resolve => {
+      const done = () => {
+        stream.off('drain', done);
+        stream.off('close', done);
+        resolve();
+      };
+
+      stream.on('drain', done);
+      stream.on('close', done);
+    });
+  }
+}
+
+module.exports = new ServiceRequestExportService();
@@ -0,0 +1,111 @@
+const ApplicationTypeRepository = require('@repositories/ApplicationTypeRepository');
+const { ErrorHandlers } = require('@utils/ErrorHandler');
+
+/**
+ * ServiceRequestQuoteService
+ *
+ * Prices an application type plus additional services for booking
+ * - Mandatory services (isRequired) of the type are always included
+ * - Optional services must be active and belong to the selected type
+ * - Amounts are summed in minor units (halalas) to avoid floating point drift
+ * - The required documents of every included service are collected (deduplicated by name)
+ */
+class ServiceRequestQuoteService {
+  constructor() {
+    this.currency = process.env.BOOKING_CURRENCY || 'SAR';
+  }
+
+  /**
+   * Build a quote
+   * @param {number} applicationTypeId - Selected application type
+   * @param {Array<number>} additionalServiceIds - Optional services selected by the user
+   * @returns {Promise<Object>} { applicationType, items, totalPrice, currency, requiredDocuments }
+   */
+  async buildQuote(applicationTypeId, additionalServiceIds = []) {
+    const applicationType = await ApplicationTypeRepository.findByIdWithServices(applicationTypeId);
+
+    if (!applicationType || !applicationType.isActive) {
+      throw ErrorHandlers.notFound('serviceRequest.applicationTypeNotFound');
+    }
+
+    const activeServices = (applicationType.additionalServices || []).filter(service => service.isActive);
+    const selectedIds = [...new Set(additionalServiceIds.map(id => parseInt(id)))];
+
+    const unknownId = selectedIds.find(id => !activeServices.some(service => service.id === id));
+    if (unknownId) {
+      throw ErrorHandlers.badRequest('serviceRequest.additionalServiceNotInType', { serviceId: unknownId });
+    }
+
+    const services = activeServices.filter(service => service.isRequired || selectedIds.includes(service.id));
+
+    const items = services.map(service => ({
+      additionalServiceId: service.id,
+      name: service.name,
+      nameAr: service.nameAr,
+      unitPrice: this._formatAmount(this._toMinorUnits(service.price)),
+      isRequired: !!service.isRequired
+    }));
+
+    const totalMinorUnits = services.reduce((sum, service) => sum + this._toMinorUnits(service.price), 0);
+
+    return {
+      applicationType: {
+        id: applicationType.id,
+        name: applicationType.name,
+        nameAr: applicationType.nameAr
+      },
+      items,
+      totalPrice: this._formatAmount(totalMinorUnits),
+      currency: this.currency,
+      requiredDocuments: this._collectRequiredDocuments(services)
+    };
+  }
+
+  /**
+   * PRIVATE HELPER METHODS
+   */
+
+  _toMinorUnits(amount) {
+    return Math.round(parseFloat(amount || 0) * 100);
+  }
+
+  _formatAmount(minorUnits) {
+    return (minorUnits / 100).toFixed(2);
+  }
+
+  /**
+   * requiredDocuments is stored as a JSON array of names or { name, nameAr } objects
+   */
+  _collectRequiredDocuments(services) {
+    const documents = new Map();
+
+    services.forEach(service => {
+      let required = service.requiredDocuments;
+
+      if (typeof required === 'string') {
+        try {
+          required = JSON.parse(required);
+        } catch (e) {
+          required = [];
+        }
+      }
+
+      (Array.isArray(required) ? required : []).forEach(entry => {
+        const name = typeof entry === 'string' ? entry : entry && entry.name;
+        const key = name ? name.trim().toLowerCase() : '';
+
+        if (key && !documents.has(key)) {
+          documents.set(key, {
+            name: name.trim(),
+            nameAr: (entry && entry.nameAr) || null,
+            additionalServiceId: service.id
+          });
+        }
+      });
+    });
+
+    return [...documents.values()];
+  }
+}
+
+module.exports = new ServiceRequestQuoteService();
@@ -1,8 +1,32 @@
+const { getConnection } = require('typeorm');
 const ServiceRequestRepository = require('@repositories/ServiceRequestRepository');
 const RequestDocumentRepository = require('@repositories/RequestDocumentRepository');
+const DocumentRequirementRepository = require('@repositories/DocumentRequirementRepository');
+const ServiceRequestItemRepository = require('@repositories/ServiceRequestItemRepository');
 const UserRepository = require('@repositories/UserRepository');
 const DepartmentRepository = require('@repositories/DepartmentRepository');
 const AgentRepository = require('@repositories/AgentRepository');
+const AvailabilityService = require('@services/AvailabilityService');
+const AgentAssignmentService = require('@services/AgentAssignmentService');
+const SlotReservationService = require('@services/SlotReservationService');
+const ServiceRequestEventService = require('@services/ServiceRequestEventService');
+const ServiceRequestStateMachine = require('@services/ServiceRequestStateMachine');
+const RescheduleService = require('@services/RescheduleService');
+const ReassignmentService = require('@services/ReassignmentService');
+const CalendarService = require('@services/CalendarService');
+const MeetingLinkService = require('@services/MeetingLinkService');
+const MeetingReminderService = require('@services/MeetingReminderService');
+const SlaService = require('@services/SlaService');
+const ServiceRequestQuoteService = require('@services/ServiceRequestQuoteService');
+const InvoiceService = require('@services/InvoiceService');
+const PaymentService = require('@services/PaymentService');
+const WaitlistService = require('@services/WaitlistService');
+const BranchService = require('@services/BranchService');
+const RoomAllocationService = require('@services/RoomAllocationService');
+const CheckInService = require('@services/CheckInService');
+const NotificationService = require('@services/NotificationService');
+const { DEFAULT_SORT, parseSort } = require('@constants/serviceRequestSearch');
+const { ATTENDANCE_STATUSES, ATTENDANCE_ACTIONS } = require('@constants/serviceRequestWorkflow');
 const { ErrorHandlers } = require('@utils/ErrorHandler');
 const logger = require('@utils/logger');
 const fs = require('fs').promises;
@@ -14,6 +38,14 @@ const path = require('path');
  * Handles business logic for service requests
  */
 class ServiceRequestService {
+  constructor() {
+    // Users cannot cancel their own meeting this close to its start
+    this.userCancelCutoffMinutes = parseInt(process.env.BOOKING_USER_CANCEL_CUTOFF_MINUTES) || 120;
+
+    // Users who missed this many meetings cannot book new ones (0 disables)
+    this.noShowThreshold = parseInt(process.env.BOOKING_NO_SHOW_THRESHOLD) || 0;
+  }
+
   /**
    * Create a new service request
    */
@@ -25,6 +57,14 @@ class ServiceRequestService {
         throw ErrorHandlers.notFound('errors.userNotFound');
       }
 
+      // Users who keep missing their meetings are blocked until an admin resets the count
+      if (this.noShowThreshold && user.noShowCount >= this.noShowThreshold) {
+        throw ErrorHandlers.forbidden('serviceRequest.bookingBlockedNoShows', {
+          noShowCount: user.noShowCount,
+          threshold: this.noShowThreshold
+        });
+      }
+
       // Validate department exists
       const department = await DepartmentRepository.findById(requestData.categoryId);
       if (!department) {
@@ -36,9 +76,15 @@ class ServiceRequestService {
         throw ErrorHandlers.badRequest('serviceRequest.categoryInactive');
       }
 
+      // Price the selected application type and additional services (snapshotted on the request)
+      const quote = requestData.applicationTypeId
+        ? await ServiceRequestQuoteService.buildQuote(requestData.applicationTypeId, requestData.additionalServiceIds || [])
+        : null;
+
       // If agent selected, validate agent exists and belongs to category
+      let agent = null;
       if (requestData.agentId) {
-        const agent = await AgentRepository.findById(requestData.agentId);
+        agent = await AgentRepository.findById(requestData.agentId);
         if (!agent) {
           throw ErrorHandlers.notFound('serviceRequest.agentNotFound');
         }
@@ -61,6 +107,50 @@ class ServiceRequestService {
         throw ErrorHandlers.badRequest('serviceRequest.meetingDateInPast');
       }
 
+      // Validate the meeting falls on a bookable slot (agent's shift, breaks, other meetings)
+      const meetingDuration = parseInt(requestData.meetingDuration) || 60;
+
+      // Offline meetings take place at a branch, within its opening hours
+      const branchId = requestData.meetingType === 'offline' ? (requestData.branchId || null) : null;
+      if (branchId) {
+        await BranchService.assertBookable(branchId, requestData.meetingDate, requestData.meetingTime, meetingDuration);
+      }
+
+      let assignment = null;
+      if (agent) {
+        const slotAvailable = await AvailabilityService.isSlotAvailable(
+          agent,
+          requestData.meetingDate,
+          requestData.meetingTime,
+          meetingDuration,
+          null,
+          userId
+        );
+        if (!slotAvailable) {
+          throw ErrorHandlers.badRequest('serviceRequest.slotUnavailable');
+        }
+      } else {
+        const availableAgents = await AvailabilityService.findAvailableAgents(
+          requestData.categoryId,
+          requestData.meetingDate,
+          requestData.meetingTime,
+          meetingDuration,
+          userId
+        );
+        if (availableAgents.length === 0) {
+          throw ErrorHandlers.badRequest('serviceRequest.slotUnavailable');
+        }
+
+        // Let the department's strategy pick an agent (manual departments leave it to an admin)
+        assignment = await AgentAssignmentService.selectAgent(department, availableAgents, {
+          meetingDate: requestData.meetingDate,
+          meetingTime: requestData.meetingTime,
+          duration: meetingDuration
+        });
+      }
+
+      const bookedAgent = agent || (assignment ? assignment.agent : null);
+
       // Validate document count (max 5)
       if (files && files.length > 5) {
         throw ErrorHandlers.badRequest('serviceRequest.tooManyDocuments');
@@ -75,33 +165,95 @@ class ServiceRequestService {
         additionalEmail: requestData.additionalEmail || null,
         additionalPhone: requestData.additionalPhone || null,
         categoryId: requestData.categoryId,
+        applicationTypeId: quote ? quote.applicationType.id : null,
+        totalPrice: quote ? quote.totalPrice : null,
+        currency: quote ? quote.currency : null,
         notes: requestData.notes || null,
         meetingType: requestData.meetingType,
         meetingDate: requestData.meetingDate,
         meetingTime: requestData.meetingTime,
-        meetingDuration: requestData.meetingDuration || 60,
-        agentId: requestData.agentId || null,
+        meetingDuration,
+        branchId,
+        agentId: bookedAgent ? bookedAgent.id : null,
         isAgentSelectedByUser: !!requestData.agentId,
+        assignmentStrategy: assignment ? assignment.strategy : null,
+        assignmentDecision: assignment ? assignment.decision : null,
+        assignedAt: bookedAgent ? new Date() : null,
         status: 'pending',
         priority: 'normal'
       };
 
-      // Create service request
-      const serviceRequest = await ServiceRequestRepository.create(serviceRequestData);
+      // Uploaded files can be labelled with the required document they provide
+      const documentNames = requestData.documentNames || [];
 
-      // Upload and save documents if provided
-      if (files && files.length > 0) {
-        const documentsData = files.map(file => ({
-          requestId: serviceRequest.id,
-          fileName: file.originalname,
-          filePath: file.path,
-          fileType: file.mimetype,
-          fileSize: file.size,
-          uploadedBy: userId
-        }));
-
-        await RequestDocumentRepository.createMany(documentsData);
-      }
+      // Create service request, its line items and save documents (if provided)
+      const persistRequest = async (manager = null) => {
+        const created = await ServiceRequestRepository.create(serviceRequestData, manager);
+
+        if (quote && quote.items.length > 0) {
+          await ServiceRequestItemRepository.createMany(
+            quote.items.map(item => ({ ...item, requestId: created.id })),
+            manager
+          );
+        }
+
+        const requirementIds = quote
+          ? await this._createCatalogRequirements(created.id, quote.requiredDocuments, documentNames, manager)
+          : new Map();
+
+        if (files && files.length > 0) {
+          const documentsData = files.map((file, index) => ({
+            requestId: created.id,
+            requirementId: requirementIds.get(this._documentKey(documentNames[index])) || null,
+            fileName: file.originalname,
+            filePath: file.path,
+            fileType: file.mimetype,
+            fileSize: file.size,
+            uploadedBy: userId
+          }));
+
+          await RequestDocumentRepository.createMany(documentsData, manager);
+        }
+
+        await ServiceRequestEventService.record(created.id, 'created', { type: 'USER', id: userId }, {
+          toStatus: 'pending',
+          metadata: {
+            meetingDate: created.meetingDate,
+            meetingTime: created.meetingTime,
+            agentId: created.agentId,
+            documentsCount: files ? files.length : 0,
+            applicationTypeId: created.applicationTypeId,
+            totalPrice: created.totalPrice
+          }
+        }, manager);
+
+        if (assignment) {
+          await ServiceRequestEventService.record(created.id, 'agent_assigned', { type: 'SYSTEM', id: null }, {
+            fromStatus: created.status,
+            toStatus: created.status,
+            metadata: {
+              agentId: created.agentId,
+              strategy: assignment.strategy,
+              decision: assignment.decision
+            }
+          }, manager);
+        }
+
+        return created;
+      };
+
+      // With a selected or auto-assigned agent the slot is reserved atomically to prevent double booking
+      const serviceRequest = bookedAgent
+        ? await SlotReservationService.reserve(
+          {
+            agentId: bookedAgent.id,
+            meetingDate: requestData.meetingDate,
+            meetingTime: requestData.meetingTime,
+            duration: meetingDuration
+          },
+          persistRequest
+        )
+        : await persistRequest();
 
       // Get full request with relations
       const fullRequest = await ServiceRequestRepository.findById(serviceRequest.id);
@@ -112,7 +264,9 @@ class ServiceRequestService {
       logger.info('Service request created successfully', {
         requestId: serviceRequest.id,
         userId,
-        categoryId: requestData.categoryId
+        categoryId: requestData.categoryId,
+        agentId: serviceRequest.agentId,
+        assignmentStrategy: serviceRequest.assignmentStrategy
       });
 
       return fullRequest;
@@ -137,23 +291,102 @@ class ServiceRequestService {
       throw ErrorHandlers.notFound('serviceRequest.notFound');
     }
 
-    // Authorization check
-    if (userRole === 'USER') {
-      // User can only view their own requests
-      if (request.userId !== userId) {
-        throw ErrorHandlers.forbidden('errors.forbidden');
-      }
-    } else if (userRole === 'AGENT') {
-      // Agent can only view requests assigned to them
-      if (request.agentId !== userId) {
-        throw ErrorHandlers.forbidden('errors.forbidden');
-      }
+    ServiceRequestStateMachine.assertCanView(request, userId, userRole);
+
+    // Meeting links are shared between the user and the assigned agent only
+    if (userRole !== 'ADMIN') {
+      request.meetingLink = await ServiceRequestRepository.findMeetingLink(requestId);
     }
-    // Admin can view all requests
 
     return request;
   }
 
+  /**
+   * Get request timeline (User/Agent/Admin, redacted per role)
+   */
+  async getTimeline(requestId, userId, userRole) {
+    const request = await ServiceRequestRepository.findById(requestId);
+
+    if (!request) {
+      throw ErrorHandlers.notFound('serviceRequest.notFound');
+    }
+
+    ServiceRequestStateMachine.assertCanView(request, userId, userRole);
+
+    const events = await ServiceRequestEventService.getTimeline(requestId, userRole);
+
+    return {
+      requestId,
+      status: request.status,
+      events
+    };
+  }
+
+  /**
+   * Get the actions the caller may perform on a request in its current status
+   */
+  async getAllowedActions(requestId, userId, userRole) {
+    const request = await ServiceRequestRepository.findById(requestId);
+
+    if (!request) {
+      throw ErrorHandlers.notFound('serviceRequest.notFound');
+    }
+
+    ServiceRequestStateMachine.assertCanView(request, userId, userRole);
+
+    const actor = { type: userRole, id: userId };
+    let actions = ServiceRequestStateMachine.getAllowedActions(request, actor);
+
+    // Only the counter-party of a pending proposal can answer it
+    const respondActions = ['accept_reschedule', 'decline_reschedule'];
+    if (actions.some(({ action }) => respondActions.includes(action)) &&
+      !(await RescheduleService.canRespond(requestId, actor))) {
+      actions = actions.filter(({ action }) => !respondActions.includes(action));
+    }
+
+    // Only follow-up meetings are cancelled as follow-ups
+    if (!request.parentRequestId) {
+      actions = actions.filter(({ action }) => action !== 'cancel_follow_up');
+    }
+
+    // Only the target agent (or an admin) answers a pending reassignment
+    const reassignmentActions = ['accept_reassignment', 'decline_reassignment'];
+    if (actions.some(({ action }) => reassignmentActions.includes(action)) &&
+      !(await ReassignmentService.canRespond(requestId, actor))) {
+      actions = actions.filter(({ action }) => !reassignmentActions.includes(action));
+    }
+
+    return {
+      requestId,
+      status: request.status,
+      actions
+    };
+  }
+
+  /**
+   * Get the .ics calendar file of a request (User/Agent/Admin)
+   */
+  async getRequestCalendar(requestId, userId, userRole) {
+    const request = await this.getRequestById(requestId, userId, userRole);
+
+    return CalendarService.buildRequestCalendar(request, userRole);
+  }
+
+  /**
+   * Get reschedule proposals of a request (User/Agent/Admin)
+   */
+  async getRescheduleProposals(requestId, userId, userRole) {
+    const request = await ServiceRequestRepository.findById(requestId);
+
+    if (!request) {
+      throw ErrorHandlers.notFound('serviceRequest.notFound');
+    }
+
+    ServiceRequestStateMachine.assertCanView(request, userId, userRole);
+
+    return await RescheduleService.getProposals(requestId);
+  }
+
   /**
    * Get user's service requests
    */
@@ -169,10 +402,24 @@ class ServiceRequestService {
   }
 
   /**
-   * Get all service requests (Admin only)
+   * Search service requests with their SLA state (Admin only)
+   * With a cursor (nextCursor of the previous page) pages by keyset instead of offset
    */
   async getAllRequests(options = {}) {
-    return await ServiceRequestRepository.findAll(options);
+    const sort = options.sort || DEFAULT_SORT;
+    const after = options.cursor ? this._decodeCursor(options.cursor, sort) : null;
+
+    const { lastSortValues, ...result } = await ServiceRequestRepository.findAll({ ...options, sort, after });
+    const now = new Date();
+
+    return {
+      ...result,
+      requests: result.requests.map(request => ({
+        ...request,
+        sla: SlaService.evaluate(request, now)
+      })),
+      nextCursor: result.hasMore ? this._encodeCursor(sort, lastSortValues) : null
+    };
   }
 
   /**
@@ -185,9 +432,7 @@ class ServiceRequestService {
       throw ErrorHandlers.notFound('serviceRequest.notFound');
     }
 
-    if (request.status !== 'pending') {
-      throw ErrorHandlers.badRequest('serviceRequest.cannotAssignAgentToNonPendingRequest');
-    }
+    ServiceRequestStateMachine.assertTransition(request, 'assign_agent', { type: 'ADMIN', id: adminId }, { agentId });
 
     // Validate agent
     const agent = await AgentRepository.findById(agentId);
@@ -205,11 +450,43 @@ class ServiceRequestService {
       throw ErrorHandlers.badRequest('serviceRequest.agentNotInCategory');
     }
 
-    // Update request
-    const updatedRequest = await ServiceRequestRepository.update(requestId, {
-      agentId,
-      isAgentSelectedByUser: false
-    });
+    // Verify agent is free at the requested meeting time
+    const slotAvailable = await AvailabilityService.isSlotAvailable(
+      agent,
+      request.meetingDate,
+      request.meetingTime,
+      request.meetingDuration,
+      request.id
+    );
+    if (!slotAvailable) {
+      throw ErrorHandlers.badRequest('serviceRequest.slotUnavailable');
+    }
+
+    // Update request inside a slot reservation to prevent double booking
+    const updatedRequest = await SlotReservationService.reserve(
+      {
+        agentId,
+        meetingDate: request.meetingDate,
+        meetingTime: request.meetingTime,
+        duration: request.meetingDuration || 60,
+        excludeRequestId: request.id
+      },
+      async (manager) => {
+        const updated = await ServiceRequestRepository.update(requestId, {
+          agentId,
+          isAgentSelectedByUser: false,
+          assignedAt: request.assignedAt || new Date()
+        }, manager);
+
+        await ServiceRequestEventService.record(requestId, 'agent_assigned', { type: 'ADMIN', id: adminId }, {
+          fromStatus: request.status,
+          toStatus: updated.status,
+          metadata: { agentId, previousAgentId: request.agentId }
+        }, manager);
+
+        return updated;
+      }
+    );
 
     // TODO: Send notification to agent
     // await this._sendAgentAssignedNotification(updatedRequest);
@@ -224,74 +501,30 @@ class ServiceRequestService {
   }
 
   /**
-   * Reassign agent (Current agent or Admin)
+   * Approve request (Agent or Admin)
    */
-  async reassignAgent(requestId, newAgentId, currentAgentId, reason, userRole) {
+  async approveRequest(requestId, approverId, serviceId = null, approverType = 'AGENT') {
     const request = await ServiceRequestRepository.findById(requestId);
 
     if (!request) {
       throw ErrorHandlers.notFound('serviceRequest.notFound');
     }
 
-    // Authorization check
-    if (userRole === 'AGENT' && request.agentId !== currentAgentId) {
-      throw ErrorHandlers.forbidden('errors.forbidden');
-    }
-
-    // Validate new agent
-    const newAgent = await AgentRepository.findById(newAgentId);
-    if (!newAgent) {
-      throw ErrorHandlers.notFound('serviceRequest.agentNotFound');
-    }
-
-    if (!newAgent.isActive) {
-      throw ErrorHandlers.badRequest('serviceRequest.agentInactive');
-    }
-
-    // Verify new agent belongs to request category
-    const agentBelongsToCategory = await this._verifyAgentCategory(newAgentId, request.categoryId);
-    if (!agentBelongsToCategory) {
-      throw ErrorHandlers.badRequest('serviceRequest.agentNotInCategory');
-    }
-
-    // Update request
-    const updatedRequest = await ServiceRequestRepository.update(requestId, {
-      previousAgentId: request.agentId,
-      agentId: newAgentId,
-      reassignmentRequestedBy: currentAgentId,
-      reassignmentRequestedAt: new Date(),
-      reassignmentReason: reason
-    });
-
-    // TODO: Send notifications
-    // await this._sendReassignmentNotifications(updatedRequest);
-
-    logger.info('Request reassigned to new agent', {
-      requestId,
-      previousAgentId: request.agentId,
-      newAgentId,
-      reassignedBy: currentAgentId
+    const transition = ServiceRequestStateMachine.assertTransition(request, 'approve', {
+      type: approverType,
+      id: approverId
     });
 
-    return updatedRequest;
-  }
-
-  /**
-   * Approve request (Agent or Admin)
-   */
-  async approveRequest(requestId, approverId, serviceId = null) {
-    const request = await ServiceRequestRepository.findById(requestId);
-
-    if (!request) {
-      throw ErrorHandlers.notFound('serviceRequest.notFound');
-    }
-
-    if (request.status !== 'pending') {
-      throw ErrorHandlers.badRequest('serviceRequest.cannotApproveNonPendingRequest');
+    // Documents required by the booked services must have been provided
+    const missingDocuments = await DocumentRequirementRepository.findMissingFromCatalog(requestId);
+    if (missingDocuments.length > 0) {
+      throw ErrorHandlers.badRequest('serviceRequest.requiredDocumentsMissing', {
+        documents: missingDocuments.map(requirement => requirement.name).join(', ')
+      });
     }
 
     const updateData = {
-      status: 'approved',
+      status: transition.to,
       approvedBy: approverId,
       approvedAt: new Date()
     };
@@ -302,7 +535,44 @@ class ServiceRequestService {
       updateData.serviceId = service.id;
     }
 
-    const updatedRequest = await ServiceRequestRepository.update(requestId, updateData);
+    // Provision the join URL of online meetings
+    Object.assign(updateData, await MeetingLinkService.buildLinkFields(request));
+
+    // Offline meetings get their front-desk check-in code
+    Object.assign(updateData, CheckInService.buildCodeFields(request));
+
+    const approver = { type: approverType, id: approverId };
+
+    const updatedRequest = await getConnection().transaction(async (manager) => {
+      // Offline meetings at a branch get a room (fails the approval if none is free)
+      const room = await RoomAllocationService.allocate(request, {
+        meetingDate: request.meetingDate,
+        meetingTime: request.meetingTime,
+        duration: request.meetingDuration || 60
+      }, manager);
+      if (room) {
+        updateData.meetingRoomId = room.id;
+      }
+
+      const updated = await ServiceRequestRepository.update(requestId, updateData, manager);
+
+      await ServiceRequestEventService.record(requestId, 'approved', approver, {
+        fromStatus: request.status,
+        toStatus: updated.status,
+        metadata: {
+          serviceId: updateData.serviceId || request.serviceId || null,
+          meetingRoomId: room ? room.id : null
+        }
+      }, manager);
+
+      // Bill the booked services (nothing is issued when there is nothing to bill)
+      await InvoiceService.issueForRequest({ ...request, ...updateData }, approver, manager);
+
+      return updated;
+    });
+
+    await MeetingReminderService.schedule(updatedRequest);
+    await CheckInService.sendPass(updatedRequest);
 
     // TODO: Send notification to user
     // await this._sendRequestApprovedNotification(updatedRequest);
@@ -319,24 +589,31 @@ class ServiceRequestService {
   /**
    * Reject request (Agent or Admin)
    */
-  async rejectRequest(requestId, rejectedBy, reason) {
+  async rejectRequest(requestId, rejectedBy, reason, rejectorType = 'AGENT') {
     const request = await ServiceRequestRepository.findById(requestId);
 
     if (!request) {
       throw ErrorHandlers.notFound('serviceRequest.notFound');
     }
 
-    if (request.status !== 'pending') {
-      throw ErrorHandlers.badRequest('serviceRequest.cannotRejectNonPendingRequest');
-    }
+    const transition = ServiceRequestStateMachine.assertTransition(request, 'reject', {
+      type: rejectorType,
+      id: rejectedBy
+    }, { reason });
 
     const updatedRequest = await ServiceRequestRepository.update(requestId, {
-      status: 'rejected',
+      status: transition.to,
       rejectedBy,
       rejectedAt: new Date(),
       rejectionReason: reason
     });
 
+    await ServiceRequestEventService.record(requestId, 'rejected', { type: rejectorType, id: rejectedBy }, {
+      fromStatus: request.status,
+      toStatus: updatedRequest.status,
+      metadata: { reason }
+    });
+
     // TODO: Send notification to user
     // await this._sendRequestRejectedNotification(updatedRequest);
 
@@ -350,35 +627,207 @@ class ServiceRequestService {
   }
 
   /**
-   * Complete request (Agent or Admin)
+   * Complete request (Agent or Admin): the meeting took place
+   */
+  async completeRequest(requestId, completedBy, completedByType = 'AGENT') {
+    return await this.recordAttendance(requestId, { type: completedByType, id: completedBy }, {
+      attendance: ATTENDANCE_STATUSES.ATTENDED
+    });
+  }
+
+  /**
+   * Record how the meeting went once it is over (Agent or Admin)
+   * - attended/partially_attended complete the request (billed requests only once paid)
+   * - user_no_show/agent_no_show end it as no_show; a user no-show also counts towards
+   *   the user's booking block (BOOKING_NO_SHOW_THRESHOLD)
+   * - A user checked in at the front desk cannot be recorded as a no-show
+   * @param {Object} actor - { type, id }
+   * @param {Object} data - { attendance, actualStartAt, actualEndAt, note }
    */
-  async completeRequest(requestId, completedBy) {
+  async recordAttendance(requestId, actor, data) {
     const request = await ServiceRequestRepository.findById(requestId);
 
     if (!request) {
       throw ErrorHandlers.notFound('serviceRequest.notFound');
     }
 
-    if (request.status !== 'approved') {
-      throw ErrorHandlers.badRequest('serviceRequest.cannotCompleteNonApprovedRequest');
+    const { attendance, note = null } = data;
+    const action = ATTENDANCE_ACTIONS[attendance];
+    if (!action) {
+      throw ErrorHandlers.badRequest('validation.attendanceInvalid');
     }
 
-    const updatedRequest = await ServiceRequestRepository.update(requestId, {
-      status: 'completed',
-      completedAt: new Date()
+    const transition = ServiceRequestStateMachine.assertTransition(request, action, actor);
+
+    const meetingStart = new Date(`${request.meetingDate}T${request.meetingTime}`);
+    if (meetingStart > new Date()) {
+      throw ErrorHandlers.badRequest('serviceRequest.meetingNotStarted');
+    }
+
+    if (request.arrivedAt && attendance === ATTENDANCE_STATUSES.USER_NO_SHOW) {
+      throw ErrorHandlers.badRequest('serviceRequest.userCheckedIn', { arrivedAt: request.arrivedAt });
+    }
+
+    const attended = action === 'complete';
+    const actualStartAt = attended && data.actualStartAt ? new Date(data.actualStartAt) : null;
+    const actualEndAt = attended && data.actualEndAt ? new Date(data.actualEndAt) : null;
+
+    if (actualStartAt && actualEndAt && actualEndAt <= actualStartAt) {
+      throw ErrorHandlers.badRequest('serviceRequest.actualEndBeforeStart');
+    }
+
+    if (attended) {
+      // Billed requests are completed only once paid
+      await InvoiceService.assertPaid(requestId);
+    }
+
+    const updatedRequest = await getConnection().transaction(async (manager) => {
+      const updated = await ServiceRequestRepository.update(requestId, {
+        status: transition.to,
+        attendanceStatus: attendance,
+        actualStartAt,
+        actualEndAt,
+        attendanceNote: note,
+        ...(attended && { completedAt: new Date() })
+      }, manager);
+
+      if (attendance === ATTENDANCE_STATUSES.USER_NO_SHOW) {
+        await UserRepository.incrementNoShowCount(request.userId, manager);
+      }
+
+      await ServiceRequestEventService.record(requestId, attended ? 'completed' : 'marked_no_show', actor, {
+        fromStatus: request.status,
+        toStatus: updated.status,
+        metadata: { attendance, actualStartAt, actualEndAt, arrivedAt: request.arrivedAt || null, note }
+      }, manager);
+
+      return updated;
     });
 
+    await MeetingReminderService.cancel(requestId);
+
     // TODO: Send notification to user
     // await this._sendRequestCompletedNotification(updatedRequest);
 
-    logger.info('Request completed', {
+    logger.info('Meeting attendance recorded', {
+      requestId,
+      attendance,
+      recordedBy: actor
+    });
+
+    return updatedRequest;
+  }
+
+  /**
+   * Move an approved meeting to a new date/time (Agent or Admin)
+   */
+  async rescheduleRequest(requestId, rescheduledBy, data, rescheduledByType = 'AGENT') {
+    const request = await ServiceRequestRepository.findById(requestId);
+
+    if (!request) {
+      throw ErrorHandlers.notFound('serviceRequest.notFound');
+    }
+
+    const { meetingDate, meetingTime, reason = null } = data;
+
+    const transition = ServiceRequestStateMachine.assertTransition(request, 'reschedule', {
+      type: rescheduledByType,
+      id: rescheduledBy
+    }, { meetingDate, meetingTime });
+
+    const meetingDateTime = new Date(`${meetingDate}T${meetingTime}`);
+    if (meetingDateTime < new Date()) {
+      throw ErrorHandlers.badRequest('serviceRequest.meetingDateInPast');
+    }
+
+    const duration = request.meetingDuration || 60;
+    const linkFields = await MeetingLinkService.buildLinkFields({ ...request, meetingDate, meetingTime });
+    const agent = await AgentRepository.findById(request.agentId);
+    if (!agent) {
+      throw ErrorHandlers.notFound('serviceRequest.agentNotFound');
+    }
+
+    const slotAvailable = await AvailabilityService.isSlotAvailable(
+      agent,
+      meetingDate,
+      meetingTime,
+      duration,
+      request.id
+    );
+    if (!slotAvailable) {
+      throw ErrorHandlers.badRequest('serviceRequest.slotUnavailable');
+    }
+
+    if (request.meetingType === 'offline' && request.branchId) {
+      await BranchService.assertBookable(request.branchId, meetingDate, meetingTime, duration);
+    }
+
+    const updatedRequest = await SlotReservationService.reserve(
+      {
+        agentId: agent.id,
+        meetingDate,
+        meetingTime,
+        duration,
+        excludeRequestId: request.id
+      },
+      async (manager) => {
+        // A meeting that already has a room needs one at the new time too
+        const room = request.meetingRoomId
+          ? await RoomAllocationService.allocate(request, { meetingDate, meetingTime, duration }, manager)
+          : null;
+
+        const updated = await ServiceRequestRepository.update(requestId, {
+          status: transition.to,
+          meetingDate,
+          meetingTime,
+          calendarSequence: (request.calendarSequence || 0) + 1,
+          ...(room && { meetingRoomId: room.id }),
+          ...linkFields
+        }, manager);
+
+        await RescheduleService.supersedePending(requestId, manager);
+
+        await ServiceRequestEventService.record(requestId, 'rescheduled', { type: rescheduledByType, id: rescheduledBy }, {
+          fromStatus: request.status,
+          toStatus: updated.status,
+          metadata: {
+            previousMeetingDate: request.meetingDate,
+            previousMeetingTime: request.meetingTime,
+            meetingDate,
+            meetingTime,
+            meetingRoomId: room ? room.id : null,
+            reason
+          }
+        }, manager);
+
+        return updated;
+      }
+    );
+
+    await MeetingReminderService.schedule(updatedRequest);
+
+    // Offer the previous slot to the waitlist
+    await WaitlistService.slotFreed(request);
+
+    logger.info('Request rescheduled', {
       requestId,
-      completedBy
+      rescheduledBy,
+      meetingDate,
+      meetingTime
     });
 
     return updatedRequest;
   }
 
+  /**
+   * Mark that the user did not attend the meeting (Agent or Admin)
+   */
+  async markNoShow(requestId, markedBy, markedByType = 'AGENT') {
+    return await this.recordAttendance(requestId, { type: markedByType, id: markedBy }, {
+      attendance: ATTENDANCE_STATUSES.USER_NO_SHOW
+    });
+  }
+
   /**
    * Cancel request (Admin only)
    */
@@ -389,16 +838,31 @@ class ServiceRequestService {
       throw ErrorHandlers.notFound('serviceRequest.notFound');
     }
 
-    if (['completed', 'cancelled'].includes(request.status)) {
-      throw ErrorHandlers.badRequest('serviceRequest.cannotCancelFinishedRequest');
-    }
+    const transition = ServiceRequestStateMachine.assertTransition(request, 'cancel', {
+      type: 'ADMIN',
+      id: cancelledBy
+    }, { reason });
 
     const updatedRequest = await ServiceRequestRepository.update(requestId, {
-      status: 'cancelled',
+      status: transition.to,
       cancelledAt: new Date(),
-      cancellationReason: reason
+      cancellationReason: reason,
+      calendarSequence: (request.calendarSequence || 0) + 1
     });
 
+    await ServiceRequestEventService.record(requestId, 'cancelled', { type: 'ADMIN', id: cancelledBy }, {
+      fromStatus: request.status,
+      toStatus: updatedRequest.status,
+      metadata: { reason }
+    });
+
+    await PaymentService.settleCancelledRequest(updatedRequest, { type: 'ADMIN', id: cancelledBy });
+
+    await MeetingReminderService.cancel(requestId);
+
+    // Offer the freed slot to the waitlist
+    await WaitlistService.slotFreed(request);
+
     // TODO: Send notification to user and agent
     // await this._sendRequestCancelledNotifications(updatedRequest);
 
@@ -411,10 +875,78 @@ class ServiceRequestService {
     return updatedRequest;
   }
 
+  /**
+   * Cancel own request (User), not allowed within the cutoff before the meeting
+   */
+  async cancelByUser(requestId, userId, reason = null) {
+    const request = await ServiceRequestRepository.findById(requestId);
+
+    if (!request) {
+      throw ErrorHandlers.notFound('serviceRequest.notFound');
+    }
+
+    const transition = ServiceRequestStateMachine.assertTransition(request, 'user_cancel', {
+      type: 'USER',
+      id: userId
+    });
+
+    const meetingStart = new Date(`${request.meetingDate}T${request.meetingTime}`);
+    const cutoff = new Date(meetingStart.getTime() - this.userCancelCutoffMinutes * 60 * 1000);
+    if (new Date() > cutoff) {
+      throw ErrorHandlers.badRequest('serviceRequest.cancelCutoffPassed', {
+        minutes: this.userCancelCutoffMinutes
+      });
+    }
+
+    const updatedRequest = await ServiceRequestRepository.update(requestId, {
+      status: transition.to,
+      cancelledAt: new Date(),
+      cancellationReason: reason,
+      calendarSequence: (request.calendarSequence || 0) + 1
+    });
+
+    await RescheduleService.supersedePending(requestId);
+
+    await ServiceRequestEventService.record(requestId, 'cancelled', { type: 'USER', id: userId }, {
+      fromStatus: request.status,
+      toStatus: updatedRequest.status,
+      metadata: { reason }
+    });
+
+    await PaymentService.settleCancelledRequest(updatedRequest, { type: 'USER', id: userId });
+
+    await MeetingReminderService.cancel(requestId);
+
+    // Offer the freed slot to the waitlist
+    await WaitlistService.slotFreed(request);
+
+    if (request.agentId) {
+      await NotificationService.notify([{ type: 'AGENT', id: request.agentId }], {
+        type: 'request_cancelled',
+        titleKey: 'serviceRequest.cancelledByUserTitle',
+        messageKey: 'serviceRequest.cancelledByUserMessage',
+        params: {
+          requestId,
+          date: request.meetingDate,
+          time: String(request.meetingTime).slice(0, 5)
+        },
+        data: { requestId, reason }
+      });
+    }
+
+    logger.info('Request cancelled by user', {
+      requestId,
+      userId,
+      reason
+    });
+
+    return updatedRequest;
+  }
+
   /**
    * Update request priority (Admin only)
    */
-  async updatePriority(requestId, priority) {
+  async updatePriority(requestId, priority, updatedBy = null) {
     const request = await ServiceRequestRepository.findById(requestId);
 
     if (!request) {
@@ -426,29 +958,59 @@ class ServiceRequestService {
       throw ErrorHandlers.badRequest('serviceRequest.invalidPriority');
     }
 
-    return await ServiceRequestRepository.update(requestId, { priority });
+    ServiceRequestStateMachine.assertTransition(request, 'update_priority', { type: 'ADMIN', id: updatedBy }, { priority });
+
+    const updatedRequest = await ServiceRequestRepository.update(requestId, { priority });
+
+    await ServiceRequestEventService.record(requestId, 'priority_changed', { type: 'ADMIN', id: updatedBy }, {
+      fromStatus: request.status,
+      toStatus: updatedRequest.status,
+      metadata: { from: request.priority, to: priority }
+    });
+
+    return updatedRequest;
   }
 
   /**
    * Add admin notes (Admin or Agent)
    */
-  async addAdminNotes(requestId, notes, addedBy) {
+  async addAdminNotes(requestId, notes, addedBy, addedByType = 'ADMIN') {
     const request = await ServiceRequestRepository.findById(requestId);
 
     if (!request) {
       throw ErrorHandlers.notFound('serviceRequest.notFound');
     }
 
-    return await ServiceRequestRepository.update(requestId, {
+    ServiceRequestStateMachine.assertTransition(request, 'add_notes', { type: addedByType, id: addedBy }, { notes });
+
+    const updatedRequest = await ServiceRequestRepository.update(requestId, {
       adminNotes: notes
     });
+
+    await ServiceRequestEventService.record(requestId, 'notes_updated', { type: addedByType, id: addedBy }, {
+      fromStatus: request.status,
+      toStatus: updatedRequest.status,
+      metadata: { notes }
+    });
+
+    return updatedRequest;
   }
 
   /**
-   * Get statistics
+   * Get statistics, with no-show rates, front-desk arrivals and the SLA summary of open requests
    */
   async getStatistics(filters = {}) {
-    return await ServiceRequestRepository.getStatistics(filters);
+    const [statistics, sla] = await Promise.all([
+      ServiceRequestRepository.getStatistics(filters),
+      SlaService.getSummary(filters)
+    ]);
+
+    return {
+      ...statistics,
+      attendance: this._attendanceRates(statistics.byAttendance),
+      arrivals: this._arrivalRates(statistics.arrivals),
+      sla
+    };
   }
 
   /**
@@ -458,10 +1020,45 @@ class ServiceRequestService {
     return await ServiceRequestRepository.getUpcomingMeetings(agentId, days);
   }
 
+  /**
+   * Get bookable slots for a category or a specific agent
+   */
+  async getAvailability(query) {
+    return await AvailabilityService.getAvailability(query);
+  }
+
   /**
    * PRIVATE HELPER METHODS
    */
 
+  /**
+   * No-show rates (0-1) among the meetings with a recorded attendance
+   */
+  _attendanceRates(byAttendance) {
+    const recorded = Object.values(byAttendance).reduce((sum, count) => sum + count, 0);
+    const rate = (count) => (recorded ? Math.round((count / recorded) * 10000) / 10000 : 0);
+    const userNoShows = byAttendance[ATTENDANCE_STATUSES.USER_NO_SHOW] || 0;
+    const agentNoShows = byAttendance[ATTENDANCE_STATUSES.AGENT_NO_SHOW] || 0;
+
+    return {
+      recorded,
+      noShowRate: rate(userNoShows + agentNoShows),
+      userNoShowRate: rate(userNoShows),
+      agentNoShowRate: rate(agentNoShows)
+    };
+  }
+
+  /**
+   * Late arrival rate (0-1) among the users checked in at the front desk
+   */
+  _arrivalRates({ checkedIn = 0, late = 0 } = {}) {
+    return {
+      checkedIn,
+      late,
+      lateArrivalRate: checkedIn ? Math.round((late / checkedIn) * 10000) / 10000 : 0
+    };
+  }
+
   /**
    * Verify agent belongs to category/department
    */
@@ -507,6 +1104,69 @@ class ServiceRequestService {
   /**
    * Cleanup uploaded files
    */
+  /**
+   * Create the requirements listed by the booked services; the ones an upload was
+   * labelled with start as submitted. Returns a map of document name → requirement id
+   */
+  async _createCatalogRequirements(requestId, requiredDocuments, documentNames, manager) {
+    const requirementIds = new Map();
+
+    if (requiredDocuments.length === 0) {
+      return requirementIds;
+    }
+
+    const uploadedKeys = new Set(documentNames.map(name => this._documentKey(name)));
+
+    const requirements = await DocumentRequirementRepository.createMany(
+      requiredDocuments.map(document => ({
+        requestId,
+        name: document.name,
+        status: uploadedKeys.has(this._documentKey(document.name)) ? 'submitted' : 'missing',
+        additionalServiceId: document.additionalServiceId,
+        requestedBy: null,
+        requestedByType: 'SYSTEM'
+      })),
+      manager
+    );
+
+    requirements.forEach(requirement => {
+      requirementIds.set(this._documentKey(requirement.name), requirement.id);
+    });
+
+    return requirementIds;
+  }
+
+  /**
+   * Cursors are opaque to clients: the sort they were issued for and the sort values
+   * of the last row, base64url encoded. A decoded cursor must hold one value of the
+   * key's type per sort key (null where the row had no value)
+   */
+  _encodeCursor(sort, values) {
+    return Buffer.from(JSON.stringify({ sort, values })).toString('base64url');
+  }
+
+  _decodeCursor(cursor, sort) {
+    const keys = parseSort(sort);
+
+    try {
+      const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+
+      if (decoded.sort === sort && Array.isArray(decoded.values) &&
+        decoded.values.length === keys.length &&
+        decoded.values.every((value, index) => value === null || typeof value === keys[index].type)) {
+        return decoded.values;
+      }
+    } catch (error) {
+      // Falls through to the error below
+    }
+
+    throw ErrorHandlers.badRequest('validation.cursorInvalid');
+  }
+
+  _documentKey(name) {
+    return typeof name === 'string' ? name.trim().toLowerCase() : '';
+  }
+
   async _cleanupFiles(files) {
     try {
       for (const file of files) {
@@ -531,10 +1191,6 @@ class ServiceRequestService {
     // TODO: Send to assigned agent
   }
 
-  async _sendReassignmentNotifications(request) {
-    // TODO: Send to previous agent and new agent
-  }
-
   async _sendRequestApprovedNotification(request) {
     // TODO: Send to user
   }
@@ -0,0 +1,113 @@
+const { TRANSITIONS } = require('@constants/serviceRequestWorkflow');
+const { ErrorHandlers } = require('@utils/ErrorHandler');
+
+/**
+ * ServiceRequestStateMachine
+ *
+ * Evaluates the declarative transition table in constants/serviceRequestWorkflow
+ * against a request, an actor and a payload
+ */
+class ServiceRequestStateMachine {
+  /**
+   * Ensure an action may be performed, or throw
+   * @param {Object} request - ServiceRequest entity
+   * @param {string} action - Transition name (e.g., 'approve')
+   * @param {Object} actor - { type: USER|AGENT|ADMIN|SYSTEM, id }
+   * @param {Object} payload - Action payload checked against `requires`
+   * @returns {Object} The transition definition ({ to, ... })
+   */
+  assertTransition(request, action, actor, payload = {}) {
+    const transition = TRANSITIONS[action];
+    if (!transition) {
+      throw ErrorHandlers.badRequest('serviceRequest.unknownAction', { action });
+    }
+
+    if (!this._isActorAllowed(transition, request, actor)) {
+      throw ErrorHandlers.forbidden('errors.forbidden');
+    }
+
+    if (!transition.from.includes(request.status)) {
+      throw ErrorHandlers.badRequest(transition.errorKey, {
+        action,
+        status: request.status
+      });
+    }
+
+    const missingField = transition.requires.find(field => {
+      const value = payload[field];
+      return value === undefined || value === null || value === '';
+    });
+
+    if (missingField) {
+      throw ErrorHandlers.badRequest('serviceRequest.missingActionField', {
+        action,
+        field: missingField
+      });
+    }
+
+    return transition;
+  }
+
+  /**
+   * Check an action without throwing
+   */
+  can(request, action, actor) {
+    const transition = TRANSITIONS[action];
+    return !!transition &&
+      transition.from.includes(request.status) &&
+      this._isActorAllowed(transition, request, actor);
+  }
+
+  /**
+   * List the actions an actor may perform on a request right now
+   * @returns {Array} [{ action, toStatus, requires }]
+   */
+  getAllowedActions(request, actor) {
+    return Object.entries(TRANSITIONS)
+      .filter(([action]) => this.can(request, action, actor))
+      .map(([action, transition]) => ({
+        action,
+        toStatus: transition.to,
+        requires: transition.requires
+      }));
+  }
+
+  /**
+   * Ensure the caller may view a request (and what belongs to it), or throw
+   * - USER: own requests only
+   * - AGENT: requests assigned to them only
+   * - ADMIN: all requests
+   */
+  assertCanView(request, userId, userRole) {
+    if ((userRole === 'USER' && request.userId !== userId) ||
+        (userRole === 'AGENT' && request.agentId !== userId)) {
+      throw ErrorHandlers.forbidden('errors.forbidden');
+    }
+  }
+
+  /**
+   * PRIVATE HELPER METHODS
+   */
+
+  /**
+   * Actor type must be listed; agents must be assigned to the request (unless the
+   * transition allows any agent) and users must own it
+   */
+  _isActorAllowed(transition, request, actor) {
+    if (!transition.actors.includes(actor.type)) {
+      return false;
+    }
+
+    if (actor.type === 'AGENT' && !transition.anyAgent && request.agentId !== actor.id) {
+      return false;
+    }
+
+    if (actor.type === 'USER' && request.userId !== actor.id) {
+      return false;
+    }
+
+    return true;
+  }
+}
+
+module.exports = new ServiceRequestStateMachine();
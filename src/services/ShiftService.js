@@ -0,0 +1,265 @@
+const { getConnection } = require('typeorm');
+const ShiftRepository = require('@repositories/ShiftRepository');
+const BreakPolicyRepository = require('@repositories/BreakPolicyRepository');
+const AgentSessionRepository = require('@repositories/AgentSessionRepository');
+const DepartmentRepository = require('@repositories/DepartmentRepository');
+const { ErrorHandlers } = require('@utils/ErrorHandler');
+const logger = require('@utils/logger');
+
+const SHIFT_FIELDS = [
+  'name', 'nameAr', 'startTime', 'endTime', 'gracePeriod', 'allowOvertime',
+  'overtimeRequiresApproval', 'maxOvertimeMinutes', 'assignmentType', 'departmentId', 'isActive'
+];
+
+const POLICY_FIELDS = [
+  'maxBreaksPerDay', 'minDuration', 'maxDuration', 'autoApproveLimit', 'cooldownMinutes',
+  'preferredStartTime', 'preferredEndTime', 'blockDuringMeetings', 'meetingBufferMinutes', 'allowedBreakTypes'
+];
+
+// Shift fields the sessions in progress were checked in (and will be checked out) against
+const SESSION_BOUND_FIELDS = ['startTime', 'endTime'];
+
+// Shift fields the overlap check depends on
+const OVERLAP_FIELDS = ['startTime', 'endTime', 'assignmentType', 'departmentId'];
+
+/**
+ * Shift Service
+ *
+ * Handles shift and break policy management (Admin)
+ * - Active shifts of the same assignment (all agents, a department, specific agents)
+ *   cannot overlap; a shift ending before it starts runs overnight
+ * - Every shift has a break policy, created with the shift (model defaults unless given)
+ * - While agents are checked in to a shift its times cannot change and it cannot be
+ *   deactivated; break policy changes apply to the next break requests
+ */
+class ShiftService {
+  /**
+   * Get shifts with their department and break policy
+   */
+  async getShifts({ includeInactive = false } = {}) {
+    return await ShiftRepository.findAll(includeInactive);
+  }
+
+  /**
+   * Get a shift with its department and break policy
+   */
+  async getShift(shiftId) {
+    const shift = await ShiftRepository.findById(shiftId);
+    if (!shift) {
+      throw ErrorHandlers.notFound('shift.shiftNotFound');
+    }
+
+    return shift;
+  }
+
+  /**
+   * Create a shift and its break policy
+   * @param {Object} data - Shift fields and an optional breakPolicy object
+   */
+  async createShift(data, adminId) {
+    const { breakPolicy = {}, ...shiftData } = data;
+
+    if (await ShiftRepository.findByName(shiftData.name)) {
+      throw ErrorHandlers.conflict('shift.nameAlreadyExists');
+    }
+
+    const shiftFields = this._normalizeShift(shiftData);
+    await this._validateShift(shiftFields);
+
+    const policyFields = this._normalizePolicy(breakPolicy);
+    this._validatePolicy({ ...this._defaultPolicy(), ...policyFields });
+
+    const shiftId = await getConnection().transaction(async (manager) => {
+      const shift = await ShiftRepository.create(shiftFields, manager);
+      await BreakPolicyRepository.create({ ...policyFields, shiftId: shift.id }, manager);
+      return shift.id;
+    });
+
+    logger.info('Shift created', { shiftId, name: shiftFields.name, createdBy: adminId });
+
+    return await ShiftRepository.findById(shiftId);
+  }
+
+  /**
+   * Update a shift (also reactivates it with isActive: true)
+   */
+  async updateShift(shiftId, data, adminId) {
+    const shift = await this.getShift(shiftId);
+
+    if (data.name && await ShiftRepository.findByName(data.name, shiftId)) {
+      throw ErrorHandlers.conflict('shift.nameAlreadyExists');
+    }
+
+    const changes = this._normalizeShift(data);
+    if (changes.departmentId && (changes.assignmentType || shift.assignmentType) !== 'department') {
+      changes.departmentId = null;
+    }
+    const updated = { ...shift, ...changes };
+
+    const sessionBoundChanged = SESSION_BOUND_FIELDS.some(field =>
+      changes[field] !== undefined && changes[field] !== this._normalizeTime(shift[field])
+    );
+    if (sessionBoundChanged || changes.isActive === false) {
+      await this._assertNoActiveSessions(shiftId);
+    }
+
+    const overlapChanged = OVERLAP_FIELDS.some(field =>
+      changes[field] !== undefined && changes[field] !== this._normalizeTime(shift[field])
+    );
+    const reactivated = changes.isActive === true && !shift.isActive;
+    if (updated.isActive && (overlapChanged || reactivated)) {
+      await this._validateShift(updated, shiftId);
+    }
+
+    const result = await ShiftRepository.update(shiftId, changes);
+
+    logger.info('Shift updated', { shiftId, fields: Object.keys(changes), updatedBy: adminId });
+
+    return result;
+  }
+
+  /**
+   * Deactivate a shift: it is no longer listed, given to new agents or open for check-in
+   */
+  async deactivateShift(shiftId, adminId) {
+    const shift = await this.getShift(shiftId);
+
+    if (!shift.isActive) {
+      throw ErrorHandlers.badRequest('shift.shiftNotActive');
+    }
+
+    await this._assertNoActiveSessions(shiftId);
+
+    const result = await ShiftRepository.update(shiftId, { isActive: false });
+
+    logger.info('Shift deactivated', { shiftId, deactivatedBy: adminId });
+
+    return result;
+  }
+
+  /**
+   * Update the break policy of a shift (created if the shift has none)
+   */
+  async updateBreakPolicy(shiftId, data, adminId) {
+    await this.getShift(shiftId);
+
+    const changes = this._normalizePolicy(data);
+    const policy = await BreakPolicyRepository.findByShift(shiftId);
+
+    this._validatePolicy({ ...(policy || this._defaultPolicy()), ...changes });
+
+    const result = policy
+      ? await BreakPolicyRepository.update(policy.id, changes)
+      : await BreakPolicyRepository.create({ ...changes, shiftId });
+
+    logger.info('Break policy updated', { shiftId, fields: Object.keys(changes), updatedBy: adminId });
+
+    return result;
+  }
+
+  /**
+   * PRIVATE HELPER METHODS
+   */
+
+  async _assertNoActiveSessions(shiftId) {
+    const activeSessions = await AgentSessionRepository.countActiveByShift(shiftId);
+    if (activeSessions > 0) {
+      throw ErrorHandlers.conflict('shift.shiftHasActiveSessions', { activeSessions });
+    }
+  }
+
+  /**
+   * Validate a shift as it will be saved
+   */
+  async _validateShift(shift, excludeId = null) {
+    // An end before the start is an overnight shift (e.g. 22:00-06:00)
+    if (this._normalizeTime(shift.endTime) === this._normalizeTime(shift.startTime)) {
+      throw ErrorHandlers.badRequest('shift.invalidTimeRange');
+    }
+
+    if (shift.assignmentType === 'department') {
+      const department = shift.departmentId ? await DepartmentRepository.findById(shift.departmentId) : null;
+      if (!department) {
+        throw ErrorHandlers.badRequest('shift.departmentNotFound');
+      }
+    }
+
+    const overlaps = await ShiftRepository.hasOverlap(
+      this._normalizeTime(shift.startTime), this._normalizeTime(shift.endTime), excludeId, {
+      assignmentType: shift.assignmentType || 'all',
+        departmentId: shift.assignmentType === 'department' ? shift.departmentId : null
+      }
+    );
+    if (overlaps) {
+      throw ErrorHandlers.conflict('shift.overlapsExistingShift');
+    }
+  }
+
+  /**
+   * Validate a break policy as it will be saved
+   */
+  _validatePolicy(policy) {
+    if (policy.minDuration > policy.maxDuration) {
+      throw ErrorHandlers.badRequest('shift.invalidBreakDurations');
+    }
+
+    if (policy.preferredStartTime && policy.preferredEndTime &&
+      this._normalizeTime(policy.preferredEndTime) <= this._normalizeTime(policy.preferredStartTime)) {
+      throw ErrorHandlers.badRequest('shift.invalidPreferredBreakWindow');
+    }
+  }
+
+  /**
+   * Shift fields from the request body, with times as HH:MM:SS
+   * Shifts not assigned by department have no department
+   */
+  _normalizeShift(data) {
+    const fields = this._pick(data, SHIFT_FIELDS);
+
+    SESSION_BOUND_FIELDS.forEach(field => {
+      if (fields[field] !== undefined) {
+        fields[field] = this._normalizeTime(fields[field]);
+      }
+    });
+
+    if (fields.assignmentType && fields.assignmentType !== 'department') {
+      fields.departmentId = null;
+    }
+
+    return fields;
+  }
+
+  _normalizePolicy(data) {
+    const fields = this._pick(data, POLICY_FIELDS);
+
+    ['preferredStartTime', 'preferredEndTime'].forEach(field => {
+      if (fields[field]) {
+        fields[field] = this._normalizeTime(fields[field]);
+      }
+    });
+
+    return fields;
+  }
+
+  /**
+   * Break policy model defaults
+   */
+  _defaultPolicy() {
+    return { minDuration: 10, maxDuration: 30 };
+  }
+
+  _pick(data, allowedFields) {
+    return allowedFields.reduce((fields, field) => {
+      if (data[field] !== undefined) {
+        fields[field] = data[field];
+      }
+      return fields;
+    }, {});
+  }
+
+  _normalizeTime(time) {
+    return time && String(time).length === 5 ? `${time}:00` : time;
+  }
+}
+
+module.exports = new ShiftService();
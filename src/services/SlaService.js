@@ -0,0 +1,369 @@
+const { getConnection } = require('typeorm');
+const ServiceRequestRepository = require('@repositories/ServiceRequestRepository');
+const ServiceRequestEventService = require('@services/ServiceRequestEventService');
+const NotificationService = require('@services/NotificationService');
+const CacheService = require('@services/CacheService');
+const { SERVICE_REQUEST_STATUSES, TERMINAL_STATUSES } = require('@constants/serviceRequestWorkflow');
+const {
+  SLA_METRICS,
+  SLA_STATES,
+  SLA_STATE_RANK,
+  DEFAULT_SLA_TARGETS,
+  PRIORITY_ESCALATION
+} = require('@constants/sla');
+const logger = require('@utils/logger');
+
+const CHECK_LOCK_KEY = 'sla:check:lock';
+
+/**
+ * SlaService
+ *
+ * Measures service requests against their SLA targets (see constants/sla)
+ * - evaluate() is computed on read, so admin lists always reflect the current time
+ * - checkBreaches() runs on an interval: each newly breached metric of an open request
+ *   bumps its priority once, is logged to the timeline and notifies the
+ *   department's escalation admins
+ */
+class SlaService {
+  constructor() {
+    // Open metrics with less than this share of their target left are at risk
+    this.atRiskPercent = parseInt(process.env.SLA_AT_RISK_PERCENT) || 25;
+
+    // Breach check interval (0 disables the in-process monitor)
+    const interval = parseInt(process.env.SLA_CHECK_INTERVAL_MINUTES);
+    this.checkIntervalMinutes = Number.isNaN(interval) ? 5 : interval;
+
+    this.timer = null;
+    this.checking = false;
+  }
+
+  /**
+   * Targets of a priority in minutes, with the department's overrides applied
+   * @param {Object} department - Department (slaTargets optional)
+   * @param {string} priority - low, normal, high, urgent
+   */
+  getTargets(department, priority) {
+    const defaults = DEFAULT_SLA_TARGETS[priority] || DEFAULT_SLA_TARGETS.normal;
+    const overrides = (department && department.slaTargets && department.slaTargets[priority]) || {};
+
+    return { ...defaults, ...overrides };
+  }
+
+  /**
+   * Evaluate a request against its SLA targets
+   * Metrics that do not apply (e.g. completion of a rejected request) are null
+   * @param {Object} request - Service request with its category loaded
+   * @param {Date} now - Reference time
+   * @returns {Object} { status, metrics: { assignment, decision, completion }, breaches, escalatedAt }
+   */
+  evaluate(request, now = new Date()) {
+    const targets = this.getTargets(request.category, request.priority);
+
+    const metrics = {
+      [SLA_METRICS.ASSIGNMENT]: this._evaluateMetric(this._assignmentWindow(request), targets.assignment, now),
+      [SLA_METRICS.DECISION]: this._evaluateMetric(this._decisionWindow(request), targets.decision, now),
+      [SLA_METRICS.COMPLETION]: this._evaluateMetric(this._completionWindow(request), targets.completion, now)
+    };
+
+    const status = Object.values(metrics)
+      .filter(Boolean)
+      .reduce((worst, metric) => {
+        return !worst || SLA_STATE_RANK[metric.state] > SLA_STATE_RANK[worst] ? metric.state : worst;
+      }, null);
+
+    return {
+      status,
+      metrics,
+      breaches: request.slaBreaches || {},
+      escalatedAt: request.slaEscalatedAt || null
+    };
+  }
+
+  /**
+   * SLA summary of open requests (for admin statistics)
+   * @param {Object} filters - { agentId, categoryId, startDate, endDate }
+   */
+  async getSummary(filters = {}, now = new Date()) {
+    const requests = await ServiceRequestRepository.findOpenForSla(filters);
+
+    const summary = {
+      open: requests.length,
+      escalated: 0,
+      byStatus: Object.values(SLA_STATES).reduce((acc, state) => ({ ...acc, [state]: 0 }), {}),
+      byMetric: Object.values(SLA_METRICS).reduce((acc, metric) => ({
+        ...acc,
+        [metric]: { [SLA_STATES.AT_RISK]: 0, [SLA_STATES.BREACHED]: 0 }
+      }), {})
+    };
+
+    for (const request of requests) {
+      const sla = this.evaluate(request, now);
+
+      if (sla.status) {
+        summary.byStatus[sla.status]++;
+      }
+
+      if (request.slaEscalatedAt) {
+        summary.escalated++;
+      }
+
+      Object.entries(sla.metrics).forEach(([metric, result]) => {
+        if (result && result.completedAt === null && summary.byMetric[metric][result.state] !== undefined) {
+          summary.byMetric[metric][result.state]++;
+        }
+      });
+    }
+
+    return summary;
+  }
+
+  /**
+   * Escalate open requests whose metrics breached since the last check
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} { checked, escalated }
+   */
+  async checkBreaches(now = new Date()) {
+    if (this.checking) {
+      return { checked: 0, escalated: 0 };
+    }
+
+    // Only one instance runs a check at a time (skipped when Redis is down)
+    if (global.redis) {
+      const lockSeconds = Math.max(this.checkIntervalMinutes * 60 - 5, 30);
+      const acquired = await CacheService.setNX(CHECK_LOCK_KEY, now.toISOString(), lockSeconds);
+      if (!acquired) {
+        return { checked: 0, escalated: 0 };
+      }
+    }
+
+    this.checking = true;
+    let checked = 0;
+    let escalated = 0;
+
+    try {
+      const requests = await ServiceRequestRepository.findOpenForSla();
+      checked = requests.length;
+
+      for (const request of requests) {
+        const sla = this.evaluate(request, now);
+        const alreadyBreached = request.slaBreaches || {};
+
+        const newBreaches = Object.keys(sla.metrics).filter(metric => {
+          const result = sla.metrics[metric];
+          return result && result.state === SLA_STATES.BREACHED && result.completedAt === null && !alreadyBreached[metric];
+        });
+
+        if (newBreaches.length === 0) {
+          continue;
+        }
+
+        try {
+          await this._escalate(request, newBreaches, sla, now);
+          escalated++;
+        } catch (error) {
+          logger.error('Failed to escalate SLA breach', {
+            requestId: request.id,
+            metrics: newBreaches,
+            error: error.message
+          });
+        }
+      }
+    } finally {
+      this.checking = false;
+    }
+
+    if (escalated > 0) {
+      logger.info('SLA breaches escalated', { checked, escalated });
+    }
+
+    return { checked, escalated };
+  }
+
+  /**
+   * Start the in-process breach monitor
+   */
+  start() {
+    if (this.timer || this.checkIntervalMinutes <= 0) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.checkBreaches().catch(error => {
+        logger.error('SLA breach check failed', { error: error.message });
+      });
+    }, this.checkIntervalMinutes * 60 * 1000);
+    this.timer.unref();
+
+    logger.info('✅ SLA monitor started', { intervalMinutes: this.checkIntervalMinutes });
+  }
+
+  /**
+   * Stop the breach monitor
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * PRIVATE HELPER METHODS
+   */
+
+  /**
+   * Bump priority, record the breach and notify the department's escalation admins
+   */
+  async _escalate(request, metrics, sla, now) {
+    const fromPriority = request.priority;
+    const toPriority = PRIORITY_ESCALATION[fromPriority] || fromPriority;
+
+    const slaBreaches = { ...(request.slaBreaches || {}) };
+    metrics.forEach(metric => {
+      slaBreaches[metric] = now;
+    });
+
+    await getConnection().transaction(async (manager) => {
+      await ServiceRequestRepository.update(request.id, {
+        priority: toPriority,
+        slaBreaches,
+        slaEscalatedAt: now
+      }, manager);
+
+      await ServiceRequestEventService.record(request.id, 'sla_breached', { type: 'SYSTEM', id: null }, {
+        fromStatus: request.status,
+        toStatus: request.status,
+        metadata: {
+          metrics,
+          dueAt: metrics.reduce((acc, metric) => ({ ...acc, [metric]: sla.metrics[metric].dueAt }), {}),
+          fromPriority,
+          toPriority
+        }
+      }, manager);
+    });
+
+    logger.warn('Service request breached its SLA', {
+      requestId: request.id,
+      categoryId: request.categoryId,
+      metrics,
+      fromPriority,
+      toPriority
+    });
+
+    await this._notifyEscalationAdmins(request, metrics, toPriority);
+  }
+
+  async _notifyEscalationAdmins(request, metrics, priority) {
+    const adminIds = (request.category && request.category.escalationAdminIds) || [];
+
+    if (adminIds.length === 0) {
+      logger.warn('No escalation admins configured for department', {
+        requestId: request.id,
+        categoryId: request.categoryId
+      });
+      return;
+    }
+
+    await NotificationService.notify(adminIds.map(id => ({ type: 'ADMIN', id })), {
+      type: 'sla_breached',
+      titleKey: 'sla.breachNotificationTitle',
+      messageKey: 'sla.breachNotificationMessage',
+      params: {
+        requestId: request.id,
+        department: request.category.name,
+        metrics: metrics.join(', '),
+        priority
+      },
+      data: { requestId: request.id, metrics, priority }
+    });
+  }
+
+  /**
+   * Score one metric window against its target
+   * @param {Object|null} window - { start, end } (null when the metric does not apply)
+   */
+  _evaluateMetric(window, targetMinutes, now) {
+    if (!window) {
+      return null;
+    }
+
+    const dueAt = new Date(window.start.getTime() + targetMinutes * 60 * 1000);
+
+    if (window.end) {
+      return {
+        state: window.end <= dueAt ? SLA_STATES.MET : SLA_STATES.BREACHED,
+        targetMinutes,
+        dueAt,
+        completedAt: window.end,
+        remainingMinutes: null
+      };
+    }
+
+    const remainingMs = dueAt.getTime() - now.getTime();
+    let state = SLA_STATES.ON_TRACK;
+
+    if (remainingMs < 0) {
+      state = SLA_STATES.BREACHED;
+    } else if (remainingMs <= targetMinutes * 60 * 1000 * this.atRiskPercent / 100) {
+      state = SLA_STATES.AT_RISK;
+    }
+
+    return {
+      state,
+      targetMinutes,
+      dueAt,
+      completedAt: null,
+      remainingMinutes: Math.floor(remainingMs / 60000)
+    };
+  }
+
+  /**
+   * Submission → first agent assignment
+   */
+  _assignmentWindow(request) {
+    const end = request.assignedAt ? new Date(request.assignedAt) : null;
+
+    if (!end && TERMINAL_STATUSES.includes(request.status)) {
+      return null;
+    }
+
+    return { start: new Date(request.createdAt), end };
+  }
+
+  /**
+   * Submission → approved or rejected
+   */
+  _decisionWindow(request) {
+    const decidedAt = request.approvedAt || request.rejectedAt;
+    const end = decidedAt ? new Date(decidedAt) : null;
+
+    if (!end && TERMINAL_STATUSES.includes(request.status)) {
+      return null;
+    }
+
+    return { start: new Date(request.createdAt), end };
+  }
+
+  /**
+   * Scheduled end of an approved meeting → marked completed
+   */
+  _completionWindow(request) {
+    if (!request.approvedAt) {
+      return null;
+    }
+
+    const end = request.completedAt ? new Date(request.completedAt) : null;
+
+    if (!end && request.status !== SERVICE_REQUEST_STATUSES.APPROVED &&
+        request.status !== SERVICE_REQUEST_STATUSES.RESCHEDULED) {
+      return null;
+    }
+
+    const meetingStart = new Date(`${request.meetingDate}T${request.meetingTime}`);
+    const start = new Date(meetingStart.getTime() + (request.meetingDuration || 60) * 60 * 1000);
+
+    return { start, end };
+  }
+}
+
+module.exports = new SlaService();
@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const { getConnection } = require('typeorm');
+const ServiceRequestRepository = require('@repositories/ServiceRequestRepository');
+const AgentRepository = require('@repositories/AgentRepository');
+const CacheService = require('@services/CacheService');
+const { ErrorHandlers } = require('@utils/ErrorHandler');
+const logger = require('@utils/logger');
+
+/**
+ * Slot Reservation Service
+ *
+ * Serializes concurrent bookings for the same agent and day:
+ * 1. A short-lived Redis lock (CacheService.setNX) per agent/date
+ * 2. A DB transaction that locks the agent row, then re-checks for overlaps
+ *    before the booking is written
+ *
+ * The agent row lock is what serializes bookings when Redis is unavailable or
+ * erroring (a free slot has no meeting rows to lock), so the Redis lock only
+ * saves the wait on that row.
+ */
+class SlotReservationService {
+  constructor() {
+    // Reservation configuration from environment
+    this.lockTtl = parseInt(process.env.BOOKING_LOCK_TTL_SECONDS) || 15; // seconds
+    this.lockWait = parseInt(process.env.BOOKING_LOCK_WAIT_MS) || 2000; // milliseconds
+    this.lockRetryDelay = 100; // milliseconds
+  }
+
+  /**
+   * Reserve a meeting slot and run the booking write inside the reservation
+   * @param {Object} slot - Slot to reserve
+   * @param {number} slot.agentId - Agent ID
+   * @param {string} slot.meetingDate - Date (YYYY-MM-DD)
+   * @param {string} slot.meetingTime - Time (HH:MM or HH:MM:SS)
+   * @param {number} slot.duration - Meeting duration in minutes
+   * @param {number} slot.excludeRequestId - Request being (re)booked, ignored in the overlap check
+   * @param {Function} work - async (manager) => result, performs the writes
+   * @returns {Promise<any>} Result of work()
+   */
+  async reserve({ agentId, meetingDate, meetingTime, duration, excludeRequestId = null }, work) {
+    const lockKey = `booking:lock:agent:${agentId}:${meetingDate}`;
+    const lockToken = crypto.randomBytes(16).toString('hex');
+
+    const locked = await this._acquireLock(lockKey, lockToken);
+    if (!locked) {
+      throw ErrorHandlers.conflict('serviceRequest.slotTaken');
+    }
+
+    const queryRunner = getConnection().createQueryRunner();
+    await queryRunner.connect();
+    await queryRunner.startTransaction();
+
+    try {
+      await AgentRepository.lockById(agentId, queryRunner.manager);
+
+      const hasOverlap = await ServiceRequestRepository.hasOverlappingMeeting(
+        agentId,
+        meetingDate,
+        meetingTime,
+        duration,
+        excludeRequestId,
+        queryRunner.manager
+      );
+
+      if (hasOverlap) {
+        throw ErrorHandlers.conflict('serviceRequest.slotTaken');
+      }
+
+      const result = await work(queryRunner.manager);
+
+      await queryRunner.commitTransaction();
+      return result;
+    } catch (error) {
+      if (queryRunner.isTransactionActive) {
+        await queryRunner.rollbackTransaction();
+      }
+
+      if (error.messageKey === 'serviceRequest.slotTaken') {
+        logger.warn('Slot reservation lost', { agentId, meetingDate, meetingTime });
+      }
+
+      throw error;
+    } finally {
+      await queryRunner.release();
+      await this._releaseLock(lockKey, lockToken);
+    }
+  }
+
+  /**
+   * PRIVATE HELPER METHODS
+   */
+
+  /**
+   * Acquire the Redis lock, waiting briefly for a concurrent holder to finish
+   */
+  async _acquireLock(lockKey, lockToken) {
+    if (!global.redis) {
+      // Redis unavailable - rely on the DB row locks only
+      return true;
+    }
+
+    const deadline = Date.now() + this.lockWait;
+
+    do {
+      const acquired = await CacheService.setNX(lockKey, lockToken, this.lockTtl);
+      if (acquired === null) {
+        // Redis erroring - rely on the DB row locks only
+        return true;
+      }
+
+      if (acquired) {
+        return true;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.lockRetryDelay));
+    } while (Date.now() < deadline);
+
+    return false;
+  }
+
+  /**
+   * Release the Redis lock if we still own it
+   */
+  async _releaseLock(lockKey, lockToken) {
+    if (!global.redis) {
+      return;
+    }
+
+    const owner = await CacheService.get(lockKey);
+    if (owner === lockToken) {
+      await CacheService.del(lockKey);
+    }
+  }
+}
+
+module.exports = new SlotReservationService();
@@ -14,6 +14,8 @@ const logger = require('@utils/logger');
 class UploadService {
   constructor() {
     this.baseUploadDir = process.env.UPLOAD_DIR || 'uploads';
+    // Files that must not be publicly reachable (served by their own endpoints)
+    this.privateUploadDir = process.env.PRIVATE_UPLOAD_DIR || 'storage';
     this.maxFileSize = parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024; // 5MB default
     
     // Allowed image mime types
@@ -458,6 +460,68 @@ class UploadService {
     }).array(fieldName, maxFiles);
   }
 
+  /**
+   * Upload chat message attachments
+   * Stored per request under the private upload folder; only chat participants can download them
+   * @param {string} fieldName - Form field name (default: 'attachments')
+   * @param {number} maxCount - Maximum number of files (default: 5)
+   * @returns {multer} Multer instance
+   */
+  uploadChatAttachments(fieldName = 'attachments', maxCount = 5) {
+    const maxFiles = maxCount || 5;
+    const maxSize = parseInt(process.env.MAX_CHAT_FILE_SIZE) || 5 * 1024 * 1024; // 5MB default
+
+    // Allowed types: images and documents
+    const allowedTypes = [
+      ...this.allowedImageTypes,
+      ...this.allowedDocumentTypes
+    ];
+
+    const storage = multer.diskStorage({
+      destination: (req, file, cb) => {
+        try {
+          const requestId = parseInt(req.params.requestId) || 0;
+          const folderPath = path.join(this.privateUploadDir, 'chats', String(requestId));
+
+          if (!fs.existsSync(folderPath)) {
+            fs.mkdirSync(folderPath, { recursive: true });
+            logger.info(`Created chat upload folder: ${folderPath}`);
+          }
+
+          cb(null, folderPath);
+        } catch (error) {
+          logger.error('Error creating chat upload folder:', error);
+          cb(error);
+        }
+      },
+      filename: (req, file, cb) => {
+        const uniqueSuffix = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+        const ext = path.extname(file.originalname);
+        const baseName = path.basename(file.originalname, ext)
+          .replace(/[^a-zA-Z0-9]/g, '_')
+          .substring(0, 50);
+        cb(null, `chat_${baseName}_${uniqueSuffix}${ext}`);
+      }
+    });
+
+    const fileFilter = (req, file, cb) => {
+      if (allowedTypes.includes(file.mimetype)) {
+        cb(null, true);
+      } else {
+        cb(ErrorHandlers.badRequest('chat.invalidFileType'), false);
+      }
+    };
+
+    return multer({
+      storage,
+      fileFilter,
+      limits: {
+        fileSize: maxSize,
+        files: maxFiles
+      }
+    }).array(fieldName, maxFiles);
+  }
+
   /**
    * Generate file URLs from uploaded files
    * @param {Array} files - Array of multer file objects
@@ -671,6 +671,22 @@ class UserService {
     return { user };
   }
 
+  /**
+   * Reset the user's no-show count, lifting the booking block (Admin only)
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} Updated user
+   */
+  async resetNoShows(userId) {
+    const existing = await UserRepository.findById(userId);
+    if (!existing) {
+      throw ErrorHandlers.notFound('errors.userNotFound');
+    }
+
+    const user = await UserRepository.update(userId, { noShowCount: 0 });
+    logger.info(`User ${user.email} no-show count reset`);
+    return { user };
+  }
+
   /**
    * Upload/Update user avatar
    * @param {number} userId - User ID
@@ -0,0 +1,393 @@
+const WaitlistEntryRepository = require('@repositories/WaitlistEntryRepository');
+const DepartmentRepository = require('@repositories/DepartmentRepository');
+const AgentRepository = require('@repositories/AgentRepository');
+const AvailabilityService = require('@services/AvailabilityService');
+const NotificationService = require('@services/NotificationService');
+const { ErrorHandlers } = require('@utils/ErrorHandler');
+const logger = require('@utils/logger');
+
+/**
+ * WaitlistService
+ *
+ * Waitlist for fully booked agents and departments
+ * - USER joins for an agent (or any agent of a department) and a date range
+ * - A freed slot (cancelled or moved meeting) is offered to the matching entries in
+ *   the order they joined, one at a time. The offer holds the slot for
+ *   WAITLIST_HOLD_MINUTES; availability treats it as busy for everybody else
+ * - Accepting books the slot as a regular request. Declined or lapsed offers go back
+ *   to waiting and the slot moves on to the next entry
+ * - An interval job releases lapsed holds and expires entries whose range has passed
+ */
+class WaitlistService {
+  constructor() {
+    this.holdMinutes = parseInt(process.env.WAITLIST_HOLD_MINUTES) || 30;
+
+    // Lapsed hold check interval (0 disables the in-process job)
+    const interval = parseInt(process.env.WAITLIST_CHECK_INTERVAL_MINUTES);
+    this.checkIntervalMinutes = Number.isNaN(interval) ? 5 : interval;
+
+    this.timer = null;
+  }
+
+  /**
+   * Join the waitlist (User)
+   * @param {number} userId - User ID
+   * @param {Object} data - { categoryId, agentId, dateFrom, dateTo, meetingType, meetingDuration, notes }
+   */
+  async join(userId, data) {
+    const { categoryId, agentId = null, dateFrom, dateTo } = data;
+
+    const department = await DepartmentRepository.findById(categoryId);
+    if (!department) {
+      throw ErrorHandlers.notFound('serviceRequest.categoryNotFound');
+    }
+
+    if (!department.isActive) {
+      throw ErrorHandlers.badRequest('serviceRequest.categoryInactive');
+    }
+
+    if (agentId) {
+      const agent = await AgentRepository.findById(agentId);
+      if (!agent) {
+        throw ErrorHandlers.notFound('serviceRequest.agentNotFound');
+      }
+
+      if (!agent.isActive) {
+        throw ErrorHandlers.badRequest('serviceRequest.agentInactive');
+      }
+
+      if (parseInt(agent.departmentId) !== parseInt(categoryId)) {
+        throw ErrorHandlers.badRequest('serviceRequest.agentNotInCategory');
+      }
+    }
+
+    if (dateTo < dateFrom) {
+      throw ErrorHandlers.badRequest('waitlist.invalidDateRange');
+    }
+
+    if (dateTo < this._today()) {
+      throw ErrorHandlers.badRequest('waitlist.dateRangeInPast');
+    }
+
+    const existing = await WaitlistEntryRepository.findActiveForUser(userId, categoryId, agentId);
+    if (existing) {
+      throw ErrorHandlers.conflict('waitlist.alreadyWaiting', { entryId: existing.id });
+    }
+
+    const entry = await WaitlistEntryRepository.create({
+      userId,
+      categoryId,
+      agentId,
+      dateFrom,
+      dateTo,
+      meetingType: data.meetingType,
+      meetingDuration: parseInt(data.meetingDuration) || 60,
+      notes: data.notes || null,
+      status: 'waiting'
+    });
+
+    logger.info('User joined the waitlist', {
+      entryId: entry.id,
+      userId,
+      categoryId,
+      agentId
+    });
+
+    return entry;
+  }
+
+  /**
+   * Get a user's waitlist entries (User)
+   */
+  async getUserEntries(userId, options = {}) {
+    return await WaitlistEntryRepository.findByUserId(userId, options);
+  }
+
+  /**
+   * Book the offered slot (User)
+   * @returns {Promise<Object>} { entry, request }
+   */
+  async accept(entryId, userId) {
+    // Required lazily: ServiceRequestService hands freed slots over to this service
+    const ServiceRequestService = require('@services/ServiceRequestService');
+
+    const entry = await this._getOwnEntry(entryId, userId);
+    this._assertActiveOffer(entry);
+
+    const request = await ServiceRequestService.createRequest(userId, {
+      categoryId: entry.categoryId,
+      agentId: entry.offeredAgentId,
+      meetingDate: entry.offeredDate,
+      meetingTime: entry.offeredTime,
+      meetingDuration: entry.meetingDuration,
+      meetingType: entry.meetingType,
+      notes: entry.notes
+    });
+
+    const updatedEntry = await WaitlistEntryRepository.update(entry.id, {
+      status: 'booked',
+      requestId: request.id
+    });
+
+    logger.info('Waitlist offer accepted', {
+      entryId: entry.id,
+      userId,
+      requestId: request.id
+    });
+
+    return { entry: updatedEntry, request };
+  }
+
+  /**
+   * Turn the offered slot down and keep waiting (User)
+   */
+  async decline(entryId, userId) {
+    const entry = await this._getOwnEntry(entryId, userId);
+    this._assertActiveOffer(entry);
+
+    const updatedEntry = await WaitlistEntryRepository.update(entry.id, {
+      status: 'waiting',
+      ...this._clearedOffer()
+    });
+
+    await this._offerSlot(this._offeredSlot(entry), [entry.id]);
+
+    logger.info('Waitlist offer declined', { entryId: entry.id, userId });
+
+    return updatedEntry;
+  }
+
+  /**
+   * Leave the waitlist (User); a held slot moves on to the next entry
+   */
+  async cancel(entryId, userId) {
+    const entry = await this._getOwnEntry(entryId, userId);
+
+    if (!['waiting', 'offered'].includes(entry.status)) {
+      throw ErrorHandlers.badRequest('waitlist.notActive', { status: entry.status });
+    }
+
+    const updatedEntry = await WaitlistEntryRepository.update(entry.id, { status: 'cancelled' });
+
+    if (entry.status === 'offered') {
+      await this._offerSlot(this._offeredSlot(entry), [entry.id]);
+    }
+
+    logger.info('User left the waitlist', { entryId: entry.id, userId });
+
+    return updatedEntry;
+  }
+
+  /**
+   * Offer the slot of a cancelled or moved meeting to the waitlist
+   * Never fails the caller: the meeting change has already been made
+   * @param {Object} request - Request with the freed agentId, meetingDate and meetingTime
+   */
+  async slotFreed(request) {
+    if (!request || !request.agentId || !request.meetingDate || !request.meetingTime) {
+      return null;
+    }
+
+    try {
+      return await this._offerSlot({
+        agentId: request.agentId,
+        meetingDate: request.meetingDate,
+        meetingTime: request.meetingTime
+      });
+    } catch (error) {
+      logger.error('Failed to offer freed slot to the waitlist', {
+        requestId: request.id,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Release lapsed holds to the next entries and expire entries whose range has passed
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} { released, expired }
+   */
+  async processExpired(now = new Date()) {
+    const lapsed = await WaitlistEntryRepository.findLapsedOffers(now);
+    let released = 0;
+
+    for (const entry of lapsed) {
+      try {
+        await WaitlistEntryRepository.update(entry.id, {
+          status: 'waiting',
+          ...this._clearedOffer()
+        });
+
+        released++;
+
+        await this._offerSlot(this._offeredSlot(entry), [entry.id]);
+      } catch (error) {
+        logger.error('Failed to release lapsed waitlist hold', {
+          entryId: entry.id,
+          error: error.message
+        });
+      }
+    }
+
+    const expired = await WaitlistEntryRepository.expirePast(this._today(now));
+
+    if (released > 0 || expired > 0) {
+      logger.info('Waitlist holds released and entries expired', { released, expired });
+    }
+
+    return { released, expired };
+  }
+
+  /**
+   * Start the in-process hold expiry job
+   */
+  start() {
+    if (this.timer || this.checkIntervalMinutes <= 0) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.processExpired().catch(error => {
+        logger.error('Waitlist expiry check failed', { error: error.message });
+      });
+    }, this.checkIntervalMinutes * 60 * 1000);
+    this.timer.unref();
+
+    logger.info('✅ Waitlist expiry job started', { intervalMinutes: this.checkIntervalMinutes });
+  }
+
+  /**
+   * Stop the hold expiry job
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * PRIVATE HELPER METHODS
+   */
+
+  async _getOwnEntry(entryId, userId) {
+    const entry = await WaitlistEntryRepository.findById(entryId);
+
+    if (!entry || entry.userId !== userId) {
+      throw ErrorHandlers.notFound('waitlist.notFound');
+    }
+
+    return entry;
+  }
+
+  _assertActiveOffer(entry) {
+    if (entry.status !== 'offered') {
+      throw ErrorHandlers.badRequest('waitlist.noActiveOffer');
+    }
+
+    if (new Date(entry.offerExpiresAt) <= new Date()) {
+      throw ErrorHandlers.badRequest('waitlist.offerExpired');
+    }
+  }
+
+  _offeredSlot(entry) {
+    return {
+      agentId: entry.offeredAgentId,
+      meetingDate: entry.offeredDate,
+      meetingTime: entry.offeredTime
+    };
+  }
+
+  _clearedOffer() {
+    return {
+      offeredAgentId: null,
+      offeredDate: null,
+      offeredTime: null,
+      offeredAt: null,
+      offerExpiresAt: null
+    };
+  }
+
+  /**
+   * Offer a slot to the first waiting entry it suits, holding it for holdMinutes
+   * @param {Object} slot - { agentId, meetingDate, meetingTime }
+   * @param {Array<number>} excludeIds - Entries not to offer it to again
+   * @returns {Promise<Object|null>} Entry the slot was offered to
+   */
+  async _offerSlot(slot, excludeIds = []) {
+    const { agentId, meetingDate, meetingTime } = slot;
+
+    if (new Date(`${meetingDate}T${meetingTime}`) <= new Date()) {
+      return null;
+    }
+
+    const agent = await AgentRepository.findById(agentId);
+    if (!agent || !agent.isActive || !agent.departmentId) {
+      return null;
+    }
+
+    const candidates = await WaitlistEntryRepository.findWaitingForSlot({
+      agentId,
+      categoryId: agent.departmentId,
+      meetingDate,
+      excludeIds
+    });
+
+    for (const candidate of candidates) {
+      const slotAvailable = await AvailabilityService.isSlotAvailable(
+        agent,
+        meetingDate,
+        meetingTime,
+        candidate.meetingDuration,
+        null,
+        candidate.userId
+      );
+      if (!slotAvailable) {
+        continue;
+      }
+
+      const now = new Date();
+      const entry = await WaitlistEntryRepository.update(candidate.id, {
+        status: 'offered',
+        offeredAgentId: agentId,
+        offeredDate: meetingDate,
+        offeredTime: meetingTime,
+        offeredAt: now,
+        offerExpiresAt: new Date(now.getTime() + this.holdMinutes * 60 * 1000)
+      });
+
+      await NotificationService.notify([{ type: 'USER', id: candidate.userId }], {
+        type: 'waitlist_offer',
+        titleKey: 'waitlist.offerTitle',
+        messageKey: 'waitlist.offerMessage',
+        params: {
+          date: meetingDate,
+          time: String(meetingTime).slice(0, 5),
+          minutes: this.holdMinutes
+        },
+        data: { entryId: entry.id, expiresAt: entry.offerExpiresAt }
+      });
+
+      logger.info('Freed slot offered to the waitlist', {
+        entryId: entry.id,
+        agentId,
+        meetingDate,
+        meetingTime
+      });
+
+      return entry;
+    }
+
+    return null;
+  }
+
+  /**
+   * Today's date (YYYY-MM-DD)
+   */
+  _today(now = new Date()) {
+    return now.toISOString().slice(0, 10);
+  }
+}
+
+module.exports = new WaitlistService();
@@ -0,0 +1,259 @@
+const { body, param, query } = require('express-validator');
+const { validate } = require('@middleware/validation');
+const { WEEKDAYS } = require('@constants/branches');
+
+const TIME_PATTERN = /^([0-1][0-9]|2[0-3]):[0-5][0-9]$/;
+
+/**
+ * Opening hours: { <weekday>: { open: 'HH:MM', close: 'HH:MM' } }
+ */
+const isValidOpeningHours = (value) => {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return false;
+  }
+
+  return Object.entries(value).every(([weekday, hours]) => {
+    return WEEKDAYS.includes(weekday) &&
+      hours !== null && typeof hours === 'object' &&
+      TIME_PATTERN.test(hours.open) && TIME_PATTERN.test(hours.close) &&
+      hours.open < hours.close;
+  });
+};
+
+/**
+ * Branch Validators
+ */
+
+const branchIdParam = param('id')
+  .isInt({ min: 1 })
+  .withMessage('validation.branchIdInvalid')
+  .toInt();
+
+// Create branch
+const createBranchValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('validation.nameRequired')
+    .isLength({ min: 2, max: 100 })
+    .withMessage('validation.nameLength'),
+
+  body('nameAr')
+    .trim()
+    .notEmpty()
+    .withMessage('validation.nameArRequired')
+    .isLength({ min: 2, max: 100 })
+    .withMessage('validation.nameArLength'),
+
+  body('address')
+    .trim()
+    .notEmpty()
+    .withMessage('validation.addressRequired')
+    .isLength({ max: 500 })
+    .withMessage('validation.addressLength'),
+
+  body('addressAr')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('validation.addressLength'),
+
+  body('city')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('validation.cityLength'),
+
+  body('phone')
+    .optional({ nullable: true })
+    .trim()
+    .matches(/^[+]?[\d\s\-()]+$/)
+    .withMessage('validation.phoneNumber')
+    .isLength({ min: 8, max: 20 })
+    .withMessage('validation.phoneLength'),
+
+  body('openingHours')
+    .custom(isValidOpeningHours)
+    .withMessage('validation.openingHoursInvalid'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('validation.invalidBoolean')
+    .toBoolean(),
+
+  validate
+];
+
+// Update branch (all fields optional)
+const updateBranchValidation = [
+  branchIdParam,
+
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('validation.nameLength'),
+
+  body('nameAr')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('validation.nameArLength'),
+
+  body('address')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('validation.addressRequired')
+    .isLength({ max: 500 })
+    .withMessage('validation.addressLength'),
+
+  body('addressAr')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('validation.addressLength'),
+
+  body('city')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('validation.cityLength'),
+
+  body('phone')
+    .optional({ nullable: true })
+    .trim()
+    .matches(/^[+]?[\d\s\-()]+$/)
+    .withMessage('validation.phoneNumber')
+    .isLength({ min: 8, max: 20 })
+    .withMessage('validation.phoneLength'),
+
+  body('openingHours')
+    .optional()
+    .custom(isValidOpeningHours)
+    .withMessage('validation.openingHoursInvalid'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('validation.invalidBoolean')
+    .toBoolean(),
+
+  validate
+];
+
+// List branches
+const listBranchesValidation = [
+  query('city')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('validation.cityLength'),
+
+  query('includeInactive')
+    .optional()
+    .isBoolean()
+    .withMessage('validation.invalidBoolean'),
+
+  validate
+];
+
+// Get branch / list its rooms
+const branchIdValidation = [
+  branchIdParam,
+
+  validate
+];
+
+// Create meeting room
+const createRoomValidation = [
+  branchIdParam,
+
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('validation.nameRequired')
+    .isLength({ min: 1, max: 100 })
+    .withMessage('validation.nameLength'),
+
+  body('nameAr')
+    .trim()
+    .notEmpty()
+    .withMessage('validation.nameArRequired')
+    .isLength({ min: 1, max: 100 })
+    .withMessage('validation.nameArLength'),
+
+  body('capacity')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('validation.capacityInvalid')
+    .toInt(),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('validation.invalidBoolean')
+    .toBoolean(),
+
+  validate
+];
+
+// Update meeting room
+const updateRoomValidation = [
+  branchIdParam,
+
+  param('roomId')
+    .isInt({ min: 1 })
+    .withMessage('validation.meetingRoomIdInvalid')
+    .toInt(),
+
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('validation.nameLength'),
+
+  body('nameAr')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('validation.nameArLength'),
+
+  body('capacity')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('validation.capacityInvalid')
+    .toInt(),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('validation.invalidBoolean')
+    .toBoolean(),
+
+  validate
+];
+
+// Daily room schedule
+const branchScheduleValidation = [
+  branchIdParam,
+
+  query('date')
+    .notEmpty()
+    .withMessage('validation.scheduleDateRequired')
+    .isDate()
+    .withMessage('validation.scheduleDateInvalid'),
+
+  validate
+];
+
+module.exports = {
+  createBranchValidation,
+  updateBranchValidation,
+  listBranchesValidation,
+  branchIdValidation,
+  createRoomValidation,
+  updateRoomValidation,
+  branchScheduleValidation
+};
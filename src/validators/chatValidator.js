@@ -0,0 +1,78 @@
+const { body, param, query } = require('express-validator');
+const { validate } = require('@middleware/validation');
+
+/**
+ * Chat Validators
+ */
+
+// Service request ID in the path
+const requestIdParam = param('requestId')
+  .isInt({ min: 1 })
+  .withMessage('validation.requestIdInvalid');
+
+// Chat of a request (open, get, close, reopen)
+const chatRequestValidation = [
+  requestIdParam,
+
+  validate
+];
+
+// Message history
+const listMessagesValidation = [
+  requestIdParam,
+
+  query('before')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('validation.messageIdInvalid'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('validation.limitInvalid'),
+
+  validate
+];
+
+// Send message (runs after the attachment upload)
+const sendMessageValidation = [
+  requestIdParam,
+
+  body('body')
+    .optional()
+    .isString()
+    .withMessage('validation.messageBodyInvalid'),
+
+  validate
+];
+
+// Mark as read
+const markAsReadValidation = [
+  requestIdParam,
+
+  body('messageId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('validation.messageIdInvalid'),
+
+  validate
+];
+
+// Attachment download
+const attachmentValidation = [
+  requestIdParam,
+
+  param('attachmentId')
+    .isInt({ min: 1 })
+    .withMessage('validation.attachmentIdInvalid'),
+
+  validate
+];
+
+module.exports = {
+  chatRequestValidation,
+  listMessagesValidation,
+  sendMessageValidation,
+  markAsReadValidation,
+  attachmentValidation
+};
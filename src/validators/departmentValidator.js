@@ -1,5 +1,30 @@
 const { body, param, query } = require('express-validator');
 const { validate } = require('@middleware/validation');
+const { ASSIGNMENT_STRATEGIES } = require('@constants/agentAssignment');
+const { SLA_METRICS, DEFAULT_SLA_TARGETS } = require('@constants/sla');
+
+/**
+ * SLA overrides: { <priority>: { <metric>: minutes } }
+ */
+const isValidSlaTargets = (value) => {
+  if (value === null) {
+    return true;
+  }
+
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return false;
+  }
+
+  const metrics = Object.values(SLA_METRICS);
+
+  return Object.entries(value).every(([priority, targets]) => {
+    return DEFAULT_SLA_TARGETS[priority] !== undefined &&
+      targets !== null && typeof targets === 'object' && !Array.isArray(targets) &&
+      Object.entries(targets).every(([metric, minutes]) => {
+        return metrics.includes(metric) && Number.isInteger(minutes) && minutes > 0;
+      });
+  });
+};
 
 /**
  * Validation for creating department
@@ -25,6 +50,26 @@ const createDepartmentValidation = [
     .isBoolean()
     .withMessage('validation.invalidBoolean'),
 
+  body('assignmentStrategy')
+    .optional()
+    .isIn(Object.values(ASSIGNMENT_STRATEGIES))
+    .withMessage('validation.assignmentStrategyInvalid'),
+
+  body('slaTargets')
+    .optional({ nullable: true })
+    .custom(isValidSlaTargets)
+    .withMessage('validation.slaTargetsInvalid'),
+
+  body('escalationAdminIds')
+    .optional({ nullable: true })
+    .isArray()
+    .withMessage('validation.escalationAdminIdsInvalid'),
+
+  body('escalationAdminIds.*')
+    .isInt({ min: 1 })
+    .withMessage('validation.escalationAdminIdsInvalid')
+    .toInt(),
+
   validate
 ];
 
@@ -57,6 +102,26 @@ const updateDepartmentValidation = [
     .isBoolean()
     .withMessage('validation.invalidBoolean'),
 
+  body('assignmentStrategy')
+    .optional()
+    .isIn(Object.values(ASSIGNMENT_STRATEGIES))
+    .withMessage('validation.assignmentStrategyInvalid'),
+
+  body('slaTargets')
+    .optional({ nullable: true })
+    .custom(isValidSlaTargets)
+    .withMessage('validation.slaTargetsInvalid'),
+
+  body('escalationAdminIds')
+    .optional({ nullable: true })
+    .isArray()
+    .withMessage('validation.escalationAdminIdsInvalid'),
+
+  body('escalationAdminIds.*')
+    .isInt({ min: 1 })
+    .withMessage('validation.escalationAdminIdsInvalid')
+    .toInt(),
+
   validate
 ];
 
@@ -0,0 +1,40 @@
+const { param, query } = require('express-validator');
+const { validate } = require('@middleware/validation');
+
+/**
+ * Notification Validators
+ */
+
+// Own notifications
+const listNotificationsValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('validation.pageInvalid'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('validation.limitInvalid'),
+
+  query('unreadOnly')
+    .optional()
+    .isBoolean()
+    .withMessage('validation.unreadOnlyInvalid'),
+
+  validate
+];
+
+// Mark one read
+const notificationIdValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('validation.notificationIdInvalid'),
+
+  validate
+];
+
+module.exports = {
+  listNotificationsValidation,
+  notificationIdValidation
+};
@@ -0,0 +1,27 @@
+const { param } = require('express-validator');
+const { validate } = require('@middleware/validation');
+
+/**
+ * Payment Validators
+ */
+
+const paymentIdValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('validation.paymentIdInvalid'),
+
+  validate
+];
+
+const webhookValidation = [
+  param('gateway')
+    .matches(/^[a-z0-9_-]{1,30}$/)
+    .withMessage('validation.paymentGatewayInvalid'),
+
+  validate
+];
+
+module.exports = {
+  paymentIdValidation,
+  webhookValidation
+};
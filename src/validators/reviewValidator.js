@@ -0,0 +1,87 @@
+const { body, param, query } = require('express-validator');
+const { validate } = require('@middleware/validation');
+
+/**
+ * Review Validators
+ */
+
+// Public list of an agent's reviews
+const agentReviewsValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('validation.agentIdInvalid'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('validation.pageInvalid'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('validation.limitInvalid'),
+
+  validate
+];
+
+// Moderation list
+const listReviewsValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('validation.pageInvalid'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('validation.limitInvalid'),
+
+  query('status')
+    .optional()
+    .isIn(['visible', 'hidden'])
+    .withMessage('validation.statusInvalid'),
+
+  query('agentId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('validation.agentIdInvalid'),
+
+  query('rating')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('validation.ratingInvalid'),
+
+  validate
+];
+
+// Hide review
+const hideReviewValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('validation.reviewIdInvalid'),
+
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('validation.reasonRequired')
+    .isLength({ max: 1000 })
+    .withMessage('validation.reasonLength'),
+
+  validate
+];
+
+// Unhide review
+const reviewIdValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('validation.reviewIdInvalid'),
+
+  validate
+];
+
+module.exports = {
+  agentReviewsValidation,
+  listReviewsValidation,
+  hideReviewValidation,
+  reviewIdValidation
+};
@@ -1,10 +1,42 @@
 const { body, param, query } = require('express-validator');
 const { validate } = require('@middleware/validation');
+const {
+  SERVICE_REQUEST_STATUSES,
+  ATTENDANCE_STATUSES,
+  FOLLOW_UP_FREQUENCIES,
+  BULK_ACTIONS
+} = require('@constants/serviceRequestWorkflow');
+const { SORT_FIELDS } = require('@constants/serviceRequestSearch');
+const { EXPORT_FORMATS, EXPORT_COLUMNS } = require('@constants/serviceRequestExport');
 
 /**
  * Validation rules for service requests
  */
 
+/**
+ * Multipart bodies and query strings send lists as repeated fields or "a,b,c"
+ */
+const toList = (value) => {
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => String(item).trim()).filter(item => item !== '');
+};
+
+const toIdList = (value) => toList(value).map(item => Number(item));
+
+const isIdList = (messageKey) => (ids) => {
+  if (!ids.every(id => Number.isInteger(id) && id > 0)) {
+    throw new Error(messageKey);
+  }
+  return true;
+};
+
+const isListOf = (allowed, messageKey) => (values) => {
+  if (!values.every(value => allowed.includes(value))) {
+    throw new Error(messageKey);
+  }
+  return true;
+};
+
 /**
  * Create service request validation
  */
@@ -94,6 +126,38 @@ const createRequestValidation = [
     .isInt({ min: 1 })
     .withMessage('validation.agentIdInvalid'),
 
+  body('branchId')
+    .if(body('meetingType').equals('offline'))
+    .notEmpty()
+    .withMessage('validation.branchIdRequired')
+    .isInt({ min: 1 })
+    .withMessage('validation.branchIdInvalid')
+    .toInt(),
+
+  body('applicationTypeId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('validation.invalidApplicationTypeId')
+    .toInt(),
+
+  body('additionalServiceIds')
+    .optional()
+    .customSanitizer(toIdList)
+    .custom(isIdList('validation.additionalServiceIdsInvalid'))
+    .custom((ids, { req }) => {
+      if (ids.length > 0 && !req.body.applicationTypeId) {
+        throw new Error('validation.applicationTypeIdRequired');
+      }
+      return true;
+    }),
+
+  // One name per uploaded file (same order), telling which required document it provides
+  body('documentNames')
+    .optional()
+    .customSanitizer(value => (Array.isArray(value) ? value : [value]))
+    .custom(names => names.every(name => typeof name === 'string' && name.trim().length <= 150))
+    .withMessage('validation.documentNamesInvalid'),
+
   validate
 ];
 
@@ -183,6 +247,309 @@ const completeRequestValidation = [
   validate
 ];
 
+/**
+ * Request documents validation
+ */
+const requestDocumentsValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('validation.requestIdInvalid'),
+
+  body('reason')
+    .notEmpty()
+    .withMessage('validation.reasonRequired')
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('validation.reasonLength'),
+
+  body('documents')
+    .isArray({ min: 1, max: 10 })
+    .withMessage('validation.requiredDocumentsInvalid'),
+
+  body('documents.*.name')
+    .trim()
+    .notEmpty()
+    .withMessage('validation.documentNameRequired')
+    .isLength({ max: 150 })
+    .withMessage('validation.documentNameLength'),
+
+  body('documents.*.description')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('validation.descriptionLength'),
+
+  validate
+];
+
+/**
+ * Upload additional documents validation (runs after multer)
+ */
+const uploadRequestDocumentsValidation = [
+  body('requirementId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('validation.documentRequirementIdInvalid'),
+
+  validate
+];
+
+/**
+ * Review uploaded document validation
+ */
+const reviewDocumentValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('validation.requestIdInvalid'),
+
+  param('documentId')
+    .isInt({ min: 1 })
+    .withMessage('validation.documentIdInvalid'),
+
+  body('status')
+    .isIn(['accepted', 'rejected'])
+    .withMessage('validation.documentReviewStatusInvalid'),
+
+  body('reason')
+    .if(body('status').equals('rejected'))
+    .notEmpty()
+    .withMessage('validation.reasonRequired')
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('validation.reasonLength'),
+
+  validate
+];
+
+/**
+ * Reschedule request validation
+ */
+const rescheduleRequestValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('validation.requestIdInvalid'),
+
+  body('meetingDate')
+    .notEmpty()
+    .withMessage('validation.meetingDateRequired')
+    .isDate()
+    .withMessage('validation.meetingDateInvalid'),
+
+  body('meetingTime')
+    .notEmpty()
+    .withMessage('validation.meetingTimeRequired')
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/)
+    .withMessage('validation.meetingTimeInvalid'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('validation.reasonLength'),
+
+  validate
+];
+
+/**
+ * Propose reschedule validation
+ */
+const proposeRescheduleValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('validation.requestIdInvalid'),
+
+  body('meetingDate')
+    .notEmpty()
+    .withMessage('validation.meetingDateRequired')
+    .isDate()
+    .withMessage('validation.meetingDateInvalid'),
+
+  body('meetingTime')
+    .notEmpty()
+    .withMessage('validation.meetingTimeRequired')
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/)
+    .withMessage('validation.meetingTimeInvalid'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('validation.reasonLength'),
+
+  validate
+];
+
+/**
+ * Accept/decline reschedule proposal validation
+ */
+const respondRescheduleValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('validation.requestIdInvalid'),
+
+  param('proposalId')
+    .isInt({ min: 1 })
+    .withMessage('validation.proposalIdInvalid'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('validation.reasonLength'),
+
+  validate
+];
+
+/**
+ * Accept/decline reassignment validation
+ */
+const respondReassignmentValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('validation.requestIdInvalid'),
+
+  param('reassignmentId')
+    .isInt({ min: 1 })
+    .withMessage('validation.reassignmentIdInvalid'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('validation.reasonLength'),
+
+  validate
+];
+
+/**
+ * Reassignment queue validation
+ */
+const reassignmentQueueValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('validation.pageInvalid'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('validation.limitInvalid'),
+
+  query('categoryId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('validation.categoryIdInvalid'),
+
+  validate
+];
+
+/**
+ * User self-cancel validation
+ */
+const cancelMyRequestValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('validation.requestIdInvalid'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('validation.reasonLength'),
+
+  validate
+];
+
+/**
+ * Submit review validation
+ */
+const submitReviewValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('validation.requestIdInvalid'),
+
+  body('rating')
+    .notEmpty()
+    .withMessage('validation.ratingRequired')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('validation.ratingInvalid')
+    .toInt(),
+
+  body('comment')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('validation.reviewCommentLength'),
+
+  validate
+];
+
+/**
+ * Update review validation
+ */
+const updateReviewValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('validation.requestIdInvalid'),
+
+  body('rating')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('validation.ratingInvalid')
+    .toInt(),
+
+  body('comment')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('validation.reviewCommentLength'),
+
+  validate
+];
+
+/**
+ * Mark no-show validation
+ */
+const markNoShowValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('validation.requestIdInvalid'),
+
+  validate
+];
+
+/**
+ * Record attendance validation
+ */
+const recordAttendanceValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('validation.requestIdInvalid'),
+
+  body('attendance')
+    .isIn(Object.values(ATTENDANCE_STATUSES))
+    .withMessage('validation.attendanceInvalid'),
+
+  body(['actualStartAt', 'actualEndAt'])
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('validation.dateFormat')
+    .custom((value) => {
+      if (new Date(value) > new Date()) {
+        throw new Error('validation.actualTimeInFuture');
+      }
+      return true;
+    }),
+
+  body('note')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage('validation.notesTooLong'),
+
+  validate
+];
+
 /**
  * Cancel request validation
  */
@@ -201,6 +568,116 @@ const cancelRequestValidation = [
   validate
 ];
 
+/**
+ * Create follow-up meetings validation
+ */
+const createFollowUpValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('validation.requestIdInvalid'),
+
+  body('meetingDate')
+    .notEmpty()
+    .withMessage('validation.meetingDateRequired')
+    .isDate()
+    .withMessage('validation.meetingDateInvalid'),
+
+  body('meetingTime')
+    .notEmpty()
+    .withMessage('validation.meetingTimeRequired')
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/)
+    .withMessage('validation.meetingTimeInvalid'),
+
+  body('meetingDuration')
+    .optional()
+    .isInt({ min: 15, max: 480 })
+    .withMessage('validation.meetingDurationInvalid'),
+
+  body('meetingType')
+    .optional()
+    .isIn(['online', 'offline'])
+    .withMessage('validation.meetingTypeInvalid'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage('validation.notesTooLong'),
+
+  body('recurrence')
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage('validation.recurrenceInvalid'),
+
+  body('recurrence.frequency')
+    .if(body('recurrence').exists({ checkNull: true }))
+    .isIn(FOLLOW_UP_FREQUENCIES)
+    .withMessage('validation.recurrenceFrequencyInvalid'),
+
+  body('recurrence.count')
+    .if(body('recurrence').exists({ checkNull: true }))
+    .isInt({ min: 2 })
+    .withMessage('validation.recurrenceCountInvalid')
+    .toInt(),
+
+  validate
+];
+
+/**
+ * Cancel follow-up meetings validation (one with :followUpId, else all open ones)
+ */
+const cancelFollowUpsValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('validation.requestIdInvalid'),
+
+  param('followUpId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('validation.requestIdInvalid'),
+
+  body('reason')
+    .notEmpty()
+    .withMessage('validation.reasonRequired')
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('validation.reasonLength'),
+
+  validate
+];
+
+/**
+ * Assign meeting room validation
+ */
+const assignRoomValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('validation.requestIdInvalid'),
+
+  body('meetingRoomId')
+    .notEmpty()
+    .withMessage('validation.meetingRoomIdRequired')
+    .isInt({ min: 1 })
+    .withMessage('validation.meetingRoomIdInvalid')
+    .toInt(),
+
+  validate
+];
+
+/**
+ * Front-desk check-in validation (short code or signed QR payload)
+ */
+const checkInValidation = [
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('validation.checkInCodeRequired')
+    .isLength({ max: 100 })
+    .withMessage('validation.checkInCodeInvalid'),
+
+  validate
+];
+
 /**
  * Update priority validation
  */
@@ -236,6 +713,57 @@ const addAdminNotesValidation = [
   validate
 ];
 
+/**
+ * Bulk action validation (Admin)
+ * Each action requires the same field as its single-request endpoint
+ */
+const bulkActionValidation = [
+  body('ids')
+    .isArray({ min: 1 })
+    .withMessage('validation.bulkIdsInvalid'),
+
+  body('ids.*')
+    .isInt({ min: 1 })
+    .withMessage('validation.requestIdInvalid')
+    .toInt(),
+
+  body('action')
+    .isIn(BULK_ACTIONS)
+    .withMessage('validation.bulkActionInvalid'),
+
+  body('agentId')
+    .if(body('action').equals('assign'))
+    .notEmpty()
+    .withMessage('validation.agentIdRequired')
+    .isInt({ min: 1 })
+    .withMessage('validation.agentIdInvalid'),
+
+  body('priority')
+    .if(body('action').equals('priority'))
+    .notEmpty()
+    .withMessage('validation.priorityRequired')
+    .isIn(['low', 'normal', 'high', 'urgent'])
+    .withMessage('validation.priorityInvalid'),
+
+  body('reason')
+    .if(body('action').equals('cancel'))
+    .notEmpty()
+    .withMessage('validation.reasonRequired')
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('validation.reasonLength'),
+
+  body('notes')
+    .if(body('action').equals('note'))
+    .notEmpty()
+    .withMessage('validation.notesRequired')
+    .trim()
+    .isLength({ min: 5, max: 5000 })
+    .withMessage('validation.notesLength'),
+
+  validate
+];
+
 /**
  * Get request by ID validation
  */
@@ -263,7 +791,7 @@ const listRequestsValidation = [
 
   query('status')
     .optional()
-    .isIn(['pending', 'approved', 'rejected', 'completed', 'cancelled'])
+    .isIn(Object.values(SERVICE_REQUEST_STATUSES))
     .withMessage('validation.statusInvalid'),
 
   query('categoryId')
@@ -281,6 +809,186 @@ const listRequestsValidation = [
     .isIn(['low', 'normal', 'high', 'urgent'])
     .withMessage('validation.priorityInvalid'),
 
+  query('slaBreached')
+    .optional()
+    .isBoolean()
+    .withMessage('validation.invalidBoolean'),
+
+  validate
+];
+
+/**
+ * Admin search filters, shared by the listing and its export
+ * List filters accept repeated fields or comma separated values (?status=pending,approved)
+ */
+const searchFilterRules = [
+  query('status')
+    .optional()
+    .customSanitizer(toList)
+    .custom(isListOf(Object.values(SERVICE_REQUEST_STATUSES), 'validation.statusInvalid')),
+
+  query('priority')
+    .optional()
+    .customSanitizer(toList)
+    .custom(isListOf(['low', 'normal', 'high', 'urgent'], 'validation.priorityInvalid')),
+
+  query('categoryId')
+    .optional()
+    .customSanitizer(toIdList)
+    .custom(isIdList('validation.categoryIdInvalid')),
+
+  query('agentId')
+    .optional()
+    .customSanitizer(toIdList)
+    .custom(isIdList('validation.agentIdInvalid')),
+
+  query('serviceId')
+    .optional()
+    .customSanitizer(toIdList)
+    .custom(isIdList('validation.serviceIdInvalid')),
+
+  query(['meetingDateFrom', 'meetingDateTo', 'createdFrom', 'createdTo'])
+    .optional()
+    .isDate()
+    .withMessage('validation.dateFormat'),
+
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('validation.searchLength'),
+
+  query('sort')
+    .optional()
+    .custom(value => toList(value).every(field => SORT_FIELDS[field.replace(/^-/, '')]))
+    .withMessage('validation.invalidSortField'),
+
+  query('slaBreached')
+    .optional()
+    .isBoolean()
+    .withMessage('validation.invalidBoolean')
+];
+
+/**
+ * Admin search validation
+ */
+const searchRequestsValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('validation.pageInvalid'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('validation.limitInvalid'),
+
+  query('cursor')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('validation.cursorInvalid'),
+
+  ...searchFilterRules,
+
+  validate
+];
+
+const exportFormatRule = query('format')
+  .optional()
+  .isIn(Object.values(EXPORT_FORMATS))
+  .withMessage('validation.exportFormatInvalid');
+
+/**
+ * Admin request export validation (same filters as the search)
+ */
+const exportRequestsValidation = [
+  exportFormatRule,
+
+  query('columns')
+    .optional()
+    .customSanitizer(toList)
+    .custom(isListOf(EXPORT_COLUMNS, 'validation.exportColumnsInvalid')),
+
+  ...searchFilterRules,
+
+  validate
+];
+
+/**
+ * Statistics export validation
+ */
+const exportStatisticsValidation = [
+  exportFormatRule,
+
+  query('agentId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('validation.agentIdInvalid'),
+
+  query('categoryId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('validation.categoryIdInvalid'),
+
+  query(['startDate', 'endDate'])
+    .optional()
+    .isISO8601()
+    .withMessage('validation.dateFormat'),
+
+  validate
+];
+
+/**
+ * Availability query validation
+ */
+const availabilityValidation = [
+  query('categoryId')
+    .notEmpty()
+    .withMessage('validation.categoryIdRequired')
+    .isInt({ min: 1 })
+    .withMessage('validation.categoryIdInvalid'),
+
+  query('agentId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('validation.agentIdInvalid'),
+
+  query('from')
+    .notEmpty()
+    .withMessage('validation.fromDateRequired')
+    .isDate()
+    .withMessage('validation.dateFormat'),
+
+  query('to')
+    .notEmpty()
+    .withMessage('validation.toDateRequired')
+    .isDate()
+    .withMessage('validation.dateFormat'),
+
+  query('duration')
+    .optional()
+    .isInt({ min: 15, max: 480 })
+    .withMessage('validation.meetingDurationInvalid'),
+
+  validate
+];
+
+/**
+ * Price quote validation
+ */
+const quoteValidation = [
+  query('applicationTypeId')
+    .notEmpty()
+    .withMessage('validation.applicationTypeIdRequired')
+    .isInt({ min: 1 })
+    .withMessage('validation.invalidApplicationTypeId')
+    .toInt(),
+
+  query('additionalServiceIds')
+    .optional()
+    .customSanitizer(toIdList)
+    .custom(isIdList('validation.additionalServiceIdsInvalid')),
+
   validate
 ];
 
@@ -294,7 +1002,30 @@ module.exports = {
   cancelRequestValidation,
   updatePriorityValidation,
   addAdminNotesValidation,
+  bulkActionValidation,
   getRequestValidation,
-  listRequestsValidation
+  listRequestsValidation,
+  searchRequestsValidation,
+  exportRequestsValidation,
+  exportStatisticsValidation,
+  availabilityValidation,
+  quoteValidation,
+  requestDocumentsValidation,
+  uploadRequestDocumentsValidation,
+  reviewDocumentValidation,
+  rescheduleRequestValidation,
+  markNoShowValidation,
+  recordAttendanceValidation,
+  createFollowUpValidation,
+  cancelFollowUpsValidation,
+  assignRoomValidation,
+  checkInValidation,
+  proposeRescheduleValidation,
+  respondRescheduleValidation,
+  respondReassignmentValidation,
+  reassignmentQueueValidation,
+  cancelMyRequestValidation,
+  submitReviewValidation,
+  updateReviewValidation
 };
 
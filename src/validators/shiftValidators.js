@@ -182,3 +182,190 @@ exports.pendingRequestsFiltersValidation = [
   validate
 ];
 
+
+/**
+ * Shift ID param validation
+ */
+exports.shiftIdValidation = [
+  param('id')
+    .notEmpty()
+    .withMessage('Shift ID is required')
+    .isInt({ min: 1 })
+    .withMessage('Invalid shift ID'),
+  validate
+];
+
+/**
+ * Shift list filters validation
+ */
+exports.shiftFiltersValidation = [
+  query('includeInactive')
+    .optional()
+    .isBoolean()
+    .withMessage('includeInactive must be a boolean')
+    .toBoolean(),
+  validate
+];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+/**
+ * Break policy fields, under `prefix` (e.g. 'breakPolicy.') when nested in a shift
+ */
+const breakPolicyRules = (prefix = '') => [
+  body(`${prefix}maxBreaksPerDay`)
+    .optional()
+    .isInt({ min: 0, max: 10 })
+    .withMessage('Max breaks per day must be between 0 and 10')
+    .toInt(),
+  body(`${prefix}minDuration`)
+    .optional()
+    .isInt({ min: 1, max: 120 })
+    .withMessage('Minimum break duration must be between 1 and 120 minutes')
+    .toInt(),
+  body(`${prefix}maxDuration`)
+    .optional()
+    .isInt({ min: 1, max: 240 })
+    .withMessage('Maximum break duration must be between 1 and 240 minutes')
+    .toInt(),
+  body(`${prefix}autoApproveLimit`)
+    .optional()
+    .isInt({ min: 0, max: 240 })
+    .withMessage('Auto-approve limit must be between 0 and 240 minutes')
+    .toInt(),
+  body(`${prefix}cooldownMinutes`)
+    .optional()
+    .isInt({ min: 0, max: 720 })
+    .withMessage('Cooldown must be between 0 and 720 minutes')
+    .toInt(),
+  body(`${prefix}preferredStartTime`)
+    .optional({ nullable: true })
+    .matches(TIME_PATTERN)
+    .withMessage('Invalid preferred start time (HH:MM)'),
+  body(`${prefix}preferredEndTime`)
+    .optional({ nullable: true })
+    .matches(TIME_PATTERN)
+    .withMessage('Invalid preferred end time (HH:MM)'),
+  body(`${prefix}blockDuringMeetings`)
+    .optional()
+    .isBoolean()
+    .withMessage('blockDuringMeetings must be a boolean')
+    .toBoolean(),
+  body(`${prefix}meetingBufferMinutes`)
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 120 })
+    .withMessage('Meeting buffer must be between 0 and 120 minutes')
+    .toInt(),
+  body(`${prefix}allowedBreakTypes`)
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Allowed break types must be a non-empty array'),
+  body(`${prefix}allowedBreakTypes.*`)
+    .isIn(['short', 'lunch', 'emergency'])
+    .withMessage('Invalid break type. Must be: short, lunch, or emergency')
+];
+
+/**
+ * Shift fields; required on create, optional on update
+ */
+const shiftRules = (isUpdate) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .trim()
+      .notEmpty()
+      .withMessage('Shift name is required')
+      .isLength({ max: 50 })
+      .withMessage('Shift name must not exceed 50 characters'),
+    field('nameAr')
+      .trim()
+      .notEmpty()
+      .withMessage('Arabic shift name is required')
+      .isLength({ max: 50 })
+      .withMessage('Arabic shift name must not exceed 50 characters'),
+    field('startTime')
+      .notEmpty()
+      .withMessage('Start time is required')
+      .matches(TIME_PATTERN)
+      .withMessage('Invalid start time (HH:MM)'),
+    field('endTime')
+      .notEmpty()
+      .withMessage('End time is required')
+      .matches(TIME_PATTERN)
+      .withMessage('Invalid end time (HH:MM)'),
+    body('gracePeriod')
+      .optional()
+      .isInt({ min: 0, max: 240 })
+      .withMessage('Grace period must be between 0 and 240 minutes')
+      .toInt(),
+    body('allowOvertime')
+      .optional()
+      .isBoolean()
+      .withMessage('allowOvertime must be a boolean')
+      .toBoolean(),
+    body('overtimeRequiresApproval')
+      .optional()
+      .isBoolean()
+      .withMessage('overtimeRequiresApproval must be a boolean')
+      .toBoolean(),
+    body('maxOvertimeMinutes')
+      .optional({ nullable: true })
+      .isInt({ min: 0, max: 720 })
+      .withMessage('Max overtime must be between 0 and 720 minutes')
+      .toInt(),
+    body('assignmentType')
+      .optional()
+      .isIn(['all', 'department', 'specific'])
+      .withMessage('Invalid assignment type. Must be: all, department, or specific'),
+    body('departmentId')
+      .if(body('assignmentType').equals('department'))
+      .notEmpty()
+      .withMessage('Department ID is required for department shifts'),
+    body('departmentId')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('Invalid department ID')
+      .toInt()
+  ];
+};
+
+/**
+ * Create shift validation (with an optional breakPolicy object)
+ */
+exports.createShiftValidation = [
+  ...shiftRules(false),
+  body('breakPolicy')
+    .optional()
+    .isObject()
+    .withMessage('Break policy must be an object'),
+  ...breakPolicyRules('breakPolicy.'),
+  validate
+];
+
+/**
+ * Update shift validation
+ */
+exports.updateShiftValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Invalid shift ID'),
+  ...shiftRules(true),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+    .toBoolean(),
+  validate
+];
+
+/**
+ * Update break policy validation
+ */
+exports.updateBreakPolicyValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Invalid shift ID'),
+  ...breakPolicyRules(),
+  validate
+];
@@ -0,0 +1,88 @@
+const { body, param, query } = require('express-validator');
+const { validate } = require('@middleware/validation');
+
+/**
+ * Waitlist Validators
+ */
+
+// Join the waitlist
+const joinWaitlistValidation = [
+  body('categoryId')
+    .notEmpty()
+    .withMessage('validation.categoryIdRequired')
+    .isInt({ min: 1 })
+    .withMessage('validation.categoryIdInvalid')
+    .toInt(),
+
+  body('agentId')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('validation.agentIdInvalid')
+    .toInt(),
+
+  body('dateFrom')
+    .notEmpty()
+    .withMessage('validation.waitlistDateFromRequired')
+    .isDate()
+    .withMessage('validation.waitlistDateFromInvalid'),
+
+  body('dateTo')
+    .notEmpty()
+    .withMessage('validation.waitlistDateToRequired')
+    .isDate()
+    .withMessage('validation.waitlistDateToInvalid'),
+
+  body('meetingType')
+    .notEmpty()
+    .withMessage('validation.meetingTypeRequired')
+    .isIn(['online', 'offline'])
+    .withMessage('validation.meetingTypeInvalid'),
+
+  body('meetingDuration')
+    .optional()
+    .isInt({ min: 15, max: 480 })
+    .withMessage('validation.meetingDurationInvalid'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage('validation.notesTooLong'),
+
+  validate
+];
+
+// Own entries
+const listWaitlistValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('validation.pageInvalid'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('validation.limitInvalid'),
+
+  query('status')
+    .optional()
+    .isIn(['waiting', 'offered', 'booked', 'cancelled', 'expired'])
+    .withMessage('validation.statusInvalid'),
+
+  validate
+];
+
+// Accept, decline or leave
+const waitlistEntryIdValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('validation.waitlistEntryIdInvalid'),
+
+  validate
+];
+
+module.exports = {
+  joinWaitlistValidation,
+  listWaitlistValidation,
+  waitlistEntryIdValidation
+};
@@ -0,0 +1,31 @@
+const { Worker } = require('../services/Queue');
+const { connection } = require('../services/Queue');
+const MeetingReminderService = require('../services/MeetingReminderService');
+const logger = require('../utils/logger');
+
+// Meeting reminder worker (jobs scheduled by MeetingReminderService)
+new Worker('reminder', async (job) => {
+  const { requestId, offsetMinutes } = job.data;
+  
+  logger.info('Processing meeting reminder job', {
+    jobId: job.id,
+    requestId,
+    offsetMinutes
+  });
+  
+  try {
+    return await MeetingReminderService.send(job.data);
+  } catch (error) {
+    logger.error('Meeting reminder failed', {
+      jobId: job.id,
+      requestId,
+      error: error.message
+    });
+    throw error;
+  }
+}, {
+  connection,
+  concurrency: parseInt(process.env.REMINDER_WORKER_CONCURRENCY) || 5
+});
+
+logger.info('✅ Reminder worker registered');
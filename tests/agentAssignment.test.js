@@ -0,0 +1,51 @@
+/**
+ * Agent Assignment Service unit tests
+ *
+ * Covers strategy selection with repository lookups mocked
+ */
+
+jest.mock('../src/repositories/ServiceRequestRepository', () => ({
+  findLastAutoAssigned: jest.fn(),
+  countOpenByAgentIds: jest.fn()
+}));
+
+const ServiceRequestRepository = require('../src/repositories/ServiceRequestRepository');
+const AgentAssignmentService = require('../src/services/AgentAssignmentService');
+
+describe('AgentAssignmentService.selectAgent', () => {
+  const candidates = [{ id: 2 }, { id: 5 }, { id: 9 }];
+  const context = { meetingDate: '2030-01-07', meetingTime: '10:00', duration: 60 };
+
+  it('should leave requests of manual departments unassigned', async () => {
+    const result = await AgentAssignmentService.selectAgent({ id: 1, assignmentStrategy: 'manual' }, candidates, context);
+
+    expect(result).toBeNull();
+  });
+
+  it('should rotate to the next agent after the last one picked', async () => {
+    ServiceRequestRepository.findLastAutoAssigned.mockResolvedValue({ agentId: 5 });
+
+    const result = await AgentAssignmentService.selectAgent({ id: 1, assignmentStrategy: 'round_robin' }, candidates, context);
+
+    expect(result.agent.id).toBe(9);
+    expect(result.strategy).toBe('round_robin');
+    expect(result.decision).toMatchObject({ candidates: [2, 5, 9], previousAgentId: 5 });
+  });
+
+  it('should wrap around when the last agent picked was the highest', async () => {
+    ServiceRequestRepository.findLastAutoAssigned.mockResolvedValue({ agentId: 9 });
+
+    const result = await AgentAssignmentService.selectAgent({ id: 1, assignmentStrategy: 'round_robin' }, candidates, context);
+
+    expect(result.agent.id).toBe(2);
+  });
+
+  it('should pick the agent with the fewest open requests', async () => {
+    ServiceRequestRepository.countOpenByAgentIds.mockResolvedValue({ 2: 4, 9: 1 });
+
+    const result = await AgentAssignmentService.selectAgent({ id: 1, assignmentStrategy: 'least_loaded' }, candidates, context);
+
+    expect(result.agent.id).toBe(5);
+    expect(result.decision.openRequests).toEqual({ 2: 4, 5: 0, 9: 1 });
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Meeting attendance unit tests
+ *
+ * Covers recording how a meeting went, the per-user no-show count and its booking block
+ */
+
+jest.mock('typeorm', () => ({
+  ...jest.requireActual('typeorm'),
+  getConnection: () => ({ transaction: (work) => work({}) })
+}));
+
+jest.mock('../src/repositories/ServiceRequestRepository', () => ({
+  findById: jest.fn(),
+  update: jest.fn(),
+  getStatistics: jest.fn()
+}));
+
+jest.mock('../src/repositories/UserRepository', () => ({
+  findById: jest.fn(),
+  incrementNoShowCount: jest.fn()
+}));
+
+jest.mock('../src/services/ServiceRequestEventService', () => ({
+  record: jest.fn()
+}));
+
+jest.mock('../src/services/InvoiceService', () => ({
+  assertPaid: jest.fn()
+}));
+
+jest.mock('../src/services/MeetingReminderService', () => ({
+  schedule: jest.fn(),
+  cancel: jest.fn()
+}));
+
+jest.mock('../src/services/SlaService', () => ({
+  getSummary: jest.fn()
+}));
+
+const ServiceRequestRepository = require('../src/repositories/ServiceRequestRepository');
+const UserRepository = require('../src/repositories/UserRepository');
+const ServiceRequestEventService = require('../src/services/ServiceRequestEventService');
+const InvoiceService = require('../src/services/InvoiceService');
+const SlaService = require('../src/services/SlaService');
+const ServiceRequestService = require('../src/services/ServiceRequestService');
+
+describe('Meeting attendance', () => {
+  const request = {
+    id: 20,
+    userId: 3,
+    agentId: 7,
+    status: 'approved',
+    meetingDate: '2026-01-10',
+    meetingTime: '10:00:00'
+  };
+  const agent = { type: 'AGENT', id: 7 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ServiceRequestRepository.findById.mockResolvedValue(request);
+    ServiceRequestRepository.update.mockImplementation(async (id, data) => ({ ...request, ...data }));
+  });
+
+  it('should complete an attended meeting with its actual times', async () => {
+    const updated = await ServiceRequestService.recordAttendance(20, agent, {
+      attendance: 'partially_attended',
+      actualStartAt: '2026-01-10T10:20:00',
+      actualEndAt: '2026-01-10T10:45:00',
+      note: 'User joined late'
+    });
+
+    expect(updated).toMatchObject({ status: 'completed', attendanceStatus: 'partially_attended' });
+    expect(updated.completedAt).toBeInstanceOf(Date);
+    expect(InvoiceService.assertPaid).toHaveBeenCalledWith(20);
+    expect(UserRepository.incrementNoShowCount).not.toHaveBeenCalled();
+    expect(ServiceRequestEventService.record).toHaveBeenCalledWith(20, 'completed', agent, expect.objectContaining({
+      metadata: expect.objectContaining({ attendance: 'partially_attended', note: 'User joined late' })
+    }), {});
+  });
+
+  it('should count a user no-show against the user only', async () => {
+    const updated = await ServiceRequestService.markNoShow(20, 7);
+
+    expect(updated).toMatchObject({ status: 'no_show', attendanceStatus: 'user_no_show' });
+    expect(UserRepository.incrementNoShowCount).toHaveBeenCalledWith(3, {});
+
+    await ServiceRequestService.recordAttendance(20, agent, { attendance: 'agent_no_show' });
+
+    expect(UserRepository.incrementNoShowCount).toHaveBeenCalledTimes(1);
+  });
+
+  it('should refuse attendance before the meeting starts or with inverted times', async () => {
+    ServiceRequestRepository.findById.mockResolvedValueOnce({ ...request, meetingDate: '2999-01-01' });
+
+    await expect(ServiceRequestService.recordAttendance(20, agent, { attendance: 'user_no_show' }))
+      .rejects.toMatchObject({ messageKey: 'serviceRequest.meetingNotStarted' });
+
+    await expect(ServiceRequestService.recordAttendance(20, agent, {
+      attendance: 'attended',
+      actualStartAt: '2026-01-10T11:00:00',
+      actualEndAt: '2026-01-10T10:00:00'
+    })).rejects.toMatchObject({ messageKey: 'serviceRequest.actualEndBeforeStart' });
+
+    expect(ServiceRequestRepository.update).not.toHaveBeenCalled();
+  });
+
+  it('should not record a user checked in at the front desk as a no-show', async () => {
+    ServiceRequestRepository.findById.mockResolvedValueOnce({ ...request, arrivedAt: new Date('2026-01-10T09:55:00') });
+
+    await expect(ServiceRequestService.recordAttendance(20, agent, { attendance: 'user_no_show' }))
+      .rejects.toMatchObject({ messageKey: 'serviceRequest.userCheckedIn' });
+    expect(UserRepository.incrementNoShowCount).not.toHaveBeenCalled();
+  });
+
+  it('should block bookings once the user reaches the no-show threshold', async () => {
+    UserRepository.findById.mockResolvedValue({ id: 3, noShowCount: 3 });
+    ServiceRequestService.noShowThreshold = 3;
+
+    await expect(ServiceRequestService.createRequest(3, { categoryId: 2 }))
+      .rejects.toMatchObject({ statusCode: 403, messageKey: 'serviceRequest.bookingBlockedNoShows' });
+
+    ServiceRequestService.noShowThreshold = 0;
+  });
+
+  it('should report no-show rates among meetings with a recorded attendance', async () => {
+    ServiceRequestRepository.getStatistics.mockResolvedValue({
+      total: 12,
+      byStatus: {},
+      byPriority: {},
+      byAttendance: { attended: 6, partially_attended: 1, user_no_show: 2, agent_no_show: 1 }
+    });
+    SlaService.getSummary.mockResolvedValue({});
+
+    const statistics = await ServiceRequestService.getStatistics();
+
+    expect(statistics.attendance).toEqual({
+      recorded: 10,
+      noShowRate: 0.3,
+      userNoShowRate: 0.2,
+      agentNoShowRate: 0.1
+    });
+  });
+});
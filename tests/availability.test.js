@@ -0,0 +1,70 @@
+/**
+ * Availability Service unit tests
+ *
+ * Covers the pure slot computation used by the booking engine
+ */
+
+const AvailabilityService = require('../src/services/AvailabilityService');
+
+describe('AvailabilityService.computeFreeSlots', () => {
+  const window = { workStart: 9 * 60, workEnd: 12 * 60, duration: 60, interval: 30 };
+
+  it('should return every interval-aligned slot in an empty window', () => {
+    const slots = AvailabilityService.computeFreeSlots(window);
+
+    expect(slots.map(s => s.start)).toEqual([540, 570, 600, 630, 660]);
+    expect(slots[slots.length - 1].end).toBe(12 * 60);
+  });
+
+  it('should skip slots overlapping busy intervals', () => {
+    const slots = AvailabilityService.computeFreeSlots({
+      ...window,
+      busy: [{ start: 600, end: 660 }]
+    });
+
+    expect(slots.map(s => s.start)).toEqual([540, 660]);
+  });
+
+  it('should allow a slot ending exactly when a meeting starts', () => {
+    const slots = AvailabilityService.computeFreeSlots({
+      ...window,
+      busy: [{ start: 600, end: 720 }]
+    });
+
+    expect(slots.map(s => s.start)).toEqual([540]);
+  });
+
+  it('should drop slots before notBefore', () => {
+    const slots = AvailabilityService.computeFreeSlots({ ...window, notBefore: 601 });
+
+    expect(slots.map(s => s.start)).toEqual([630, 660]);
+  });
+});
+
+describe('AvailabilityService date helpers', () => {
+  it('should expand an inclusive date range', () => {
+    expect(AvailabilityService._enumerateDates('2030-01-30', '2030-02-02')).toEqual([
+      '2030-01-30',
+      '2030-01-31',
+      '2030-02-01',
+      '2030-02-02'
+    ]);
+  });
+
+  it('should reject reversed ranges', () => {
+    expect(() => AvailabilityService._enumerateDates('2030-02-02', '2030-01-30')).toThrow(
+      'serviceRequest.invalidDateRange'
+    );
+  });
+
+  it('should reject ranges longer than the configured maximum', () => {
+    expect(() => AvailabilityService._enumerateDates('2030-01-01', '2030-03-01')).toThrow(
+      'serviceRequest.dateRangeTooLong'
+    );
+  });
+
+  it('should convert between times and minutes', () => {
+    expect(AvailabilityService._toMinutes('09:30:00')).toBe(570);
+    expect(AvailabilityService._fromMinutes(570)).toBe('09:30');
+  });
+});
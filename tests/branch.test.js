@@ -0,0 +1,140 @@
+/**
+ * Branch and meeting room unit tests
+ *
+ * Covers opening hours at booking, room allocation with conflict detection and the daily room schedule
+ */
+
+jest.mock('typeorm', () => ({
+  ...jest.requireActual('typeorm'),
+  getConnection: () => ({ transaction: (work) => work({}) })
+}));
+
+jest.mock('../src/repositories/BranchRepository', () => ({
+  findById: jest.fn(),
+  lockById: jest.fn()
+}));
+
+jest.mock('../src/repositories/MeetingRoomRepository', () => ({
+  findById: jest.fn(),
+  findByBranch: jest.fn()
+}));
+
+jest.mock('../src/repositories/ServiceRequestRepository', () => ({
+  findById: jest.fn(),
+  update: jest.fn(),
+  findRoomMeetings: jest.fn(),
+  findBranchMeetings: jest.fn()
+}));
+
+jest.mock('../src/services/ServiceRequestEventService', () => ({
+  record: jest.fn()
+}));
+
+const BranchRepository = require('../src/repositories/BranchRepository');
+const MeetingRoomRepository = require('../src/repositories/MeetingRoomRepository');
+const ServiceRequestRepository = require('../src/repositories/ServiceRequestRepository');
+const ServiceRequestEventService = require('../src/services/ServiceRequestEventService');
+const BranchService = require('../src/services/BranchService');
+const RoomAllocationService = require('../src/services/RoomAllocationService');
+
+describe('Branches and meeting rooms', () => {
+  const branch = {
+    id: 4,
+    name: 'Downtown',
+    isActive: true,
+    openingHours: { mon: { open: '09:00', close: '17:00' } }
+  };
+  const rooms = [
+    { id: 1, branchId: 4, capacity: 2, isActive: true },
+    { id: 2, branchId: 4, capacity: 6, isActive: true }
+  ];
+  const request = { id: 50, meetingType: 'offline', branchId: 4, meetingRoomId: null, status: 'pending' };
+  const slot = { meetingDate: '2999-03-04', meetingTime: '10:00', duration: 60 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    BranchRepository.findById.mockResolvedValue(branch);
+    MeetingRoomRepository.findByBranch.mockResolvedValue(rooms);
+    ServiceRequestRepository.findRoomMeetings.mockResolvedValue([]);
+  });
+
+  it('should only book offline meetings within the branch opening hours', async () => {
+    // 2999-03-04 is a Monday, 2999-03-05 a Tuesday
+    await expect(BranchService.assertBookable(4, '2999-03-04', '16:00', 60)).resolves.toBe(branch);
+
+    await expect(BranchService.assertBookable(4, '2999-03-04', '16:30', 60))
+      .rejects.toMatchObject({ messageKey: 'branch.closedAtMeetingTime' });
+    await expect(BranchService.assertBookable(4, '2999-03-05', '10:00', 60))
+      .rejects.toMatchObject({ messageKey: 'branch.closedAtMeetingTime' });
+
+    BranchRepository.findById.mockResolvedValueOnce({ ...branch, isActive: false });
+    await expect(BranchService.assertBookable(4, '2999-03-04', '10:00', 60))
+      .rejects.toMatchObject({ messageKey: 'branch.inactive' });
+  });
+
+  it('should allocate the smallest room free at the meeting time', async () => {
+    ServiceRequestRepository.findRoomMeetings.mockResolvedValue([
+      { id: 60, meetingRoomId: 1, meetingTime: '09:30:00', meetingDuration: 60 }
+    ]);
+
+    const room = await RoomAllocationService.allocate(request, slot, {});
+
+    expect(room.id).toBe(2);
+    expect(BranchRepository.lockById).toHaveBeenCalledWith(4, {});
+    expect(ServiceRequestRepository.findRoomMeetings).toHaveBeenCalledWith([1, 2], '2999-03-04', 50, {});
+  });
+
+  it('should keep the current room when it is still free and skip online meetings', async () => {
+    const room = await RoomAllocationService.allocate({ ...request, meetingRoomId: 2 }, slot, {});
+    expect(room.id).toBe(2);
+
+    await expect(RoomAllocationService.allocate({ ...request, meetingType: 'online' }, slot, {})).resolves.toBeNull();
+    expect(BranchRepository.lockById).toHaveBeenCalledTimes(1);
+  });
+
+  it('should refuse the allocation when every room is taken', async () => {
+    ServiceRequestRepository.findRoomMeetings.mockResolvedValue([
+      { id: 60, meetingRoomId: 1, meetingTime: '10:30:00', meetingDuration: 30 },
+      { id: 61, meetingRoomId: 2, meetingTime: '09:00:00', meetingDuration: 90 }
+    ]);
+
+    await expect(RoomAllocationService.allocate(request, slot, {})).rejects.toMatchObject({
+      statusCode: 409,
+      messageKey: 'serviceRequest.noRoomAvailable'
+    });
+  });
+
+  it('should not move a meeting into a room taken at that time', async () => {
+    ServiceRequestRepository.findById.mockResolvedValue({
+      ...request,
+      status: 'approved',
+      meetingRoomId: 1,
+      meetingDate: '2999-03-04',
+      meetingTime: '10:00:00',
+      meetingDuration: 60
+    });
+    MeetingRoomRepository.findById.mockResolvedValue(rooms[1]);
+    ServiceRequestRepository.findRoomMeetings.mockResolvedValue([
+      { id: 61, meetingRoomId: 2, meetingTime: '10:45:00', meetingDuration: 30 }
+    ]);
+
+    await expect(RoomAllocationService.assignRoom(50, 2, { type: 'ADMIN', id: 1 }))
+      .rejects.toMatchObject({ messageKey: 'serviceRequest.roomTaken' });
+    expect(ServiceRequestRepository.update).not.toHaveBeenCalled();
+    expect(ServiceRequestEventService.record).not.toHaveBeenCalled();
+  });
+
+  it('should group the day of a branch by room', async () => {
+    ServiceRequestRepository.findBranchMeetings.mockResolvedValue([
+      { id: 60, meetingRoomId: 2, meetingTime: '09:00:00' },
+      { id: 61, meetingRoomId: null, meetingTime: '11:00:00' },
+      { id: 62, meetingRoomId: 2, meetingTime: '14:00:00' }
+    ]);
+
+    const schedule = await BranchService.getDailySchedule(4, '2999-03-04');
+
+    expect(schedule.rooms.map(({ room, meetings }) => [room.id, meetings.map(meeting => meeting.id)]))
+      .toEqual([[1, []], [2, [60, 62]]]);
+    expect(schedule.unallocated.map(meeting => meeting.id)).toEqual([61]);
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Calendar Service unit tests
+ *
+ * Covers iCalendar generation for a single request
+ */
+
+const CalendarService = require('../src/services/CalendarService');
+
+describe('CalendarService.buildRequestCalendar', () => {
+  const request = {
+    id: 42,
+    status: 'approved',
+    meetingType: 'offline',
+    meetingDate: '2030-01-07',
+    meetingTime: '10:00:00',
+    meetingDuration: 30,
+    calendarSequence: 2,
+    fullName: 'Jane Doe',
+    phone: '+971500000000',
+    email: 'jane@example.com',
+    category: { name: 'Family' },
+    agent: { fullName: 'Agent Smith' },
+    updatedAt: new Date('2029-12-01T08:00:00Z')
+  };
+
+  it('should publish a confirmed event with a stable UID and sequence', () => {
+    const ics = CalendarService.buildRequestCalendar(request, 'AGENT');
+
+    expect(ics).toContain('METHOD:PUBLISH\r\n');
+    expect(ics).toMatch(/UID:service-request-42@/);
+    expect(ics).toContain('SEQUENCE:2\r\n');
+    expect(ics).toContain('STATUS:CONFIRMED\r\n');
+    expect(ics).toContain('SUMMARY:Family meeting - Jane Doe\r\n');
+  });
+
+  it('should emit METHOD:CANCEL for cancelled requests', () => {
+    const ics = CalendarService.buildRequestCalendar({ ...request, status: 'cancelled' }, 'USER');
+
+    expect(ics).toContain('METHOD:CANCEL\r\n');
+    expect(ics).toContain('STATUS:CANCELLED\r\n');
+  });
+
+  it('should hide client contact details from users', () => {
+    const ics = CalendarService.buildRequestCalendar(request, 'USER');
+
+    expect(ics).toContain('SUMMARY:Family meeting with Agent Smith\r\n');
+    expect(ics).not.toContain('jane@example.com');
+  });
+
+  it('should escape text and fold long lines', () => {
+    const ics = CalendarService.buildRequestCalendar({ ...request, fullName: 'Doe, Jane; the very long client name that overflows' }, 'AGENT');
+
+    expect(ics.replace(/\r\n /g, '')).toContain('Doe\\, Jane\\; the');
+    ics.split('\r\n').forEach(line => {
+      expect(Buffer.byteLength(line, 'utf8')).toBeLessThanOrEqual(75);
+    });
+  });
+});
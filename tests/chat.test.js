@@ -0,0 +1,144 @@
+/**
+ * Chat Service unit tests
+ *
+ * Covers access rules, chat opening and read receipts with repositories mocked
+ */
+
+jest.mock('../src/repositories/ChatRepository', () => ({
+  create: jest.fn(),
+  findByRequestId: jest.fn(),
+  update: jest.fn()
+}));
+
+jest.mock('../src/repositories/MessageRepository', () => ({
+  findByIdForChat: jest.fn(),
+  findLatest: jest.fn(),
+  findPage: jest.fn(),
+  countUnread: jest.fn()
+}));
+
+jest.mock('../src/repositories/ServiceRequestRepository', () => ({
+  findById: jest.fn()
+}));
+
+jest.mock('../src/repositories/AdminRepository', () => ({
+  hasPermission: jest.fn()
+}));
+
+const ChatRepository = require('../src/repositories/ChatRepository');
+const MessageRepository = require('../src/repositories/MessageRepository');
+const ServiceRequestRepository = require('../src/repositories/ServiceRequestRepository');
+const AdminRepository = require('../src/repositories/AdminRepository');
+const ChatService = require('../src/services/ChatService');
+
+describe('ChatService', () => {
+  const request = { id: 7, userId: 3, agentId: 11, status: 'approved' };
+  const chat = {
+    id: 1,
+    requestId: 7,
+    status: 'open',
+    userLastReadMessageId: 4,
+    userLastReadAt: null,
+    agentLastReadMessageId: 6,
+    agentLastReadAt: null
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ServiceRequestRepository.findById.mockResolvedValue(request);
+    ChatRepository.findByRequestId.mockResolvedValue(chat);
+    MessageRepository.countUnread.mockResolvedValue(2);
+  });
+
+  describe('access', () => {
+    it('should let the request user and assigned agent in', async () => {
+      await expect(ChatService.getChat(7, { type: 'USER', id: 3 })).resolves.toMatchObject({ id: 1, unreadCount: 2 });
+      await expect(ChatService.getChat(7, { type: 'AGENT', id: 11 })).resolves.toMatchObject({ id: 1 });
+    });
+
+    it('should reject other users and agents', async () => {
+      await expect(ChatService.getChat(7, { type: 'USER', id: 4 }))
+        .rejects.toMatchObject({ messageKey: 'chat.notAuthorized', statusCode: 403 });
+      await expect(ChatService.getChat(7, { type: 'AGENT', id: 12 }))
+        .rejects.toMatchObject({ messageKey: 'chat.notAuthorized' });
+    });
+
+    it('should require the chat permission for admins', async () => {
+      AdminRepository.hasPermission.mockResolvedValue(false);
+      await expect(ChatService.getChat(7, { type: 'ADMIN', id: 1 }))
+        .rejects.toMatchObject({ messageKey: 'chat.notAuthorized' });
+
+      AdminRepository.hasPermission.mockResolvedValue(true);
+      await expect(ChatService.getChat(7, { type: 'ADMIN', id: 1 })).resolves.toMatchObject({ unreadCount: 0 });
+      expect(AdminRepository.hasPermission).toHaveBeenLastCalledWith(1, 'chats.read');
+    });
+  });
+
+  describe('openChat', () => {
+    it('should refuse requests that are not approved yet', async () => {
+      ChatRepository.findByRequestId.mockResolvedValue(null);
+      ServiceRequestRepository.findById.mockResolvedValue({ ...request, status: 'pending' });
+
+      await expect(ChatService.openChat(7, { type: 'USER', id: 3 }))
+        .rejects.toMatchObject({ messageKey: 'chat.serviceRequestNotApproved' });
+      expect(ChatRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should return the existing chat instead of creating another', async () => {
+      const result = await ChatService.openChat(7, { type: 'USER', id: 3 });
+
+      expect(result.created).toBe(false);
+      expect(ChatRepository.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('markAsRead', () => {
+    it('should move the reader side marker forward', async () => {
+      MessageRepository.findLatest.mockResolvedValue({ id: 9 });
+      ChatRepository.update.mockResolvedValue({ ...chat, userLastReadMessageId: 9 });
+
+      const receipts = await ChatService.markAsRead(7, { type: 'USER', id: 3 });
+
+      expect(ChatRepository.update).toHaveBeenCalledWith(1, expect.objectContaining({ userLastReadMessageId: 9 }));
+      expect(receipts.user.lastReadMessageId).toBe(9);
+      expect(receipts.agent.lastReadMessageId).toBe(6);
+    });
+
+    it('should never move a marker backwards', async () => {
+      MessageRepository.findByIdForChat.mockResolvedValue({ id: 5 });
+
+      await ChatService.markAsRead(7, { type: 'AGENT', id: 11 }, 5);
+
+      expect(ChatRepository.update).not.toHaveBeenCalled();
+    });
+
+    it('should not move any marker for admins', async () => {
+      AdminRepository.hasPermission.mockResolvedValue(true);
+      MessageRepository.findLatest.mockResolvedValue({ id: 9 });
+
+      await ChatService.markAsRead(7, { type: 'ADMIN', id: 1 });
+
+      expect(ChatRepository.update).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should flag read receipts and hide storage paths in history', async () => {
+    MessageRepository.findPage.mockResolvedValue([
+      { id: 6, senderType: 'USER', senderId: 3, body: 'Hi', attachments: [] },
+      { id: 5, senderType: 'AGENT', senderId: 11, body: null, attachments: [{ id: 2, fileName: 'a.pdf', mimeType: 'application/pdf', fileSize: 10, filePath: 'storage/chats/7/a.pdf' }] }
+    ]);
+
+    const { messages, nextCursor } = await ChatService.getMessages(7, { type: 'USER', id: 3 }, { limit: 2 });
+
+    expect(nextCursor).toBeNull();
+    expect(messages.map(m => m.id)).toEqual([5, 6]);
+    expect(messages[0]).toMatchObject({ readByUser: false, readByAgent: true });
+    expect(messages[0].attachments[0]).toEqual({
+      id: 2,
+      fileName: 'a.pdf',
+      mimeType: 'application/pdf',
+      fileSize: 10,
+      url: '/api/chats/7/attachments/2'
+    });
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Front-desk check-in unit tests
+ *
+ * Covers check-in codes and signed QR payloads, the check-in window and repeated scans
+ */
+
+jest.mock('typeorm', () => ({
+  ...jest.requireActual('typeorm'),
+  getConnection: () => ({ transaction: (work) => work({}) })
+}));
+
+jest.mock('../src/repositories/ServiceRequestRepository', () => ({
+  findById: jest.fn(),
+  update: jest.fn(),
+  findCheckInCode: jest.fn(),
+  findByCheckInCode: jest.fn(),
+  markArrived: jest.fn()
+}));
+
+jest.mock('../src/services/ServiceRequestEventService', () => ({
+  record: jest.fn()
+}));
+
+jest.mock('../src/services/NotificationService', () => ({
+  notify: jest.fn()
+}));
+
+process.env.CHECK_IN_SECRET = 'test-check-in-secret';
+
+const ServiceRequestRepository = require('../src/repositories/ServiceRequestRepository');
+const ServiceRequestEventService = require('../src/services/ServiceRequestEventService');
+const NotificationService = require('../src/services/NotificationService');
+const CheckInService = require('../src/services/CheckInService');
+
+/**
+ * Local meeting date and time the given number of minutes from now
+ */
+const meetingAt = (minutesFromNow) => {
+  const date = new Date(Date.now() + minutesFromNow * 60 * 1000);
+  const pad = (value) => String(value).padStart(2, '0');
+
+  return {
+    meetingDate: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+    meetingTime: `${pad(date.getHours())}:${pad(date.getMinutes())}:00`
+  };
+};
+
+describe('CheckInService', () => {
+  const request = {
+    id: 70,
+    userId: 3,
+    agentId: 7,
+    fullName: 'Sara Ali',
+    status: 'approved',
+    meetingType: 'offline',
+    branchId: 4,
+    meetingRoomId: 2,
+    meetingDuration: 60,
+    arrivedAt: null,
+    ...meetingAt(10)
+  };
+  const frontDesk = { type: 'ADMIN', id: 1 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ServiceRequestRepository.findById.mockResolvedValue(request);
+    ServiceRequestRepository.findCheckInCode.mockResolvedValue('K7PQ2MXA');
+    ServiceRequestRepository.findByCheckInCode.mockResolvedValue(request);
+    ServiceRequestRepository.markArrived.mockResolvedValue(true);
+  });
+
+  it('should issue codes to branch meetings only', () => {
+    const { checkInCode } = CheckInService.buildCodeFields(request);
+
+    expect(checkInCode).toMatch(/^[A-HJ-NP-Z2-9]{8}$/);
+    expect(CheckInService.buildCodeFields({ ...request, meetingType: 'online' })).toEqual({});
+    expect(CheckInService.buildCodeFields({ ...request, branchId: null })).toEqual({});
+  });
+
+  it('should check the user in from the QR payload of their pass and notify the agent', async () => {
+    const pass = await CheckInService.getPass(70, 3);
+
+    expect(pass).toMatchObject({ requestId: 70, checkInCode: 'K7PQ2MXA' });
+
+    await CheckInService.checkIn(pass.qrPayload, frontDesk);
+
+    expect(ServiceRequestRepository.findByCheckInCode).toHaveBeenCalledWith('K7PQ2MXA');
+    expect(ServiceRequestRepository.markArrived).toHaveBeenCalledWith(70, expect.any(Date), 1, {});
+    expect(ServiceRequestEventService.record).toHaveBeenCalledWith(70, 'user_arrived', frontDesk, expect.objectContaining({
+      metadata: expect.objectContaining({ minutesLate: 0 })
+    }), {});
+    expect(NotificationService.notify).toHaveBeenCalledWith([{ type: 'AGENT', id: 7 }], expect.objectContaining({
+      type: 'user_arrived'
+    }));
+  });
+
+  it('should accept a typed short code and refuse a tampered QR payload', async () => {
+    await CheckInService.checkIn(' k7pq-2mxa ', frontDesk);
+    expect(ServiceRequestRepository.findByCheckInCode).toHaveBeenCalledWith('K7PQ2MXA');
+
+    const forged = CheckInService._sign(70, 'K7PQ2MXA').replace(/^70\./, '71.');
+    await expect(CheckInService.checkIn(forged, frontDesk))
+      .rejects.toMatchObject({ statusCode: 404, messageKey: 'checkIn.invalidCode' });
+
+    // Same length in characters, longer in bytes
+    await expect(CheckInService.checkIn(`70.K7PQ2MXA.${'é'.repeat(32)}`, frontDesk))
+      .rejects.toMatchObject({ statusCode: 404, messageKey: 'checkIn.invalidCode' });
+  });
+
+  it('should only check in from shortly before the meeting until its end', async () => {
+    ServiceRequestRepository.findByCheckInCode.mockResolvedValueOnce({ ...request, ...meetingAt(CheckInService.opensMinutesBefore + 30) });
+    await expect(CheckInService.checkIn('K7PQ2MXA', frontDesk))
+      .rejects.toMatchObject({ messageKey: 'checkIn.tooEarly' });
+
+    ServiceRequestRepository.findByCheckInCode.mockResolvedValueOnce({ ...request, ...meetingAt(-90) });
+    await expect(CheckInService.checkIn('K7PQ2MXA', frontDesk))
+      .rejects.toMatchObject({ messageKey: 'checkIn.meetingOver' });
+
+    expect(ServiceRequestRepository.markArrived).not.toHaveBeenCalled();
+  });
+
+  it('should refuse a second check-in, including a concurrent one', async () => {
+    ServiceRequestRepository.findByCheckInCode.mockResolvedValueOnce({ ...request, arrivedAt: new Date() });
+    await expect(CheckInService.checkIn('K7PQ2MXA', frontDesk))
+      .rejects.toMatchObject({ statusCode: 409, messageKey: 'checkIn.alreadyCheckedIn' });
+
+    ServiceRequestRepository.markArrived.mockResolvedValueOnce(false);
+    await expect(CheckInService.checkIn('K7PQ2MXA', frontDesk))
+      .rejects.toMatchObject({ statusCode: 409, messageKey: 'checkIn.alreadyCheckedIn' });
+
+    expect(ServiceRequestEventService.record).not.toHaveBeenCalled();
+    expect(NotificationService.notify).not.toHaveBeenCalled();
+  });
+});
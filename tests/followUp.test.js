@@ -0,0 +1,197 @@
+/**
+ * Follow-up Service unit tests
+ *
+ * Covers booking follow-up meetings and recurring series, the thread view and cancellation
+ */
+
+jest.mock('typeorm', () => ({
+  ...jest.requireActual('typeorm'),
+  getConnection: () => ({ transaction: (work) => work({}) })
+}));
+
+jest.mock('../src/repositories/ServiceRequestRepository', () => ({
+  findById: jest.fn(),
+  create: jest.fn(),
+  update: jest.fn(),
+  deleteMany: jest.fn(),
+  findFollowUps: jest.fn()
+}));
+
+jest.mock('../src/repositories/AgentRepository', () => ({
+  findById: jest.fn()
+}));
+
+jest.mock('../src/services/AvailabilityService', () => ({
+  isSlotAvailable: jest.fn()
+}));
+
+jest.mock('../src/services/SlotReservationService', () => ({
+  reserve: jest.fn((slot, work) => work({}))
+}));
+
+jest.mock('../src/services/ServiceRequestEventService', () => ({
+  record: jest.fn()
+}));
+
+jest.mock('../src/services/RescheduleService', () => ({
+  supersedePending: jest.fn()
+}));
+
+jest.mock('../src/services/MeetingLinkService', () => ({
+  buildLinkFields: jest.fn()
+}));
+
+jest.mock('../src/services/MeetingReminderService', () => ({
+  schedule: jest.fn(),
+  cancel: jest.fn()
+}));
+
+jest.mock('../src/services/NotificationService', () => ({
+  notify: jest.fn()
+}));
+
+jest.mock('../src/services/InvoiceService', () => ({
+  issueForRequest: jest.fn()
+}));
+
+jest.mock('../src/services/PaymentService', () => ({
+  settleCancelledRequest: jest.fn()
+}));
+
+jest.mock('../src/services/CheckInService', () => ({
+  buildCodeFields: jest.fn(() => ({})),
+  sendPass: jest.fn()
+}));
+
+const ServiceRequestRepository = require('../src/repositories/ServiceRequestRepository');
+const AgentRepository = require('../src/repositories/AgentRepository');
+const AvailabilityService = require('../src/services/AvailabilityService');
+const SlotReservationService = require('../src/services/SlotReservationService');
+const ServiceRequestEventService = require('../src/services/ServiceRequestEventService');
+const MeetingLinkService = require('../src/services/MeetingLinkService');
+const MeetingReminderService = require('../src/services/MeetingReminderService');
+const InvoiceService = require('../src/services/InvoiceService');
+const CheckInService = require('../src/services/CheckInService');
+const FollowUpService = require('../src/services/FollowUpService');
+const { ErrorHandlers } = require('../src/utils/ErrorHandler');
+
+describe('FollowUpService', () => {
+  const request = {
+    id: 30,
+    userId: 3,
+    agentId: 7,
+    categoryId: 2,
+    serviceId: 5,
+    status: 'completed',
+    priority: 'normal',
+    meetingType: 'offline',
+    meetingDuration: 45,
+    fullName: 'Sara Ali',
+    email: 'sara@example.com',
+    phone: '+966500000001'
+  };
+  const agent = { type: 'AGENT', id: 7 };
+  let booked;
+  let nextId;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    booked = {};
+    nextId = 100;
+    ServiceRequestRepository.findById.mockImplementation(async (id) => (id === 30 ? request : booked[id]));
+    ServiceRequestRepository.create.mockImplementation(async (data) => {
+      booked[nextId] = { id: nextId, ...data };
+      return booked[nextId++];
+    });
+    ServiceRequestRepository.update.mockImplementation(async (id, data) => ({ ...booked[id], ...data }));
+    AgentRepository.findById.mockResolvedValue({ id: 7, isActive: true });
+    AvailabilityService.isSlotAvailable.mockResolvedValue(true);
+    MeetingLinkService.buildLinkFields.mockResolvedValue({});
+  });
+
+  it('should book a follow-up with the same user, agent and category, already approved', async () => {
+    const [followUp] = await FollowUpService.createFollowUps(30, agent, {
+      meetingDate: '2999-03-10',
+      meetingTime: '10:00'
+    });
+
+    expect(followUp).toMatchObject({
+      parentRequestId: 30,
+      userId: 3,
+      agentId: 7,
+      categoryId: 2,
+      serviceId: 5,
+      status: 'approved',
+      meetingDuration: 45
+    });
+    expect(InvoiceService.issueForRequest).toHaveBeenCalledWith(followUp, agent, {});
+    expect(ServiceRequestEventService.record)
+      .toHaveBeenCalledWith(30, 'follow_up_scheduled', agent, expect.objectContaining({
+        metadata: expect.objectContaining({ followUpIds: [100] })
+      }));
+    expect(MeetingReminderService.schedule).toHaveBeenCalledTimes(1);
+    expect(CheckInService.sendPass).toHaveBeenCalledWith(followUp);
+  });
+
+  it('should book one meeting per occurrence of a monthly series', async () => {
+    const followUps = await FollowUpService.createFollowUps(30, agent, {
+      meetingDate: '2999-01-31',
+      meetingTime: '10:00',
+      recurrence: { frequency: 'monthly', count: 3 }
+    });
+
+    expect(followUps.map(followUp => followUp.meetingDate)).toEqual(['2999-01-31', '2999-02-28', '2999-03-31']);
+    expect(SlotReservationService.reserve).toHaveBeenCalledTimes(3);
+    expect(CheckInService.sendPass).toHaveBeenCalledTimes(3);
+  });
+
+  it('should book nothing when one meeting of the series has no free slot', async () => {
+    AvailabilityService.isSlotAvailable.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+    await expect(FollowUpService.createFollowUps(30, agent, {
+      meetingDate: '2999-03-10',
+      meetingTime: '10:00',
+      recurrence: { frequency: 'weekly', count: 3 }
+    })).rejects.toMatchObject({
+      messageKey: 'serviceRequest.followUpSlotUnavailable',
+      data: { meetingDate: '2999-03-17', meetingTime: '10:00' }
+    });
+    expect(ServiceRequestRepository.create).not.toHaveBeenCalled();
+  });
+
+  it('should drop the booked part of a series when a slot is taken meanwhile', async () => {
+    SlotReservationService.reserve
+      .mockImplementationOnce((slot, work) => work({}))
+      .mockRejectedValueOnce(ErrorHandlers.conflict('serviceRequest.slotTaken'));
+
+    await expect(FollowUpService.createFollowUps(30, agent, {
+      meetingDate: '2999-03-10',
+      meetingTime: '10:00',
+      recurrence: { frequency: 'biweekly', count: 2 }
+    })).rejects.toMatchObject({ messageKey: 'serviceRequest.slotTaken' });
+    expect(ServiceRequestRepository.deleteMany).toHaveBeenCalledWith([100]);
+  });
+
+  it('should cancel every open follow-up of the thread', async () => {
+    const followUps = [
+      { id: 101, parentRequestId: 30, userId: 3, agentId: 7, status: 'approved' },
+      { id: 102, parentRequestId: 30, userId: 3, agentId: 7, status: 'rescheduled' }
+    ];
+    ServiceRequestRepository.findFollowUps.mockResolvedValue(followUps);
+    ServiceRequestRepository.update.mockImplementation(async (id, data) => ({ id, ...data }));
+
+    const cancelled = await FollowUpService.cancelFollowUps(30, agent, { reason: 'Matter settled out of court' });
+
+    expect(cancelled.map(followUp => followUp.status)).toEqual(['cancelled', 'cancelled']);
+    expect(ServiceRequestRepository.findFollowUps).toHaveBeenCalledWith(30, expect.arrayContaining(['approved']));
+    expect(MeetingReminderService.cancel).toHaveBeenCalledWith(102);
+  });
+
+  it('should only cancel follow-ups of the same thread', async () => {
+    ServiceRequestRepository.findById.mockImplementation(async (id) =>
+      (id === 30 ? request : { id, parentRequestId: 99, agentId: 7, status: 'approved' }));
+
+    await expect(FollowUpService.cancelFollowUps(30, agent, { followUpId: 55, reason: 'Not needed anymore' }))
+      .rejects.toMatchObject({ messageKey: 'serviceRequest.followUpNotFound' });
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Meeting Link Service unit tests
+ *
+ * Covers the built-in deterministic Jitsi provider and custom providers
+ */
+
+process.env.MEETING_LINK_SECRET = 'test-meeting-link-secret';
+
+const MeetingLinkService = require('../src/services/MeetingLinkService');
+
+describe('MeetingLinkService.buildLinkFields', () => {
+  const request = {
+    id: 7,
+    agentId: 3,
+    meetingType: 'online',
+    meetingDate: '2030-01-07',
+    meetingTime: '10:00:00'
+  };
+
+  it('should not create links for offline meetings', async () => {
+    expect(await MeetingLinkService.buildLinkFields({ ...request, meetingType: 'offline' })).toEqual({});
+  });
+
+  it('should generate the same Jitsi room for the same booking', async () => {
+    const first = await MeetingLinkService.buildLinkFields(request);
+    const second = await MeetingLinkService.buildLinkFields({ ...request });
+
+    expect(first.meetingProvider).toBe('jitsi');
+    expect(first.meetingLink).toMatch(/^https:\/\/meet\.jit\.si\/raalc-7-[0-9a-f]{20}$/);
+    expect(second.meetingLink).toBe(first.meetingLink);
+  });
+
+  it('should issue no link without a meeting link secret', async () => {
+    let UnconfiguredMeetingLinkService;
+    const secret = process.env.MEETING_LINK_SECRET;
+
+    delete process.env.MEETING_LINK_SECRET;
+    jest.isolateModules(() => {
+      UnconfiguredMeetingLinkService = require('../src/services/MeetingLinkService');
+    });
+    process.env.MEETING_LINK_SECRET = secret;
+
+    expect(await UnconfiguredMeetingLinkService.buildLinkFields(request))
+      .toEqual({ meetingLink: null, meetingProvider: null });
+  });
+
+  it('should generate a new room when the time or agent changes', async () => {
+    const original = await MeetingLinkService.buildLinkFields(request);
+    const moved = await MeetingLinkService.buildLinkFields({ ...request, meetingTime: '11:00:00' });
+    const reassigned = await MeetingLinkService.buildLinkFields({ ...request, agentId: 4 });
+
+    expect(moved.meetingLink).not.toBe(original.meetingLink);
+    expect(reassigned.meetingLink).not.toBe(original.meetingLink);
+  });
+
+  it('should leave the link empty when the provider fails', async () => {
+    MeetingLinkService.registerProvider({
+      name: 'jitsi',
+      createMeeting: jest.fn().mockRejectedValue(new Error('provider down'))
+    });
+
+    expect(await MeetingLinkService.buildLinkFields(request)).toEqual({ meetingLink: null, meetingProvider: null });
+  });
+});
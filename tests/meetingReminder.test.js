@@ -0,0 +1,136 @@
+/**
+ * Meeting Reminder Service unit tests
+ *
+ * Covers scheduling reminder jobs before a meeting and sending them to user and agent
+ */
+
+jest.mock('../src/services/Queue', () => ({
+  addJob: jest.fn(),
+  removeJob: jest.fn()
+}));
+
+jest.mock('../src/repositories/ServiceRequestRepository', () => ({
+  findById: jest.fn()
+}));
+
+jest.mock('../src/services/NotificationService', () => ({
+  notify: jest.fn()
+}));
+
+jest.mock('../src/services/SMSService', () => ({
+  sendSMS: jest.fn()
+}));
+
+process.env.SMTP_HOST = 'smtp.example.com';
+
+const Queue = require('../src/services/Queue');
+const ServiceRequestRepository = require('../src/repositories/ServiceRequestRepository');
+const NotificationService = require('../src/services/NotificationService');
+const SMSService = require('../src/services/SMSService');
+const MeetingReminderService = require('../src/services/MeetingReminderService');
+
+describe('MeetingReminderService', () => {
+  const request = {
+    id: 12,
+    userId: 3,
+    status: 'approved',
+    phone: '+966500000001',
+    email: 'sara@example.com',
+    meetingDate: '2026-10-20',
+    meetingTime: '10:00:00',
+    category: { name: 'Visas' },
+    agent: { id: 7, fullName: 'Omar', phone: '+966500000007', email: 'omar@example.com' }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    global.redis = {};
+  });
+
+  afterAll(() => {
+    delete global.redis;
+    delete process.env.SMTP_HOST;
+  });
+
+  it('should schedule one delayed job per offset before the meeting', async () => {
+    const now = new Date('2026-10-18T10:00:00');
+
+    const scheduled = await MeetingReminderService.schedule(request, now);
+
+    expect(scheduled).toBe(2);
+    expect(Queue.addJob).toHaveBeenCalledWith('reminder', 'meeting_reminder',
+      expect.objectContaining({ requestId: 12, offsetMinutes: 1440 }),
+      { jobId: 'meeting-reminder-12-1440', delay: 24 * 60 * 60 * 1000 });
+    expect(Queue.addJob).toHaveBeenCalledWith('reminder', 'meeting_reminder',
+      expect.objectContaining({ requestId: 12, offsetMinutes: 60 }),
+      { jobId: 'meeting-reminder-12-60', delay: 47 * 60 * 60 * 1000 });
+  });
+
+  it('should replace earlier reminders and skip the ones already due', async () => {
+    const now = new Date('2026-10-19T12:00:00');
+
+    const scheduled = await MeetingReminderService.schedule(request, now);
+
+    expect(scheduled).toBe(1);
+    expect(Queue.removeJob).toHaveBeenCalledWith('reminder', 'meeting-reminder-12-1440');
+    expect(Queue.removeJob).toHaveBeenCalledWith('reminder', 'meeting-reminder-12-60');
+    expect(Queue.addJob).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not touch the queue without Redis', async () => {
+    global.redis = null;
+
+    const scheduled = await MeetingReminderService.schedule(request, new Date('2026-10-18T10:00:00'));
+    await MeetingReminderService.cancel(request.id);
+
+    expect(scheduled).toBe(0);
+    expect(Queue.addJob).not.toHaveBeenCalled();
+    expect(Queue.removeJob).not.toHaveBeenCalled();
+  });
+
+  it('should remind the user and the agent by SMS, email and in-app notification', async () => {
+    ServiceRequestRepository.findById.mockResolvedValue(request);
+
+    const result = await MeetingReminderService.send({
+      requestId: 12,
+      offsetMinutes: 60,
+      meetingDate: '2026-10-20',
+      meetingTime: '10:00:00'
+    });
+
+    expect(result).toEqual({ sent: true });
+    expect(SMSService.sendSMS).toHaveBeenCalledWith('+966500000001', expect.any(String));
+    expect(SMSService.sendSMS).toHaveBeenCalledWith('+966500000007', expect.any(String));
+    expect(Queue.addJob).toHaveBeenCalledWith('email', 'meeting_reminder', expect.objectContaining({ to: 'omar@example.com' }));
+    expect(NotificationService.notify).toHaveBeenCalledWith(
+      [{ type: 'USER', id: 3 }, { type: 'AGENT', id: 7 }],
+      expect.objectContaining({ type: 'meeting_reminder', params: expect.objectContaining({ time: '10:00' }) })
+    );
+  });
+
+  it('should send no reminder email without SMTP configured', async () => {
+    ServiceRequestRepository.findById.mockResolvedValue(request);
+    MeetingReminderService.emailEnabled = false;
+
+    try {
+      await MeetingReminderService.send({ requestId: 12, meetingDate: '2026-10-20', meetingTime: '10:00:00' });
+    } finally {
+      MeetingReminderService.emailEnabled = true;
+    }
+
+    expect(Queue.addJob).not.toHaveBeenCalledWith('email', expect.anything(), expect.anything());
+    expect(SMSService.sendSMS).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not remind of a meeting that moved or was cancelled', async () => {
+    ServiceRequestRepository.findById.mockResolvedValueOnce({ ...request, meetingTime: '11:00:00' });
+    const moved = await MeetingReminderService.send({ requestId: 12, meetingDate: '2026-10-20', meetingTime: '10:00:00' });
+
+    ServiceRequestRepository.findById.mockResolvedValueOnce({ ...request, status: 'cancelled' });
+    const cancelled = await MeetingReminderService.send({ requestId: 12, meetingDate: '2026-10-20', meetingTime: '10:00:00' });
+
+    expect(moved).toEqual({ sent: false, reason: 'moved' });
+    expect(cancelled).toEqual({ sent: false, reason: 'inactive' });
+    expect(SMSService.sendSMS).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Notification Service unit tests
+ *
+ * Covers storing a notification per recipient and reading and marking own notifications
+ */
+
+jest.mock('../src/repositories/NotificationRepository', () => ({
+  createMany: jest.fn(),
+  findForRecipient: jest.fn(),
+  countUnread: jest.fn(),
+  findByIdForRecipient: jest.fn(),
+  markRead: jest.fn()
+}));
+
+const NotificationRepository = require('../src/repositories/NotificationRepository');
+const NotificationService = require('../src/services/NotificationService');
+
+describe('NotificationService', () => {
+  const notification = {
+    type: 'check_in_pass',
+    titleKey: 'checkIn.passTitle',
+    messageKey: 'checkIn.passMessage',
+    params: { code: 'K7PQ2MXA' },
+    data: { requestId: 70 }
+  };
+  const user = { type: 'USER', id: 3 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    NotificationRepository.createMany.mockImplementation(async (rows) => rows);
+  });
+
+  it('should store one notification per recipient', async () => {
+    const stored = await NotificationService.notify([user, { type: 'AGENT', id: 7 }], notification);
+
+    expect(stored).toBe(2);
+    const [rows] = NotificationRepository.createMany.mock.calls[0];
+    expect(rows[0]).toMatchObject({
+      recipientType: 'USER',
+      recipientId: 3,
+      type: 'check_in_pass',
+      titleKey: 'checkIn.passTitle',
+      params: { code: 'K7PQ2MXA' },
+      data: { requestId: 70 }
+    });
+    expect(rows[1]).toMatchObject({ recipientType: 'AGENT', recipientId: 7 });
+  });
+
+  it('should not fail the caller when notifications cannot be stored', async () => {
+    NotificationRepository.createMany.mockRejectedValue(new Error('Connection lost'));
+
+    await expect(NotificationService.notify([user], notification)).resolves.toBe(0);
+  });
+
+  it('should list own notifications with the unread count', async () => {
+    NotificationRepository.findForRecipient.mockResolvedValue({ notifications: [], total: 0, page: 1, limit: 20, totalPages: 0 });
+    NotificationRepository.countUnread.mockResolvedValue(4);
+
+    const result = await NotificationService.getNotifications(user, { unreadOnly: true });
+
+    expect(NotificationRepository.findForRecipient).toHaveBeenCalledWith(user, { unreadOnly: true });
+    expect(result.unread).toBe(4);
+  });
+
+  it('should only mark own notifications read', async () => {
+    NotificationRepository.findByIdForRecipient.mockResolvedValueOnce(null);
+    await expect(NotificationService.markRead(9, user))
+      .rejects.toMatchObject({ statusCode: 404, messageKey: 'notification.notFound' });
+
+    NotificationRepository.findByIdForRecipient.mockResolvedValueOnce({ id: 9, readAt: null });
+    const read = await NotificationService.markRead(9, user);
+
+    expect(read.readAt).toEqual(expect.any(Date));
+    expect(NotificationRepository.markRead).toHaveBeenCalledWith(user, read.readAt, 9);
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Invoice and Payment Service unit tests
+ *
+ * Covers invoicing on approval, signed gateway webhooks and refunds on cancellation
+ */
+
+jest.mock('typeorm', () => ({
+  ...jest.requireActual('typeorm'),
+  getConnection: () => ({ transaction: (work) => work({}) })
+}));
+
+jest.mock('../src/repositories/ServiceRequestRepository', () => ({
+  findById: jest.fn()
+}));
+
+jest.mock('../src/repositories/ServiceRepository', () => ({
+  findById: jest.fn()
+}));
+
+jest.mock('../src/repositories/InvoiceRepository', () => ({
+  create: jest.fn(),
+  findByRequestId: jest.fn(),
+  update: jest.fn()
+}));
+
+jest.mock('../src/repositories/PaymentRepository', () => ({
+  create: jest.fn(),
+  findById: jest.fn(),
+  findByGatewayReference: jest.fn(),
+  findLatestByInvoiceId: jest.fn(),
+  update: jest.fn(),
+  cancelPending: jest.fn()
+}));
+
+jest.mock('../src/services/ServiceRequestEventService', () => ({
+  record: jest.fn()
+}));
+
+process.env.PAYMENT_WEBHOOK_SECRET = 'test-payment-webhook-secret';
+
+const ServiceRequestRepository = require('../src/repositories/ServiceRequestRepository');
+const ServiceRepository = require('../src/repositories/ServiceRepository');
+const InvoiceRepository = require('../src/repositories/InvoiceRepository');
+const PaymentRepository = require('../src/repositories/PaymentRepository');
+const ServiceRequestEventService = require('../src/services/ServiceRequestEventService');
+const InvoiceService = require('../src/services/InvoiceService');
+const PaymentService = require('../src/services/PaymentService');
+
+describe('InvoiceService', () => {
+  const approver = { type: 'AGENT', id: 11 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    InvoiceRepository.findByRequestId.mockResolvedValue(null);
+    InvoiceRepository.create.mockImplementation(async (data) => ({ id: 1, ...data }));
+  });
+
+  it('should bill the service and booked items with VAT', async () => {
+    ServiceRepository.findById.mockResolvedValue({ id: 4, name: 'Consultation', price: '500.00' });
+
+    const invoice = await InvoiceService.issueForRequest({
+      id: 7,
+      userId: 3,
+      status: 'approved',
+      serviceId: 4,
+      currency: 'SAR',
+      items: [{ additionalServiceId: 10, name: 'Translation', nameAr: 'ترجمة', unitPrice: '33.33' }]
+    }, approver, {});
+
+    expect(invoice).toMatchObject({
+      invoiceNumber: `INV-${new Date().getFullYear()}-000007`,
+      subtotal: '533.33',
+      vatRate: '15.00',
+      vatAmount: '80.00',
+      total: '613.33',
+      status: 'issued'
+    });
+    expect(invoice.lineItems).toHaveLength(2);
+    expect(ServiceRequestEventService.record).toHaveBeenCalledWith(7, 'invoice_issued', approver, expect.any(Object), {});
+  });
+
+  it('should not issue an invoice when there is nothing to bill', async () => {
+    const invoice = await InvoiceService.issueForRequest({ id: 7, userId: 3, items: [] }, approver);
+
+    expect(invoice).toBeNull();
+    expect(InvoiceRepository.create).not.toHaveBeenCalled();
+  });
+
+  it('should block completion while the invoice is unpaid', async () => {
+    InvoiceRepository.findByRequestId.mockResolvedValue({ id: 1, invoiceNumber: 'INV-2026-000007', status: 'issued' });
+
+    await expect(InvoiceService.assertPaid(7)).rejects.toMatchObject({ messageKey: 'payment.invoiceUnpaid' });
+  });
+});
+
+describe('PaymentService', () => {
+  const gateway = PaymentService.gateways.fake;
+  const invoice = { id: 1, requestId: 7, invoiceNumber: 'INV-2026-000007', status: 'issued', total: '613.33', currency: 'SAR' };
+  const payment = {
+    id: 5, invoiceId: 1, requestId: 7, gateway: 'fake', gatewayReference: 'fake_pi_1',
+    amount: '613.33', currency: 'SAR', status: 'pending'
+  };
+
+  const webhook = (body, signature) => {
+    const rawBody = Buffer.from(JSON.stringify(body));
+    return PaymentService.handleWebhook('fake', rawBody, {
+      'x-payment-signature': signature || gateway.sign(rawBody)
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    InvoiceRepository.findByRequestId.mockResolvedValue(invoice);
+    PaymentRepository.findByGatewayReference.mockResolvedValue(payment);
+    PaymentRepository.update.mockImplementation(async (id, data) => ({ ...payment, ...data }));
+  });
+
+  it('should let the user pay a meeting that was rescheduled after approval', async () => {
+    ServiceRequestRepository.findById.mockResolvedValue({ id: 7, userId: 3, status: 'rescheduled' });
+    PaymentRepository.create.mockImplementation(async (data) => ({ id: 6, ...data }));
+
+    const result = await PaymentService.createPayment(7, 3);
+
+    expect(result.payment).toMatchObject({ invoiceId: 1, requestId: 7, amount: '613.33', status: 'pending' });
+    expect(result.clientSecret).toEqual(expect.any(String));
+
+    ServiceRequestRepository.findById.mockResolvedValue({ id: 7, userId: 3, status: 'pending' });
+    await expect(PaymentService.createPayment(7, 3))
+      .rejects.toMatchObject({ messageKey: 'payment.requestNotPayable' });
+  });
+
+  it('should reject webhooks with an invalid signature', async () => {
+    await expect(webhook({ type: 'payment.succeeded', data: { paymentIntentId: 'fake_pi_1' } }, 't=1,v1=abc'))
+      .rejects.toMatchObject({ statusCode: 401, messageKey: 'payment.invalidWebhookSignature' });
+    expect(PaymentRepository.update).not.toHaveBeenCalled();
+  });
+
+  it('should refuse webhooks when no webhook secret is configured', async () => {
+    let UnconfiguredPaymentService;
+    const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+
+    delete process.env.PAYMENT_WEBHOOK_SECRET;
+    jest.isolateModules(() => {
+      UnconfiguredPaymentService = require('../src/services/PaymentService');
+    });
+    process.env.PAYMENT_WEBHOOK_SECRET = secret;
+
+    const rawBody = Buffer.from(JSON.stringify({ type: 'payment.succeeded', data: { paymentIntentId: 'fake_pi_1' } }));
+    await expect(UnconfiguredPaymentService.handleWebhook('fake', rawBody, { 'x-payment-signature': gateway.sign(rawBody) }))
+      .rejects.toMatchObject({ statusCode: 503, messageKey: 'payment.webhooksNotConfigured' });
+  });
+
+  it('should mark the invoice paid when the payment succeeds', async () => {
+    const result = await webhook({ type: 'payment.succeeded', data: { paymentIntentId: 'fake_pi_1' } });
+
+    expect(result).toEqual({ processed: true });
+    expect(PaymentRepository.update).toHaveBeenCalledWith(5, expect.objectContaining({ status: 'succeeded' }), {});
+    expect(InvoiceRepository.update).toHaveBeenCalledWith(1, expect.objectContaining({ status: 'paid' }), {});
+  });
+
+  it('should ignore repeated deliveries', async () => {
+    PaymentRepository.findByGatewayReference.mockResolvedValue({ ...payment, status: 'succeeded' });
+
+    const result = await webhook({ type: 'payment.succeeded', data: { paymentIntentId: 'fake_pi_1' } });
+
+    expect(result).toEqual({ processed: false });
+    expect(PaymentRepository.update).not.toHaveBeenCalled();
+  });
+
+  it('should void an unpaid invoice when the request is cancelled', async () => {
+    await PaymentService.settleCancelledRequest({ id: 7, status: 'cancelled' }, { type: 'USER', id: 3 });
+
+    expect(InvoiceRepository.update).toHaveBeenCalledWith(1, expect.objectContaining({ status: 'void' }), {});
+    expect(PaymentRepository.cancelPending).toHaveBeenCalledWith(1, {});
+  });
+
+  it('should refund a paid invoice when the request is cancelled', async () => {
+    InvoiceRepository.findByRequestId.mockResolvedValue({ ...invoice, status: 'paid' });
+    PaymentRepository.findLatestByInvoiceId
+      .mockResolvedValueOnce({ ...payment, status: 'succeeded' })
+      .mockResolvedValueOnce(null);
+
+    await PaymentService.settleCancelledRequest({ id: 7, status: 'cancelled' }, { type: 'USER', id: 3 });
+
+    expect(PaymentRepository.update).toHaveBeenCalledWith(5, expect.objectContaining({ status: 'refunded' }), {});
+    expect(InvoiceRepository.update).toHaveBeenCalledWith(1, expect.objectContaining({ status: 'refunded' }), {});
+  });
+});
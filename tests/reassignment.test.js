@@ -0,0 +1,216 @@
+/**
+ * Reassignment Service unit tests
+ *
+ * Covers agent reassignment requests, their approval and expiry, and direct admin reassignment
+ */
+
+jest.mock('typeorm', () => ({
+  ...jest.requireActual('typeorm'),
+  getConnection: () => ({ transaction: (work) => work({}) })
+}));
+
+jest.mock('../src/repositories/ServiceRequestRepository', () => ({
+  findById: jest.fn(),
+  update: jest.fn()
+}));
+
+jest.mock('../src/repositories/ReassignmentRequestRepository', () => ({
+  create: jest.fn(),
+  findByIdForRequest: jest.fn(),
+  findPending: jest.fn(),
+  findExpired: jest.fn(),
+  closePending: jest.fn(),
+  update: jest.fn()
+}));
+
+jest.mock('../src/repositories/AgentRepository', () => ({
+  findById: jest.fn()
+}));
+
+jest.mock('../src/services/AvailabilityService', () => ({
+  isSlotAvailable: jest.fn()
+}));
+
+jest.mock('../src/services/SlotReservationService', () => ({
+  reserve: jest.fn()
+}));
+
+jest.mock('../src/services/ServiceRequestEventService', () => ({
+  record: jest.fn()
+}));
+
+jest.mock('../src/services/NotificationService', () => ({
+  notify: jest.fn()
+}));
+
+const ServiceRequestRepository = require('../src/repositories/ServiceRequestRepository');
+const ReassignmentRequestRepository = require('../src/repositories/ReassignmentRequestRepository');
+const AgentRepository = require('../src/repositories/AgentRepository');
+const AvailabilityService = require('../src/services/AvailabilityService');
+const SlotReservationService = require('../src/services/SlotReservationService');
+const ServiceRequestEventService = require('../src/services/ServiceRequestEventService');
+const NotificationService = require('../src/services/NotificationService');
+const ReassignmentService = require('../src/services/ReassignmentService');
+
+describe('ReassignmentService', () => {
+  const request = {
+    id: 10,
+    userId: 3,
+    agentId: 7,
+    categoryId: 2,
+    status: 'pending',
+    category: { id: 2, escalationAdminIds: [1] }
+  };
+  const pending = {
+    id: 5,
+    requestId: 10,
+    fromAgentId: 7,
+    toAgentId: 8,
+    reason: 'Going on leave next week',
+    status: 'pending',
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    createdAt: new Date()
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ServiceRequestRepository.findById.mockResolvedValue(request);
+    ServiceRequestRepository.update.mockImplementation(async (id, data) => ({ ...request, ...data }));
+    AgentRepository.findById.mockResolvedValue({ id: 8, isActive: true, departmentId: 2 });
+    ReassignmentRequestRepository.findPending.mockResolvedValue(null);
+    ReassignmentRequestRepository.findByIdForRequest.mockResolvedValue(pending);
+    ReassignmentRequestRepository.create.mockImplementation(async (data) => ({ id: 6, ...data }));
+    AvailabilityService.isSlotAvailable.mockResolvedValue(true);
+    SlotReservationService.reserve.mockImplementation(async (slot, work) => work({}));
+  });
+
+  it('should leave the request with its agent until the reassignment is accepted', async () => {
+    const reassignment = await ReassignmentService.requestReassignment(10, 7, {
+      newAgentId: 8,
+      reason: 'Going on leave next week'
+    });
+
+    expect(reassignment).toMatchObject({ fromAgentId: 7, toAgentId: 8 });
+    expect(reassignment.expiresAt.getTime()).toBeGreaterThan(Date.now());
+    expect(ServiceRequestRepository.update).not.toHaveBeenCalled();
+    expect(ServiceRequestEventService.record)
+      .toHaveBeenCalledWith(10, 'reassignment_requested', { type: 'AGENT', id: 7 }, expect.any(Object), {});
+    expect(NotificationService.notify).toHaveBeenCalledWith(
+      [{ type: 'AGENT', id: 8 }, { type: 'ADMIN', id: 1 }],
+      expect.objectContaining({ type: 'reassignment_requested' })
+    );
+  });
+
+  it('should forbid agents other than the assigned one from requesting a reassignment', async () => {
+    await expect(ReassignmentService.requestReassignment(10, 9, { newAgentId: 8, reason: 'Not my case at all' }))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('should hand the request over when the target agent accepts', async () => {
+    const updated = await ReassignmentService.accept(10, 5, { type: 'AGENT', id: 8 });
+
+    expect(updated).toMatchObject({ agentId: 8, previousAgentId: 7, reassignmentRequestedBy: 7 });
+    expect(ReassignmentRequestRepository.update)
+      .toHaveBeenCalledWith(5, expect.objectContaining({ status: 'accepted', respondedById: 8 }), {});
+    expect(NotificationService.notify).toHaveBeenCalledWith(
+      [{ type: 'AGENT', id: 7 }],
+      expect.objectContaining({ type: 'reassignment_accepted' })
+    );
+    expect(NotificationService.notify).toHaveBeenCalledWith(
+      [{ type: 'USER', id: 3 }],
+      expect.objectContaining({ type: 'reassignment_agentChanged' })
+    );
+    // The new agent accepted it themselves
+    expect(NotificationService.notify).not.toHaveBeenCalledWith(
+      [{ type: 'AGENT', id: 8 }],
+      expect.anything()
+    );
+  });
+
+  it('should only let the target agent or an admin answer', async () => {
+    await expect(ReassignmentService.decline(10, 5, { type: 'AGENT', id: 7 }))
+      .rejects.toMatchObject({ messageKey: 'serviceRequest.cannotRespondToReassignment' });
+  });
+
+  it('should refuse to accept a reassignment past its deadline', async () => {
+    ReassignmentRequestRepository.findByIdForRequest.mockResolvedValue({ ...pending, expiresAt: new Date(Date.now() - 1000) });
+
+    await expect(ReassignmentService.accept(10, 5, { type: 'ADMIN', id: 1 }))
+      .rejects.toMatchObject({ messageKey: 'serviceRequest.reassignmentClosed', data: { status: 'expired' } });
+    expect(ServiceRequestRepository.update).not.toHaveBeenCalled();
+  });
+
+  it('should expire overdue reassignments and tell the requesting agent', async () => {
+    ReassignmentRequestRepository.findExpired.mockResolvedValue([pending]);
+
+    const expired = await ReassignmentService.expirePending();
+
+    expect(expired).toBe(1);
+    expect(ReassignmentRequestRepository.update).toHaveBeenCalledWith(5, expect.objectContaining({ status: 'expired' }), {});
+    expect(NotificationService.notify).toHaveBeenCalledWith(
+      [{ type: 'AGENT', id: 7 }],
+      expect.objectContaining({ type: 'reassignment_expired' })
+    );
+  });
+
+  it('should let admins reassign directly and supersede pending reassignments', async () => {
+    const updated = await ReassignmentService.reassignDirectly(10, 1, { newAgentId: 8, reason: 'Rebalancing workload' });
+
+    expect(updated.agentId).toBe(8);
+    expect(ReassignmentRequestRepository.closePending).toHaveBeenCalledWith(10, 'superseded', {});
+  });
+
+  it('should update the calendar invite and tell both agents and the user of a direct reassignment', async () => {
+    ServiceRequestRepository.findById.mockResolvedValue({ ...request, calendarSequence: 2 });
+
+    const updated = await ReassignmentService.reassignDirectly(10, 1, { newAgentId: 8, reason: 'Rebalancing workload' });
+
+    expect(updated.calendarSequence).toBe(3);
+    expect(NotificationService.notify).toHaveBeenCalledWith(
+      [{ type: 'AGENT', id: 7 }],
+      expect.objectContaining({ type: 'reassignment_handedOver' })
+    );
+    expect(NotificationService.notify).toHaveBeenCalledWith(
+      [{ type: 'AGENT', id: 8 }],
+      expect.objectContaining({ type: 'reassignment_assigned', data: expect.objectContaining({ fromAgentId: 7, toAgentId: 8 }) })
+    );
+    expect(NotificationService.notify).toHaveBeenCalledWith(
+      [{ type: 'USER', id: 3 }],
+      expect.objectContaining({ type: 'reassignment_agentChanged' })
+    );
+  });
+
+  describe('requests with a meeting', () => {
+    const meeting = { ...request, status: 'approved', meetingDate: '2026-10-20', meetingTime: '10:00:00', meetingDuration: 30 };
+
+    beforeEach(() => {
+      ServiceRequestRepository.findById.mockResolvedValue(meeting);
+    });
+
+    it('should hold the meeting slot on the new agent\'s calendar', async () => {
+      await ReassignmentService.accept(10, 5, { type: 'AGENT', id: 8 });
+
+      expect(AvailabilityService.isSlotAvailable)
+        .toHaveBeenCalledWith(expect.objectContaining({ id: 8 }), '2026-10-20', '10:00:00', 30, 10);
+      expect(SlotReservationService.reserve).toHaveBeenCalledWith({
+        agentId: 8,
+        meetingDate: '2026-10-20',
+        meetingTime: '10:00:00',
+        duration: 30,
+        excludeRequestId: 10
+      }, expect.any(Function));
+    });
+
+    it('should not hand the request to an agent who is busy at the meeting time', async () => {
+      AvailabilityService.isSlotAvailable.mockResolvedValue(false);
+
+      await expect(ReassignmentService.reassignDirectly(10, 1, { newAgentId: 8, reason: 'Rebalancing workload' }))
+        .rejects.toMatchObject({ messageKey: 'serviceRequest.slotUnavailable' });
+      await expect(ReassignmentService.accept(10, 5, { type: 'AGENT', id: 8 }))
+        .rejects.toMatchObject({ messageKey: 'serviceRequest.slotUnavailable' });
+
+      expect(SlotReservationService.reserve).not.toHaveBeenCalled();
+      expect(ServiceRequestRepository.update).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Request Document Service unit tests
+ *
+ * Covers the additional-documents loop: request, upload and per-document review
+ */
+
+jest.mock('typeorm', () => ({
+  ...jest.requireActual('typeorm'),
+  getConnection: () => ({ transaction: (work) => work({}) })
+}));
+
+jest.mock('../src/repositories/ServiceRequestRepository', () => ({
+  findById: jest.fn(),
+  update: jest.fn()
+}));
+
+jest.mock('../src/repositories/RequestDocumentRepository', () => ({
+  createMany: jest.fn(),
+  findByIdForRequest: jest.fn(),
+  countActiveByRequestId: jest.fn(),
+  countSubmittedForRequirement: jest.fn(),
+  update: jest.fn()
+}));
+
+jest.mock('../src/repositories/DocumentRequirementRepository', () => ({
+  createMany: jest.fn(),
+  findByIdForRequest: jest.fn(),
+  update: jest.fn(),
+  countOutstanding: jest.fn()
+}));
+
+jest.mock('../src/services/ServiceRequestEventService', () => ({
+  record: jest.fn()
+}));
+
+jest.mock('../src/services/NotificationService', () => ({
+  notify: jest.fn()
+}));
+
+const ServiceRequestRepository = require('../src/repositories/ServiceRequestRepository');
+const RequestDocumentRepository = require('../src/repositories/RequestDocumentRepository');
+const DocumentRequirementRepository = require('../src/repositories/DocumentRequirementRepository');
+const ServiceRequestEventService = require('../src/services/ServiceRequestEventService');
+const NotificationService = require('../src/services/NotificationService');
+const RequestDocumentService = require('../src/services/RequestDocumentService');
+
+describe('RequestDocumentService', () => {
+  const agent = { type: 'AGENT', id: 11 };
+  const request = { id: 7, userId: 3, agentId: 11, status: 'awaiting_documents' };
+  const file = { originalname: 'passport.pdf', path: '/tmp/does-not-exist.pdf', mimetype: 'application/pdf', size: 100 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ServiceRequestRepository.findById.mockResolvedValue(request);
+    ServiceRequestRepository.update.mockImplementation(async (id, data) => ({ ...request, ...data }));
+    RequestDocumentRepository.countActiveByRequestId.mockResolvedValue(0);
+  });
+
+  describe('requestDocuments', () => {
+    it('should list the requirements and wait for documents', async () => {
+      ServiceRequestRepository.findById.mockResolvedValue({ ...request, status: 'pending' });
+      DocumentRequirementRepository.createMany.mockImplementation(async (rows) => rows.map((row, i) => ({ id: i + 1, ...row })));
+
+      const result = await RequestDocumentService.requestDocuments(7, agent, {
+        reason: 'We need proof of identity',
+        documents: [{ name: 'Passport copy' }]
+      });
+
+      expect(result.serviceRequest.status).toBe('awaiting_documents');
+      expect(result.requirements[0]).toMatchObject({ requestId: 7, name: 'Passport copy', requestedByType: 'AGENT' });
+      expect(ServiceRequestEventService.record).toHaveBeenCalledWith(7, 'documents_requested', agent, expect.objectContaining({
+        metadata: { reason: 'We need proof of identity', documents: [{ id: 1, name: 'Passport copy' }] }
+      }), {});
+      expect(NotificationService.notify).toHaveBeenCalledWith([{ type: 'USER', id: 3 }], expect.objectContaining({
+        type: 'documents_requested',
+        data: { requestId: 7, requirementIds: [1] }
+      }));
+    });
+
+    it('should not let another agent ask for documents', async () => {
+      await expect(RequestDocumentService.requestDocuments(7, { type: 'AGENT', id: 12 }, {
+        reason: 'We need proof of identity',
+        documents: [{ name: 'Passport copy' }]
+      })).rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe('uploadDocuments', () => {
+    it('should attach uploads to the requirement and mark it submitted', async () => {
+      DocumentRequirementRepository.findByIdForRequest.mockResolvedValue({ id: 4, requestId: 7, status: 'missing' });
+      RequestDocumentRepository.createMany.mockImplementation(async (rows) => rows.map((row, i) => ({ id: i + 10, ...row })));
+
+      const documents = await RequestDocumentService.uploadDocuments(7, 3, [file], 4);
+
+      expect(documents[0]).toMatchObject({ requestId: 7, requirementId: 4, fileName: 'passport.pdf', uploadedBy: 3 });
+      expect(DocumentRequirementRepository.update).toHaveBeenCalledWith(4, { status: 'submitted' }, {});
+      expect(NotificationService.notify).toHaveBeenCalledWith([{ type: 'AGENT', id: 11 }], expect.objectContaining({
+        type: 'documents_uploaded',
+        params: { requestId: 7, count: 1 }
+      }));
+    });
+
+    it('should refuse uploads once the request was decided', async () => {
+      ServiceRequestRepository.findById.mockResolvedValue({ ...request, status: 'approved' });
+
+      await expect(RequestDocumentService.uploadDocuments(7, 3, [file]))
+        .rejects.toMatchObject({ messageKey: 'serviceRequest.cannotUploadDocuments' });
+      expect(RequestDocumentRepository.createMany).not.toHaveBeenCalled();
+    });
+
+    it('should enforce the per-request document limit', async () => {
+      RequestDocumentRepository.countActiveByRequestId.mockResolvedValue(RequestDocumentService.maxDocuments);
+
+      await expect(RequestDocumentService.uploadDocuments(7, 3, [file]))
+        .rejects.toMatchObject({ messageKey: 'errors.maxDocumentsExceeded' });
+    });
+  });
+
+  describe('reviewDocument', () => {
+    const document = { id: 10, requestId: 7, requirementId: 4, fileName: 'passport.pdf', status: 'submitted' };
+
+    beforeEach(() => {
+      RequestDocumentRepository.findByIdForRequest.mockResolvedValue(document);
+      RequestDocumentRepository.update.mockImplementation(async (id, data) => ({ ...document, ...data }));
+    });
+
+    it('should send a rejected requirement back to missing', async () => {
+      RequestDocumentRepository.countSubmittedForRequirement.mockResolvedValue(0);
+
+      const result = await RequestDocumentService.reviewDocument(7, 10, agent, {
+        status: 'rejected',
+        reason: 'The scan is not readable'
+      });
+
+      expect(result.document).toMatchObject({ status: 'rejected', rejectionReason: 'The scan is not readable', reviewedBy: 11 });
+      expect(DocumentRequirementRepository.update).toHaveBeenCalledWith(4, { status: 'missing' }, {});
+      expect(result.serviceRequest.status).toBe('awaiting_documents');
+      expect(NotificationService.notify).toHaveBeenCalledWith([{ type: 'USER', id: 3 }], expect.objectContaining({
+        type: 'document_rejected',
+        messageKey: 'serviceRequest.documentRejectedMessage'
+      }));
+    });
+
+    it('should move the request back to pending when the last requirement is accepted', async () => {
+      DocumentRequirementRepository.countOutstanding.mockResolvedValue(0);
+
+      const result = await RequestDocumentService.reviewDocument(7, 10, agent, { status: 'accepted' });
+
+      expect(DocumentRequirementRepository.update).toHaveBeenCalledWith(4, { status: 'accepted' }, {});
+      expect(result.serviceRequest.status).toBe('pending');
+      expect(ServiceRequestEventService.record).toHaveBeenCalledWith(7, 'documents_completed', { type: 'SYSTEM', id: null },
+        expect.objectContaining({ fromStatus: 'awaiting_documents', toStatus: 'pending' }), {});
+    });
+
+    it('should keep waiting while other requirements are outstanding', async () => {
+      DocumentRequirementRepository.countOutstanding.mockResolvedValue(1);
+
+      const result = await RequestDocumentService.reviewDocument(7, 10, agent, { status: 'accepted' });
+
+      expect(result.serviceRequest.status).toBe('awaiting_documents');
+      expect(ServiceRequestRepository.update).not.toHaveBeenCalled();
+    });
+
+    it('should not review a document twice', async () => {
+      RequestDocumentRepository.findByIdForRequest.mockResolvedValue({ ...document, status: 'accepted' });
+
+      await expect(RequestDocumentService.reviewDocument(7, 10, agent, { status: 'accepted' }))
+        .rejects.toMatchObject({ messageKey: 'serviceRequest.documentAlreadyReviewed' });
+    });
+  });
+});
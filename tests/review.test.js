@@ -0,0 +1,103 @@
+/**
+ * Review Service unit tests
+ *
+ * Covers review eligibility, the edit window and rating refresh on moderation
+ */
+
+jest.mock('typeorm', () => ({
+  ...jest.requireActual('typeorm'),
+  getConnection: () => ({ transaction: (work) => work({}) })
+}));
+
+jest.mock('../src/repositories/AgentReviewRepository', () => ({
+  create: jest.fn(),
+  findById: jest.fn(),
+  findByRequestId: jest.fn(),
+  update: jest.fn(),
+  getAgentAggregate: jest.fn()
+}));
+
+jest.mock('../src/repositories/AgentRepository', () => ({
+  updateRating: jest.fn()
+}));
+
+jest.mock('../src/repositories/ServiceRequestRepository', () => ({
+  findById: jest.fn()
+}));
+
+const AgentReviewRepository = require('../src/repositories/AgentReviewRepository');
+const AgentRepository = require('../src/repositories/AgentRepository');
+const ServiceRequestRepository = require('../src/repositories/ServiceRequestRepository');
+const ReviewService = require('../src/services/ReviewService');
+
+describe('ReviewService', () => {
+  const request = { id: 7, userId: 3, agentId: 11, status: 'completed' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ServiceRequestRepository.findById.mockResolvedValue(request);
+    AgentReviewRepository.findByRequestId.mockResolvedValue(null);
+    AgentReviewRepository.getAgentAggregate.mockResolvedValue({ ratingAverage: 4.5, ratingCount: 2 });
+  });
+
+  describe('submitReview', () => {
+    it('should store the review and refresh the agent rating', async () => {
+      AgentReviewRepository.create.mockImplementation(async (data) => ({ id: 1, ...data }));
+
+      const review = await ReviewService.submitReview(7, 3, { rating: 5, comment: 'Great' });
+
+      expect(review).toMatchObject({ requestId: 7, agentId: 11, userId: 3, rating: 5 });
+      expect(review.editableUntil.getTime()).toBeGreaterThan(Date.now());
+      expect(AgentRepository.updateRating).toHaveBeenCalledWith(11, { ratingAverage: 4.5, ratingCount: 2 }, {});
+    });
+
+    it('should only accept completed requests', async () => {
+      ServiceRequestRepository.findById.mockResolvedValue({ ...request, status: 'approved' });
+
+      await expect(ReviewService.submitReview(7, 3, { rating: 5 }))
+        .rejects.toMatchObject({ messageKey: 'review.requestNotCompleted' });
+    });
+
+    it('should only let the request user review', async () => {
+      await expect(ReviewService.submitReview(7, 4, { rating: 5 }))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should allow a single review per request', async () => {
+      AgentReviewRepository.findByRequestId.mockResolvedValue({ id: 1 });
+
+      await expect(ReviewService.submitReview(7, 3, { rating: 5 }))
+        .rejects.toMatchObject({ messageKey: 'review.alreadyExists', statusCode: 409 });
+    });
+  });
+
+  describe('updateReview', () => {
+    it('should refuse edits after the window closed', async () => {
+      AgentReviewRepository.findByRequestId.mockResolvedValue({
+        id: 1,
+        agentId: 11,
+        status: 'visible',
+        editableUntil: new Date(Date.now() - 1000)
+      });
+
+      await expect(ReviewService.updateReview(7, 3, { rating: 1 }))
+        .rejects.toMatchObject({ messageKey: 'review.editWindowClosed' });
+      expect(AgentReviewRepository.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('hideReview', () => {
+    it('should hide the review and drop it from the agent rating', async () => {
+      AgentReviewRepository.findById.mockResolvedValue({ id: 1, agentId: 11, status: 'visible' });
+
+      await ReviewService.hideReview(1, 99, 'Abusive language');
+
+      expect(AgentReviewRepository.update).toHaveBeenCalledWith(1, expect.objectContaining({
+        status: 'hidden',
+        hiddenBy: 99,
+        hiddenReason: 'Abusive language'
+      }), {});
+      expect(AgentRepository.updateRating).toHaveBeenCalledWith(11, expect.any(Object), {});
+    });
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Service Request Bulk Service unit tests
+ *
+ * Covers applying one admin action to many requests with a per-request report
+ */
+
+jest.mock('../src/repositories/ServiceRequestRepository', () => ({
+  findById: jest.fn()
+}));
+
+jest.mock('../src/services/ServiceRequestService', () => ({
+  assignAgent: jest.fn(),
+  updatePriority: jest.fn(),
+  cancelRequest: jest.fn(),
+  addAdminNotes: jest.fn()
+}));
+
+const ServiceRequestRepository = require('../src/repositories/ServiceRequestRepository');
+const ServiceRequestService = require('../src/services/ServiceRequestService');
+const ServiceRequestBulkService = require('../src/services/ServiceRequestBulkService');
+const { ErrorHandlers } = require('../src/utils/ErrorHandler');
+
+describe('ServiceRequestBulkService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should report each request separately and keep going after a failure', async () => {
+    ServiceRequestService.updatePriority
+      .mockResolvedValueOnce({ id: 1, status: 'pending', priority: 'high', agentId: null })
+      .mockRejectedValueOnce(ErrorHandlers.badRequest('serviceRequest.cannotUpdateFinishedRequest'))
+      .mockResolvedValueOnce({ id: 3, status: 'approved', priority: 'high', agentId: 4 });
+
+    const report = await ServiceRequestBulkService.execute(9, { ids: [1, 2, 3], action: 'priority', priority: 'high' });
+
+    expect(report).toMatchObject({ action: 'priority', total: 3, succeeded: 2, failed: 1 });
+    expect(report.results[1]).toEqual({
+      id: 2,
+      ok: false,
+      messageKey: 'serviceRequest.cannotUpdateFinishedRequest',
+      data: {}
+    });
+    expect(ServiceRequestService.updatePriority).toHaveBeenCalledWith(3, 'high', 9);
+  });
+
+  it('should apply each request once', async () => {
+    ServiceRequestService.cancelRequest.mockResolvedValue({ id: 5, status: 'cancelled' });
+
+    const report = await ServiceRequestBulkService.execute(9, {
+      ids: [5, '5'],
+      action: 'cancel',
+      reason: 'Office closed for the holiday'
+    });
+
+    expect(report.total).toBe(1);
+    expect(ServiceRequestService.cancelRequest).toHaveBeenCalledTimes(1);
+    expect(ServiceRequestService.cancelRequest).toHaveBeenCalledWith(5, 9, 'Office closed for the holiday');
+  });
+
+  it('should add bulk notes below the existing admin notes', async () => {
+    ServiceRequestRepository.findById.mockResolvedValue({ id: 6, adminNotes: 'VIP client' });
+    ServiceRequestService.addAdminNotes.mockResolvedValue({ id: 6, status: 'pending' });
+
+    await ServiceRequestBulkService.execute(9, { ids: [6], action: 'note', notes: 'Checked by triage' });
+
+    expect(ServiceRequestService.addAdminNotes).toHaveBeenCalledWith(6, 'VIP client\n\nChecked by triage', 9, 'ADMIN');
+  });
+
+  it('should refuse more requests than the configured maximum', async () => {
+    const ids = Array.from({ length: ServiceRequestBulkService.maxItems + 1 }, (value, index) => index + 1);
+
+    await expect(ServiceRequestBulkService.execute(9, { ids, action: 'priority', priority: 'low' }))
+      .rejects.toMatchObject({ messageKey: 'serviceRequest.bulkTooManyItems' });
+    expect(ServiceRequestService.updatePriority).not.toHaveBeenCalled();
+  });
+});
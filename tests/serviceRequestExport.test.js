@@ -0,0 +1,137 @@
+/**
+ * Service Request Export Service unit tests
+ *
+ * Covers streaming CSV/XLSX exports of the admin request list and statistics
+ */
+
+jest.mock('../src/repositories/ServiceRequestRepository', () => ({
+  findAll: jest.fn()
+}));
+
+jest.mock('../src/services/ServiceRequestService', () => ({
+  getStatistics: jest.fn()
+}));
+
+const { PassThrough } = require('stream');
+const ExcelJS = require('exceljs');
+const ServiceRequestRepository = require('../src/repositories/ServiceRequestRepository');
+const ServiceRequestService = require('../src/services/ServiceRequestService');
+const ServiceRequestExportService = require('../src/services/ServiceRequestExportService');
+
+// Stand-in for req.t: echoes the last key segment
+const t = (key) => key.split('.').pop();
+
+const collect = (stream) => new Promise((resolve) => {
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(Buffer.from(chunk)));
+  stream.on('end', () => resolve(Buffer.concat(chunks)));
+});
+
+describe('ServiceRequestExportService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ServiceRequestRepository.findAll.mockReset()
+      .mockResolvedValueOnce({
+        requests: [{
+          id: 4,
+          fullName: 'Sara "Sam" Ali',
+          status: 'approved',
+          category: { name: 'Visas', nameAr: 'التأشيرات' }
+        }],
+        hasMore: true,
+        lastSortValues: [4, '2026-10-18 09:00:00.000000', 4]
+      })
+      .mockResolvedValueOnce({
+        requests: [{ id: 9, fullName: '=HYPERLINK("x")', status: 'pending', category: null }],
+        hasMore: false,
+        lastSortValues: [3, '2026-10-17 08:00:00.000000', 9]
+      });
+  });
+
+  it('should stream the selected columns as quoted CSV across keyset pages', async () => {
+    const stream = new PassThrough();
+    const output = collect(stream);
+
+    const exported = await ServiceRequestExportService.exportRequests(stream, {
+      format: 'csv',
+      columns: ['status', 'id', 'fullName', 'category'],
+      filters: { status: ['approved', 'pending'] },
+      t,
+      language: 'ar'
+    });
+
+    const csv = (await output).toString('utf8');
+
+    expect(exported).toBe(2);
+    expect(csv.split('\r\n')).toEqual([
+      '\uFEFFid,fullName,category,status',
+      '4,"Sara ""Sam"" Ali",التأشيرات,approved',
+      '9,"\'=HYPERLINK(""x"")",,pending',
+      ''
+    ]);
+    expect(ServiceRequestRepository.findAll).toHaveBeenLastCalledWith(expect.objectContaining({
+      status: ['approved', 'pending'],
+      sort: '-priority,-createdAt',
+      after: [4, '2026-10-18 09:00:00.000000', 4]
+    }));
+  });
+
+  it('should write a readable XLSX workbook', async () => {
+    const stream = new PassThrough();
+    const output = collect(stream);
+
+    await ServiceRequestExportService.exportRequests(stream, {
+      format: 'xlsx',
+      columns: ['id', 'fullName'],
+      filters: {},
+      t,
+      language: 'en'
+    });
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await output);
+    const worksheet = workbook.getWorksheet('requestsSheet');
+
+    expect(worksheet.getRow(1).values.slice(1)).toEqual(['id', 'fullName']);
+    expect(worksheet.getRow(3).values.slice(1)).toEqual([9, '=HYPERLINK("x")']);
+  });
+
+  it('should refuse unknown columns', async () => {
+    await expect(ServiceRequestExportService.exportRequests(new PassThrough(), {
+      format: 'csv',
+      columns: ['id', 'password'],
+      filters: {},
+      t
+    })).rejects.toMatchObject({ messageKey: 'validation.exportColumnsInvalid' });
+    expect(ServiceRequestRepository.findAll).not.toHaveBeenCalled();
+  });
+
+  it('should flatten the statistics into group, item and count rows', async () => {
+    ServiceRequestService.getStatistics.mockResolvedValue({
+      total: 5,
+      byStatus: { pending: 3, completed: 2 },
+      byPriority: { normal: 5 },
+      sla: {
+        open: 3,
+        escalated: 1,
+        byStatus: { on_track: 2, breached: 1 },
+        byMetric: { assignment: { at_risk: 0, breached: 1 } }
+      }
+    });
+    const stream = new PassThrough();
+    const output = collect(stream);
+
+    await ServiceRequestExportService.exportStatistics(stream, { format: 'csv', filters: { agentId: 3 }, t });
+
+    const lines = (await output).toString('utf8').split('\r\n');
+
+    expect(ServiceRequestService.getStatistics).toHaveBeenCalledWith({ agentId: 3 });
+    expect(lines).toEqual(expect.arrayContaining([
+      '\uFEFFgroup,item,count',
+      'total,,5',
+      'byStatus,pending,3',
+      'slaEscalated,,1',
+      'slaByMetric,assignment - breached,1'
+    ]));
+  });
+});
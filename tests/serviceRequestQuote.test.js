@@ -0,0 +1,74 @@
+/**
+ * Service Request Quote unit tests
+ *
+ * Covers pricing an application type with its additional services
+ */
+
+jest.mock('../src/repositories/ApplicationTypeRepository', () => ({
+  findByIdWithServices: jest.fn()
+}));
+
+const ApplicationTypeRepository = require('../src/repositories/ApplicationTypeRepository');
+const ServiceRequestQuoteService = require('../src/services/ServiceRequestQuoteService');
+
+describe('ServiceRequestQuoteService', () => {
+  const applicationType = {
+    id: 2,
+    name: 'Registration',
+    nameAr: 'تسجيل',
+    isActive: true,
+    additionalServices: [
+      { id: 10, name: 'Filing', nameAr: 'إيداع', price: '100.10', isRequired: true, isActive: true,
+        requiredDocuments: '["Passport copy"]' },
+      { id: 11, name: 'Translation', nameAr: 'ترجمة', price: '200.20', isRequired: false, isActive: true,
+        requiredDocuments: '[{"name": "passport copy "}, {"name": "Original contract"}]' },
+      { id: 12, name: 'Courier', nameAr: 'توصيل', price: '50.00', isRequired: false, isActive: false,
+        requiredDocuments: null }
+    ]
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ApplicationTypeRepository.findByIdWithServices.mockResolvedValue(applicationType);
+  });
+
+  it('should always include the mandatory services', async () => {
+    const quote = await ServiceRequestQuoteService.buildQuote(2);
+
+    expect(quote.items).toEqual([
+      { additionalServiceId: 10, name: 'Filing', nameAr: 'إيداع', unitPrice: '100.10', isRequired: true }
+    ]);
+    expect(quote.totalPrice).toBe('100.10');
+    expect(quote.currency).toBe('SAR');
+  });
+
+  it('should add the selected services to the total without rounding drift', async () => {
+    const quote = await ServiceRequestQuoteService.buildQuote(2, [11, 11]);
+
+    expect(quote.items.map(item => item.additionalServiceId)).toEqual([10, 11]);
+    expect(quote.totalPrice).toBe('300.30');
+  });
+
+  it('should collect the required documents once per name', async () => {
+    const quote = await ServiceRequestQuoteService.buildQuote(2, [11]);
+
+    expect(quote.requiredDocuments).toEqual([
+      { name: 'Passport copy', nameAr: null, additionalServiceId: 10 },
+      { name: 'Original contract', nameAr: null, additionalServiceId: 11 }
+    ]);
+  });
+
+  it('should refuse services that are inactive or belong to another type', async () => {
+    await expect(ServiceRequestQuoteService.buildQuote(2, [12]))
+      .rejects.toMatchObject({ messageKey: 'serviceRequest.additionalServiceNotInType' });
+    await expect(ServiceRequestQuoteService.buildQuote(2, [99]))
+      .rejects.toMatchObject({ messageKey: 'serviceRequest.additionalServiceNotInType' });
+  });
+
+  it('should refuse an inactive application type', async () => {
+    ApplicationTypeRepository.findByIdWithServices.mockResolvedValue({ ...applicationType, isActive: false });
+
+    await expect(ServiceRequestQuoteService.buildQuote(2))
+      .rejects.toMatchObject({ statusCode: 404, messageKey: 'serviceRequest.applicationTypeNotFound' });
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Service Request search unit tests
+ *
+ * Covers admin search filters, sorting and keyset (cursor) pagination
+ */
+
+const mockQueryBuilder = {
+  select: jest.fn().mockReturnThis(),
+  addSelect: jest.fn().mockReturnThis(),
+  where: jest.fn().mockReturnThis(),
+  andWhere: jest.fn().mockReturnThis(),
+  addOrderBy: jest.fn().mockReturnThis(),
+  offset: jest.fn().mockReturnThis(),
+  limit: jest.fn().mockReturnThis(),
+  getCount: jest.fn(),
+  getRawMany: jest.fn()
+};
+
+const mockRepository = {
+  createQueryBuilder: () => mockQueryBuilder,
+  find: jest.fn()
+};
+
+jest.mock('typeorm', () => ({
+  ...jest.requireActual('typeorm'),
+  getRepository: () => mockRepository
+}));
+
+const ServiceRequestRepository = require('../src/repositories/ServiceRequestRepository');
+const ServiceRequestService = require('../src/services/ServiceRequestService');
+
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+describe('ServiceRequestRepository.findAll', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockQueryBuilder.getCount.mockResolvedValue(3);
+    mockQueryBuilder.getRawMany.mockResolvedValue([
+      { id: 9, sort_0: 4, sort_1: '2026-10-18 09:00:00.000000', sort_2: 9 },
+      { id: 4, sort_0: 4, sort_1: '2026-10-17 12:30:00.000000', sort_2: 4 },
+      { id: 7, sort_0: 3, sort_1: '2026-10-18 10:00:00.000000', sort_2: 7 }
+    ]);
+    mockRepository.find.mockImplementation(async ({ where }) => where.id.value.map(id => ({ id })).reverse());
+  });
+
+  it('should filter by lists, date ranges and escaped free text', async () => {
+    await ServiceRequestRepository.findAll({
+      status: ['pending', 'approved'],
+      agentId: [3],
+      createdTo: '2026-10-18',
+      searchTerm: '50%_off'
+    });
+
+    expect(mockQueryBuilder.andWhere).toHaveBeenCalledWith('request.status IN (:...status)', { status: ['pending', 'approved'] });
+    expect(mockQueryBuilder.andWhere).toHaveBeenCalledWith('request.agentId IN (:...agentId)', { agentId: [3] });
+    expect(mockQueryBuilder.andWhere).toHaveBeenCalledWith(
+      'request.createdAt < DATE_ADD(:createdTo, INTERVAL 1 DAY)',
+      { createdTo: '2026-10-18' }
+    );
+    expect(mockQueryBuilder.andWhere).toHaveBeenCalledWith(
+      expect.stringContaining('request.adminNotes LIKE :search'),
+      { search: '%50\\%\\_off%' }
+    );
+  });
+
+  it('should return one page in sort order and tell whether more follow', async () => {
+    const result = await ServiceRequestRepository.findAll({ limit: 2, sort: '-priority,-createdAt' });
+
+    expect(mockQueryBuilder.limit).toHaveBeenCalledWith(3);
+    expect(result.requests.map(request => request.id)).toEqual([9, 4]);
+    expect(result).toMatchObject({ hasMore: true, total: 3, page: 1, totalPages: 2 });
+    expect(result.lastSortValues).toEqual([4, '2026-10-17 12:30:00.000000', 4]);
+  });
+
+  it('should continue after the last row of the previous page', async () => {
+    const result = await ServiceRequestRepository.findAll({
+      limit: 2,
+      sort: 'meetingDate',
+      after: ['2026-10-20', '10:00:00', 12]
+    });
+
+    expect(mockQueryBuilder.getCount).not.toHaveBeenCalled();
+    expect(mockQueryBuilder.offset).not.toHaveBeenCalled();
+    expect(mockQueryBuilder.andWhere).toHaveBeenCalledWith(
+      '((request.meetingDate > :after_0) OR ' +
+      '(request.meetingDate = :after_0 AND request.meetingTime > :after_1) OR ' +
+      '(request.meetingDate = :after_0 AND request.meetingTime = :after_1 AND request.id > :after_2))',
+      { after_0: '2026-10-20', after_1: '10:00:00', after_2: 12 }
+    );
+    expect(result.total).toBeUndefined();
+  });
+});
+
+describe('ServiceRequestService.getAllRequests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockQueryBuilder.getRawMany.mockResolvedValue([]);
+  });
+
+  it('should page on from a cursor it issued', async () => {
+    await ServiceRequestService.getAllRequests({
+      sort: 'meetingDate',
+      cursor: encodeCursor({ sort: 'meetingDate', values: ['2026-10-20', '10:00:00', 12] })
+    });
+
+    expect(mockQueryBuilder.andWhere).toHaveBeenCalledWith(
+      expect.stringContaining('request.id > :after_2'),
+      { after_0: '2026-10-20', after_1: '10:00:00', after_2: 12 }
+    );
+  });
+
+  it('should refuse a cursor whose values do not match the sort keys', async () => {
+    const cursors = [
+      { sort: 'meetingDate', values: ['2026-10-20', 12] },
+      { sort: 'meetingDate', values: ['2026-10-20', '10:00:00', '12'] },
+      { sort: 'meetingDate', values: [{ $gt: 0 }, '10:00:00', 12] },
+      { sort: '-priority,-createdAt', values: ['2026-10-20', '10:00:00', 12] }
+    ];
+
+    for (const cursor of cursors) {
+      await expect(ServiceRequestService.getAllRequests({ sort: 'meetingDate', cursor: encodeCursor(cursor) }))
+        .rejects.toMatchObject({ statusCode: 400, messageKey: 'validation.cursorInvalid' });
+    }
+
+    expect(mockQueryBuilder.getRawMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Service Request State Machine unit tests
+ *
+ * Covers transition checks and allowed-action listing
+ */
+
+const ServiceRequestStateMachine = require('../src/services/ServiceRequestStateMachine');
+
+describe('ServiceRequestStateMachine', () => {
+  const admin = { type: 'ADMIN', id: 1 };
+  const agent = { type: 'AGENT', id: 7 };
+  const request = { id: 10, userId: 3, agentId: 7, status: 'pending' };
+
+  it('should return the target status for an allowed transition', () => {
+    const transition = ServiceRequestStateMachine.assertTransition(request, 'approve', agent);
+
+    expect(transition.to).toBe('approved');
+  });
+
+  it('should reject a transition from a status not listed in the table', () => {
+    expect(() => ServiceRequestStateMachine.assertTransition(
+      { ...request, status: 'completed' },
+      'approve',
+      agent
+    )).toThrow(expect.objectContaining({ messageKey: 'serviceRequest.cannotApproveNonPendingRequest' }));
+  });
+
+  it('should forbid agents acting on requests assigned to someone else', () => {
+    expect(() => ServiceRequestStateMachine.assertTransition(
+      { ...request, agentId: 99 },
+      'approve',
+      agent
+    )).toThrow(expect.objectContaining({ statusCode: 403 }));
+  });
+
+  it('should forbid actor types not listed for the action', () => {
+    expect(() => ServiceRequestStateMachine.assertTransition(request, 'cancel', agent, { reason: 'x' }))
+      .toThrow(expect.objectContaining({ statusCode: 403 }));
+  });
+
+  it('should only let users act on their own requests', () => {
+    expect(() => ServiceRequestStateMachine.assertTransition(request, 'user_cancel', { type: 'USER', id: 4 }))
+      .toThrow(expect.objectContaining({ statusCode: 403 }));
+
+    const transition = ServiceRequestStateMachine.assertTransition(request, 'user_cancel', { type: 'USER', id: 3 });
+    expect(transition.to).toBe('cancelled');
+  });
+
+  it('should require the payload fields of the action', () => {
+    expect(() => ServiceRequestStateMachine.assertTransition(request, 'reject', agent, {}))
+      .toThrow(expect.objectContaining({ messageKey: 'serviceRequest.missingActionField' }));
+  });
+
+  it('should list only the actions available to the actor', () => {
+    const approved = { ...request, status: 'approved' };
+
+    const agentActions = ServiceRequestStateMachine.getAllowedActions(approved, agent).map(a => a.action);
+    expect(agentActions).toEqual(expect.arrayContaining(['complete', 'reschedule', 'mark_no_show']));
+    expect(agentActions).not.toContain('cancel');
+    expect(agentActions).not.toContain('approve');
+
+    const adminActions = ServiceRequestStateMachine.getAllowedActions(approved, admin).map(a => a.action);
+    expect(adminActions).toContain('cancel');
+  });
+
+  it('should allow nothing but notes on a closed request', () => {
+    const actions = ServiceRequestStateMachine.getAllowedActions({ ...request, status: 'cancelled' }, admin);
+
+    expect(actions.map(a => a.action)).toEqual(['add_notes']);
+  });
+
+  it('should let only the owner, the assigned agent and admins view a request', () => {
+    expect(() => ServiceRequestStateMachine.assertCanView(request, 3, 'USER')).not.toThrow();
+    expect(() => ServiceRequestStateMachine.assertCanView(request, 7, 'AGENT')).not.toThrow();
+    expect(() => ServiceRequestStateMachine.assertCanView(request, 1, 'ADMIN')).not.toThrow();
+
+    expect(() => ServiceRequestStateMachine.assertCanView(request, 4, 'USER'))
+      .toThrow(expect.objectContaining({ statusCode: 403 }));
+    expect(() => ServiceRequestStateMachine.assertCanView(request, 8, 'AGENT'))
+      .toThrow(expect.objectContaining({ statusCode: 403 }));
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Shift management unit tests
+ *
+ * Covers creating shifts with their break policy, overlap checks, edits refused while
+ * agents are checked in, and break policy updates
+ */
+
+jest.mock('typeorm', () => ({
+  ...jest.requireActual('typeorm'),
+  getConnection: () => ({ transaction: (work) => work({}) })
+}));
+
+jest.mock('../src/repositories/ShiftRepository', () => ({
+  findAll: jest.fn(),
+  findById: jest.fn(),
+  findByName: jest.fn(),
+  create: jest.fn(),
+  update: jest.fn(),
+  hasOverlap: jest.fn()
+}));
+
+jest.mock('../src/repositories/BreakPolicyRepository', () => ({
+  findByShift: jest.fn(),
+  create: jest.fn(),
+  update: jest.fn()
+}));
+
+jest.mock('../src/repositories/AgentSessionRepository', () => ({
+  countActiveByShift: jest.fn()
+}));
+
+jest.mock('../src/repositories/DepartmentRepository', () => ({
+  findById: jest.fn()
+}));
+
+const ShiftRepository = require('../src/repositories/ShiftRepository');
+const BreakPolicyRepository = require('../src/repositories/BreakPolicyRepository');
+const AgentSessionRepository = require('../src/repositories/AgentSessionRepository');
+const DepartmentRepository = require('../src/repositories/DepartmentRepository');
+const ShiftService = require('../src/services/ShiftService');
+
+describe('ShiftService', () => {
+  const shift = {
+    id: 5,
+    name: 'Morning',
+    nameAr: 'صباحي',
+    startTime: '08:00:00',
+    endTime: '16:00:00',
+    assignmentType: 'all',
+    departmentId: null,
+    isActive: true
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ShiftRepository.findById.mockResolvedValue(shift);
+    ShiftRepository.findByName.mockResolvedValue(null);
+    ShiftRepository.hasOverlap.mockResolvedValue(false);
+    ShiftRepository.create.mockImplementation(async (data) => ({ id: 9, ...data }));
+    ShiftRepository.update.mockImplementation(async (id, data) => ({ ...shift, ...data }));
+    AgentSessionRepository.countActiveByShift.mockResolvedValue(0);
+    DepartmentRepository.findById.mockResolvedValue({ id: 2 });
+  });
+
+  it('should create a department shift with its break policy', async () => {
+    await ShiftService.createShift({
+      name: 'Legal Evening',
+      nameAr: 'مسائي قانوني',
+      startTime: '16:00',
+      endTime: '22:00',
+      assignmentType: 'department',
+      departmentId: 2,
+      breakPolicy: { maxBreaksPerDay: 1, maxDuration: 20 }
+    }, 1);
+
+    expect(ShiftRepository.hasOverlap).toHaveBeenCalledWith('16:00:00', '22:00:00', null, {
+      assignmentType: 'department',
+      departmentId: 2
+    });
+    expect(ShiftRepository.create).toHaveBeenCalledWith(expect.objectContaining({ startTime: '16:00:00' }), {});
+    expect(BreakPolicyRepository.create).toHaveBeenCalledWith({ maxBreaksPerDay: 1, maxDuration: 20, shiftId: 9 }, {});
+  });
+
+  it('should refuse overlapping shifts and shifts ending when they start', async () => {
+    ShiftRepository.hasOverlap.mockResolvedValueOnce(true);
+
+    await expect(ShiftService.createShift({ name: 'Early', startTime: '07:00', endTime: '12:00' }, 1))
+      .rejects.toMatchObject({ statusCode: 409, messageKey: 'shift.overlapsExistingShift' });
+
+    await expect(ShiftService.updateShift(5, { endTime: '08:00' }, 1))
+      .rejects.toMatchObject({ messageKey: 'shift.invalidTimeRange' });
+
+    expect(ShiftRepository.create).not.toHaveBeenCalled();
+    expect(ShiftRepository.update).not.toHaveBeenCalled();
+  });
+
+  it('should create an overnight shift ending the next morning', async () => {
+    await ShiftService.createShift({ name: 'Night', nameAr: 'ليلي', startTime: '22:00', endTime: '06:00' }, 1);
+
+    expect(ShiftRepository.hasOverlap).toHaveBeenCalledWith('22:00:00', '06:00:00', null, {
+      assignmentType: 'all',
+      departmentId: null
+    });
+    expect(ShiftRepository.create).toHaveBeenCalledWith(
+      expect.objectContaining({ startTime: '22:00:00', endTime: '06:00:00' }),
+      expect.anything()
+    );
+  });
+
+  it('should not move or deactivate a shift agents are checked in to', async () => {
+    AgentSessionRepository.countActiveByShift.mockResolvedValue(3);
+
+    await expect(ShiftService.updateShift(5, { startTime: '09:00' }, 1))
+      .rejects.toMatchObject({ statusCode: 409, messageKey: 'shift.shiftHasActiveSessions' });
+    await expect(ShiftService.deactivateShift(5, 1))
+      .rejects.toMatchObject({ messageKey: 'shift.shiftHasActiveSessions' });
+
+    // Fields the sessions do not depend on can still change
+    await ShiftService.updateShift(5, { startTime: '08:00', gracePeriod: 20 }, 1);
+
+    expect(ShiftRepository.update).toHaveBeenCalledTimes(1);
+    expect(ShiftRepository.update).toHaveBeenCalledWith(5, { startTime: '08:00:00', gracePeriod: 20 });
+  });
+
+  it('should not re-check overlaps for edits that leave times and assignment alone', async () => {
+    ShiftRepository.hasOverlap.mockResolvedValue(true);
+
+    await ShiftService.updateShift(5, { name: 'Morning Desk', gracePeriod: 20, startTime: '08:00' }, 1);
+
+    expect(ShiftRepository.hasOverlap).not.toHaveBeenCalled();
+    expect(ShiftRepository.update).toHaveBeenCalledWith(5, { name: 'Morning Desk', gracePeriod: 20, startTime: '08:00:00' });
+  });
+
+  it('should check a reactivated shift against the active ones', async () => {
+    ShiftRepository.findById.mockResolvedValue({ ...shift, isActive: false });
+    ShiftRepository.hasOverlap.mockResolvedValue(true);
+
+    await expect(ShiftService.updateShift(5, { isActive: true }, 1))
+      .rejects.toMatchObject({ messageKey: 'shift.overlapsExistingShift' });
+    expect(ShiftRepository.hasOverlap).toHaveBeenCalledWith('08:00:00', '16:00:00', 5, {
+      assignmentType: 'all',
+      departmentId: null
+    });
+  });
+
+  it('should update the break policy within its own limits', async () => {
+    BreakPolicyRepository.findByShift.mockResolvedValue({ id: 4, shiftId: 5, minDuration: 10, maxDuration: 30 });
+
+    await expect(ShiftService.updateBreakPolicy(5, { minDuration: 45 }, 1))
+      .rejects.toMatchObject({ messageKey: 'shift.invalidBreakDurations' });
+
+    await ShiftService.updateBreakPolicy(5, { maxDuration: 45, allowedBreakTypes: ['short', 'lunch'], shiftId: 8 }, 1);
+
+    expect(BreakPolicyRepository.update).toHaveBeenCalledWith(4, {
+      maxDuration: 45,
+      allowedBreakTypes: ['short', 'lunch']
+    });
+  });
+});
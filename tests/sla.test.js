@@ -0,0 +1,125 @@
+/**
+ * SLA Service unit tests
+ *
+ * Covers target overrides, metric evaluation and breach escalation with repositories mocked
+ */
+
+jest.mock('typeorm', () => ({
+  ...jest.requireActual('typeorm'),
+  getConnection: () => ({ transaction: (work) => work({}) })
+}));
+
+jest.mock('../src/repositories/ServiceRequestRepository', () => ({
+  findOpenForSla: jest.fn(),
+  update: jest.fn()
+}));
+
+jest.mock('../src/services/ServiceRequestEventService', () => ({
+  record: jest.fn()
+}));
+
+jest.mock('../src/services/NotificationService', () => ({
+  notify: jest.fn()
+}));
+
+const ServiceRequestRepository = require('../src/repositories/ServiceRequestRepository');
+const ServiceRequestEventService = require('../src/services/ServiceRequestEventService');
+const NotificationService = require('../src/services/NotificationService');
+const SlaService = require('../src/services/SlaService');
+
+describe('SlaService', () => {
+  const now = new Date('2026-10-18T12:00:00');
+  const minutesAgo = (minutes) => new Date(now.getTime() - minutes * 60 * 1000);
+  const department = { id: 2, name: 'Family', slaTargets: null, escalationAdminIds: [5, 6] };
+
+  const pendingRequest = (overrides = {}) => ({
+    id: 7,
+    categoryId: 2,
+    category: department,
+    status: 'pending',
+    priority: 'normal',
+    agentId: null,
+    assignedAt: null,
+    approvedAt: null,
+    rejectedAt: null,
+    completedAt: null,
+    meetingDate: '2026-10-20',
+    meetingTime: '10:00:00',
+    meetingDuration: 60,
+    slaBreaches: null,
+    createdAt: minutesAgo(60),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getTargets', () => {
+    it('should apply department overrides on top of the priority defaults', () => {
+      const targets = SlaService.getTargets({ slaTargets: { urgent: { assignment: 15 } } }, 'urgent');
+
+      expect(targets).toEqual({ assignment: 15, decision: 120, completion: 60 });
+    });
+  });
+
+  describe('evaluate', () => {
+    it('should flag open metrics close to their target as at risk', () => {
+      const sla = SlaService.evaluate(pendingRequest({ createdAt: minutesAgo(400) }), now);
+
+      expect(sla.metrics.assignment).toMatchObject({ state: 'at_risk', targetMinutes: 480, remainingMinutes: 80 });
+      expect(sla.metrics.decision.state).toBe('on_track');
+      expect(sla.metrics.completion).toBeNull();
+      expect(sla.status).toBe('at_risk');
+    });
+
+    it('should score finished metrics as met or breached', () => {
+      const sla = SlaService.evaluate(pendingRequest({
+        priority: 'urgent',
+        agentId: 11,
+        assignedAt: minutesAgo(50),
+        createdAt: minutesAgo(100)
+      }), now);
+
+      expect(sla.metrics.assignment).toMatchObject({ state: 'breached', completedAt: minutesAgo(50) });
+      expect(sla.status).toBe('breached');
+    });
+
+    it('should ignore metrics a closed request never reached', () => {
+      const sla = SlaService.evaluate(pendingRequest({
+        status: 'cancelled',
+        createdAt: minutesAgo(5000)
+      }), now);
+
+      expect(sla.metrics).toEqual({ assignment: null, decision: null, completion: null });
+      expect(sla.status).toBeNull();
+    });
+  });
+
+  describe('checkBreaches', () => {
+    it('should bump priority, log the breach and notify escalation admins once', async () => {
+      ServiceRequestRepository.findOpenForSla.mockResolvedValue([
+        pendingRequest({ createdAt: minutesAgo(500) }),
+        pendingRequest({ id: 8, createdAt: minutesAgo(500), slaBreaches: { assignment: minutesAgo(20) } })
+      ]);
+
+      const result = await SlaService.checkBreaches(now);
+
+      expect(result).toEqual({ checked: 2, escalated: 1 });
+      expect(ServiceRequestRepository.update).toHaveBeenCalledTimes(1);
+      expect(ServiceRequestRepository.update).toHaveBeenCalledWith(7, {
+        priority: 'high',
+        slaBreaches: { assignment: now },
+        slaEscalatedAt: now
+      }, {});
+      expect(ServiceRequestEventService.record).toHaveBeenCalledWith(7, 'sla_breached', { type: 'SYSTEM', id: null },
+        expect.objectContaining({
+          metadata: expect.objectContaining({ metrics: ['assignment'], fromPriority: 'normal', toPriority: 'high' })
+        }), {});
+      expect(NotificationService.notify).toHaveBeenCalledWith(
+        [{ type: 'ADMIN', id: 5 }, { type: 'ADMIN', id: 6 }],
+        expect.objectContaining({ type: 'sla_breached' })
+      );
+    });
+  });
+});
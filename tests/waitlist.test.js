@@ -0,0 +1,137 @@
+/**
+ * Waitlist Service unit tests
+ *
+ * Covers joining, offering freed slots in turn with a hold, accepting and lapsed holds
+ */
+
+jest.mock('../src/repositories/WaitlistEntryRepository', () => ({
+  create: jest.fn(),
+  findById: jest.fn(),
+  findActiveForUser: jest.fn(),
+  findWaitingForSlot: jest.fn(),
+  findLapsedOffers: jest.fn(),
+  expirePast: jest.fn(),
+  update: jest.fn()
+}));
+
+jest.mock('../src/repositories/DepartmentRepository', () => ({
+  findById: jest.fn()
+}));
+
+jest.mock('../src/repositories/AgentRepository', () => ({
+  findById: jest.fn()
+}));
+
+jest.mock('../src/services/AvailabilityService', () => ({
+  isSlotAvailable: jest.fn()
+}));
+
+jest.mock('../src/services/NotificationService', () => ({
+  notify: jest.fn()
+}));
+
+jest.mock('../src/services/ServiceRequestService', () => ({
+  createRequest: jest.fn()
+}));
+
+const WaitlistEntryRepository = require('../src/repositories/WaitlistEntryRepository');
+const DepartmentRepository = require('../src/repositories/DepartmentRepository');
+const AgentRepository = require('../src/repositories/AgentRepository');
+const AvailabilityService = require('../src/services/AvailabilityService');
+const NotificationService = require('../src/services/NotificationService');
+const ServiceRequestService = require('../src/services/ServiceRequestService');
+const WaitlistService = require('../src/services/WaitlistService');
+
+describe('WaitlistService', () => {
+  const freedRequest = { id: 40, agentId: 7, meetingDate: '2999-05-04', meetingTime: '10:00:00' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    DepartmentRepository.findById.mockResolvedValue({ id: 2, isActive: true });
+    AgentRepository.findById.mockResolvedValue({ id: 7, departmentId: 2, isActive: true });
+    WaitlistEntryRepository.update.mockImplementation(async (id, data) => ({ id, ...data }));
+    AvailabilityService.isSlotAvailable.mockResolvedValue(true);
+  });
+
+  it('should refuse a second active entry for the same agent or department', async () => {
+    WaitlistEntryRepository.findActiveForUser.mockResolvedValue({ id: 11 });
+
+    await expect(WaitlistService.join(3, {
+      categoryId: 2,
+      dateFrom: '2999-05-01',
+      dateTo: '2999-05-10',
+      meetingType: 'online'
+    })).rejects.toMatchObject({ statusCode: 409, messageKey: 'waitlist.alreadyWaiting' });
+    expect(WaitlistEntryRepository.create).not.toHaveBeenCalled();
+  });
+
+  it('should offer a freed slot to the first entry it suits and hold it', async () => {
+    WaitlistEntryRepository.findWaitingForSlot.mockResolvedValue([
+      { id: 11, userId: 3, meetingDuration: 120 },
+      { id: 12, userId: 4, meetingDuration: 60 }
+    ]);
+    AvailabilityService.isSlotAvailable.mockResolvedValueOnce(false).mockResolvedValueOnce(true);
+
+    const entry = await WaitlistService.slotFreed(freedRequest);
+
+    expect(WaitlistEntryRepository.findWaitingForSlot)
+      .toHaveBeenCalledWith(expect.objectContaining({ agentId: 7, categoryId: 2, meetingDate: '2999-05-04' }));
+    expect(AvailabilityService.isSlotAvailable)
+      .toHaveBeenLastCalledWith(expect.anything(), '2999-05-04', '10:00:00', 60, null, 4);
+    expect(entry).toMatchObject({ id: 12, status: 'offered', offeredAgentId: 7, offeredTime: '10:00:00' });
+    expect(entry.offerExpiresAt.getTime() - entry.offeredAt.getTime()).toBe(WaitlistService.holdMinutes * 60 * 1000);
+    expect(NotificationService.notify).toHaveBeenCalledWith([{ type: 'USER', id: 4 }], expect.objectContaining({
+      type: 'waitlist_offer'
+    }));
+  });
+
+  it('should never fail the cancellation that freed the slot', async () => {
+    WaitlistEntryRepository.findWaitingForSlot.mockRejectedValue(new Error('Connection lost'));
+
+    await expect(WaitlistService.slotFreed(freedRequest)).resolves.toBeNull();
+  });
+
+  it('should book the held slot as a request of the user', async () => {
+    WaitlistEntryRepository.findById.mockResolvedValue({
+      id: 11,
+      userId: 3,
+      categoryId: 2,
+      status: 'offered',
+      offeredAgentId: 7,
+      offeredDate: '2999-05-04',
+      offeredTime: '10:00:00',
+      offerExpiresAt: new Date(Date.now() + 60000),
+      meetingDuration: 60,
+      meetingType: 'online'
+    });
+    ServiceRequestService.createRequest.mockResolvedValue({ id: 90 });
+
+    const { entry } = await WaitlistService.accept(11, 3);
+
+    expect(ServiceRequestService.createRequest).toHaveBeenCalledWith(3, expect.objectContaining({
+      agentId: 7,
+      meetingDate: '2999-05-04',
+      meetingTime: '10:00:00'
+    }));
+    expect(entry).toMatchObject({ status: 'booked', requestId: 90 });
+  });
+
+  it('should put lapsed offers back to waiting and move the slot on', async () => {
+    WaitlistEntryRepository.findLapsedOffers.mockResolvedValue([
+      { id: 11, userId: 3, offeredAgentId: 7, offeredDate: '2999-05-04', offeredTime: '10:00:00' }
+    ]);
+    WaitlistEntryRepository.findWaitingForSlot.mockResolvedValue([{ id: 12, userId: 4, meetingDuration: 60 }]);
+    WaitlistEntryRepository.expirePast.mockResolvedValue(2);
+
+    const result = await WaitlistService.processExpired();
+
+    expect(result).toEqual({ released: 1, expired: 2 });
+    expect(WaitlistEntryRepository.update).toHaveBeenCalledWith(11, expect.objectContaining({
+      status: 'waiting',
+      offerExpiresAt: null
+    }));
+    expect(WaitlistEntryRepository.findWaitingForSlot)
+      .toHaveBeenCalledWith(expect.objectContaining({ excludeIds: [11] }));
+    expect(WaitlistEntryRepository.update).toHaveBeenCalledWith(12, expect.objectContaining({ status: 'offered' }));
+  });
+});